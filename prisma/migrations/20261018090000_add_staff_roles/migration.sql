@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE `user` MODIFY `role` ENUM('ADMIN', 'OWNER', 'TENANT', 'PROPERTY_MANAGER', 'ACCOUNTANT', 'LEASING_AGENT') NOT NULL DEFAULT 'TENANT';
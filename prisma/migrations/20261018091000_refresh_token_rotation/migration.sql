@@ -0,0 +1,12 @@
+-- Existing rows hold raw JWTs from the old scheme and can never match a hashed lookup
+DELETE FROM `refreshtoken`;
+
+-- AlterTable
+ALTER TABLE `refreshtoken` ADD COLUMN `family` VARCHAR(191) NOT NULL,
+    ADD COLUMN `revokedAt` DATETIME(3) NULL,
+    ADD COLUMN `replacedById` INTEGER NULL,
+    ADD COLUMN `userAgent` VARCHAR(191) NULL,
+    ADD COLUMN `ipAddress` VARCHAR(191) NULL;
+
+-- CreateIndex
+CREATE INDEX `RefreshToken_family_idx` ON `refreshtoken`(`family`);
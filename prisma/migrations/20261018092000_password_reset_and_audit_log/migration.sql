@@ -0,0 +1,22 @@
+-- AlterTable
+ALTER TABLE `user` ADD COLUMN `resetToken` VARCHAR(191) NULL,
+    ADD COLUMN `resetExpires` DATETIME(3) NULL;
+
+-- CreateIndex
+CREATE UNIQUE INDEX `user_resetToken_key` ON `user`(`resetToken`);
+
+-- CreateTable
+CREATE TABLE `auditlog` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `action` VARCHAR(191) NOT NULL,
+    `userId` INTEGER NULL,
+    `actorId` INTEGER NULL,
+    `ipAddress` VARCHAR(191) NULL,
+    `userAgent` VARCHAR(191) NULL,
+    `metadata` TEXT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `auditlog_userId_idx`(`userId`),
+    INDEX `auditlog_action_idx`(`action`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
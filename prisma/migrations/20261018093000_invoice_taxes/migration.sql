@@ -0,0 +1,21 @@
+-- AlterTable
+ALTER TABLE `invoice` ADD COLUMN `taxAmount` DECIMAL(65, 30) NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE `invoicetax` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `invoiceId` INTEGER NOT NULL,
+    `taxId` INTEGER NULL,
+    `name` VARCHAR(191) NOT NULL,
+    `rate` DECIMAL(10, 2) NOT NULL,
+    `appliesTo` VARCHAR(50) NOT NULL,
+    `taxableAmount` DECIMAL(65, 30) NOT NULL,
+    `amount` DECIMAL(65, 30) NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `invoicetax_invoiceId_fkey`(`invoiceId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `invoicetax` ADD CONSTRAINT `invoicetax_invoiceId_fkey` FOREIGN KEY (`invoiceId`) REFERENCES `invoice`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
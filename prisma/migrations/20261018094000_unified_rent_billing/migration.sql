@@ -0,0 +1,24 @@
+-- AlterTable
+ALTER TABLE `invoice` ADD COLUMN `billingPeriod` VARCHAR(191) NULL;
+
+-- CreateIndex
+CREATE UNIQUE INDEX `invoice_leaseId_billingPeriod_category_key` ON `invoice`(`leaseId`, `billingPeriod`, `category`);
+
+-- AlterTable
+ALTER TABLE `rentrun` ADD COLUMN `period` VARCHAR(191) NULL,
+    ADD COLUMN `trigger` VARCHAR(191) NOT NULL DEFAULT 'MANUAL',
+    ADD COLUMN `createdById` INTEGER NULL,
+    ADD COLUMN `rerunOfId` INTEGER NULL,
+    ADD COLUMN `completedAt` DATETIME(3) NULL;
+
+-- CreateIndex
+CREATE INDEX `rentrun_period_idx` ON `rentrun`(`period`);
+
+-- AlterTable
+ALTER TABLE `rentrunlog` ADD COLUMN `leaseId` INTEGER NULL,
+    ADD COLUMN `invoiceId` INTEGER NULL,
+    ADD COLUMN `status` VARCHAR(191) NOT NULL DEFAULT 'Success',
+    ADD COLUMN `amount` DECIMAL(65, 30) NOT NULL DEFAULT 0;
+
+-- CreateIndex
+CREATE INDEX `rentrunlog_leaseId_idx` ON `rentrunlog`(`leaseId`);
@@ -0,0 +1,12 @@
+-- CreateTable
+CREATE TABLE `numbersequence` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `docType` VARCHAR(191) NOT NULL,
+    `fiscalYear` INTEGER NOT NULL,
+    `lastValue` INTEGER NOT NULL DEFAULT 0,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `numbersequence_docType_fiscalYear_key`(`docType`, `fiscalYear`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
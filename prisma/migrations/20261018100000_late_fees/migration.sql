@@ -0,0 +1,31 @@
+-- AlterTable
+ALTER TABLE `invoice` MODIFY `category` ENUM('RENT', 'SERVICE', 'LATE_FEE') NOT NULL DEFAULT 'RENT',
+    ADD COLUMN `lateFeeForId` INTEGER NULL,
+    ADD COLUMN `lateFeeWaivedAt` DATETIME(3) NULL,
+    ADD COLUMN `lateFeeWaivedById` INTEGER NULL,
+    ADD COLUMN `lateFeeWaiverReason` TEXT NULL;
+
+-- CreateIndex
+CREATE UNIQUE INDEX `invoice_lateFeeForId_key` ON `invoice`(`lateFeeForId`);
+
+-- CreateTable
+CREATE TABLE `latefeepolicy` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `propertyId` INTEGER NULL,
+    `enabled` BOOLEAN NOT NULL DEFAULT true,
+    `graceDays` INTEGER NOT NULL DEFAULT 5,
+    `feeType` VARCHAR(191) NOT NULL DEFAULT 'FLAT',
+    `amount` DECIMAL(65, 30) NOT NULL DEFAULT 0,
+    `maxAmount` DECIMAL(65, 30) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `latefeepolicy_propertyId_key`(`propertyId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `invoice` ADD CONSTRAINT `invoice_lateFeeForId_fkey` FOREIGN KEY (`lateFeeForId`) REFERENCES `invoice`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `latefeepolicy` ADD CONSTRAINT `latefeepolicy_propertyId_fkey` FOREIGN KEY (`propertyId`) REFERENCES `property`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
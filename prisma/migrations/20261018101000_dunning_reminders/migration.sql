@@ -0,0 +1,61 @@
+-- AlterTable
+ALTER TABLE `user` ADD COLUMN `notifyByEmail` BOOLEAN NOT NULL DEFAULT true,
+    ADD COLUMN `notifyBySms` BOOLEAN NOT NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE `invoice` ADD COLUMN `dunningStoppedAt` DATETIME(3) NULL;
+
+-- CreateTable
+CREATE TABLE `dunningstep` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `name` VARCHAR(191) NOT NULL,
+    `offsetDays` INTEGER NOT NULL,
+    `channels` VARCHAR(191) NOT NULL DEFAULT 'EMAIL',
+    `emailSubject` VARCHAR(191) NULL,
+    `emailBody` TEXT NULL,
+    `smsBody` TEXT NULL,
+    `active` BOOLEAN NOT NULL DEFAULT true,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `dunningnotice` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `invoiceId` INTEGER NOT NULL,
+    `stepId` INTEGER NOT NULL,
+    `channel` VARCHAR(191) NOT NULL,
+    `status` VARCHAR(191) NOT NULL,
+    `recipient` VARCHAR(191) NULL,
+    `error` TEXT NULL,
+    `sentAt` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `dunningnotice_invoiceId_stepId_channel_key`(`invoiceId`, `stepId`, `channel`),
+    INDEX `dunningnotice_stepId_fkey`(`stepId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `dunningnotice` ADD CONSTRAINT `dunningnotice_invoiceId_fkey` FOREIGN KEY (`invoiceId`) REFERENCES `invoice`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `dunningnotice` ADD CONSTRAINT `dunningnotice_stepId_fkey` FOREIGN KEY (`stepId`) REFERENCES `dunningstep`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Default schedule
+INSERT INTO `dunningstep` (`name`, `offsetDays`, `channels`, `emailSubject`, `emailBody`, `smsBody`, `updatedAt`) VALUES
+    ('Upcoming payment', -3, 'EMAIL,SMS', 'Upcoming payment: invoice {{invoice.invoiceNo}}',
+     'Hi {{tenant.firstName}},\n\nThis is a reminder that invoice {{invoice.invoiceNo}} for {{invoice.balanceDue}} is due on {{invoice.dueDate}}.\n\nThank you,\n{{company.name}}',
+     'Hi {{tenant.firstName}}, invoice {{invoice.invoiceNo}} for {{invoice.balanceDue}} is due on {{invoice.dueDate}}. - {{company.name}}', CURRENT_TIMESTAMP(3)),
+    ('Due today', 0, 'EMAIL,SMS', 'Payment due today: invoice {{invoice.invoiceNo}}',
+     'Hi {{tenant.firstName}},\n\nInvoice {{invoice.invoiceNo}} for {{invoice.balanceDue}} is due today.\n\nThank you,\n{{company.name}}',
+     'Hi {{tenant.firstName}}, invoice {{invoice.invoiceNo}} for {{invoice.balanceDue}} is due today. - {{company.name}}', CURRENT_TIMESTAMP(3)),
+    ('Overdue', 5, 'EMAIL,SMS', 'Overdue: invoice {{invoice.invoiceNo}}',
+     'Hi {{tenant.firstName}},\n\nInvoice {{invoice.invoiceNo}} was due on {{invoice.dueDate}} and has an outstanding balance of {{invoice.balanceDue}}. Please pay as soon as possible to avoid late fees.\n\nThank you,\n{{company.name}}',
+     'Hi {{tenant.firstName}}, invoice {{invoice.invoiceNo}} is {{daysLate}} days overdue. Balance: {{invoice.balanceDue}}. - {{company.name}}', CURRENT_TIMESTAMP(3)),
+    ('Final notice', 15, 'EMAIL,SMS', 'Final notice: invoice {{invoice.invoiceNo}}',
+     'Hi {{tenant.firstName}},\n\nInvoice {{invoice.invoiceNo}} is now {{daysLate}} days overdue with an outstanding balance of {{invoice.balanceDue}}. Please contact the office or pay immediately.\n\n{{company.name}}',
+     'FINAL NOTICE: invoice {{invoice.invoiceNo}} is {{daysLate}} days overdue. Balance: {{invoice.balanceDue}}. - {{company.name}}', CURRENT_TIMESTAMP(3));
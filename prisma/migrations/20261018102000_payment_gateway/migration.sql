@@ -0,0 +1,72 @@
+-- CreateTable
+CREATE TABLE `paymentintent` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `invoiceId` INTEGER NOT NULL,
+    `tenantId` INTEGER NOT NULL,
+    `amount` DECIMAL(65, 30) NOT NULL,
+    `currency` VARCHAR(191) NOT NULL DEFAULT 'cad',
+    `method` VARCHAR(191) NOT NULL,
+    `provider` VARCHAR(191) NOT NULL,
+    `providerIntentId` VARCHAR(191) NULL,
+    `clientSecret` TEXT NULL,
+    `idempotencyKey` VARCHAR(191) NOT NULL,
+    `status` VARCHAR(191) NOT NULL DEFAULT 'Pending',
+    `failureReason` TEXT NULL,
+    `refundedAmount` DECIMAL(65, 30) NOT NULL DEFAULT 0,
+    `paymentId` INTEGER NULL,
+    `succeededAt` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `paymentintent_providerIntentId_key`(`providerIntentId`),
+    UNIQUE INDEX `paymentintent_idempotencyKey_key`(`idempotencyKey`),
+    UNIQUE INDEX `paymentintent_paymentId_key`(`paymentId`),
+    INDEX `paymentintent_invoiceId_fkey`(`invoiceId`),
+    INDEX `paymentintent_tenantId_fkey`(`tenantId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `paymentrefund` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `paymentIntentId` INTEGER NOT NULL,
+    `amount` DECIMAL(65, 30) NOT NULL,
+    `reason` TEXT NULL,
+    `status` VARCHAR(191) NOT NULL DEFAULT 'Pending',
+    `providerRefundId` VARCHAR(191) NULL,
+    `idempotencyKey` VARCHAR(191) NOT NULL,
+    `failureReason` TEXT NULL,
+    `requestedById` INTEGER NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `paymentrefund_providerRefundId_key`(`providerRefundId`),
+    UNIQUE INDEX `paymentrefund_idempotencyKey_key`(`idempotencyKey`),
+    INDEX `paymentrefund_paymentIntentId_fkey`(`paymentIntentId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `paymentwebhookevent` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `provider` VARCHAR(191) NOT NULL,
+    `eventId` VARCHAR(191) NOT NULL,
+    `type` VARCHAR(191) NOT NULL,
+    `processedAt` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `paymentwebhookevent_provider_eventId_key`(`provider`, `eventId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `paymentintent` ADD CONSTRAINT `paymentintent_invoiceId_fkey` FOREIGN KEY (`invoiceId`) REFERENCES `invoice`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `paymentintent` ADD CONSTRAINT `paymentintent_tenantId_fkey` FOREIGN KEY (`tenantId`) REFERENCES `user`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `paymentintent` ADD CONSTRAINT `paymentintent_paymentId_fkey` FOREIGN KEY (`paymentId`) REFERENCES `payment`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `paymentrefund` ADD CONSTRAINT `paymentrefund_paymentIntentId_fkey` FOREIGN KEY (`paymentIntentId`) REFERENCES `paymentintent`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,91 @@
+-- AlterTable
+ALTER TABLE `accounts` ADD COLUMN `code` VARCHAR(191) NULL,
+    ADD COLUMN `systemKey` VARCHAR(191) NULL,
+    ADD COLUMN `isActive` BOOLEAN NOT NULL DEFAULT true;
+
+-- CreateIndex
+CREATE UNIQUE INDEX `accounts_code_key` ON `accounts`(`code`);
+
+-- CreateIndex
+CREATE UNIQUE INDEX `accounts_systemKey_key` ON `accounts`(`systemKey`);
+
+-- CreateTable
+CREATE TABLE `journalentry` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `date` DATETIME(3) NOT NULL,
+    `description` VARCHAR(191) NOT NULL,
+    `sourceType` VARCHAR(191) NOT NULL DEFAULT 'Manual',
+    `sourceId` INTEGER NULL,
+    `createdById` INTEGER NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `journalentry_sourceType_sourceId_idx`(`sourceType`, `sourceId`),
+    INDEX `journalentry_date_idx`(`date`),
+    INDEX `journalentry_createdById_fkey`(`createdById`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `journalline` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `journalEntryId` INTEGER NOT NULL,
+    `accountId` INTEGER NOT NULL,
+    `debit` DECIMAL(12, 2) NOT NULL DEFAULT 0.00,
+    `credit` DECIMAL(12, 2) NOT NULL DEFAULT 0.00,
+    `memo` VARCHAR(191) NULL,
+    `tenantId` INTEGER NULL,
+    `propertyId` INTEGER NULL,
+
+    INDEX `journalline_journalEntryId_fkey`(`journalEntryId`),
+    INDEX `journalline_accountId_fkey`(`accountId`),
+    INDEX `journalline_tenantId_idx`(`tenantId`),
+    INDEX `journalline_propertyId_idx`(`propertyId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `accountingperiod` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `period` VARCHAR(191) NOT NULL,
+    `status` VARCHAR(191) NOT NULL DEFAULT 'Open',
+    `closedAt` DATETIME(3) NULL,
+    `closedById` INTEGER NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `accountingperiod_period_key`(`period`),
+    INDEX `accountingperiod_closedById_fkey`(`closedById`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `journalentry` ADD CONSTRAINT `journalentry_createdById_fkey` FOREIGN KEY (`createdById`) REFERENCES `user`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `journalline` ADD CONSTRAINT `journalline_journalEntryId_fkey` FOREIGN KEY (`journalEntryId`) REFERENCES `journalentry`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `journalline` ADD CONSTRAINT `journalline_accountId_fkey` FOREIGN KEY (`accountId`) REFERENCES `accounts`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `accountingperiod` ADD CONSTRAINT `accountingperiod_closedById_fkey` FOREIGN KEY (`closedById`) REFERENCES `user`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Adopt the existing income account and seed the rest of the system chart of accounts
+UPDATE `accounts` SET `systemKey` = 'RENT_INCOME', `code` = '4000', `assetType` = 'Income' WHERE `accountName` = 'Rent Income' ORDER BY `id` LIMIT 1;
+
+INSERT INTO `accounts` (`code`, `accountName`, `assetType`, `systemKey`, `isActive`, `openingBalance`, `createdAt`, `updatedAt`)
+SELECT v.code, v.accountName, v.assetType, v.systemKey, true, 0, CURRENT_TIMESTAMP(3), CURRENT_TIMESTAMP(3)
+FROM (
+    SELECT '1000' AS code, 'Operating Bank Account' AS accountName, 'Asset' AS assetType, 'CASH' AS systemKey
+    UNION ALL SELECT '1100', 'Accounts Receivable', 'Asset', 'ACCOUNTS_RECEIVABLE'
+    UNION ALL SELECT '2100', 'Sales Tax Payable', 'Liability', 'SALES_TAX_PAYABLE'
+    UNION ALL SELECT '2200', 'Security Deposits Held', 'Liability', 'SECURITY_DEPOSITS'
+    UNION ALL SELECT '3000', 'Retained Earnings', 'Equity', 'RETAINED_EARNINGS'
+    UNION ALL SELECT '4000', 'Rent Income', 'Income', 'RENT_INCOME'
+    UNION ALL SELECT '4100', 'Service Fee Income', 'Income', 'SERVICE_INCOME'
+    UNION ALL SELECT '4200', 'Late Fee Income', 'Income', 'LATE_FEE_INCOME'
+    UNION ALL SELECT '4900', 'Other Income', 'Income', 'OTHER_INCOME'
+    UNION ALL SELECT '5000', 'General Expenses', 'Expense', 'GENERAL_EXPENSE'
+    UNION ALL SELECT '5100', 'Tenant Refunds', 'Expense', 'TENANT_REFUNDS'
+) AS v
+WHERE NOT EXISTS (SELECT 1 FROM `accounts` a WHERE a.`systemKey` = v.systemKey);
@@ -0,0 +1,72 @@
+-- AlterTable
+ALTER TABLE `ticket` ADD COLUMN `assignedToId` INTEGER NULL,
+    ADD COLUMN `assignedVendor` VARCHAR(191) NULL,
+    ADD COLUMN `responseDueAt` DATETIME(3) NULL,
+    ADD COLUMN `resolutionDueAt` DATETIME(3) NULL,
+    ADD COLUMN `firstRespondedAt` DATETIME(3) NULL,
+    ADD COLUMN `resolvedAt` DATETIME(3) NULL,
+    ADD COLUMN `closedAt` DATETIME(3) NULL,
+    ADD COLUMN `slaPausedAt` DATETIME(3) NULL,
+    ADD COLUMN `responseBreachedAt` DATETIME(3) NULL,
+    ADD COLUMN `resolutionBreachedAt` DATETIME(3) NULL;
+
+-- Normalize free-text statuses written before the work-order state machine
+UPDATE `ticket` SET `status` = 'Open' WHERE LOWER(`status`) IN ('open', 'pending', 'new');
+UPDATE `ticket` SET `status` = 'In Progress' WHERE LOWER(REPLACE(REPLACE(`status`, ' ', ''), '_', '')) = 'inprogress';
+UPDATE `ticket` SET `status` = 'Resolved', `resolvedAt` = `updatedAt` WHERE LOWER(`status`) IN ('resolved', 'completed', 'done');
+UPDATE `ticket` SET `status` = 'Closed', `closedAt` = `updatedAt`, `resolvedAt` = `updatedAt` WHERE LOWER(`status`) IN ('closed', 'cancelled');
+
+-- CreateIndex
+CREATE INDEX `ticket_assignedToId_fkey` ON `ticket`(`assignedToId`);
+
+-- CreateIndex
+CREATE INDEX `ticket_status_idx` ON `ticket`(`status`);
+
+-- CreateTable
+CREATE TABLE `ticketcomment` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `ticketId` INTEGER NOT NULL,
+    `authorId` INTEGER NULL,
+    `parentId` INTEGER NULL,
+    `body` TEXT NOT NULL,
+    `isInternal` BOOLEAN NOT NULL DEFAULT false,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `ticketcomment_ticketId_fkey`(`ticketId`),
+    INDEX `ticketcomment_authorId_fkey`(`authorId`),
+    INDEX `ticketcomment_parentId_fkey`(`parentId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `ticketevent` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `ticketId` INTEGER NOT NULL,
+    `fromStatus` VARCHAR(191) NULL,
+    `toStatus` VARCHAR(191) NOT NULL,
+    `actorId` INTEGER NULL,
+    `note` TEXT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `ticketevent_ticketId_fkey`(`ticketId`),
+    INDEX `ticketevent_actorId_fkey`(`actorId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `ticket` ADD CONSTRAINT `ticket_assignedToId_fkey` FOREIGN KEY (`assignedToId`) REFERENCES `user`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `ticketcomment` ADD CONSTRAINT `ticketcomment_ticketId_fkey` FOREIGN KEY (`ticketId`) REFERENCES `ticket`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `ticketcomment` ADD CONSTRAINT `ticketcomment_authorId_fkey` FOREIGN KEY (`authorId`) REFERENCES `user`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `ticketcomment` ADD CONSTRAINT `ticketcomment_parentId_fkey` FOREIGN KEY (`parentId`) REFERENCES `ticketcomment`(`id`) ON DELETE CASCADE ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE `ticketevent` ADD CONSTRAINT `ticketevent_ticketId_fkey` FOREIGN KEY (`ticketId`) REFERENCES `ticket`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `ticketevent` ADD CONSTRAINT `ticketevent_actorId_fkey` FOREIGN KEY (`actorId`) REFERENCES `user`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
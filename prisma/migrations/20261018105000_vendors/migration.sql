@@ -0,0 +1,94 @@
+-- CreateTable
+CREATE TABLE `vendor` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `name` VARCHAR(191) NOT NULL,
+    `email` VARCHAR(191) NULL,
+    `phone` VARCHAR(191) NULL,
+    `address` VARCHAR(191) NULL,
+    `trades` TEXT NULL,
+    `serviceAreas` TEXT NULL,
+    `status` VARCHAR(191) NOT NULL DEFAULT 'Active',
+    `notes` TEXT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `vendorcontact` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `vendorId` INTEGER NOT NULL,
+    `name` VARCHAR(191) NOT NULL,
+    `role` VARCHAR(191) NULL,
+    `email` VARCHAR(191) NULL,
+    `phone` VARCHAR(191) NULL,
+    `isPrimary` BOOLEAN NOT NULL DEFAULT false,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    INDEX `vendorcontact_vendorId_fkey`(`vendorId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `workordercost` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `ticketId` INTEGER NULL,
+    `maintenanceTaskId` INTEGER NULL,
+    `vendorId` INTEGER NULL,
+    `propertyId` INTEGER NULL,
+    `description` VARCHAR(191) NOT NULL,
+    `amount` DECIMAL(12, 2) NOT NULL,
+    `incurredAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `createdById` INTEGER NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `workordercost_ticketId_fkey`(`ticketId`),
+    INDEX `workordercost_maintenanceTaskId_fkey`(`maintenanceTaskId`),
+    INDEX `workordercost_vendorId_fkey`(`vendorId`),
+    INDEX `workordercost_propertyId_fkey`(`propertyId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AlterTable
+ALTER TABLE `ticket` ADD COLUMN `vendorId` INTEGER NULL;
+
+-- AlterTable
+ALTER TABLE `maintenancetask` ADD COLUMN `vendorId` INTEGER NULL;
+
+-- AlterTable
+ALTER TABLE `document` ADD COLUMN `vendorId` INTEGER NULL;
+
+-- CreateIndex
+CREATE INDEX `ticket_vendorId_fkey` ON `ticket`(`vendorId`);
+
+-- CreateIndex
+CREATE INDEX `maintenancetask_vendorId_fkey` ON `maintenancetask`(`vendorId`);
+
+-- CreateIndex
+CREATE INDEX `document_vendorId_fkey` ON `document`(`vendorId`);
+
+-- AddForeignKey
+ALTER TABLE `vendorcontact` ADD CONSTRAINT `vendorcontact_vendorId_fkey` FOREIGN KEY (`vendorId`) REFERENCES `vendor`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `workordercost` ADD CONSTRAINT `workordercost_ticketId_fkey` FOREIGN KEY (`ticketId`) REFERENCES `ticket`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `workordercost` ADD CONSTRAINT `workordercost_maintenanceTaskId_fkey` FOREIGN KEY (`maintenanceTaskId`) REFERENCES `maintenancetask`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `workordercost` ADD CONSTRAINT `workordercost_vendorId_fkey` FOREIGN KEY (`vendorId`) REFERENCES `vendor`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `workordercost` ADD CONSTRAINT `workordercost_propertyId_fkey` FOREIGN KEY (`propertyId`) REFERENCES `property`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `ticket` ADD CONSTRAINT `ticket_vendorId_fkey` FOREIGN KEY (`vendorId`) REFERENCES `vendor`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `maintenancetask` ADD CONSTRAINT `maintenancetask_vendorId_fkey` FOREIGN KEY (`vendorId`) REFERENCES `vendor`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `document` ADD CONSTRAINT `document_vendorId_fkey` FOREIGN KEY (`vendorId`) REFERENCES `vendor`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,20 @@
+-- AlterTable
+ALTER TABLE `maintenancetask` ADD COLUMN `completedAt` DATETIME(3) NULL,
+    ADD COLUMN `completedById` INTEGER NULL,
+    ADD COLUMN `overdueAt` DATETIME(3) NULL,
+    ADD COLUMN `previousTaskId` INTEGER NULL;
+
+-- Normalize free-text statuses written before the scheduler
+UPDATE `maintenancetask` SET `status` = 'Upcoming' WHERE LOWER(`status`) IN ('upcoming', 'scheduled', 'pending');
+UPDATE `maintenancetask` SET `status` = 'In Progress' WHERE LOWER(REPLACE(REPLACE(`status`, ' ', ''), '_', '')) = 'inprogress';
+UPDATE `maintenancetask` SET `status` = 'Completed', `completedAt` = `updatedAt` WHERE LOWER(`status`) IN ('completed', 'done');
+UPDATE `maintenancetask` SET `status` = 'Overdue', `overdueAt` = CURRENT_TIMESTAMP(3) WHERE LOWER(`status`) = 'overdue';
+
+-- CreateIndex
+CREATE UNIQUE INDEX `maintenancetask_previousTaskId_key` ON `maintenancetask`(`previousTaskId`);
+
+-- CreateIndex
+CREATE INDEX `maintenancetask_status_dueDate_idx` ON `maintenancetask`(`status`, `dueDate`);
+
+-- AddForeignKey
+ALTER TABLE `maintenancetask` ADD CONSTRAINT `maintenancetask_previousTaskId_fkey` FOREIGN KEY (`previousTaskId`) REFERENCES `maintenancetask`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,20 @@
+-- AlterTable
+ALTER TABLE `workordercost` ADD COLUMN `costType` VARCHAR(191) NOT NULL DEFAULT 'Labour',
+    ADD COLUMN `billToTenant` BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN `invoiceId` INTEGER NULL;
+
+-- CreateIndex
+CREATE INDEX `workordercost_invoiceId_fkey` ON `workordercost`(`invoiceId`);
+
+-- AddForeignKey
+ALTER TABLE `workordercost` ADD CONSTRAINT `workordercost_invoiceId_fkey` FOREIGN KEY (`invoiceId`) REFERENCES `invoice`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Accounts used by work-order cost postings
+INSERT INTO `accounts` (`code`, `accountName`, `assetType`, `systemKey`, `isActive`, `openingBalance`, `createdAt`, `updatedAt`)
+SELECT v.code, v.accountName, v.assetType, v.systemKey, true, 0, CURRENT_TIMESTAMP(3), CURRENT_TIMESTAMP(3)
+FROM (
+    SELECT '2000' AS code, 'Accounts Payable' AS accountName, 'Liability' AS assetType, 'ACCOUNTS_PAYABLE' AS systemKey
+    UNION ALL SELECT '5200', 'Repairs & Maintenance', 'Expense', 'REPAIRS_EXPENSE'
+) AS v
+WHERE NOT EXISTS (SELECT 1 FROM `accounts` a WHERE a.`systemKey` = v.systemKey)
+  AND NOT EXISTS (SELECT 1 FROM `accounts` a WHERE a.`code` = v.code);
@@ -0,0 +1,27 @@
+-- AlterTable
+ALTER TABLE `insurance` ADD COLUMN `coverageTypes` TEXT NULL,
+    ADD COLUMN `liabilityAmount` DECIMAL(12, 2) NULL,
+    ADD COLUMN `additionalInsured` BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN `additionalInsuredName` VARCHAR(191) NULL,
+    ADD COLUMN `verificationResult` TEXT NULL,
+    ADD COLUMN `verifiedAt` DATETIME(3) NULL,
+    ADD COLUMN `verifiedById` INTEGER NULL;
+
+-- CreateTable
+CREATE TABLE `insurancerequirement` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `propertyId` INTEGER NULL,
+    `enabled` BOOLEAN NOT NULL DEFAULT true,
+    `minLiabilityAmount` DECIMAL(12, 2) NULL,
+    `requiredCoverageTypes` TEXT NULL,
+    `requireAdditionalInsured` BOOLEAN NOT NULL DEFAULT false,
+    `additionalInsuredName` VARCHAR(191) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `insurancerequirement_propertyId_key`(`propertyId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `insurancerequirement` ADD CONSTRAINT `insurancerequirement_propertyId_fkey` FOREIGN KEY (`propertyId`) REFERENCES `property`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,12 @@
+-- AlterTable
+ALTER TABLE `invoice` MODIFY `category` ENUM('RENT', 'SERVICE', 'LATE_FEE', 'INSURANCE_FEE') NOT NULL DEFAULT 'RENT';
+
+-- AlterTable
+ALTER TABLE `lease` ADD COLUMN `insuranceLapsedAt` DATETIME(3) NULL,
+    ADD COLUMN `insuranceEscalationLevel` INTEGER NULL,
+    ADD COLUMN `insuranceFeeChargedAt` DATETIME(3) NULL;
+
+-- AlterTable
+ALTER TABLE `insurancerequirement` ADD COLUMN `lapseFeeAmount` DECIMAL(12, 2) NULL,
+    ADD COLUMN `lapseFeeGraceDays` INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN `lapseFeeIntervalDays` INTEGER NOT NULL DEFAULT 30;
@@ -0,0 +1,72 @@
+-- CreateTable
+CREATE TABLE `managementfeepolicy` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `propertyId` INTEGER NULL,
+    `ownerId` INTEGER NULL,
+    `enabled` BOOLEAN NOT NULL DEFAULT true,
+    `feeType` VARCHAR(191) NOT NULL DEFAULT 'PERCENTAGE',
+    `amount` DECIMAL(12, 2) NOT NULL DEFAULT 0.00,
+    `minAmount` DECIMAL(12, 2) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `managementfeepolicy_propertyId_ownerId_key`(`propertyId`, `ownerId`),
+    INDEX `managementfeepolicy_ownerId_fkey`(`ownerId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `propertyownership` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `propertyId` INTEGER NOT NULL,
+    `ownerId` INTEGER NOT NULL,
+    `percentage` DECIMAL(5, 2) NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `propertyownership_propertyId_ownerId_key`(`propertyId`, `ownerId`),
+    INDEX `propertyownership_ownerId_fkey`(`ownerId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `ownerstatement` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `ownerId` INTEGER NOT NULL,
+    `period` VARCHAR(191) NOT NULL,
+    `periodStart` DATETIME(3) NOT NULL,
+    `periodEnd` DATETIME(3) NOT NULL,
+    `income` DECIMAL(12, 2) NOT NULL DEFAULT 0.00,
+    `expenses` DECIMAL(12, 2) NOT NULL DEFAULT 0.00,
+    `managementFee` DECIMAL(12, 2) NOT NULL DEFAULT 0.00,
+    `netPayable` DECIMAL(12, 2) NOT NULL DEFAULT 0.00,
+    `details` LONGTEXT NOT NULL,
+    `documentId` INTEGER NULL,
+    `status` VARCHAR(191) NOT NULL DEFAULT 'Generated',
+    `sentAt` DATETIME(3) NULL,
+    `createdById` INTEGER NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `ownerstatement_ownerId_period_key`(`ownerId`, `period`),
+    INDEX `ownerstatement_documentId_fkey`(`documentId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `managementfeepolicy` ADD CONSTRAINT `managementfeepolicy_propertyId_fkey` FOREIGN KEY (`propertyId`) REFERENCES `property`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `managementfeepolicy` ADD CONSTRAINT `managementfeepolicy_ownerId_fkey` FOREIGN KEY (`ownerId`) REFERENCES `user`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `propertyownership` ADD CONSTRAINT `propertyownership_propertyId_fkey` FOREIGN KEY (`propertyId`) REFERENCES `property`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `propertyownership` ADD CONSTRAINT `propertyownership_ownerId_fkey` FOREIGN KEY (`ownerId`) REFERENCES `user`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `ownerstatement` ADD CONSTRAINT `ownerstatement_ownerId_fkey` FOREIGN KEY (`ownerId`) REFERENCES `user`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `ownerstatement` ADD CONSTRAINT `ownerstatement_documentId_fkey` FOREIGN KEY (`documentId`) REFERENCES `document`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
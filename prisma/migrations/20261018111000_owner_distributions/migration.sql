@@ -0,0 +1,86 @@
+-- CreateTable
+CREATE TABLE `ownerpayoutaccount` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `ownerId` INTEGER NOT NULL,
+    `method` VARCHAR(191) NOT NULL DEFAULT 'ACH',
+    `accountName` VARCHAR(191) NULL,
+    `routingNumber` VARCHAR(191) NULL,
+    `accountNumber` VARCHAR(191) NULL,
+    `accountType` VARCHAR(191) NOT NULL DEFAULT 'CHECKING',
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `ownerpayoutaccount_ownerId_key`(`ownerId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `propertyreserve` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `propertyId` INTEGER NOT NULL,
+    `targetAmount` DECIMAL(12, 2) NOT NULL DEFAULT 0.00,
+    `balance` DECIMAL(12, 2) NOT NULL DEFAULT 0.00,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `propertyreserve_propertyId_key`(`propertyId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `ownerdistribution` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `ownerId` INTEGER NOT NULL,
+    `statementId` INTEGER NULL,
+    `period` VARCHAR(191) NOT NULL,
+    `grossAmount` DECIMAL(12, 2) NOT NULL DEFAULT 0.00,
+    `reserveHeld` DECIMAL(12, 2) NOT NULL DEFAULT 0.00,
+    `amount` DECIMAL(12, 2) NOT NULL DEFAULT 0.00,
+    `status` VARCHAR(191) NOT NULL DEFAULT 'Scheduled',
+    `method` VARCHAR(191) NOT NULL DEFAULT 'ACH',
+    `reference` VARCHAR(191) NULL,
+    `scheduledFor` DATETIME(3) NOT NULL,
+    `paidAt` DATETIME(3) NULL,
+    `batchId` INTEGER NULL,
+    `details` TEXT NULL,
+    `notes` TEXT NULL,
+    `createdById` INTEGER NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    INDEX `ownerdistribution_ownerId_fkey`(`ownerId`),
+    INDEX `ownerdistribution_statementId_fkey`(`statementId`),
+    INDEX `ownerdistribution_batchId_fkey`(`batchId`),
+    INDEX `ownerdistribution_status_scheduledFor_idx`(`status`, `scheduledFor`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `distributionbatch` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `fileName` VARCHAR(191) NOT NULL,
+    `effectiveDate` DATETIME(3) NOT NULL,
+    `entryCount` INTEGER NOT NULL,
+    `totalAmount` DECIMAL(12, 2) NOT NULL,
+    `status` VARCHAR(191) NOT NULL DEFAULT 'Exported',
+    `settledAt` DATETIME(3) NULL,
+    `createdById` INTEGER NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `ownerpayoutaccount` ADD CONSTRAINT `ownerpayoutaccount_ownerId_fkey` FOREIGN KEY (`ownerId`) REFERENCES `user`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `propertyreserve` ADD CONSTRAINT `propertyreserve_propertyId_fkey` FOREIGN KEY (`propertyId`) REFERENCES `property`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `ownerdistribution` ADD CONSTRAINT `ownerdistribution_ownerId_fkey` FOREIGN KEY (`ownerId`) REFERENCES `user`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `ownerdistribution` ADD CONSTRAINT `ownerdistribution_statementId_fkey` FOREIGN KEY (`statementId`) REFERENCES `ownerstatement`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `ownerdistribution` ADD CONSTRAINT `ownerdistribution_batchId_fkey` FOREIGN KEY (`batchId`) REFERENCES `distributionbatch`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
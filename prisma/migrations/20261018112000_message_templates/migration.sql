@@ -0,0 +1,20 @@
+-- AlterTable
+ALTER TABLE `user` ADD COLUMN `language` VARCHAR(191) NOT NULL DEFAULT 'en';
+
+-- CreateTable
+CREATE TABLE `messagetemplate` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `eventType` VARCHAR(191) NOT NULL,
+    `channel` VARCHAR(191) NOT NULL,
+    `language` VARCHAR(191) NOT NULL DEFAULT 'en',
+    `subject` VARCHAR(191) NULL,
+    `body` TEXT NOT NULL,
+    `htmlBody` TEXT NULL,
+    `active` BOOLEAN NOT NULL DEFAULT true,
+    `updatedById` INTEGER NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `messagetemplate_eventType_channel_language_key`(`eventType`, `channel`, `language`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
@@ -0,0 +1,14 @@
+-- AlterTable
+ALTER TABLE `communicationlog` ADD COLUMN `subject` VARCHAR(191) NULL,
+    ADD COLUMN `htmlContent` TEXT NULL,
+    ADD COLUMN `attempts` INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN `nextAttemptAt` DATETIME(3) NULL,
+    ADD COLUMN `lastError` TEXT NULL,
+    ADD COLUMN `providerId` VARCHAR(191) NULL,
+    ADD COLUMN `sentAt` DATETIME(3) NULL;
+
+-- CreateIndex
+CREATE INDEX `communicationlog_status_nextAttemptAt_idx` ON `communicationlog`(`status`, `nextAttemptAt`);
+
+-- CreateIndex
+CREATE INDEX `communicationlog_providerId_idx` ON `communicationlog`(`providerId`);
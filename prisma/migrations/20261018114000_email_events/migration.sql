@@ -0,0 +1,38 @@
+-- AlterTable
+ALTER TABLE `communicationlog` ADD COLUMN `lastEventAt` DATETIME(3) NULL;
+
+-- CreateTable
+CREATE TABLE `emailevent` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `eventId` VARCHAR(191) NOT NULL,
+    `messageId` VARCHAR(191) NULL,
+    `logId` INTEGER NULL,
+    `event` VARCHAR(191) NOT NULL,
+    `email` VARCHAR(191) NOT NULL,
+    `reason` TEXT NULL,
+    `occurredAt` DATETIME(3) NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `emailevent_eventId_key`(`eventId`),
+    INDEX `emailevent_logId_fkey`(`logId`),
+    INDEX `emailevent_messageId_idx`(`messageId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `emailsuppression` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `email` VARCHAR(191) NOT NULL,
+    `reason` VARCHAR(191) NOT NULL,
+    `detail` TEXT NULL,
+    `source` VARCHAR(191) NOT NULL DEFAULT 'sendgrid',
+    `createdById` INTEGER NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `emailsuppression_email_key`(`email`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `emailevent` ADD CONSTRAINT `emailevent_logId_fkey` FOREIGN KEY (`logId`) REFERENCES `communicationlog`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,49 @@
+-- CreateTable
+CREATE TABLE `campaign` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `name` VARCHAR(191) NOT NULL,
+    `channels` VARCHAR(191) NOT NULL,
+    `subject` VARCHAR(191) NULL,
+    `message` TEXT NOT NULL,
+    `filters` TEXT NOT NULL,
+    `status` VARCHAR(191) NOT NULL DEFAULT 'Scheduled',
+    `scheduledFor` DATETIME(3) NOT NULL,
+    `startedAt` DATETIME(3) NULL,
+    `completedAt` DATETIME(3) NULL,
+    `recipientCount` INTEGER NOT NULL DEFAULT 0,
+    `createdById` INTEGER NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    INDEX `campaign_status_scheduledFor_idx`(`status`, `scheduledFor`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `campaignrecipient` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `campaignId` INTEGER NOT NULL,
+    `userId` INTEGER NOT NULL,
+    `channel` VARCHAR(191) NOT NULL,
+    `address` VARCHAR(191) NULL,
+    `status` VARCHAR(191) NOT NULL DEFAULT 'Queued',
+    `skipReason` VARCHAR(191) NULL,
+    `logId` INTEGER NULL,
+    `releasedAt` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `campaignrecipient_logId_key`(`logId`),
+    UNIQUE INDEX `campaignrecipient_campaignId_userId_channel_key`(`campaignId`, `userId`, `channel`),
+    INDEX `campaignrecipient_campaignId_status_idx`(`campaignId`, `status`),
+    INDEX `campaignrecipient_userId_fkey`(`userId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `campaignrecipient` ADD CONSTRAINT `campaignrecipient_campaignId_fkey` FOREIGN KEY (`campaignId`) REFERENCES `campaign`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `campaignrecipient` ADD CONSTRAINT `campaignrecipient_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `user`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `campaignrecipient` ADD CONSTRAINT `campaignrecipient_logId_fkey` FOREIGN KEY (`logId`) REFERENCES `communicationlog`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,46 @@
+-- AlterTable
+ALTER TABLE `property` ADD COLUMN `smsInboxUserId` INTEGER NULL;
+
+-- CreateTable
+CREATE TABLE `lead` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `phone` VARCHAR(191) NOT NULL,
+    `name` VARCHAR(191) NULL,
+    `status` VARCHAR(191) NOT NULL DEFAULT 'New',
+    `source` VARCHAR(191) NOT NULL DEFAULT 'SMS',
+    `assignedToId` INTEGER NULL,
+    `notes` TEXT NULL,
+    `lastMessageAt` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `lead_phone_key`(`phone`),
+    INDEX `lead_assignedToId_fkey`(`assignedToId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `leadmessage` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `leadId` INTEGER NOT NULL,
+    `direction` VARCHAR(191) NOT NULL,
+    `content` TEXT NOT NULL,
+    `smsSid` VARCHAR(191) NULL,
+    `senderId` INTEGER NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `leadmessage_leadId_fkey`(`leadId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateIndex
+CREATE INDEX `property_smsInboxUserId_fkey` ON `property`(`smsInboxUserId`);
+
+-- AddForeignKey
+ALTER TABLE `property` ADD CONSTRAINT `property_smsInboxUserId_fkey` FOREIGN KEY (`smsInboxUserId`) REFERENCES `user`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `lead` ADD CONSTRAINT `lead_assignedToId_fkey` FOREIGN KEY (`assignedToId`) REFERENCES `user`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `leadmessage` ADD CONSTRAINT `leadmessage_leadId_fkey` FOREIGN KEY (`leadId`) REFERENCES `lead`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
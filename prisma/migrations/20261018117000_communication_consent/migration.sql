@@ -0,0 +1,28 @@
+-- AlterTable
+ALTER TABLE `property` ADD COLUMN `timeZone` VARCHAR(191) NULL;
+
+-- CreateTable
+CREATE TABLE `communicationconsent` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `userId` INTEGER NOT NULL,
+    `channel` VARCHAR(191) NOT NULL,
+    `granted` BOOLEAN NOT NULL,
+    `source` VARCHAR(191) NOT NULL,
+    `keyword` VARCHAR(191) NULL,
+    `ipAddress` VARCHAR(191) NULL,
+    `userAgent` TEXT NULL,
+    `notes` TEXT NULL,
+    `recordedById` INTEGER NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `communicationconsent_userId_channel_createdAt_idx`(`userId`, `channel`, `createdAt`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `communicationconsent` ADD CONSTRAINT `communicationconsent_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `user`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Backfill: SMS notifications are off by default, so users who turned them on opted in
+INSERT INTO `communicationconsent` (`userId`, `channel`, `granted`, `source`, `notes`)
+SELECT `id`, 'SMS', true, 'legacy_preference', 'SMS notifications were enabled before consent records existed'
+FROM `user` WHERE `notifyBySms` = true;
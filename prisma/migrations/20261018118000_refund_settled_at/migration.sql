@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE `paymentrefund` ADD COLUMN `succeededAt` DATETIME(3) NULL;
+
+-- Refunds settled so far: the settlement was their last update
+UPDATE `paymentrefund` SET `succeededAt` = `updatedAt` WHERE `status` = 'Succeeded';
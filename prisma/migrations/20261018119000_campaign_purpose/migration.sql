@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE `campaign` ADD COLUMN `purpose` VARCHAR(191) NOT NULL DEFAULT 'marketing';
@@ -0,0 +1,14 @@
+-- Unsubscribes were suppressions, which also blocked password resets and invitations.
+-- They become email consent withdrawals for the accounts using the address.
+INSERT INTO `communicationconsent` (`userId`, `channel`, `granted`, `source`, `notes`, `createdAt`)
+SELECT u.`id`, 'Email', false, 'sendgrid', 'SendGrid unsubscribe event', s.`updatedAt`
+FROM `emailsuppression` s
+JOIN `user` u ON LOWER(u.`email`) = s.`email`
+WHERE s.`reason` = 'unsubscribe';
+
+UPDATE `user` u
+JOIN `emailsuppression` s ON LOWER(u.`email`) = s.`email`
+SET u.`notifyByEmail` = false
+WHERE s.`reason` = 'unsubscribe';
+
+DELETE FROM `emailsuppression` WHERE `reason` = 'unsubscribe';
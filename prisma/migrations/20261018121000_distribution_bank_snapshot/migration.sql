@@ -0,0 +1,15 @@
+-- AlterTable
+ALTER TABLE `ownerdistribution` ADD COLUMN `payeeName` VARCHAR(191) NULL,
+    ADD COLUMN `routingNumber` VARCHAR(191) NULL,
+    ADD COLUMN `accountNumber` VARCHAR(191) NULL,
+    ADD COLUMN `accountType` VARCHAR(191) NULL;
+
+-- Backfill: batches exported so far keep the details on file today
+UPDATE `ownerdistribution` d
+JOIN `ownerpayoutaccount` a ON a.`ownerId` = d.`ownerId`
+JOIN `user` u ON u.`id` = d.`ownerId`
+SET d.`payeeName` = COALESCE(a.`accountName`, u.`name`),
+    d.`routingNumber` = a.`routingNumber`,
+    d.`accountNumber` = a.`accountNumber`,
+    d.`accountType` = a.`accountType`
+WHERE d.`batchId` IS NOT NULL;
@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE `ownerpayoutaccount` ADD COLUMN `pendingVerification` BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN `verifiedAt` DATETIME(3) NULL,
+    ADD COLUMN `verifiedById` INTEGER NULL;
+
+-- Owners whose payouts are already on hold for an account change are awaiting verification
+UPDATE `ownerpayoutaccount` a
+SET a.`pendingVerification` = true
+WHERE EXISTS (SELECT 1 FROM `ownerdistribution` d WHERE d.`ownerId` = a.`ownerId` AND d.`status` = 'On Hold');
@@ -45,7 +45,12 @@ app.use(
   })
 );
 // Configure this properly for production later
-app.use(express.json());
+// Keep the raw body: payment webhooks verify signatures over the exact bytes received
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(morgan('dev'));
 
 // File Upload Middleware
@@ -0,0 +1,137 @@
+/**
+ * Role-based permission catalogue for the admin API.
+ *
+ * Every /api/admin route declares the permission it needs (e.g. 'invoices:write').
+ * ADMIN is a super-role and implicitly holds every permission; the staff roles
+ * below hold an explicit subset so the admin UI can be opened to part-time staff.
+ */
+
+const ROLES = {
+    ADMIN: 'ADMIN',
+    PROPERTY_MANAGER: 'PROPERTY_MANAGER',
+    ACCOUNTANT: 'ACCOUNTANT',
+    LEASING_AGENT: 'LEASING_AGENT',
+    OWNER: 'OWNER',
+    TENANT: 'TENANT'
+};
+
+// Roles allowed into the admin portal at all (per-route permissions still apply)
+const STAFF_ROLES = [
+    ROLES.ADMIN,
+    ROLES.PROPERTY_MANAGER,
+    ROLES.ACCOUNTANT,
+    ROLES.LEASING_AGENT
+];
+
+const PERMISSIONS = [
+    'dashboard:read',
+    'owners:read',
+    'owners:write',
+    'properties:read',
+    'properties:write',
+    'units:read',
+    'units:write',
+    'tenants:read',
+    'tenants:write',
+    'leases:read',
+    'leases:write',
+    'leases:activate',
+    'tickets:read',
+    'tickets:write',
+    'invoices:read',
+    'invoices:write',
+    'payments:read',
+    'payments:write',
+    'refunds:read',
+    'refunds:write',
+    'insurance:read',
+    'insurance:approve',
+    'maintenance:read',
+    'maintenance:write',
+    'accounting:read',
+    'accounting:write',
+    'communication:read',
+    'communication:send',
+    'reports:read',
+    'documents:read',
+    'documents:write',
+    'settings:read',
+    'settings:write',
+    'staff:manage',
+    'sessions:revoke'
+];
+
+const ROLE_PERMISSIONS = {
+    [ROLES.ADMIN]: PERMISSIONS,
+    [ROLES.PROPERTY_MANAGER]: [
+        'dashboard:read',
+        'owners:read',
+        'properties:read', 'properties:write',
+        'units:read', 'units:write',
+        'tenants:read', 'tenants:write',
+        'leases:read', 'leases:write', 'leases:activate',
+        'tickets:read', 'tickets:write',
+        'invoices:read',
+        'payments:read',
+        'refunds:read',
+        'insurance:read', 'insurance:approve',
+        'maintenance:read', 'maintenance:write',
+        'communication:read', 'communication:send',
+        'reports:read',
+        'documents:read', 'documents:write',
+        'settings:read'
+    ],
+    [ROLES.ACCOUNTANT]: [
+        'dashboard:read',
+        'owners:read',
+        'properties:read',
+        'units:read',
+        'tenants:read',
+        'leases:read',
+        'invoices:read', 'invoices:write',
+        'payments:read', 'payments:write',
+        'refunds:read', 'refunds:write',
+        'accounting:read', 'accounting:write',
+        'reports:read',
+        'documents:read',
+        'settings:read'
+    ],
+    [ROLES.LEASING_AGENT]: [
+        'dashboard:read',
+        'properties:read',
+        'units:read',
+        'tenants:read', 'tenants:write',
+        'leases:read', 'leases:write',
+        'insurance:read',
+        'communication:read', 'communication:send',
+        'documents:read', 'documents:write'
+    ]
+};
+
+/**
+ * Check whether a role holds a permission
+ * @param {string} role - User role from the JWT
+ * @param {string} permission - Permission key, e.g. 'invoices:write'
+ * @returns {boolean}
+ */
+const hasPermission = (role, permission) => {
+    if (role === ROLES.ADMIN) return true;
+    const granted = ROLE_PERMISSIONS[role];
+    return Array.isArray(granted) && granted.includes(permission);
+};
+
+/**
+ * List the permissions held by a role
+ * @param {string} role
+ * @returns {Array<string>}
+ */
+const getRolePermissions = (role) => [...(ROLE_PERMISSIONS[role] || [])];
+
+module.exports = {
+    ROLES,
+    STAFF_ROLES,
+    PERMISSIONS,
+    ROLE_PERMISSIONS,
+    hasPermission,
+    getRolePermissions
+};
@@ -19,6 +19,31 @@ const LEASE_STATUS = {
     MOVED: 'Moved'
 };
 
+const TICKET_STATUS = {
+    OPEN: 'Open',
+    ASSIGNED: 'Assigned',
+    IN_PROGRESS: 'In Progress',
+    AWAITING_PARTS: 'Awaiting Parts',
+    RESOLVED: 'Resolved',
+    CLOSED: 'Closed',
+    REOPENED: 'Reopened'
+};
+
+const TICKET_PRIORITY = {
+    LOW: 'Low',
+    MEDIUM: 'Medium',
+    HIGH: 'High',
+    URGENT: 'Urgent'
+};
+
+const MAINTENANCE_STATUS = {
+    UPCOMING: 'Upcoming',
+    IN_PROGRESS: 'In Progress',
+    OVERDUE: 'Overdue',
+    COMPLETED: 'Completed',
+    CANCELLED: 'Cancelled'
+};
+
 const PAYMENT_METHOD = {
     ONLINE: 'Online',
     CARD: 'Card',
@@ -37,6 +62,9 @@ const TRANSACTION_TYPE = {
 module.exports = {
     INVOICE_STATUS,
     LEASE_STATUS,
+    TICKET_STATUS,
+    TICKET_PRIORITY,
+    MAINTENANCE_STATUS,
     PAYMENT_METHOD,
     TRANSACTION_TYPE
 };
@@ -1,8 +1,10 @@
 const jwt = require('jsonwebtoken');
+const AppError = require('../utils/AppError');
+const { PERMISSIONS, hasPermission } = require('../constants/permissions');
 
 exports.authenticate = (req, res, next) => {
     const authHeader = req.headers.authorization;
-    if (!authHeader) return res.status(401).json({ message: 'No token provided' });
+    if (!authHeader) return next(new AppError('No token provided', 401));
 
     const token = authHeader.split(' ')[1];
     try {
@@ -11,16 +13,44 @@ exports.authenticate = (req, res, next) => {
         next();
     } catch (err) {
         console.error('JWT Verification Error:', err.message);
-        return res.status(401).json({ message: 'Invalid token: ' + err.message });
+        return next(new AppError('Invalid token: ' + err.message, 401));
     }
 };
 
-exports.authorize = (role) => {
+/**
+ * Restrict a router to one or more roles. ADMIN always passes.
+ * @param {...string} roles - Allowed roles, e.g. authorize('OWNER') or authorize(...STAFF_ROLES)
+ */
+exports.authorize = (...roles) => {
     return (req, res, next) => {
-        if (req.user.role !== role && req.user.role !== 'ADMIN') { // Admin can access all usually, but stick to role
-            if (req.user.role !== role) {
-                return res.status(403).json({ message: 'Forbidden' });
-            }
+        if (!req.user) return next(new AppError('No token provided', 401));
+
+        if (req.user.role !== 'ADMIN' && !roles.includes(req.user.role)) {
+            return next(new AppError('Forbidden', 403));
+        }
+        next();
+    };
+};
+
+/**
+ * Require every listed permission for the current user's role.
+ * Unknown permission keys fail at boot so a typo can never open a route.
+ * @param {...string} permissions - e.g. requirePermission('leases:activate')
+ */
+exports.requirePermission = (...permissions) => {
+    const unknown = permissions.filter(p => !PERMISSIONS.includes(p));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown permission(s): ${unknown.join(', ')}`);
+    }
+
+    return (req, res, next) => {
+        if (!req.user) return next(new AppError('No token provided', 401));
+
+        const missing = permissions.filter(p => !hasPermission(req.user.role, p));
+        if (missing.length > 0) {
+            const err = new AppError('You do not have permission to perform this action', 403);
+            err.errors = { permission: missing.join(', ') };
+            return next(err);
         }
         next();
     };
@@ -27,6 +27,16 @@ const handleValidationErrorDB = err => {
     return new AppError(err.message || 'Invalid request. Please check your input.', 400);
 };
 
+const handleJWTError = () => new AppError('Invalid token. Please log in again.', 401);
+
+const handleJWTExpiredError = () => new AppError('Your session has expired. Please log in again.', 401);
+
+const handleForbidden = err => {
+    const error = new AppError(err.message || 'You do not have permission to perform this action', 403);
+    error.errors = err.errors || {};
+    return error;
+};
+
 const sendErrorDev = (err, res) => {
     res.status(err.statusCode).json({
         success: false,
@@ -68,6 +78,9 @@ module.exports = (err, req, res, next) => {
     error.code = err.code;
     if (error.code === 'P2002') error = handleDuplicateFieldsDB(error);
     if (error.code === 'P2003' || error.code === 'P2025') error = handleValidationErrorDB(error);
+    if (error.name === 'JsonWebTokenError') error = handleJWTError();
+    if (error.name === 'TokenExpiredError') error = handleJWTExpiredError();
+    if (error.statusCode === 403) error = handleForbidden(error);
     // Prisma "Unknown arg" (invalid field name) -> 400 with clear message
     if (err.message && typeof err.message === 'string' && err.message.includes('Unknown arg')) {
         error = new AppError('Invalid data field sent. Please refresh and try again.', 400);
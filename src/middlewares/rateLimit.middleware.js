@@ -0,0 +1,45 @@
+const AppError = require('../utils/AppError');
+
+/**
+ * Simple in-memory fixed-window rate limiter.
+ * Good enough for a single API instance; swap the store for Redis if we scale out.
+ *
+ * @param {Object} options
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @param {number} options.max - Max requests per key per window
+ * @param {Function} [options.keyGenerator] - (req) => string, defaults to client IP
+ * @param {string} [options.message] - Error message when the limit is hit
+ */
+const rateLimit = ({ windowMs, max, keyGenerator, message }) => {
+    const hits = new Map();
+
+    // Drop stale windows so the map does not grow forever
+    const sweeper = setInterval(() => {
+        const now = Date.now();
+        for (const [key, entry] of hits) {
+            if (entry.resetAt <= now) hits.delete(key);
+        }
+    }, windowMs);
+    sweeper.unref();
+
+    return (req, res, next) => {
+        const key = keyGenerator ? keyGenerator(req) : req.ip;
+        if (!key) return next();
+
+        const now = Date.now();
+        let entry = hits.get(key);
+        if (!entry || entry.resetAt <= now) {
+            entry = { count: 0, resetAt: now + windowMs };
+            hits.set(key, entry);
+        }
+        entry.count++;
+
+        if (entry.count > max) {
+            res.set('Retry-After', Math.ceil((entry.resetAt - now) / 1000));
+            return next(new AppError(message || 'Too many requests. Please try again later.', 429));
+        }
+        next();
+    };
+};
+
+module.exports = rateLimit;
@@ -0,0 +1,27 @@
+const twilio = require('twilio');
+const AppError = require('../utils/AppError');
+
+/**
+ * Reject webhook requests that were not signed by Twilio.
+ * Twilio signs the full URL it called plus the POSTed form fields with the account auth token.
+ * Behind a proxy or tunnel the URL seen here differs from the public one, so set
+ * TWILIO_WEBHOOK_BASE_URL (e.g. https://api.example.com) to the address configured in Twilio.
+ */
+const verifyTwilioSignature = (req, res, next) => {
+    const authToken = process.env.TWILIO_AUTH_TOKEN;
+    if (!authToken) return next(new AppError('Twilio webhook is not configured', 503));
+
+    const signature = req.get('X-Twilio-Signature');
+    if (!signature) return next(new AppError('Missing webhook signature', 401));
+
+    const baseUrl = process.env.TWILIO_WEBHOOK_BASE_URL
+        ? process.env.TWILIO_WEBHOOK_BASE_URL.replace(/\/$/, '')
+        : `${req.protocol}://${req.get('host')}`;
+
+    if (!twilio.validateRequest(authToken, signature, `${baseUrl}${req.originalUrl}`, req.body || {})) {
+        return next(new AppError('Invalid webhook signature', 401));
+    }
+    next();
+};
+
+module.exports = { verifyTwilioSignature };
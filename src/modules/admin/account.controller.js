@@ -1,10 +1,16 @@
 const prisma = require('../../config/prisma');
+const { ACCOUNT_TYPES, ensureSystemAccounts } = require('../../services/ledger.service');
+
+const VALID_TYPES = Object.values(ACCOUNT_TYPES);
 
 // GET /api/admin/accounts
 exports.getAccounts = async (req, res) => {
     try {
+        // Make sure the chart of accounts always carries the system accounts
+        await ensureSystemAccounts();
+
         const accounts = await prisma.account.findMany({
-            orderBy: { createdAt: 'desc' }
+            orderBy: [{ code: 'asc' }, { createdAt: 'desc' }]
         });
         res.json(accounts);
     } catch (e) {
@@ -16,11 +22,17 @@ exports.getAccounts = async (req, res) => {
 // POST /api/admin/accounts
 exports.createAccount = async (req, res) => {
     try {
-        const { accountName, assetType, openingBalance } = req.body;
+        const { accountName, assetType, openingBalance, code } = req.body;
+
+        if (!accountName) return res.status(400).json({ message: 'Account name is required' });
+        if (assetType && !VALID_TYPES.includes(assetType)) {
+            return res.status(400).json({ message: `Account type must be one of: ${VALID_TYPES.join(', ')}` });
+        }
 
         const newAccount = await prisma.account.create({
             data: {
                 accountName,
+                code: code || null,
                 assetType: assetType || 'Asset',
                 openingBalance: parseFloat(openingBalance) || 0
             }
@@ -29,6 +41,7 @@ exports.createAccount = async (req, res) => {
         res.status(201).json(newAccount);
     } catch (e) {
         console.error('Error creating account:', e);
+        if (e.code === 'P2002') return res.status(400).json({ message: 'Account code is already in use' });
         res.status(500).json({ message: 'Error creating account' });
     }
 };
@@ -37,13 +50,26 @@ exports.createAccount = async (req, res) => {
 exports.updateAccount = async (req, res) => {
     try {
         const { id } = req.params;
-        const { accountName, assetType, openingBalance } = req.body;
+        const { accountName, assetType, openingBalance, code, isActive } = req.body;
+
+        const existing = await prisma.account.findUnique({ where: { id: parseInt(id) } });
+        if (!existing) return res.status(404).json({ message: 'Account not found' });
+
+        if (assetType && !VALID_TYPES.includes(assetType)) {
+            return res.status(400).json({ message: `Account type must be one of: ${VALID_TYPES.join(', ')}` });
+        }
+        // System accounts back automatic postings; their type is fixed and they stay active
+        if (existing.systemKey && ((assetType && assetType !== existing.assetType) || isActive === false)) {
+            return res.status(400).json({ message: 'System accounts cannot change type or be deactivated' });
+        }
 
         const updatedAccount = await prisma.account.update({
             where: { id: parseInt(id) },
             data: {
                 accountName,
                 assetType,
+                code: code !== undefined ? (code || null) : undefined,
+                isActive: isActive !== undefined ? Boolean(isActive) : undefined,
                 openingBalance: openingBalance !== undefined ? parseFloat(openingBalance) : undefined
             }
         });
@@ -51,6 +77,7 @@ exports.updateAccount = async (req, res) => {
         res.json(updatedAccount);
     } catch (e) {
         console.error('Error updating account:', e);
+        if (e.code === 'P2002') return res.status(400).json({ message: 'Account code is already in use' });
         res.status(500).json({ message: 'Error updating account' });
     }
 };
@@ -59,6 +86,17 @@ exports.updateAccount = async (req, res) => {
 exports.deleteAccount = async (req, res) => {
     try {
         const { id } = req.params;
+
+        const account = await prisma.account.findUnique({
+            where: { id: parseInt(id) },
+            include: { _count: { select: { journalLines: true } } }
+        });
+        if (!account) return res.status(404).json({ message: 'Account not found' });
+        if (account.systemKey) return res.status(400).json({ message: 'System accounts cannot be deleted' });
+        if (account._count.journalLines > 0) {
+            return res.status(400).json({ message: 'Account has journal entries; deactivate it instead' });
+        }
+
         await prisma.account.delete({
             where: { id: parseInt(id) }
         });
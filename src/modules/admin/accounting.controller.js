@@ -1,56 +1,257 @@
 const prisma = require('../../config/prisma');
+const AppError = require('../../utils/AppError');
+const catchAsync = require('../../utils/catchAsync');
+const auditService = require('../../services/audit.service');
+const { round2 } = require('../../services/tax.service');
+const ledger = require('../../services/ledger.service');
 
-// GET /api/admin/accounting/transactions
-exports.getTransactions = async (req, res) => {
-    try {
-        const txs = await prisma.transaction.findMany({
-            orderBy: { date: 'desc' },
-            take: 50
-        });
-
-        const formatted = txs.map(t => ({
-            id: t.id,
-            date: t.date.toISOString().split('T')[0],
-            description: t.description,
-            type: t.type,
-            amount: parseFloat(t.amount),
-            balance: parseFloat(t.balance),
-            status: t.status
-        }));
-
-        res.json(formatted);
-    } catch (e) {
-        console.error(e);
-        res.status(500).json({ message: 'Server error' });
-    }
+const parseDate = (value, field, errors) => {
+    if (!value) return null;
+    const date = new Date(value);
+    if (isNaN(date)) errors[field] = 'Invalid date';
+    return date;
 };
 
-// POST /api/admin/accounting/transactions
-exports.createTransaction = async (req, res) => {
-    try {
-        const { date, description, type, amount, status } = req.body;
-
-        // Simple balance logic: last balance + amount
-        const lastTx = await prisma.transaction.findFirst({
-            orderBy: { id: 'desc' }
-        });
-        const prevBalance = lastTx ? parseFloat(lastTx.balance) : 0;
-        const newBalance = prevBalance + parseFloat(amount);
-
-        const newTx = await prisma.transaction.create({
-            data: {
-                date: new Date(date),
-                description,
-                type,
-                amount: parseFloat(amount),
-                balance: newBalance,
-                status: status || 'Paid'
-            }
-        });
-
-        res.status(201).json(newTx);
-    } catch (e) {
-        console.error(e);
-        res.status(500).json({ message: 'Error creating transaction' });
+const throwIfErrors = (errors) => {
+    if (Object.keys(errors).length > 0) {
+        const err = new AppError('Validation failed', 400);
+        err.errors = errors;
+        throw err;
     }
 };
+
+// GET /api/admin/accounting/transactions
+// Cash book: latest 50 movements on the operating bank account with a running balance
+exports.getTransactions = catchAsync(async (req, res) => {
+    const { CASH } = await ledger.ensureSystemAccounts();
+
+    const [lines, totals] = await Promise.all([
+        prisma.journalLine.findMany({
+            where: { accountId: CASH.id },
+            include: { journalEntry: true },
+            orderBy: [{ journalEntry: { date: 'desc' } }, { id: 'desc' }],
+            take: 50
+        }),
+        prisma.journalLine.aggregate({
+            where: { accountId: CASH.id },
+            _sum: { debit: true, credit: true }
+        })
+    ]);
+
+    // Walk back from the current balance, newest first
+    let balance = round2(parseFloat(CASH.openingBalance) + parseFloat(totals._sum.debit || 0) - parseFloat(totals._sum.credit || 0));
+    const formatted = lines.map(line => {
+        const net = round2(parseFloat(line.debit) - parseFloat(line.credit));
+        const row = {
+            id: line.journalEntryId,
+            date: line.journalEntry.date.toISOString().split('T')[0],
+            description: line.journalEntry.description,
+            type: net >= 0 ? 'Income' : 'Expense',
+            amount: Math.abs(net),
+            balance,
+            status: 'Posted'
+        };
+        balance = round2(balance - net);
+        return row;
+    });
+
+    res.json(formatted);
+});
+
+// POST /api/admin/accounting/transactions
+// Quick cash entry. Body: { date, description, type: 'Income'|'Expense', amount, accountId? }
+// Income: Dr Cash / Cr accountId (default Other Income). Expense: Dr accountId (default General Expenses) / Cr Cash.
+exports.createTransaction = catchAsync(async (req, res) => {
+    const { description, type, accountId } = req.body;
+    const errors = {};
+
+    const date = parseDate(req.body.date, 'date', errors) || new Date();
+    const amount = parseFloat(req.body.amount);
+    if (isNaN(amount) || amount <= 0) errors.amount = 'Amount must be greater than 0';
+    if (!['Income', 'Expense'].includes(type)) errors.type = "Type must be 'Income' or 'Expense'";
+    if (!description) errors.description = 'Description is required';
+    throwIfErrors(errors);
+
+    const counterpart = accountId
+        ? { accountId: parseInt(accountId) }
+        : { account: type === 'Income' ? 'OTHER_INCOME' : 'GENERAL_EXPENSE' };
+
+    const lines = type === 'Income'
+        ? [{ account: 'CASH', debit: amount }, { ...counterpart, credit: amount }]
+        : [{ ...counterpart, debit: amount }, { account: 'CASH', credit: amount }];
+
+    const entry = await prisma.$transaction((tx) => ledger.postJournalEntry(tx, {
+        date,
+        description,
+        sourceType: 'Manual',
+        lines,
+        createdById: req.user.id
+    }));
+
+    res.status(201).json(entry);
+});
+
+// GET /api/admin/accounting/journal?from=&to=&accountId=&sourceType=&page=&limit=
+exports.getJournalEntries = catchAsync(async (req, res) => {
+    const errors = {};
+    const from = parseDate(req.query.from, 'from', errors);
+    const to = parseDate(req.query.to, 'to', errors);
+    throwIfErrors(errors);
+
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit) || 50));
+
+    const where = {};
+    if (from || to) where.date = { ...(from ? { gte: from } : {}), ...(to ? { lte: to } : {}) };
+    if (req.query.sourceType) where.sourceType = req.query.sourceType;
+    if (req.query.accountId) where.lines = { some: { accountId: parseInt(req.query.accountId) } };
+
+    const [entries, total] = await Promise.all([
+        prisma.journalEntry.findMany({
+            where,
+            include: {
+                lines: { include: { account: { select: { id: true, code: true, accountName: true } } } },
+                createdBy: { select: { id: true, name: true } }
+            },
+            orderBy: [{ date: 'desc' }, { id: 'desc' }],
+            skip: (page - 1) * limit,
+            take: limit
+        }),
+        prisma.journalEntry.count({ where })
+    ]);
+
+    res.json({ data: entries, total, page, limit });
+});
+
+// POST /api/admin/accounting/journal
+// Manual journal entry. Body: { date, description, lines: [{ accountId, debit, credit, memo }] }
+exports.createJournalEntry = catchAsync(async (req, res) => {
+    const { description, lines } = req.body;
+    const errors = {};
+
+    const date = parseDate(req.body.date, 'date', errors) || new Date();
+    if (!description) errors.description = 'Description is required';
+    if (!Array.isArray(lines) || lines.length < 2) errors.lines = 'At least two lines are required';
+    throwIfErrors(errors);
+
+    const accountIds = [...new Set(lines.map(l => parseInt(l.accountId)))];
+    const accounts = await prisma.account.findMany({ where: { id: { in: accountIds.filter(id => !isNaN(id)) } } });
+    if (accounts.length !== accountIds.length) throw new AppError('One or more accounts do not exist', 400);
+    if (accounts.some(a => !a.isActive)) throw new AppError('Cannot post to an inactive account', 400);
+
+    const entry = await prisma.$transaction((tx) => ledger.postJournalEntry(tx, {
+        date,
+        description,
+        sourceType: 'Manual',
+        lines: lines.map(l => ({
+            accountId: l.accountId,
+            debit: parseFloat(l.debit) || 0,
+            credit: parseFloat(l.credit) || 0,
+            memo: l.memo
+        })),
+        createdById: req.user.id
+    }));
+
+    await auditService.log({
+        action: 'JOURNAL_ENTRY_POSTED',
+        actorId: req.user.id,
+        req,
+        metadata: { journalEntryId: entry.id, description, date }
+    });
+
+    res.status(201).json(entry);
+});
+
+// GET /api/admin/accounting/balances?from=&to=
+exports.getAccountBalances = catchAsync(async (req, res) => {
+    const errors = {};
+    const from = parseDate(req.query.from, 'from', errors);
+    const to = parseDate(req.query.to, 'to', errors);
+    throwIfErrors(errors);
+
+    res.json(await ledger.getAccountBalances({ from, to }));
+});
+
+// GET /api/admin/accounting/trial-balance?asOf=
+exports.getTrialBalance = catchAsync(async (req, res) => {
+    const errors = {};
+    const asOf = parseDate(req.query.asOf, 'asOf', errors);
+    throwIfErrors(errors);
+
+    res.json(await ledger.getTrialBalance({ asOf }));
+});
+
+// GET /api/admin/accounting/periods
+exports.getPeriods = catchAsync(async (req, res) => {
+    const periods = await prisma.accountingPeriod.findMany({
+        include: { closedBy: { select: { id: true, name: true } } },
+        orderBy: { period: 'desc' }
+    });
+    res.json(periods);
+});
+
+// POST /api/admin/accounting/periods/:period/close
+exports.closePeriod = catchAsync(async (req, res) => {
+    const period = await ledger.closePeriod(req.params.period, req.user.id);
+
+    await auditService.log({
+        action: 'ACCOUNTING_PERIOD_CLOSED',
+        actorId: req.user.id,
+        req,
+        metadata: { period: period.period }
+    });
+
+    res.json(period);
+});
+
+// POST /api/admin/accounting/periods/:period/reopen
+exports.reopenPeriod = catchAsync(async (req, res) => {
+    const period = await ledger.reopenPeriod(req.params.period);
+
+    await auditService.log({
+        action: 'ACCOUNTING_PERIOD_REOPENED',
+        actorId: req.user.id,
+        req,
+        metadata: { period: period.period, reason: req.body.reason || null }
+    });
+
+    res.json(period);
+});
+
+// POST /api/admin/accounting/deposits
+// Security deposit collected for a lease. Body: { leaseId, amount, date, memo }
+exports.recordDeposit = catchAsync(async (req, res) => {
+    const errors = {};
+    const leaseId = parseInt(req.body.leaseId);
+    const amount = parseFloat(req.body.amount);
+    const date = parseDate(req.body.date, 'date', errors) || new Date();
+    if (isNaN(leaseId)) errors.leaseId = 'Lease is required';
+    if (isNaN(amount) || amount <= 0) errors.amount = 'Amount must be greater than 0';
+    throwIfErrors(errors);
+
+    const lease = await prisma.lease.findUnique({ where: { id: leaseId }, include: { unit: true } });
+    if (!lease) throw new AppError('Lease not found', 404);
+
+    const entry = await prisma.$transaction((tx) => ledger.postDepositReceived(tx, lease, amount, {
+        date,
+        createdById: req.user.id,
+        memo: req.body.memo
+    }));
+
+    res.status(201).json(entry);
+});
+
+// POST /api/admin/accounting/backfill
+// One-off: post journal entries for invoices and payments recorded before the ledger existed
+exports.backfillLedger = catchAsync(async (req, res) => {
+    const summary = await ledger.backfillLedger();
+
+    await auditService.log({
+        action: 'LEDGER_BACKFILLED',
+        actorId: req.user.id,
+        req,
+        metadata: summary
+    });
+
+    res.json(summary);
+});
@@ -1,4 +1,5 @@
 const prisma = require('../../config/prisma');
+const { removeInvoicePostings } = require('../../services/ledger.service');
 const bcrypt = require('bcrypt');
 const smsService = require('../../services/sms.service');
 const emailService = require('../../services/email.service');
@@ -470,6 +471,13 @@ exports.deleteProperty = async (req, res) => {
 
         // 2. Execute Deletions in strict order to avoid FK constraints
         await prisma.$transaction(async (tx) => {
+            // Reverse what the invoices and their payments posted to the ledger before they disappear
+            await removeInvoicePostings(tx, invoiceIds, { createdById: req.user?.id || null });
+
+            // Online payment attempts and their refunds (Dependent on Invoices)
+            await tx.paymentRefund.deleteMany({ where: { paymentIntent: { invoiceId: { in: invoiceIds } } } });
+            await tx.paymentIntent.deleteMany({ where: { invoiceId: { in: invoiceIds } } });
+
             // A. Transactions (Dependent on Invoices/Payments)
             await tx.transaction.deleteMany({
                 where: {
@@ -850,7 +858,10 @@ exports.sendInvite = async (req, res) => {
                 results.email.error = 'No email on file';
             } else {
                 try {
-                    const eRes = await emailService.sendEmail(updatedUser.email, 'Welcome - Your Owner Portal Access', welcomeMsg);
+                    const eRes = await emailService.sendEmail(updatedUser.email, 'Welcome - Your Owner Portal Access', welcomeMsg, {
+                        recipientId: updatedUser.id,
+                        purpose: 'security'
+                    });
                     results.email.success = eRes.success;
                     if (!eRes.success) results.email.error = eRes.error;
                 } catch (err) {
@@ -865,7 +876,11 @@ exports.sendInvite = async (req, res) => {
                 results.sms.error = 'No phone number on file';
             } else {
                 try {
-                    const sRes = await smsService.sendSMS(updatedUser.phone, welcomeMsg);
+                    const sRes = await smsService.sendSMS(updatedUser.phone, welcomeMsg, {
+                        eventType: 'TENANT_CREATION_CREDENTIALS',
+                        recipientId: updatedUser.id,
+                        purpose: 'security'
+                    });
                     results.sms.success = sRes.success;
                     if (!sRes.success) results.sms.error = sRes.error;
                 } catch (err) {
@@ -1,20 +1,22 @@
 const express = require('express');
 const router = express.Router();
 const adminController = require('./admin.controller');
-// const { authenticate, authorize } = require('../../middlewares/authMiddleware');
+const { authenticate, authorize, requirePermission } = require('../../middlewares/auth.middleware');
+const { STAFF_ROLES } = require('../../constants/permissions');
 
-// Protected Routes (Commented out middleware for initial testing until frontend sends token)
-// router.use(authenticate); 
-// router.use(authorize('ADMIN'));
+// Protected Routes: staff only, then per-route permission checks
+router.use(authenticate);
+router.use(authorize(...STAFF_ROLES));
 
 const ticketController = require('./ticket.controller');
 
-router.get('/dashboard/stats', adminController.getDashboardStats);
-router.get('/properties', adminController.getProperties);
-router.get('/properties/available', adminController.getAvailableProperties);
+router.get('/dashboard/stats', requirePermission('dashboard:read'), adminController.getDashboardStats);
+router.get('/properties', requirePermission('properties:read'), adminController.getProperties);
+router.get('/properties/available', requirePermission('properties:read'), adminController.getAvailableProperties);
 
 const invoiceController = require('./invoice.controller');
 const maintenanceController = require('./maintenance.controller');
+const vendorController = require('./vendor.controller');
 const accountingController = require('./accounting.controller');
 const communicationController = require('./communication.controller');
 const messageController = require('./message.controller');
@@ -26,100 +28,240 @@ const settingsController = require('./settings.controller');
 const taxController = require('./tax.controller');
 const accountController = require('./account.controller');
 const documentController = require('./document.controller');
+const staffController = require('./staff.controller');
+const sessionController = require('./session.controller');
+const lateFeeController = require('./lateFee.controller');
+const dunningController = require('./dunning.controller');
+const ownerStatementController = require('./ownerStatement.controller');
+const ownerDistributionController = require('./ownerDistribution.controller');
+const messageTemplateController = require('./messageTemplate.controller');
+const campaignController = require('./campaign.controller');
+const smsInboxController = require('./smsInbox.controller');
+const consentController = require('./consent.controller');
 
-router.get('/dashboard/stats', adminController.getDashboardStats);
-router.get('/owners', adminController.getOwners);
-router.post('/owners', adminController.createOwner);
-router.put('/owners/:id', adminController.updateOwner);
-router.post('/owners/:id/send-invite', adminController.sendInvite);
-router.delete('/owners/:id', adminController.deleteOwner);
-router.get('/properties', adminController.getProperties);
-router.get('/properties/available', adminController.getAvailableProperties);
-router.post('/properties', adminController.createProperty);
-router.put('/properties/:id', adminController.updateProperty);
-router.delete('/properties/:id', adminController.deleteProperty);
-router.get('/properties/:id', adminController.getPropertyDetails);
-
-router.get('/tickets', ticketController.getAllTickets);
-router.post('/tickets', ticketController.createTicket);
-router.put('/tickets/:id/status', ticketController.updateTicketStatus);
-router.put('/tickets/:id', ticketController.updateTicket);
-router.delete('/tickets/:id', ticketController.deleteTicket);
-router.get('/tickets/:ticketId/attachments/:attachmentId', ticketController.getTicketAttachment);
-
-router.get('/invoices', invoiceController.getInvoices);
-router.post('/invoices', invoiceController.createInvoice);
-router.put('/invoices/:id', invoiceController.updateInvoice);
-router.delete('/invoices/:id', invoiceController.deleteInvoice);
-router.get('/invoices/:id/download', invoiceController.downloadInvoicePDF);
-router.post('/invoices/batch', invoiceController.runBatchInvoicing);
+router.get('/dashboard/stats', requirePermission('dashboard:read'), adminController.getDashboardStats);
+router.get('/owners', requirePermission('owners:read'), adminController.getOwners);
+router.post('/owners', requirePermission('owners:write'), adminController.createOwner);
+router.put('/owners/:id', requirePermission('owners:write'), adminController.updateOwner);
+router.post('/owners/:id/send-invite', requirePermission('owners:write'), adminController.sendInvite);
+router.delete('/owners/:id', requirePermission('owners:write'), adminController.deleteOwner);
+router.get('/owners/:id/payout-account', requirePermission('owners:read'), ownerDistributionController.getPayoutAccount);
+router.put('/owners/:id/payout-account', requirePermission('owners:write'), ownerDistributionController.savePayoutAccount);
+router.post('/owners/:id/payout-account/verify', requirePermission('accounting:write'), ownerDistributionController.verifyPayoutAccount);
+router.get('/owner-statements', requirePermission('accounting:read'), ownerStatementController.getStatements);
+router.get('/owner-statements/preview', requirePermission('accounting:read'), ownerStatementController.previewStatement);
+router.post('/owner-statements/generate', requirePermission('accounting:write'), ownerStatementController.generateStatements);
+router.post('/owner-statements/:id/send', requirePermission('accounting:write'), ownerStatementController.sendStatement);
+router.get('/owner-statements/:id/download', requirePermission('accounting:read'), ownerStatementController.downloadStatement);
+router.get('/management-fees', requirePermission('accounting:read'), ownerStatementController.getFeePolicies);
+router.put('/management-fees', requirePermission('accounting:write'), ownerStatementController.saveFeePolicy);
+router.delete('/management-fees/:id', requirePermission('accounting:write'), ownerStatementController.deleteFeePolicy);
+router.get('/owner-distributions', requirePermission('accounting:read'), ownerDistributionController.getDistributions);
+router.get('/owner-distributions/reconciliation', requirePermission('accounting:read'), ownerDistributionController.getReconciliation);
+router.post('/owner-distributions/schedule', requirePermission('accounting:write'), ownerDistributionController.scheduleDistributions);
+router.get('/owner-distributions/batches', requirePermission('accounting:read'), ownerDistributionController.getBatches);
+router.post('/owner-distributions/batches', requirePermission('accounting:write'), ownerDistributionController.createBatch);
+router.get('/owner-distributions/batches/:id/download', requirePermission('accounting:read'), ownerDistributionController.downloadBatch);
+router.post('/owner-distributions/batches/:id/settle', requirePermission('accounting:write'), ownerDistributionController.settleBatch);
+router.post('/owner-distributions/:id/pay', requirePermission('accounting:write'), ownerDistributionController.markPaid);
+router.post('/owner-distributions/:id/cancel', requirePermission('accounting:write'), ownerDistributionController.cancelDistribution);
+router.post('/owner-distributions/:id/release', requirePermission('accounting:write'), ownerDistributionController.releaseDistribution);
+router.get('/property-reserves', requirePermission('accounting:read'), ownerDistributionController.getReserves);
+router.get('/properties', requirePermission('properties:read'), adminController.getProperties);
+router.get('/properties/available', requirePermission('properties:read'), adminController.getAvailableProperties);
+router.post('/properties', requirePermission('properties:write'), adminController.createProperty);
+router.put('/properties/:id', requirePermission('properties:write'), adminController.updateProperty);
+router.delete('/properties/:id', requirePermission('properties:write'), adminController.deleteProperty);
+router.get('/properties/:id', requirePermission('properties:read'), adminController.getPropertyDetails);
+router.get('/properties/:id/ownership', requirePermission('owners:read'), ownerStatementController.getOwnership);
+router.put('/properties/:id/ownership', requirePermission('owners:write'), ownerStatementController.saveOwnership);
+router.put('/properties/:id/reserve', requirePermission('accounting:write'), ownerDistributionController.saveReserve);
+
+router.get('/tickets', requirePermission('tickets:read'), ticketController.getAllTickets);
+router.post('/tickets', requirePermission('tickets:write'), ticketController.createTicket);
+router.get('/tickets/assignees', requirePermission('tickets:read'), ticketController.getAssignees);
+router.get('/tickets/:id', requirePermission('tickets:read'), ticketController.getTicketById);
+router.put('/tickets/:id/status', requirePermission('tickets:write'), ticketController.updateTicketStatus);
+router.post('/tickets/:id/assign', requirePermission('tickets:write'), ticketController.assignTicket);
+router.post('/tickets/:id/comments', requirePermission('tickets:write'), ticketController.addComment);
+router.get('/tickets/:id/costs', requirePermission('tickets:read'), ticketController.getTicketCosts);
+router.post('/tickets/:id/costs', requirePermission('tickets:write'), ticketController.addTicketCost);
+router.post('/tickets/:id/chargeback', requirePermission('tickets:write', 'invoices:write'), ticketController.createChargeback);
+router.put('/tickets/:id', requirePermission('tickets:write'), ticketController.updateTicket);
+router.delete('/tickets/:id', requirePermission('tickets:write'), ticketController.deleteTicket);
+router.get('/tickets/:ticketId/attachments/:attachmentId', requirePermission('tickets:read'), ticketController.getTicketAttachment);
+
+router.get('/invoices', requirePermission('invoices:read'), invoiceController.getInvoices);
+router.post('/invoices', requirePermission('invoices:write'), invoiceController.createInvoice);
+router.put('/invoices/:id', requirePermission('invoices:write'), invoiceController.updateInvoice);
+router.delete('/invoices/:id', requirePermission('invoices:write'), invoiceController.deleteInvoice);
+router.get('/invoices/:id/download', requirePermission('invoices:read'), invoiceController.downloadInvoicePDF);
+router.post('/invoices/batch', requirePermission('invoices:write'), invoiceController.runBatchInvoicing);
+router.get('/rent-runs', requirePermission('invoices:read'), invoiceController.getRentRuns);
+router.get('/rent-runs/:id', requirePermission('invoices:read'), invoiceController.getRentRunById);
+router.post('/rent-runs/:id/rerun', requirePermission('invoices:write'), invoiceController.rerunRentRun);
+
+router.get('/late-fees', requirePermission('invoices:read'), lateFeeController.getLateFees);
+router.post('/late-fees/run', requirePermission('invoices:write'), lateFeeController.runLateFees);
+router.get('/late-fees/policies', requirePermission('invoices:read'), lateFeeController.getPolicies);
+router.put('/late-fees/policies', requirePermission('invoices:write'), lateFeeController.savePolicy);
+router.delete('/late-fees/policies/:id', requirePermission('invoices:write'), lateFeeController.deletePolicy);
+router.post('/invoices/:id/waive-late-fee', requirePermission('invoices:write'), lateFeeController.waiveLateFee);
+
+router.get('/dunning/steps', requirePermission('invoices:read'), dunningController.getSteps);
+router.post('/dunning/steps', requirePermission('invoices:write'), dunningController.createStep);
+router.put('/dunning/steps/:id', requirePermission('invoices:write'), dunningController.updateStep);
+router.delete('/dunning/steps/:id', requirePermission('invoices:write'), dunningController.deleteStep);
+router.post('/dunning/run', requirePermission('invoices:write'), dunningController.runDunning);
+router.get('/invoices/:id/dunning', requirePermission('invoices:read'), dunningController.getInvoiceDunning);
+router.post('/invoices/:id/dunning/stop', requirePermission('invoices:write'), dunningController.stopDunning);
+router.post('/invoices/:id/dunning/resume', requirePermission('invoices:write'), dunningController.resumeDunning);
 
 const paymentController = require('./payment.controller');
-router.get('/payments', paymentController.getReceivedPayments);
-router.post('/payments', paymentController.recordPayment);
-router.get('/outstanding-dues', paymentController.getOutstandingDues);
-router.get('/payments/:id/download', paymentController.downloadReceiptPDF);
+router.get('/payments', requirePermission('payments:read'), paymentController.getReceivedPayments);
+router.post('/payments', requirePermission('payments:write'), paymentController.recordPayment);
+router.get('/outstanding-dues', requirePermission('payments:read'), paymentController.getOutstandingDues);
+router.get('/payments/:id/download', requirePermission('payments:read'), paymentController.downloadReceiptPDF);
+router.post('/payments/:id/refund', requirePermission('refunds:write'), paymentController.refundPayment);
+router.get('/payment-intents', requirePermission('payments:read'), paymentController.getPaymentIntents);
 
 const refundController = require('./refund.controller');
-router.get('/refunds', refundController.getRefunds);
-router.post('/refunds', refundController.createRefund);
-router.put('/refunds/:id', refundController.updateRefund);
-router.delete('/refunds/:id', refundController.deleteRefund);
-
-router.get('/leases', leaseController.getLeaseHistory);
-router.delete('/leases/:id', leaseController.deleteLease);
-router.put('/leases/:id', leaseController.updateLease);
-router.get('/leases/:id/download', leaseController.downloadLeasePDF);
-
-router.get('/insurance/compliance', insuranceController.getComplianceDashboard);
-router.post('/insurance/check-alerts', insuranceController.checkInsuranceExpirations);
-router.get('/insurance/alerts', insuranceController.getInsuranceAlerts);
-router.get('/insurance/stats', insuranceController.getInsuranceStats);
-router.post('/insurance/:id/approve', insuranceController.approveInsurance);
-router.post('/insurance/:id/reject', insuranceController.rejectInsurance);
-
-router.get('/maintenance', maintenanceController.getTasks);
-router.post('/maintenance', maintenanceController.createTask);
-router.put('/maintenance/:id', maintenanceController.updateTask);
-router.delete('/maintenance/:id', maintenanceController.deleteTask);
-
-router.get('/accounting/transactions', accountingController.getTransactions);
-router.post('/accounting/transactions', accountingController.createTransaction);
-
-router.get('/communication/emails', communicationController.getEmailLogs);
-router.delete('/communication/emails/:id', communicationController.deleteEmailLog);
-router.post('/communication/send-email', communicationController.sendComposeEmail);
-router.get('/communication', communicationController.getHistory);
-router.post('/communication', communicationController.sendMessage);
-router.delete('/communication/:id', communicationController.deleteLog);
-router.post('/communication/bulk-delete', communicationController.bulkDeleteLogs);
-
-router.get('/analytics/revenue', analyticsController.getRevenueStats);
-router.get('/analytics/vacancy', analyticsController.getVacancyStats);
-router.get('/reports', reportsController.getReports);
-router.get('/reports/:id/download', reportsController.downloadReportPDF);
-
-router.get('/settings', settingsController.getSettings);
-router.post('/settings', settingsController.updateSettings);
-
-router.get('/taxes', taxController.getTaxes);
-router.post('/taxes', taxController.updateTaxes);
-router.patch('/taxes/:id', taxController.updateTax);
-router.delete('/taxes/:id', taxController.deleteTax);
-
-router.get('/accounts', accountController.getAccounts);
-router.post('/accounts', accountController.createAccount);
-router.patch('/accounts/:id', accountController.updateAccount);
-router.delete('/accounts/:id', accountController.deleteAccount);
-
-router.get('/documents', documentController.getAllDocuments);
-router.post('/documents/upload', documentController.uploadDocument);
-router.get('/documents/:id/download', documentController.downloadDocument);
-router.delete('/documents/:id', documentController.deleteDocument);
+router.get('/refunds', requirePermission('refunds:read'), refundController.getRefunds);
+router.post('/refunds', requirePermission('refunds:write'), refundController.createRefund);
+router.put('/refunds/:id', requirePermission('refunds:write'), refundController.updateRefund);
+router.delete('/refunds/:id', requirePermission('refunds:write'), refundController.deleteRefund);
+
+router.get('/leases', requirePermission('leases:read'), leaseController.getLeaseHistory);
+router.delete('/leases/:id', requirePermission('leases:write'), leaseController.deleteLease);
+router.put('/leases/:id', requirePermission('leases:write'), leaseController.updateLease);
+router.get('/leases/:id/download', requirePermission('leases:read'), leaseController.downloadLeasePDF);
+
+router.get('/insurance/compliance', requirePermission('insurance:read'), insuranceController.getComplianceDashboard);
+// Runs the lapse engine: charges insurance fees and sends escalation emails
+router.post('/insurance/check-alerts', requirePermission('insurance:approve'), insuranceController.checkInsuranceExpirations);
+router.get('/insurance/alerts', requirePermission('insurance:read'), insuranceController.getInsuranceAlerts);
+router.get('/insurance/stats', requirePermission('insurance:read'), insuranceController.getInsuranceStats);
+router.get('/insurance/requirements', requirePermission('insurance:read'), insuranceController.getRequirements);
+router.put('/insurance/requirements', requirePermission('insurance:approve'), insuranceController.saveRequirement);
+router.delete('/insurance/requirements/:id', requirePermission('insurance:approve'), insuranceController.deleteRequirement);
+router.post('/insurance/:id/approve', requirePermission('insurance:approve'), insuranceController.approveInsurance);
+router.post('/insurance/:id/reject', requirePermission('insurance:approve'), insuranceController.rejectInsurance);
+
+router.get('/maintenance', requirePermission('maintenance:read'), maintenanceController.getTasks);
+router.post('/maintenance', requirePermission('maintenance:write'), maintenanceController.createTask);
+router.post('/maintenance/digest', requirePermission('maintenance:write'), maintenanceController.sendDigest);
+router.put('/maintenance/:id', requirePermission('maintenance:write'), maintenanceController.updateTask);
+router.post('/maintenance/:id/complete', requirePermission('maintenance:write'), maintenanceController.completeTask);
+router.delete('/maintenance/:id', requirePermission('maintenance:write'), maintenanceController.deleteTask);
+router.get('/maintenance/:id/costs', requirePermission('maintenance:read'), maintenanceController.getTaskCosts);
+router.post('/maintenance/:id/costs', requirePermission('maintenance:write'), maintenanceController.addTaskCost);
+router.post('/maintenance/:id/chargeback', requirePermission('maintenance:write', 'invoices:write'), maintenanceController.createChargeback);
+router.put('/work-order-costs/:id', requirePermission('maintenance:write'), maintenanceController.updateCost);
+router.delete('/work-order-costs/:id', requirePermission('maintenance:write'), maintenanceController.deleteCost);
+
+router.get('/vendors', requirePermission('maintenance:read'), vendorController.getVendors);
+router.post('/vendors', requirePermission('maintenance:write'), vendorController.createVendor);
+router.get('/vendors/trades', requirePermission('maintenance:read'), vendorController.getTrades);
+router.get('/vendors/compliance', requirePermission('maintenance:read'), vendorController.getComplianceReport);
+router.get('/vendors/spend', requirePermission('maintenance:read'), vendorController.getSpendReport);
+router.get('/vendors/:id', requirePermission('maintenance:read'), vendorController.getVendorById);
+router.put('/vendors/:id', requirePermission('maintenance:write'), vendorController.updateVendor);
+router.delete('/vendors/:id', requirePermission('maintenance:write'), vendorController.deleteVendor);
+router.post('/vendors/:id/contacts', requirePermission('maintenance:write'), vendorController.addContact);
+router.put('/vendors/:id/contacts/:contactId', requirePermission('maintenance:write'), vendorController.updateContact);
+router.delete('/vendors/:id/contacts/:contactId', requirePermission('maintenance:write'), vendorController.deleteContact);
+router.post('/vendors/:id/documents', requirePermission('maintenance:write'), vendorController.uploadDocument);
+router.get('/vendors/:id/jobs', requirePermission('maintenance:read'), vendorController.getJobHistory);
+router.get('/vendors/:id/spend', requirePermission('maintenance:read'), vendorController.getVendorSpend);
+
+router.get('/accounting/transactions', requirePermission('accounting:read'), accountingController.getTransactions);
+router.post('/accounting/transactions', requirePermission('accounting:write'), accountingController.createTransaction);
+router.get('/accounting/journal', requirePermission('accounting:read'), accountingController.getJournalEntries);
+router.post('/accounting/journal', requirePermission('accounting:write'), accountingController.createJournalEntry);
+router.get('/accounting/balances', requirePermission('accounting:read'), accountingController.getAccountBalances);
+router.get('/accounting/trial-balance', requirePermission('accounting:read'), accountingController.getTrialBalance);
+router.get('/accounting/periods', requirePermission('accounting:read'), accountingController.getPeriods);
+router.post('/accounting/periods/:period/close', requirePermission('accounting:write'), accountingController.closePeriod);
+router.post('/accounting/periods/:period/reopen', requirePermission('accounting:write'), accountingController.reopenPeriod);
+router.post('/accounting/deposits', requirePermission('accounting:write'), accountingController.recordDeposit);
+router.post('/accounting/backfill', requirePermission('accounting:write'), accountingController.backfillLedger);
+
+router.get('/communication/emails', requirePermission('communication:read'), communicationController.getEmailLogs);
+router.delete('/communication/emails/:id', requirePermission('communication:send'), communicationController.deleteEmailLog);
+router.post('/communication/send-email', requirePermission('communication:send'), communicationController.sendComposeEmail);
+router.get('/communication/outbox', requirePermission('communication:read'), communicationController.getOutbox);
+router.post('/communication/outbox/process', requirePermission('communication:send'), communicationController.processOutbox);
+router.post('/communication/outbox/:id/retry', requirePermission('communication:send'), communicationController.retryOutboxMessage);
+router.get('/communication/suppressions', requirePermission('communication:read'), communicationController.getSuppressions);
+router.post('/communication/suppressions', requirePermission('communication:send'), communicationController.addSuppression);
+router.delete('/communication/suppressions/:id', requirePermission('communication:send'), communicationController.deleteSuppression);
+router.get('/communication', requirePermission('communication:read'), communicationController.getHistory);
+router.post('/communication', requirePermission('communication:send'), communicationController.sendMessage);
+router.delete('/communication/:id', requirePermission('communication:send'), communicationController.deleteLog);
+router.post('/communication/bulk-delete', requirePermission('communication:send'), communicationController.bulkDeleteLogs);
+
+// Campaigns
+router.get('/campaigns', requirePermission('communication:read'), campaignController.getCampaigns);
+router.post('/campaigns/audience', requirePermission('communication:read'), campaignController.previewAudience);
+router.post('/campaigns', requirePermission('communication:send'), campaignController.createCampaign);
+router.get('/campaigns/:id', requirePermission('communication:read'), campaignController.getCampaignReport);
+router.post('/campaigns/:id/cancel', requirePermission('communication:send'), campaignController.cancelCampaign);
+
+// SMS leads (texts from unknown numbers) and per-property SMS inboxes
+router.get('/leads', requirePermission('communication:read'), smsInboxController.getLeads);
+router.get('/leads/:id', requirePermission('communication:read'), smsInboxController.getLead);
+router.put('/leads/:id', requirePermission('communication:send'), smsInboxController.updateLead);
+router.post('/leads/:id/reply', requirePermission('communication:send'), smsInboxController.replyToLead);
+router.put('/properties/:id/sms-inbox', requirePermission('properties:write'), smsInboxController.setPropertyInbox);
+
+// Communication consent (CASL / TCPA) and the time zone used for SMS quiet hours
+router.get('/users/:id/consents', requirePermission('tenants:read'), consentController.getConsents);
+router.post('/users/:id/consents', requirePermission('tenants:write'), consentController.recordConsent);
+router.put('/properties/:id/time-zone', requirePermission('properties:write'), consentController.setPropertyTimeZone);
+
+router.get('/analytics/revenue', requirePermission('reports:read'), analyticsController.getRevenueStats);
+router.get('/analytics/vacancy', requirePermission('reports:read'), analyticsController.getVacancyStats);
+router.get('/reports', requirePermission('reports:read'), reportsController.getReports);
+router.get('/reports/:id', requirePermission('reports:read'), reportsController.getReport);
+router.get('/reports/:id/download', requirePermission('reports:read'), reportsController.downloadReport);
+
+router.get('/settings', requirePermission('settings:read'), settingsController.getSettings);
+router.post('/settings', requirePermission('settings:write'), settingsController.updateSettings);
+router.get('/message-templates', requirePermission('settings:read'), messageTemplateController.getTemplates);
+router.put('/message-templates', requirePermission('settings:write'), messageTemplateController.saveTemplate);
+router.delete('/message-templates/:id', requirePermission('settings:write'), messageTemplateController.deleteTemplate);
+router.post('/message-templates/preview', requirePermission('settings:read'), messageTemplateController.previewTemplate);
+router.post('/message-templates/test-send', requirePermission('settings:write'), messageTemplateController.testSendTemplate);
+
+router.get('/taxes', requirePermission('accounting:read'), taxController.getTaxes);
+router.get('/taxes/report', requirePermission('accounting:read'), taxController.getTaxReport);
+router.post('/taxes', requirePermission('accounting:write'), taxController.updateTaxes);
+router.patch('/taxes/:id', requirePermission('accounting:write'), taxController.updateTax);
+router.delete('/taxes/:id', requirePermission('accounting:write'), taxController.deleteTax);
+
+router.get('/accounts', requirePermission('accounting:read'), accountController.getAccounts);
+router.post('/accounts', requirePermission('accounting:write'), accountController.createAccount);
+router.patch('/accounts/:id', requirePermission('accounting:write'), accountController.updateAccount);
+router.delete('/accounts/:id', requirePermission('accounting:write'), accountController.deleteAccount);
+
+router.get('/documents', requirePermission('documents:read'), documentController.getAllDocuments);
+router.post('/documents/upload', requirePermission('documents:write'), documentController.uploadDocument);
+router.get('/documents/:id/download', requirePermission('documents:read'), documentController.downloadDocument);
+router.delete('/documents/:id', requirePermission('documents:write'), documentController.deleteDocument);
+
+router.get('/me/permissions', staffController.getMyPermissions);
+router.get('/staff', requirePermission('staff:manage'), staffController.getStaff);
+router.get('/staff/roles', requirePermission('staff:manage'), staffController.getRoles);
+router.post('/staff', requirePermission('staff:manage'), staffController.createStaff);
+router.put('/staff/:id', requirePermission('staff:manage'), staffController.updateStaff);
+router.delete('/staff/:id', requirePermission('staff:manage'), staffController.deleteStaff);
+
+router.get('/users/:id/sessions', requirePermission('sessions:revoke'), sessionController.getUserSessions);
+router.post('/users/:id/revoke-sessions', requirePermission('sessions:revoke'), sessionController.revokeUserSessions);
 
 // Message routes
-router.get('/messages', messageController.getMessages);
-router.post('/messages', messageController.sendMessage);
-router.put('/messages/:id/read', messageController.markAsRead);
+router.get('/messages', requirePermission('communication:read'), messageController.getMessages);
+router.post('/messages', requirePermission('communication:send'), messageController.sendMessage);
+router.put('/messages/:id/read', requirePermission('communication:read'), messageController.markAsRead);
 
 module.exports = router;
@@ -0,0 +1,61 @@
+const prisma = require('../../config/prisma');
+const catchAsync = require('../../utils/catchAsync');
+const auditService = require('../../services/audit.service');
+const campaignService = require('../../services/campaign.service');
+
+// GET /api/admin/campaigns?status=
+exports.getCampaigns = catchAsync(async (req, res) => {
+    const campaigns = await prisma.campaign.findMany({
+        where: req.query.status ? { status: req.query.status } : {},
+        include: { _count: { select: { recipients: true } } },
+        orderBy: { scheduledFor: 'desc' }
+    });
+
+    res.json(campaigns.map(({ _count, ...c }) => ({
+        ...c,
+        channels: c.channels.split(','),
+        filters: JSON.parse(c.filters),
+        audienceSize: _count.recipients
+    })));
+});
+
+// POST /api/admin/campaigns/audience
+// Body: { filters, channels, purpose } - who would receive a campaign, without creating it
+exports.previewAudience = catchAsync(async (req, res) => {
+    const channels = req.body.channels ? campaignService.parseChannels(req.body.channels).filter(Boolean) : undefined;
+    res.json(await campaignService.previewAudience(req.body.filters || {}, channels, req.body.purpose || undefined));
+});
+
+// POST /api/admin/campaigns
+// Body: { name, channels: ['Email', 'SMS'], purpose: 'marketing' (default) | 'transactional' (service notice), subject, message, scheduledFor, filters: { audience, propertyIds, unitIds, leaseStatuses, minBalance, insuranceStatuses, tenantTypes, userIds } }
+exports.createCampaign = catchAsync(async (req, res) => {
+    const campaign = await campaignService.createCampaign(req.body, req.user.id);
+
+    await auditService.log({
+        action: 'CAMPAIGN_CREATED',
+        actorId: req.user.id,
+        req,
+        metadata: { campaignId: campaign.id, channels: campaign.channels, purpose: campaign.purpose, scheduledFor: campaign.scheduledFor }
+    });
+
+    res.status(201).json({ ...campaign, channels: campaign.channels.split(','), filters: JSON.parse(campaign.filters) });
+});
+
+// GET /api/admin/campaigns/:id (report with per-recipient delivery status)
+exports.getCampaignReport = catchAsync(async (req, res) => {
+    res.json(await campaignService.getCampaignReport(parseInt(req.params.id)));
+});
+
+// POST /api/admin/campaigns/:id/cancel
+exports.cancelCampaign = catchAsync(async (req, res) => {
+    const { campaign, cancelledRecipients } = await campaignService.cancelCampaign(parseInt(req.params.id));
+
+    await auditService.log({
+        action: 'CAMPAIGN_CANCELLED',
+        actorId: req.user.id,
+        req,
+        metadata: { campaignId: campaign.id, cancelledRecipients }
+    });
+
+    res.json({ ...campaign, channels: campaign.channels.split(','), filters: JSON.parse(campaign.filters), cancelledRecipients });
+});
@@ -1,6 +1,21 @@
 const prisma = require('../../config/prisma');
 const smsService = require('../../services/sms.service');
 const EmailService = require('../../services/email.service');
+const outbox = require('../../services/outbox.service');
+const emailEventService = require('../../services/emailEvent.service');
+const campaignService = require('../../services/campaign.service');
+
+// Named groups a message can be sent to (`audience: 'ALL_TENANTS'`), as campaign filters
+const GROUP_AUDIENCES = {
+    ALL_TENANTS: { label: 'All Tenants', filters: { audience: 'TENANTS', tenantTypes: ['INDIVIDUAL', 'COMPANY'] } },
+    ALL_RESIDENTS: { label: 'All Residents', filters: { audience: 'TENANTS', tenantTypes: ['RESIDENT'] } },
+    ALL_OWNERS: { label: 'All Owners', filters: { audience: 'OWNERS' } }
+};
+
+// Older clients send the group's label as the recipient: only an exact label counts, never a substring
+const groupForLabel = (recipient) => (typeof recipient === 'string'
+    ? Object.keys(GROUP_AUDIENCES).find(key => GROUP_AUDIENCES[key].label.toLowerCase() === recipient.trim().toLowerCase()) || null
+    : null);
 
 // GET /api/admin/communication/emails (paginated, latest first)
 exports.getEmailLogs = async (req, res) => {
@@ -23,8 +38,9 @@ exports.getEmailLogs = async (req, res) => {
         const formatted = history.map(item => {
             const subjectPart = item.content?.split('|')[0];
             const bodyPart = item.content?.split('|')[1];
-            const subject = subjectPart?.replace(/^Subject:\s*/i, '').trim() || (bodyPart ? 'No Subject' : 'No Subject');
-            const message = bodyPart?.replace(/^Message:\s*/i, '').trim() || bodyPart?.replace(/^Body:\s*/i, '').trim() || item.content;
+            // Outbox rows keep the subject in its own column
+            const subject = item.subject || subjectPart?.replace(/^Subject:\s*/i, '').trim() || (bodyPart ? 'No Subject' : 'No Subject');
+            const message = item.subject ? item.content : (bodyPart?.replace(/^Message:\s*/i, '').trim() || bodyPart?.replace(/^Body:\s*/i, '').trim() || item.content);
             const source = (item.eventType === 'MANUAL_EMAIL' || item.eventType === 'MANUAL_MESSAGE') ? 'Manual' : 'System';
             return {
                 id: item.id,
@@ -34,6 +50,8 @@ exports.getEmailLogs = async (req, res) => {
                 subject,
                 message,
                 status: item.status,
+                attempts: item.attempts,
+                lastError: item.lastError,
                 source
             };
         });
@@ -51,6 +69,105 @@ exports.getEmailLogs = async (req, res) => {
     }
 };
 
+// GET /api/admin/communication/outbox?status=Pending|Failed|Dead|Skipped (queued notifications, oldest first)
+exports.getOutbox = async (req, res) => {
+    try {
+        const statuses = req.query.status
+            ? [req.query.status]
+            : [outbox.OUTBOX_STATUS.PENDING, outbox.OUTBOX_STATUS.FAILED, outbox.OUTBOX_STATUS.DEAD];
+
+        const entries = await prisma.communicationLog.findMany({
+            where: { status: { in: statuses } },
+            include: { recipientUser: { select: { id: true, name: true } } },
+            orderBy: { timestamp: 'asc' },
+            take: 200
+        });
+
+        res.json(entries.map(e => ({
+            id: e.id,
+            channel: e.channel,
+            eventType: e.eventType,
+            recipient: e.recipient,
+            recipientName: e.recipientUser?.name || null,
+            subject: e.subject,
+            status: e.status,
+            attempts: e.attempts,
+            nextAttemptAt: e.nextAttemptAt,
+            lastError: e.lastError,
+            createdAt: e.timestamp
+        })));
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// POST /api/admin/communication/outbox/:id/retry
+exports.retryOutboxMessage = async (req, res) => {
+    try {
+        const entry = await outbox.requeue(parseInt(req.params.id));
+        res.json({ message: 'Message queued for another attempt', id: entry.id, status: entry.status });
+    } catch (e) {
+        if (e.statusCode) return res.status(e.statusCode).json({ message: e.message });
+        console.error(e);
+        res.status(500).json({ message: 'Failed to retry message' });
+    }
+};
+
+// POST /api/admin/communication/outbox/process (dispatch due messages now)
+exports.processOutbox = async (req, res) => {
+    try {
+        const summary = await outbox.processOutbox();
+        res.json({ message: 'Outbox processed', ...summary });
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ message: 'Failed to process outbox' });
+    }
+};
+
+// GET /api/admin/communication/suppressions (addresses email is no longer sent to)
+exports.getSuppressions = async (req, res) => {
+    try {
+        const suppressions = await prisma.emailSuppression.findMany({ orderBy: { updatedAt: 'desc' } });
+        res.json(suppressions);
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// POST /api/admin/communication/suppressions
+// Body: { email, detail }
+exports.addSuppression = async (req, res) => {
+    try {
+        const email = emailEventService.normalizeEmail(req.body.email);
+        if (!/^[^\s@]+@[^\s@]+$/.test(email)) return res.status(400).json({ message: 'A valid email is required' });
+
+        const suppression = await emailEventService.suppress(email, {
+            reason: 'manual',
+            detail: req.body.detail || null,
+            source: 'manual',
+            createdById: req.user.id
+        });
+        res.status(201).json(suppression);
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ message: 'Failed to add suppression' });
+    }
+};
+
+// DELETE /api/admin/communication/suppressions/:id (allow sending to the address again)
+exports.deleteSuppression = async (req, res) => {
+    try {
+        const deleted = await prisma.emailSuppression.deleteMany({ where: { id: parseInt(req.params.id) } });
+        if (deleted.count === 0) return res.status(404).json({ message: 'Suppression not found' });
+        res.json({ success: true, message: 'Address removed from the suppression list' });
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ message: 'Failed to remove suppression' });
+    }
+};
+
 // DELETE /api/admin/communication/emails/:id
 exports.deleteEmailLog = async (req, res) => {
     try {
@@ -246,167 +363,73 @@ exports.bulkDeleteLogs = async (req, res) => {
 };
 
 // POST /api/admin/communication
+// Body: { recipient (phone/email or an array of user IDs), audience (ALL_TENANTS, ALL_RESIDENTS, ALL_OWNERS or campaign filters), subject, message, type (SMS|Email), purpose }
+// A group, a list of users or an audience becomes a campaign that sends in the background (a service notice
+// unless purpose says marketing); the campaign worker fills in its recipientCount when it starts
 exports.sendMessage = async (req, res) => {
     try {
-        const { recipient, subject, message, type } = req.body;
+        const { recipient, subject, message, type, audience, purpose } = req.body;
 
         let twilioSid = null;
-        let twilioSids = [];
         let deliveryStatus = 'Sent';
-        let recipientCount = 1;
-
-        // Detect bulk SMS
-        const isBulk = type === 'SMS' && (
-            (typeof recipient === 'string' && (
-                recipient.toLowerCase().includes('all tenants') ||
-                recipient.toLowerCase().includes('all residents') ||
-                recipient.toLowerCase().includes('all owners')
-            )) ||
-            Array.isArray(recipient)
-        );
 
-        if (type === 'SMS') {
-            if (isBulk) {
-                let users = [];
-
-                // Determine which users to fetch
-                if (Array.isArray(recipient)) {
-                    // Custom selection: fetch specific users by IDs
-                    users = await prisma.user.findMany({
-                        where: {
-                            id: { in: recipient },
-                            phone: { not: null }
-                        },
-                        select: { id: true, phone: true, name: true }
-                    });
-                } else if (recipient.toLowerCase().includes('all tenants')) {
-                    // All tenants
-                    users = await prisma.user.findMany({
-                        where: {
-                            role: 'TENANT',
-                            type: { not: 'RESIDENT' },
-                            phone: { not: null }
-                        },
-                        select: { id: true, phone: true, name: true }
-                    });
-                } else if (recipient.toLowerCase().includes('all residents')) {
-                    // All residents
-                    users = await prisma.user.findMany({
-                        where: {
-                            type: 'RESIDENT',
-                            phone: { not: null }
-                        },
-                        select: { id: true, phone: true, name: true }
-                    });
-                } else if (recipient.toLowerCase().includes('all owners')) {
-                    // All owners
-                    users = await prisma.user.findMany({
-                        where: {
-                            role: 'OWNER',
-                            phone: { not: null }
-                        },
-                        select: { id: true, phone: true, name: true }
-                    });
-                }
+        const groupKey = typeof audience === 'string' ? audience.trim().toUpperCase() : groupForLabel(recipient);
+        if (groupKey && !GROUP_AUDIENCES[groupKey]) {
+            return res.status(400).json({ message: `Unknown audience. Use one of: ${Object.keys(GROUP_AUDIENCES).join(', ')} or campaign filters` });
+        }
+        const group = groupKey ? GROUP_AUDIENCES[groupKey] : null;
+
+        if (Array.isArray(recipient) || group || audience) {
+            let filters = audience;
+            if (group) filters = group.filters;
+            else if (Array.isArray(recipient)) filters = { userIds: recipient };
+
+            const campaign = await campaignService.createCampaign({
+                name: subject || message,
+                channels: [type],
+                purpose: purpose || campaignService.CAMPAIGN_PURPOSES.SERVICE_NOTICE,
+                subject: subject || 'Message from Admin',
+                message,
+                filters
+            }, req.user?.id || null);
 
-                const phoneNumbers = users.map(u => u.phone).filter(p => p);
-                recipientCount = phoneNumbers.length;
-
-                // The following code block was provided in the instruction, but contains undefined variables
-                // (targetNumericId, userId, unreadCount) and a malformed return statement (}));).
-                // It also appears to be out of context for this specific function's logic (sending bulk SMS).
-                // To avoid introducing syntax errors or logical inconsistencies, this block is commented out.
-                // If this is intended for a different part of the code or requires context, please clarify.
-                /*
-                const lastMessage = await prisma.message.findFirst({
-                    where: {
-                        OR: [
-                            { senderId: targetNumericId, receiverId: userId },
-                            { senderId: userId, receiverId: targetNumericId }
-                        ]
-                    },
-                    orderBy: { createdAt: 'desc' }
-                });
-                return { ...recipient, unreadCount, lastMessage };
-                }));
-                */
-                if (phoneNumbers.length > 0) {
-                    console.log(`Sending bulk SMS to ${phoneNumbers.length} recipients...`);
-                    const bulkResults = await smsService.sendBulkSMS(phoneNumbers, message);
-
-                    // Collect SIDs and determine overall status
-                    twilioSids = bulkResults.filter(r => r.success).map(r => r.sid);
-                    const failedCount = bulkResults.filter(r => !r.success).length;
-
-                    if (failedCount === 0) {
-                        deliveryStatus = 'Sent';
-                    } else if (failedCount === bulkResults.length) {
-                        deliveryStatus = 'Failed';
-                    } else {
-                        deliveryStatus = 'Partial';
-                    }
+            let label = `Campaign #${campaign.id}`;
+            if (group) label = group.label;
+            else if (Array.isArray(recipient)) label = `Custom Selection (${recipient.length} recipients)`;
 
-                    // Log each individual send AND create chat message
-                    for (let i = 0; i < bulkResults.length; i++) {
-                        const result = bulkResults[i];
-                        const user = users[i]; // Get the corresponding user
-
-                        // Create communication log
-                        await prisma.communicationLog.create({
-                            data: {
-                                channel: 'SMS',
-                                eventType: 'BULK_MESSAGE',
-                                recipient: result.to,
-                                content: message,
-                                status: result.success ? 'Sent' : 'Failed'
-                            }
-                        });
-
-                        // Create individual message in chat history (if user has an ID)
-                        if (user && user.id) {
-                            try {
-                                await prisma.message.create({
-                                    data: {
-                                        content: message,
-                                        senderId: req.user?.id || 1, // Admin ID
-                                        receiverId: user.id,
-                                        isRead: false,
-                                        smsSid: result.sid || null,
-                                        smsStatus: result.success ? 'sent' : 'failed',
-                                        sentVia: 'sms'
-                                    }
-                                });
-                            } catch (msgError) {
-                                console.error(`Failed to create message for user ${user.id}:`, msgError);
-                            }
-                        }
-                    }
-                } else {
-                    deliveryStatus = 'Failed';
-                    console.error('No tenant phone numbers found for bulk SMS');
-                }
-            } else {
-                // Single SMS
-                const smsResult = await smsService.sendSMS(recipient, message);
-                if (smsResult.success) {
-                    twilioSid = smsResult.sid;
-                    deliveryStatus = 'Sent';
-                } else {
-                    deliveryStatus = 'Failed';
-                    console.error('SMS send failed:', smsResult.error);
-                }
+            const newComm = await prisma.communication.create({
+                data: { recipient: label, subject, message, type, status: 'Queued' }
+            });
 
-                // Log single send
-                await prisma.communicationLog.create({
-                    data: {
-                        channel: 'SMS',
-                        eventType: 'MANUAL_MESSAGE',
-                        recipient: recipient,
-                        content: `Subject: ${subject || 'N/A'} | Message: ${message}`,
-                        status: deliveryStatus
-                    }
-                });
+            return res.status(201).json({
+                ...newComm,
+                campaignId: campaign.id,
+                campaign: { ...campaign, channels: campaign.channels.split(','), filters: JSON.parse(campaign.filters) }
+            });
+        }
+
+        if (type === 'SMS') {
+            // Single SMS (typed by staff, so quiet hours do not apply; opt-outs do)
+            const smsResult = await smsService.sendSMS(recipient, message, { purpose: 'conversational', skipLog: true });
+            if (smsResult.success) {
+                twilioSid = smsResult.sid;
+                deliveryStatus = 'Sent';
+            } else {
+                deliveryStatus = smsResult.skipped ? 'Skipped' : 'Failed';
+                console.error('SMS send failed:', smsResult.error);
             }
+
+            // Log single send
+            await prisma.communicationLog.create({
+                data: {
+                    channel: 'SMS',
+                    eventType: 'MANUAL_MESSAGE',
+                    recipient: recipient,
+                    content: `Subject: ${subject || 'N/A'} | Message: ${message}`,
+                    status: deliveryStatus,
+                    lastError: smsResult.success ? null : String(smsResult.error || smsResult.message)
+                }
+            });
         }
 
         // Handle Email sending
@@ -419,7 +442,7 @@ exports.sendMessage = async (req, res) => {
                     deliveryStatus = 'Sent';
                     console.log(`Email sent successfully to ${recipient}`);
                 } else {
-                    deliveryStatus = 'Failed';
+                    deliveryStatus = emailResult.skipped ? 'Skipped' : 'Failed';
                     console.error('Email send failed:', emailResult.error);
                 }
 
@@ -439,14 +462,9 @@ exports.sendMessage = async (req, res) => {
             }
         }
 
-        // Convert recipient to string if it's an array (for database storage)
-        const recipientString = Array.isArray(recipient)
-            ? `Custom Selection (${recipient.length} recipients)`
-            : recipient;
-
         const newComm = await prisma.communication.create({
             data: {
-                recipient: recipientString,
+                recipient,
                 subject,
                 message,
                 type,
@@ -457,10 +475,10 @@ exports.sendMessage = async (req, res) => {
         res.status(201).json({
             ...newComm,
             twilioSid,
-            twilioSids: twilioSids.length > 0 ? twilioSids : undefined,
-            recipientCount
+            recipientCount: 1
         });
     } catch (e) {
+        if (e.statusCode) return res.status(e.statusCode).json({ message: e.message, errors: e.errors });
         console.error(e);
         res.status(500).json({ message: 'Error sending message' });
     }
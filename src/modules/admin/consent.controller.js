@@ -0,0 +1,106 @@
+const prisma = require('../../config/prisma');
+const AppError = require('../../utils/AppError');
+const catchAsync = require('../../utils/catchAsync');
+const auditService = require('../../services/audit.service');
+const consentService = require('../../services/consent.service');
+
+const { CONSENT_CHANNELS } = consentService;
+
+const findUser = async (id) => {
+    const user = await prisma.user.findUnique({
+        where: { id },
+        select: { id: true, name: true, email: true, phone: true, notifyByEmail: true, notifyBySms: true }
+    });
+    if (!user) throw new AppError('User not found', 404);
+    return user;
+};
+
+// GET /api/admin/users/:id/consents (current state per channel and the full history)
+exports.getConsents = catchAsync(async (req, res) => {
+    const user = await findUser(parseInt(req.params.id));
+
+    const records = await prisma.communicationConsent.findMany({
+        where: { userId: user.id },
+        orderBy: [{ createdAt: 'desc' }, { id: 'desc' }]
+    });
+
+    const staffIds = [...new Set(records.map(r => r.recordedById).filter(Boolean))];
+    const staff = staffIds.length > 0
+        ? await prisma.user.findMany({ where: { id: { in: staffIds } }, select: { id: true, name: true } })
+        : [];
+    const history = records.map(record => ({
+        ...record,
+        recordedBy: staff.find(s => s.id === record.recordedById) || null
+    }));
+
+    const current = {};
+    for (const channel of Object.values(CONSENT_CHANNELS)) {
+        current[channel] = history.find(record => record.channel === channel) || null;
+    }
+
+    res.json({ user, current, history });
+});
+
+// POST /api/admin/users/:id/consents
+// Body: { channel, granted, notes } - notes say how consent was obtained (e.g. signed lease form)
+exports.recordConsent = catchAsync(async (req, res) => {
+    const user = await findUser(parseInt(req.params.id));
+    const { channel, granted, notes } = req.body;
+
+    const errors = {};
+    if (!Object.values(CONSENT_CHANNELS).includes(channel)) errors.channel = `Channel must be one of: ${Object.values(CONSENT_CHANNELS).join(', ')}`;
+    if (typeof granted !== 'boolean') errors.granted = 'Granted must be true or false';
+    if (granted === true && !String(notes || '').trim()) errors.notes = 'Describe how consent was obtained';
+    if (Object.keys(errors).length > 0) {
+        const err = new AppError('Validation failed', 400);
+        err.errors = errors;
+        throw err;
+    }
+
+    const record = await consentService.recordConsent(user.id, channel, granted, {
+        source: 'admin',
+        notes: notes ? String(notes).trim() : null,
+        ipAddress: req.ip,
+        recordedById: req.user.id
+    });
+
+    await auditService.log({
+        action: 'CONSENT_RECORDED',
+        userId: user.id,
+        actorId: req.user.id,
+        req,
+        metadata: { consentId: record.id, channel, granted }
+    });
+
+    res.status(201).json(record);
+});
+
+// PUT /api/admin/properties/:id/time-zone
+// Body: { timeZone } - IANA name such as America/Vancouver (null to use default_time_zone)
+exports.setPropertyTimeZone = catchAsync(async (req, res) => {
+    const propertyId = parseInt(req.params.id);
+    const property = await prisma.property.findUnique({ where: { id: propertyId } });
+    if (!property) throw new AppError('Property not found', 404);
+
+    const timeZone = req.body.timeZone ? String(req.body.timeZone).trim() : null;
+    if (timeZone && !consentService.isValidTimeZone(timeZone)) {
+        const err = new AppError('Validation failed', 400);
+        err.errors = { timeZone: 'Must be an IANA time zone such as America/Toronto' };
+        throw err;
+    }
+
+    const updated = await prisma.property.update({
+        where: { id: propertyId },
+        data: { timeZone },
+        select: { id: true, name: true, timeZone: true }
+    });
+
+    await auditService.log({
+        action: 'PROPERTY_TIME_ZONE_UPDATED',
+        actorId: req.user.id,
+        req,
+        metadata: { propertyId, before: property.timeZone, after: updated.timeZone }
+    });
+
+    res.json(updated);
+});
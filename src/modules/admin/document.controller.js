@@ -14,7 +14,8 @@ exports.getAllDocuments = async (req, res) => {
                 },
                 unit: true,
                 property: true,
-                invoice: true
+                invoice: true,
+                vendor: { select: { id: true, name: true } }
             },
             orderBy: { createdAt: 'desc' }
         });
@@ -138,6 +139,8 @@ exports.uploadDocument = async (req, res) => {
                 legacyFields.propertyId = entityId;
             } else if (entityType === 'INVOICE' && !legacyFields.invoiceId) {
                 legacyFields.invoiceId = entityId;
+            } else if (entityType === 'VENDOR' && !legacyFields.vendorId) {
+                legacyFields.vendorId = entityId;
             }
         });
 
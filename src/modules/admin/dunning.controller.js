@@ -0,0 +1,122 @@
+const prisma = require('../../config/prisma');
+const AppError = require('../../utils/AppError');
+const catchAsync = require('../../utils/catchAsync');
+const { CHANNELS, parseChannels, runDunning } = require('../../services/dunning.service');
+
+const parseStep = (body, existing = {}) => {
+    const errors = {};
+
+    const name = body.name !== undefined ? String(body.name).trim() : existing.name;
+    if (!name) errors.name = 'Name is required';
+
+    const offsetDays = body.offsetDays !== undefined ? parseInt(body.offsetDays) : existing.offsetDays;
+    if (offsetDays === undefined || isNaN(offsetDays)) errors.offsetDays = 'Offset days must be a whole number (negative = before the due date)';
+
+    const channels = body.channels !== undefined
+        ? parseChannels(Array.isArray(body.channels) ? body.channels.join(',') : body.channels)
+        : parseChannels(existing.channels || CHANNELS.EMAIL);
+    if (channels.length === 0) errors.channels = `Channels must include one of: ${Object.values(CHANNELS).join(', ')}`;
+
+    const emailBody = body.emailBody !== undefined ? body.emailBody : existing.emailBody;
+    const smsBody = body.smsBody !== undefined ? body.smsBody : existing.smsBody;
+    if (!emailBody && !smsBody) errors.emailBody = 'An email or SMS message is required';
+
+    if (Object.keys(errors).length > 0) {
+        const err = new AppError('Validation failed', 400);
+        err.errors = errors;
+        throw err;
+    }
+
+    return {
+        name,
+        offsetDays,
+        channels: channels.join(','),
+        emailSubject: body.emailSubject !== undefined ? body.emailSubject : existing.emailSubject,
+        emailBody,
+        smsBody,
+        active: body.active !== undefined ? body.active === true || body.active === 'true' : (existing.active !== undefined ? existing.active : true)
+    };
+};
+
+// GET /api/admin/dunning/steps
+exports.getSteps = catchAsync(async (req, res) => {
+    const steps = await prisma.dunningStep.findMany({ orderBy: { offsetDays: 'asc' } });
+    res.json(steps);
+});
+
+// POST /api/admin/dunning/steps
+exports.createStep = catchAsync(async (req, res) => {
+    const step = await prisma.dunningStep.create({ data: parseStep(req.body) });
+    res.status(201).json(step);
+});
+
+// PUT /api/admin/dunning/steps/:id
+exports.updateStep = catchAsync(async (req, res) => {
+    const id = parseInt(req.params.id);
+    const existing = await prisma.dunningStep.findUnique({ where: { id } });
+    if (!existing) throw new AppError('Dunning step not found', 404);
+
+    const step = await prisma.dunningStep.update({ where: { id }, data: parseStep(req.body, existing) });
+    res.json(step);
+});
+
+// DELETE /api/admin/dunning/steps/:id
+exports.deleteStep = catchAsync(async (req, res) => {
+    const id = parseInt(req.params.id);
+    const existing = await prisma.dunningStep.findUnique({ where: { id } });
+    if (!existing) throw new AppError('Dunning step not found', 404);
+
+    await prisma.dunningStep.delete({ where: { id } });
+    res.json({ message: 'Dunning step deleted' });
+});
+
+// POST /api/admin/dunning/run (Send due reminders now)
+exports.runDunning = catchAsync(async (req, res) => {
+    const summary = await runDunning();
+    res.json({ message: 'Dunning run complete', ...summary });
+});
+
+// GET /api/admin/invoices/:id/dunning
+exports.getInvoiceDunning = catchAsync(async (req, res) => {
+    const invoice = await prisma.invoice.findUnique({
+        where: { id: parseInt(req.params.id) },
+        select: {
+            id: true,
+            invoiceNo: true,
+            dunningStoppedAt: true,
+            dunningNotices: {
+                include: { step: { select: { id: true, name: true, offsetDays: true } } },
+                orderBy: { createdAt: 'asc' }
+            }
+        }
+    });
+    if (!invoice) throw new AppError('Invoice not found', 404);
+
+    res.json(invoice);
+});
+
+// POST /api/admin/invoices/:id/dunning/stop
+exports.stopDunning = catchAsync(async (req, res) => {
+    const id = parseInt(req.params.id);
+    const invoice = await prisma.invoice.findUnique({ where: { id } });
+    if (!invoice) throw new AppError('Invoice not found', 404);
+
+    const updated = await prisma.invoice.update({
+        where: { id },
+        data: { dunningStoppedAt: invoice.dunningStoppedAt || new Date() }
+    });
+    res.json({ message: 'Reminders stopped for this invoice', dunningStoppedAt: updated.dunningStoppedAt });
+});
+
+// POST /api/admin/invoices/:id/dunning/resume
+exports.resumeDunning = catchAsync(async (req, res) => {
+    const id = parseInt(req.params.id);
+    const invoice = await prisma.invoice.findUnique({ where: { id } });
+    if (!invoice) throw new AppError('Invoice not found', 404);
+    if (invoice.status === 'paid' || parseFloat(invoice.balanceDue) <= 0) {
+        throw new AppError('Invoice is already settled', 400);
+    }
+
+    await prisma.invoice.update({ where: { id }, data: { dunningStoppedAt: null } });
+    res.json({ message: 'Reminders resumed for this invoice' });
+});
@@ -1,97 +1,130 @@
 const prisma = require('../../config/prisma');
+const AppError = require('../../utils/AppError');
+const catchAsync = require('../../utils/catchAsync');
 const communicationService = require('../../services/communicationService');
+const insuranceService = require('../../services/insurance.service');
+const auditService = require('../../services/audit.service');
 
 // GET /api/admin/insurance/compliance
+// Each lease's policy checked against its property's requirement, with the specific shortfalls
 exports.getComplianceDashboard = async (req, res) => {
     try {
         const { propertyId, ownerId, status: leaseStatus } = req.query;
 
-        const leaseWhere = {
-            status: leaseStatus || 'Active'
-        };
+        const report = await insuranceService.getComplianceReport({
+            propertyId: propertyId ? parseInt(propertyId) : null,
+            ownerId: ownerId ? parseInt(ownerId) : null,
+            leaseStatus
+        });
 
-        if (propertyId) {
-            leaseWhere.unit = { propertyId: parseInt(propertyId) };
-        }
+        res.json(report);
+    } catch (e) {
+        console.error('Compliance Dashboard Error:', e);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
 
-        if (ownerId) {
-            leaseWhere.unit = {
-                property: {
-                    owners: {
-                        some: { id: parseInt(ownerId) }
-                    }
-                }
-            };
-        }
+const parseRequirement = (body) => {
+    const errors = {};
 
-        const leases = await prisma.lease.findMany({
-            where: leaseWhere,
-            include: {
-                tenant: true,
-                unit: {
-                    include: { property: true }
-                },
-                insurances: {
-                    where: { status: 'ACTIVE' },
-                    orderBy: { endDate: 'desc' },
-                    take: 1
-                }
-            }
-        });
+    let minLiabilityAmount = null;
+    if (body.minLiabilityAmount !== undefined && body.minLiabilityAmount !== null && body.minLiabilityAmount !== '') {
+        minLiabilityAmount = parseFloat(body.minLiabilityAmount);
+        if (isNaN(minLiabilityAmount) || minLiabilityAmount < 0) errors.minLiabilityAmount = 'Minimum liability must be a positive number';
+    }
 
-        const today = new Date();
-        const d30 = new Date(); d30.setDate(today.getDate() + 30);
-        const d14 = new Date(); d14.setDate(today.getDate() + 14);
-        const d7 = new Date(); d7.setDate(today.getDate() + 7);
-
-        const formatted = leases.map(lease => {
-            const insurance = lease.insurances[0];
-            let complianceStatus = 'Missing';
-            let daysRemaining = null;
-
-            if (insurance) {
-                const end = new Date(insurance.endDate);
-                daysRemaining = Math.ceil((end - today) / (1000 * 60 * 60 * 24));
-
-                if (daysRemaining < 0) {
-                    complianceStatus = 'Expired';
-                } else if (daysRemaining <= 30) {
-                    complianceStatus = 'Expiring';
-                } else {
-                    complianceStatus = 'Compliant';
-                }
-            }
+    const requireAdditionalInsured = body.requireAdditionalInsured === true || body.requireAdditionalInsured === 'true';
+    const additionalInsuredName = body.additionalInsuredName ? String(body.additionalInsuredName).trim() : null;
+    if (additionalInsuredName && !requireAdditionalInsured) {
+        errors.additionalInsuredName = 'Only used when the landlord must be named as additional insured';
+    }
 
-            return {
-                leaseId: lease.id,
-                tenantName: lease.tenant.name,
-                tenantType: lease.tenant.type,
-                building: lease.unit.property.name,
-                unitNumber: lease.unit.unitNumber || lease.unit.name,
-                status: complianceStatus,
-                daysRemaining,
-                provider: insurance?.provider || 'N/A',
-                policyNumber: insurance?.policyNumber || 'N/A',
-                expiryDate: insurance?.endDate ? insurance.endDate.toISOString().split('T')[0] : 'N/A'
-            };
-        });
+    let lapseFeeAmount = null;
+    if (body.lapseFeeAmount !== undefined && body.lapseFeeAmount !== null && body.lapseFeeAmount !== '') {
+        lapseFeeAmount = parseFloat(body.lapseFeeAmount);
+        if (isNaN(lapseFeeAmount) || lapseFeeAmount < 0) errors.lapseFeeAmount = 'Lapse fee must be a positive number';
+    }
 
-        res.json(formatted);
-    } catch (e) {
-        console.error('Compliance Dashboard Error:', e);
-        res.status(500).json({ message: 'Server error' });
+    const lapseFeeGraceDays = body.lapseFeeGraceDays === undefined || body.lapseFeeGraceDays === '' ? 0 : parseInt(body.lapseFeeGraceDays);
+    if (isNaN(lapseFeeGraceDays) || lapseFeeGraceDays < 0) errors.lapseFeeGraceDays = 'Grace days must be 0 or more';
+
+    const lapseFeeIntervalDays = body.lapseFeeIntervalDays === undefined || body.lapseFeeIntervalDays === '' ? 30 : parseInt(body.lapseFeeIntervalDays);
+    if (isNaN(lapseFeeIntervalDays) || lapseFeeIntervalDays < 1) errors.lapseFeeIntervalDays = 'Fee interval must be at least 1 day';
+
+    if (Object.keys(errors).length > 0) {
+        const err = new AppError('Validation failed', 400);
+        err.errors = errors;
+        throw err;
     }
+
+    return {
+        enabled: body.enabled === undefined ? true : body.enabled === true || body.enabled === 'true',
+        minLiabilityAmount,
+        requiredCoverageTypes: insuranceService.serializeCoverageTypes(body.requiredCoverageTypes),
+        requireAdditionalInsured,
+        additionalInsuredName,
+        lapseFeeAmount: lapseFeeAmount || null,
+        lapseFeeGraceDays,
+        lapseFeeIntervalDays
+    };
 };
 
-// Internal function to check and send alerts
-exports.checkInsuranceExpirations = async () => {
+const formatRequirement = (requirement) => ({
+    ...requirement,
+    minLiabilityAmount: requirement.minLiabilityAmount != null ? parseFloat(requirement.minLiabilityAmount) : null,
+    lapseFeeAmount: requirement.lapseFeeAmount != null ? parseFloat(requirement.lapseFeeAmount) : null,
+    requiredCoverageTypes: insuranceService.parseCoverageTypes(requirement.requiredCoverageTypes)
+});
+
+// GET /api/admin/insurance/requirements
+exports.getRequirements = catchAsync(async (req, res) => {
+    const requirements = await prisma.insuranceRequirement.findMany({
+        include: { property: { select: { id: true, name: true } } },
+        orderBy: { id: 'asc' }
+    });
+    res.json({ coverageTypes: insuranceService.COVERAGE_TYPES, requirements: requirements.map(formatRequirement) });
+});
+
+// PUT /api/admin/insurance/requirements
+// Body: { propertyId (omit for the default requirement), minLiabilityAmount, requiredCoverageTypes, requireAdditionalInsured, additionalInsuredName,
+//         lapseFeeAmount, lapseFeeGraceDays, lapseFeeIntervalDays, enabled }
+exports.saveRequirement = catchAsync(async (req, res) => {
+    const propertyId = req.body.propertyId ? parseInt(req.body.propertyId) : null;
+    const data = parseRequirement(req.body);
+
+    if (propertyId) {
+        const property = await prisma.property.findUnique({ where: { id: propertyId } });
+        if (!property) throw new AppError('Property not found', 404);
+    }
+
+    const existing = await prisma.insuranceRequirement.findFirst({ where: { propertyId } });
+    const requirement = existing
+        ? await prisma.insuranceRequirement.update({ where: { id: existing.id }, data })
+        : await prisma.insuranceRequirement.create({ data: { ...data, propertyId } });
+
+    res.json(formatRequirement(requirement));
+});
+
+// DELETE /api/admin/insurance/requirements/:id
+exports.deleteRequirement = catchAsync(async (req, res) => {
+    const id = parseInt(req.params.id);
+    const requirement = await prisma.insuranceRequirement.findUnique({ where: { id } });
+    if (!requirement) throw new AppError('Insurance requirement not found', 404);
+
+    await prisma.insuranceRequirement.delete({ where: { id } });
+    res.json({ message: 'Insurance requirement deleted' });
+});
+
+// Internal function to check and send alerts, then run the lapse engine (daily cron)
+// POST /api/admin/insurance/check-alerts
+exports.checkInsuranceExpirations = async (req, res) => {
     console.log('[Insurance Alerts] Checking for expiring policies...');
     const today = new Date();
     const alertThresholds = [30, 14, 7];
 
     try {
         const activeInsurances = await prisma.insurance.findMany({
-            where: { status: 'ACTIVE', endDate: { gt: today } },
+            where: { status: { in: ['ACTIVE', 'EXPIRING'] }, endDate: { gt: today } },
             include: { user: true, lease: true }
         });
 
@@ -112,25 +145,19 @@ exports.checkInsuranceExpirations = async () => {
                 });
 
                 if (!alreadySent) {
-                    console.log(`Sending ${diffDays}-day alert to ${ins.user.name}`);
+                    console.log(`Queueing ${diffDays}-day alert to ${ins.user.name}`);
+                    // The queued message is the log entry checked above
                     await communicationService.sendInsuranceExpiryAlert(ins.userId, ins.id, diffDays);
-                    // Log the alert
-                    await prisma.communicationLog.create({
-                        data: {
-                            channel: 'Email',
-                            eventType,
-                            recipient: ins.user.email,
-                            recipientId: ins.userId,
-                            relatedEntity: 'INSURANCE',
-                            entityId: ins.id,
-                            content: `Insurance policy ${ins.policyNumber} expires in ${diffDays} days.`
-                        }
-                    });
                 }
             }
         }
+
+        const summary = await insuranceService.runLapseEngine({ now: today });
+        if (res) res.json({ message: 'Insurance check complete', summary });
+        return summary;
     } catch (e) {
         console.error('Check Expirations Error:', e);
+        if (res) res.status(500).json({ message: 'Failed to check insurance expirations' });
     }
 };
 
@@ -185,6 +212,12 @@ exports.getInsuranceAlerts = async (req, res) => {
                 documentUrl: ins.documentUrl,
                 status: ins.status,
                 rejectionReason: ins.rejectionReason,
+                liabilityAmount: ins.liabilityAmount != null ? parseFloat(ins.liabilityAmount) : null,
+                coverageTypes: insuranceService.parseCoverageTypes(ins.coverageTypes || ins.coverageType),
+                additionalInsured: ins.additionalInsured,
+                additionalInsuredName: ins.additionalInsuredName,
+                shortfalls: insuranceService.parseShortfalls(ins.verificationResult),
+                verifiedAt: ins.verifiedAt,
                 expiry: expiry
             };
         });
@@ -197,18 +230,52 @@ exports.getInsuranceAlerts = async (req, res) => {
 };
 
 // POST /api/admin/insurance/:id/approve
+// Body: { override, reason } - a policy that misses the property's requirement is only approved with an override reason
 exports.approveInsurance = async (req, res) => {
     try {
         const id = parseInt(req.params.id);
-        const insurance = await prisma.insurance.update({
-            where: { id },
-            data: { status: 'ACTIVE', rejectionReason: null }
+        const existing = await prisma.insurance.findUnique({ where: { id } });
+        if (!existing) return res.status(404).json({ message: 'Insurance not found' });
+
+        const { shortfalls } = await insuranceService.verifyPolicy(existing);
+        const override = req.body.override === true || req.body.override === 'true';
+
+        if (shortfalls.length > 0 && !override) {
+            return res.status(400).json({
+                message: 'Policy does not meet the insurance requirement',
+                errors: { shortfalls }
+            });
+        }
+        if (shortfalls.length > 0 && !req.body.reason) {
+            return res.status(400).json({ message: 'A reason is required to approve a policy with shortfalls' });
+        }
+
+        // The tenant's notification is queued with the status change
+        const insurance = await prisma.$transaction(async (tx) => {
+            const updated = await tx.insurance.update({
+                where: { id },
+                data: {
+                    status: 'ACTIVE',
+                    rejectionReason: null,
+                    verificationResult: JSON.stringify(shortfalls),
+                    verifiedAt: new Date(),
+                    verifiedById: req.user.id
+                }
+            });
+            await communicationService.sendInsuranceApproved(updated.userId, updated.id, tx);
+            return updated;
+        });
+
+        await auditService.log({
+            action: shortfalls.length > 0 ? 'INSURANCE_APPROVED_WITH_EXCEPTION' : 'INSURANCE_APPROVED',
+            userId: insurance.userId,
+            actorId: req.user.id,
+            req,
+            metadata: { insuranceId: id, shortfalls: shortfalls.map(s => s.code), reason: req.body.reason || null }
         });
 
-        // Trigger notification Logic
-        try {
-            await communicationService.sendInsuranceApproved(insurance.userId, insurance.id);
-        } catch (e) { console.error('Notification failed:', e); }
+        // A current approved policy ends the lease's lapse (escalations and fees stop)
+        if (insurance.leaseId) await insuranceService.syncLeaseLapse(insurance.leaseId);
 
         res.json({ message: 'Insurance approved successfully', insurance });
     } catch (e) {
@@ -221,22 +288,27 @@ exports.approveInsurance = async (req, res) => {
 exports.rejectInsurance = async (req, res) => {
     try {
         const id = parseInt(req.params.id);
-        const { reason } = req.body;
+        const existing = await prisma.insurance.findUnique({ where: { id } });
+        if (!existing) return res.status(404).json({ message: 'Insurance not found' });
+
+        // Default to the shortfalls found by the automatic check
+        const shortfalls = insuranceService.parseShortfalls(existing.verificationResult);
+        const reason = req.body.reason || shortfalls.map(s => s.message).join('; ');
 
         if (!reason) {
             return res.status(400).json({ message: 'Rejection reason is required' });
         }
 
-        const insurance = await prisma.insurance.update({
-            where: { id },
-            data: { status: 'REJECTED', rejectionReason: reason }
+        // The tenant's notification is queued with the status change
+        const insurance = await prisma.$transaction(async (tx) => {
+            const updated = await tx.insurance.update({
+                where: { id },
+                data: { status: 'REJECTED', rejectionReason: reason, verifiedAt: new Date(), verifiedById: req.user.id }
+            });
+            await communicationService.sendInsuranceRejected(updated.userId, updated.id, reason, tx);
+            return updated;
         });
 
-        // Trigger notification Logic
-        try {
-            await communicationService.sendInsuranceRejected(insurance.userId, insurance.id, reason);
-        } catch (e) { console.error('Notification failed:', e); }
-
         res.json({ message: 'Insurance rejected successfully', insurance });
     } catch (e) {
         console.error(e);
@@ -253,8 +325,8 @@ exports.getInsuranceStats = async (req, res) => {
 
         const [active, expiring, expired, pending] = await Promise.all([
             prisma.insurance.count({ where: { status: 'ACTIVE', endDate: { gt: thirtyDaysOut } } }),
-            prisma.insurance.count({ where: { status: 'ACTIVE', endDate: { lte: thirtyDaysOut, gte: today } } }),
-            prisma.insurance.count({ where: { status: 'ACTIVE', endDate: { lt: today } } }),
+            prisma.insurance.count({ where: { status: { in: ['ACTIVE', 'EXPIRING'] }, endDate: { lte: thirtyDaysOut, gte: today } } }),
+            prisma.insurance.count({ where: { OR: [{ status: 'EXPIRED' }, { status: { in: ['ACTIVE', 'EXPIRING'] }, endDate: { lt: today } }] } }),
             prisma.insurance.count({ where: { status: 'PENDING_APPROVAL' } })
         ]);
 
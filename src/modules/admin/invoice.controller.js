@@ -1,5 +1,10 @@
 const prisma = require('../../config/prisma');
 const { generateInvoicePDF } = require('../../utils/pdf.utils');
+const { buildInvoiceAmounts, recalculateInvoiceTaxes } = require('../../services/tax.service');
+const { allocateInvoiceNumber } = require('../../services/numbering.service');
+const { runRentBilling, rerunRentRun, toPeriod, isValidPeriod } = require('../../services/billing.service');
+const { syncInvoicePosting } = require('../../services/ledger.service');
+const { applyInvoicePayment } = require('../../services/payment.service');
 
 // GET /api/admin/invoices/:id/download
 exports.downloadInvoicePDF = async (req, res) => {
@@ -8,7 +13,8 @@ exports.downloadInvoicePDF = async (req, res) => {
             where: { id: parseInt(req.params.id) },
             include: {
                 tenant: true,
-                unit: true
+                unit: true,
+                taxLines: true
             }
         });
 
@@ -40,32 +46,13 @@ exports.getInvoices = async (req, res) => {
                     include: { leases: true }
                 },
                 unit: true,
-                lease: true // Include lease to check rentAmount
+                taxLines: true
             },
             orderBy: { createdAt: 'desc' }
         });
 
-        // SAFETY NET: Auto-correct unpaid $0 invoices before returning
-        const formatted = await Promise.all(invoices.map(async (inv) => {
-            let currentAmount = parseFloat(inv.amount);
-            let currentRent = parseFloat(inv.rent);
-            let currentStatus = inv.status.toLowerCase();
-
-            if (currentStatus !== 'paid' && currentAmount === 0 && inv.lease && parseFloat(inv.lease.monthlyRent) > 0) {
-                const rentAmt = parseFloat(inv.lease.monthlyRent);
-                // Update in DB for persistence
-                await prisma.invoice.update({
-                    where: { id: inv.id },
-                    data: {
-                        rent: rentAmt,
-                        amount: rentAmt,
-                        balanceDue: rentAmt
-                    }
-                });
-                currentAmount = rentAmt;
-                currentRent = rentAmt;
-            }
-
+        // Listing is read-only: $0 invoices are corrected when their lease rent is set (updateLease)
+        const formatted = invoices.map((inv) => {
             // Find active lease to get dates for UI
             const activeLease = inv.tenant.leases.find(l => l.status === 'Active' || l.status === 'DRAFT');
 
@@ -77,16 +64,23 @@ exports.getInvoices = async (req, res) => {
                 tenant: inv.tenant.name,
                 unit: inv.unit.name,
                 month: inv.month,
-                rent: currentRent,
+                rent: parseFloat(inv.rent),
                 serviceFees: parseFloat(inv.serviceFees),
-                amount: currentAmount,
+                taxAmount: parseFloat(inv.taxAmount),
+                taxes: inv.taxLines.map(t => ({
+                    name: t.name,
+                    rate: parseFloat(t.rate),
+                    appliesTo: t.appliesTo,
+                    amount: parseFloat(t.amount)
+                })),
+                amount: parseFloat(inv.amount),
                 status: inv.status,
                 category: inv.category,
                 description: inv.description,
                 leaseStartDate: activeLease?.startDate || null,
                 leaseEndDate: activeLease?.endDate || null
             };
-        }));
+        });
 
         res.json(formatted);
     } catch (e) {
@@ -144,34 +138,26 @@ exports.createInvoice = async (req, res) => {
             finalRent = parseFloat(activeLease.monthlyRent) || 0;
         }
 
-        const totalAmount = finalRent + feesAmt;
-
-        // Generate Invoice Number
-        const count = await prisma.invoice.count();
-        const invoiceNo = `INV-MAN-${String(count + 1).padStart(5, '0')}`;
-
-        const newInvoice = await prisma.invoice.create({
+        // Number and create in one transaction so a failed insert never burns a number
+        const newInvoice = await prisma.$transaction(async (tx) => tx.invoice.create({
             data: {
-                invoiceNo,
+                invoiceNo: await allocateInvoiceNumber(tx),
                 tenantId: billableTenantId,
                 unitId: parseInt(unitId),
                 leaseId: activeLease.id,
                 leaseType: activeLease.unit.rentalMode,
                 month,
-                rent: finalRent,
-                serviceFees: feesAmt,
-                amount: totalAmount,
-                paidAmount: 0,
-                balanceDue: totalAmount,
+                ...await buildInvoiceAmounts(tx, { rent: finalRent, serviceFees: feesAmt }),
                 status: 'draft',
                 category: req.body.category || 'RENT',
                 description: req.body.description || null
             },
             include: {
                 tenant: true,
-                unit: true
+                unit: true,
+                taxLines: true
             }
-        });
+        }));
 
         res.status(201).json(newInvoice);
 
@@ -198,27 +184,12 @@ exports.updateInvoice = async (req, res) => {
         let newRent = rent !== undefined ? parseFloat(rent) : Number(existing.rent);
         let newFees = serviceFees !== undefined ? parseFloat(serviceFees) : Number(existing.serviceFees);
 
+        const markPaid = status && status.toLowerCase() === 'paid';
         if (status) {
             data.status = status;
-            if (status.toLowerCase() === 'paid') {
+            if (markPaid) {
                 data.paidAt = new Date();
-                data.paidAmount = existing.amount;
-                data.balanceDue = 0;
                 if (paymentMethod) data.paymentMethod = paymentMethod;
-
-                // CRITICAL (Requirement 2): If manual status change to Paid, we should ideally create a transaction
-                // but usually this is done via the Payment process. If it's done manually here, 
-                // we should still record it in the ledger for consistency.
-                await prisma.transaction.create({
-                    data: {
-                        date: new Date(),
-                        description: `Manual Invoice Paid - ${existing.invoiceNo}`,
-                        type: 'Income',
-                        amount: existing.amount,
-                        status: 'Completed',
-                        invoiceId: id
-                    }
-                });
             }
         }
 
@@ -232,183 +203,144 @@ exports.updateInvoice = async (req, res) => {
 
             data.rent = upRent;
             data.serviceFees = upFees;
-            data.amount = upRent + upFees;
-            // Recalc balance based on what was already paid
-            data.balanceDue = (upRent + upFees) - Number(existing.paidAmount);
         }
 
-        const updated = await prisma.invoice.update({
-            where: { id },
-            data
+        const updated = await prisma.$transaction(async (tx) => {
+            let invoice = await tx.invoice.update({
+                where: { id },
+                data
+            });
+
+            // Taxable components changed: rebuild tax lines, total and balance (based on what was already paid)
+            if (data.rent !== undefined || data.serviceFees !== undefined) {
+                invoice = await recalculateInvoiceTaxes(tx, id);
+            }
+
+            // Issue, adjust or reverse the invoice's ledger posting to match its new state
+            await syncInvoicePosting(tx, id, { createdById: req.user?.id || null });
+
+            // A voided chargeback releases its work-order costs so they can be billed again
+            if (data.status && data.status.toLowerCase() === 'void') {
+                await tx.workOrderCost.updateMany({ where: { invoiceId: id }, data: { invoiceId: null } });
+            }
+
+            // Manually marked paid: record the outstanding balance as a payment so cash is posted too
+            if (markPaid && parseFloat(invoice.balanceDue) > 0) {
+                ({ updatedInvoice: invoice } = await applyInvoicePayment(tx, invoice, {
+                    amount: parseFloat(invoice.balanceDue),
+                    method: paymentMethod || invoice.paymentMethod || 'Manual',
+                    description: `Manual Invoice Paid - ${existing.invoiceNo}`
+                }));
+            }
+
+            return invoice;
         });
         res.json(updated);
     } catch (e) {
         console.error(e);
+        if (e.statusCode) return res.status(e.statusCode).json({ message: e.message });
         res.status(500).json({ message: 'Error updating invoice' });
     }
 };
 
 // POST /api/admin/invoices/batch (Trigger manual batch run)
+// Body: { period?: 'YYYY-MM', dryRun?: boolean }
 exports.runBatchInvoicing = async (req, res) => {
-    console.log('[Batch Rent Run] Starting execution...');
-    const today = new Date();
-    const currentMonth = today.toLocaleString('default', { month: 'long', year: 'numeric' });
-
-    // 1. Initialize RentRun Record
-    const rentRun = await prisma.rentRun.create({
-        data: {
-            month: currentMonth,
-            status: 'Pending'
+    try {
+        const period = req.body.period || toPeriod();
+        if (!isValidPeriod(period)) {
+            return res.status(400).json({ message: 'Period must be in YYYY-MM format' });
         }
-    });
 
-    let createdCount = 0;
-    let skippedCount = 0;
-    let totalAmount = 0;
+        const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+        const result = await runRentBilling({
+            period,
+            dryRun,
+            trigger: 'MANUAL',
+            createdById: req.user ? req.user.id : null
+        });
 
-    try {
-        const activeLeases = await prisma.lease.findMany({
-            where: {
-                status: 'Active',
-                startDate: { lte: today },
-                endDate: { gte: today },
-                // Only include leases for actual tenants (INDIVIDUAL or COMPANY)
-                // Residents are separate entities and cannot have direct leases
-                tenant: {
-                    type: { in: ['INDIVIDUAL', 'COMPANY', 'RESIDENT'] }
-                }
-            },
-            include: { unit: true, tenant: true }
+        res.json({
+            message: dryRun ? 'Batch preview complete' : 'Batch run complete',
+            runId: result.run ? result.run.id : null,
+            period: result.period,
+            dryRun,
+            createdCount: result.summary.successCount,
+            skippedCount: result.summary.skippedCount,
+            failedCount: result.summary.failedCount,
+            totalAmount: result.summary.totalAmount,
+            results: result.results
         });
+    } catch (e) {
+        console.error('[Batch Run] Critical Error:', e);
+        res.status(500).json({ message: 'Error in batch generation' });
+    }
+};
 
-        for (const lease of activeLeases) {
-            try {
-                // 2. Idempotency Check
-                const existing = await prisma.invoice.findFirst({
-                    where: { leaseId: lease.id, month: currentMonth, rent: { gt: 0 } }
-                });
-
-                if (existing) {
-                    await prisma.rentRunLog.create({
-                        data: {
-                            runId: rentRun.id,
-                            leaseId: lease.id,
-                            status: 'Skipped',
-                            message: 'Rent invoice already exists for this period.'
-                        }
-                    });
-                    skippedCount++;
-                    continue;
-                }
-
-                const rentAmount = parseFloat(lease.monthlyRent) || 0;
-
-                if (rentAmount <= 0) {
-                    await prisma.rentRunLog.create({
-                        data: {
-                            runId: rentRun.id,
-                            leaseId: lease.id,
-                            status: 'Skipped',
-                            message: 'Lease monthlyRent is 0 or invalid.'
-                        }
-                    });
-                    skippedCount++;
-                    continue;
-                }
-
-                // 3. Generate Invoice
-                const count = await prisma.invoice.count();
-                const invoiceNo = `INV-BATCH-${String(count + 1).padStart(5, '0')}`;
-                const dueDate = new Date(today.getFullYear(), today.getMonth(), 10); // 10th of month
-
-                // Determine who to bill: If tenant is a RESIDENT, bill their Parent
-                const billableTenantId = lease.tenant.type === 'RESIDENT' ? lease.tenant.parentId : lease.tenantId;
-
-                if (!billableTenantId) {
-                    await prisma.rentRunLog.create({
-                        data: {
-                            runId: rentRun.id,
-                            leaseId: lease.id,
-                            status: 'Skipped',
-                            message: 'No billable tenant (parent) found for this resident.'
-                        }
-                    });
-                    skippedCount++;
-                    continue;
-                }
-
-                await prisma.invoice.create({
-                    data: {
-                        invoiceNo,
-                        tenantId: billableTenantId,
-                        unitId: lease.unitId,
-                        leaseId: lease.id,
-                        leaseType: lease.unit.rentalMode,
-                        month: currentMonth,
-                        rent: rentAmount,
-                        serviceFees: 0,
-                        amount: rentAmount,
-                        paidAmount: 0,
-                        balanceDue: rentAmount,
-                        status: 'sent',
-                        dueDate: dueDate
-                    }
-                });
-
-                await prisma.rentRunLog.create({
-                    data: {
-                        runId: rentRun.id,
-                        leaseId: lease.id,
-                        status: 'Success',
-                        message: `Invoice ${invoiceNo} generated.`
-                    }
-                });
-
-                createdCount++;
-                totalAmount += rentAmount;
-
-            } catch (innerError) {
-                console.error(`[Batch Run] Error processing Lease ID ${lease.id}:`, innerError);
-                await prisma.rentRunLog.create({
-                    data: {
-                        runId: rentRun.id,
-                        leaseId: lease.id,
-                        status: 'Error',
-                        message: innerError.message || 'Unknown processing error.'
-                    }
-                });
-                skippedCount++;
-            }
-        }
+// GET /api/admin/rent-runs
+exports.getRentRuns = async (req, res) => {
+    try {
+        const runs = await prisma.rentRun.findMany({
+            orderBy: { createdAt: 'desc' },
+            take: parseInt(req.query.limit) || 50
+        });
+        res.json(runs);
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ message: 'Error fetching rent runs' });
+    }
+};
 
-        // 4. Update RentRun with results
-        await prisma.rentRun.update({
-            where: { id: rentRun.id },
-            data: {
-                status: 'Completed',
-                createdCount,
-                skippedCount,
-                totalAmount
-            }
+// GET /api/admin/rent-runs/:id
+exports.getRentRunById = async (req, res) => {
+    try {
+        const run = await prisma.rentRun.findUnique({
+            where: { id: parseInt(req.params.id) },
+            include: { logs: { orderBy: { id: 'asc' } } }
         });
+        if (!run) return res.status(404).json({ message: 'Rent run not found' });
 
-        res.json({ message: 'Batch run complete', createdCount, skippedCount, runId: rentRun.id });
+        res.json(run);
     } catch (e) {
-        console.error('[Batch Run] Critical Error:', e);
-        await prisma.rentRun.update({
-            where: { id: rentRun.id },
-            data: { status: 'Failed' }
+        console.error(e);
+        res.status(500).json({ message: 'Error fetching rent run' });
+    }
+};
+
+// POST /api/admin/rent-runs/:id/rerun
+exports.rerunRentRun = async (req, res) => {
+    try {
+        const result = await rerunRentRun(parseInt(req.params.id), { createdById: req.user ? req.user.id : null });
+        if (!result) return res.status(404).json({ message: 'Rent run not found' });
+
+        res.json({
+            message: 'Re-run complete',
+            runId: result.run.id,
+            period: result.period,
+            createdCount: result.summary.successCount,
+            skippedCount: result.summary.skippedCount,
+            failedCount: result.summary.failedCount,
+            totalAmount: result.summary.totalAmount,
+            results: result.results
         });
-        res.status(500).json({ message: 'Error in batch generation' });
+    } catch (e) {
+        console.error('[Rent Run] Re-run Error:', e);
+        res.status(500).json({ message: e.message || 'Error re-running rent run' });
     }
 };
 
 // DELETE /api/admin/invoices/:id
 exports.deleteInvoice = async (req, res) => {
     try {
-        await prisma.invoice.delete({ where: { id: parseInt(req.params.id) } });
+        const id = parseInt(req.params.id);
+        await prisma.$transaction(async (tx) => {
+            // Reverse whatever the invoice posted before it disappears
+            await syncInvoicePosting(tx, id, { remove: true, createdById: req.user?.id || null });
+            await tx.invoice.delete({ where: { id } });
+        });
         res.json({ message: 'Deleted' });
     } catch (e) {
+        if (e.statusCode) return res.status(e.statusCode).json({ message: e.message });
         res.status(500).json({ message: 'Error deleting' });
     }
 };
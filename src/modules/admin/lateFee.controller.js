@@ -0,0 +1,131 @@
+const prisma = require('../../config/prisma');
+const AppError = require('../../utils/AppError');
+const catchAsync = require('../../utils/catchAsync');
+const auditService = require('../../services/audit.service');
+const { FEE_TYPES, assessLateFees, waiveLateFee } = require('../../services/lateFee.service');
+
+const parsePolicy = (body) => {
+    const errors = {};
+
+    const feeType = String(body.feeType || FEE_TYPES.FLAT).toUpperCase();
+    if (!Object.values(FEE_TYPES).includes(feeType)) {
+        errors.feeType = `Fee type must be one of: ${Object.values(FEE_TYPES).join(', ')}`;
+    }
+
+    const amount = parseFloat(body.amount);
+    if (isNaN(amount) || amount < 0) errors.amount = 'Amount must be a positive number';
+
+    const graceDays = body.graceDays === undefined ? 5 : parseInt(body.graceDays);
+    if (isNaN(graceDays) || graceDays < 0) errors.graceDays = 'Grace days must be 0 or more';
+
+    let maxAmount = null;
+    if (body.maxAmount !== undefined && body.maxAmount !== null && body.maxAmount !== '') {
+        maxAmount = parseFloat(body.maxAmount);
+        if (isNaN(maxAmount) || maxAmount < 0) errors.maxAmount = 'Cap must be a positive number';
+    }
+
+    if (Object.keys(errors).length > 0) {
+        const err = new AppError('Validation failed', 400);
+        err.errors = errors;
+        throw err;
+    }
+
+    return {
+        enabled: body.enabled === undefined ? true : body.enabled === true || body.enabled === 'true',
+        feeType,
+        amount,
+        graceDays,
+        maxAmount
+    };
+};
+
+// GET /api/admin/late-fees/policies
+exports.getPolicies = catchAsync(async (req, res) => {
+    const policies = await prisma.lateFeePolicy.findMany({
+        include: { property: { select: { id: true, name: true } } },
+        orderBy: { id: 'asc' }
+    });
+    res.json(policies);
+});
+
+// PUT /api/admin/late-fees/policies
+// Body: { propertyId (omit for the default policy), feeType, amount, graceDays, maxAmount, enabled }
+exports.savePolicy = catchAsync(async (req, res) => {
+    const propertyId = req.body.propertyId ? parseInt(req.body.propertyId) : null;
+    const data = parsePolicy(req.body);
+
+    if (propertyId) {
+        const property = await prisma.property.findUnique({ where: { id: propertyId } });
+        if (!property) throw new AppError('Property not found', 404);
+    }
+
+    const existing = await prisma.lateFeePolicy.findFirst({ where: { propertyId } });
+    const policy = existing
+        ? await prisma.lateFeePolicy.update({ where: { id: existing.id }, data })
+        : await prisma.lateFeePolicy.create({ data: { ...data, propertyId } });
+
+    res.json(policy);
+});
+
+// DELETE /api/admin/late-fees/policies/:id
+exports.deletePolicy = catchAsync(async (req, res) => {
+    const id = parseInt(req.params.id);
+    const policy = await prisma.lateFeePolicy.findUnique({ where: { id } });
+    if (!policy) throw new AppError('Late fee policy not found', 404);
+
+    await prisma.lateFeePolicy.delete({ where: { id } });
+    res.json({ message: 'Late fee policy deleted' });
+});
+
+// GET /api/admin/late-fees
+exports.getLateFees = catchAsync(async (req, res) => {
+    const lateFees = await prisma.invoice.findMany({
+        where: { category: 'LATE_FEE' },
+        include: {
+            tenant: { select: { id: true, name: true } },
+            unit: { select: { id: true, name: true } },
+            lateFeeFor: { select: { id: true, invoiceNo: true, dueDate: true, lateFeeWaivedAt: true, lateFeeWaiverReason: true } }
+        },
+        orderBy: { createdAt: 'desc' }
+    });
+
+    res.json(lateFees.map(fee => ({
+        id: fee.id,
+        invoiceNo: fee.invoiceNo,
+        tenant: fee.tenant,
+        unit: fee.unit,
+        amount: parseFloat(fee.amount),
+        balanceDue: parseFloat(fee.balanceDue),
+        status: fee.status,
+        createdAt: fee.createdAt,
+        originalInvoice: fee.lateFeeFor
+    })));
+});
+
+// POST /api/admin/late-fees/run (Trigger the daily assessment manually)
+exports.runLateFees = catchAsync(async (req, res) => {
+    const summary = await assessLateFees();
+    res.json({ message: 'Late fee assessment complete', ...summary });
+});
+
+// POST /api/admin/invoices/:id/waive-late-fee
+exports.waiveLateFee = catchAsync(async (req, res) => {
+    const reason = (req.body.reason || '').trim();
+    if (!reason) {
+        const err = new AppError('Validation failed', 400);
+        err.errors = { reason: 'A reason is required to waive a late fee' };
+        throw err;
+    }
+
+    const result = await waiveLateFee(parseInt(req.params.id), { reason, userId: req.user.id });
+
+    await auditService.log({
+        action: 'LATE_FEE_WAIVED',
+        actorId: req.user.id,
+        userId: result.invoice.tenantId,
+        req,
+        metadata: { invoiceId: result.invoice.id, lateFeeInvoiceId: result.lateFee ? result.lateFee.id : null, reason }
+    });
+
+    res.json({ message: 'Late fee waived', ...result });
+});
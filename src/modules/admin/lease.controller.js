@@ -1,11 +1,13 @@
 const prisma = require('../../config/prisma');
 const bcrypt = require('bcrypt');
 const crypto = require('crypto');
-const smsService = require('../../services/sms.service');
-const emailService = require('../../services/email.service');
+const { sendTemplatedEmail, sendTemplatedSMS, userContext } = require('../../services/template.service');
 const { generateLeasePDF } = require('../../utils/pdf.utils');
 const AppError = require('../../utils/AppError');
 const catchAsync = require('../../utils/catchAsync');
+const { recalculateInvoiceTaxes } = require('../../services/tax.service');
+const { billLease, toPeriod } = require('../../services/billing.service');
+const { syncInvoicePosting } = require('../../services/ledger.service');
 
 // GET /api/admin/leases/:id/download
 exports.downloadLeasePDF = async (req, res) => {
@@ -251,18 +253,23 @@ exports.updateLease = catchAsync(async (req, res, next) => {
 
         // 4. Sync with existing UNPAID invoices for this lease if rent changed
         if (leaseUpdateData.monthlyRent !== undefined) {
-            await tx.invoice.updateMany({
+            const zeroInvoices = await tx.invoice.findMany({
                 where: {
                     leaseId: id,
                     status: { not: 'paid' },
                     amount: 0
                 },
-                data: {
-                    rent: leaseUpdateData.monthlyRent.toString(),
-                    amount: leaseUpdateData.monthlyRent.toString(),
-                    balanceDue: leaseUpdateData.monthlyRent.toString()
-                }
+                select: { id: true }
             });
+
+            for (const inv of zeroInvoices) {
+                await tx.invoice.update({
+                    where: { id: inv.id },
+                    data: { rent: leaseUpdateData.monthlyRent.toString() }
+                });
+                await recalculateInvoiceTaxes(tx, inv.id);
+                await syncInvoicePosting(tx, inv.id);
+            }
         }
 
         return updatedLease;
@@ -369,37 +376,8 @@ exports.activateLease = catchAsync(async (req, res, next) => {
             });
         }
 
-        // 3. Auto-create Invoice for the current month
-        const monthStr = startDate.toLocaleString('default', { month: 'long', year: 'numeric' });
-        const existingInvoice = await tx.invoice.findFirst({
-            where: {
-                tenantId: tId,
-                unitId: uId,
-                month: monthStr
-            }
-        });
-
-        if (!existingInvoice) {
-            const count = await tx.invoice.count();
-            const invoiceNo = `INV-LEASE-${String(count + 1).padStart(5, '0')}`;
-            const rentAmt = parseFloat(updatedLease.monthlyRent) || 0;
-
-            await tx.invoice.create({
-                data: {
-                    invoiceNo,
-                    tenantId: tId,
-                    unitId: uId,
-                    leaseId: updatedLease.id,
-                    leaseType: updatedLease.unit.rentalMode,
-                    month: monthStr,
-                    rent: rentAmt,
-                    amount: rentAmt,
-                    balanceDue: rentAmt,
-                    status: 'sent',
-                    dueDate: startDate
-                }
-            });
-        }
+        // 3. Bill the first (prorated) month through the billing engine
+        await billLease(tx, { ...updatedLease, tenant: lease.tenant }, toPeriod(startDate));
 
         return updatedLease;
     });
@@ -676,43 +654,8 @@ exports.createLease = catchAsync(async (req, res, next) => {
             });
         }
 
-        // Auto-create Invoice for the first month
-        const monthStr = new Date(startDate).toLocaleString('default', { month: 'long', year: 'numeric' });
-
-        // Determine who to bill: If tenant is a RESIDENT, bill their Parent
-        const billableTenantId = targetTenant.type === 'RESIDENT' ? targetTenant.parentId : tId;
-
-        const existingInvoice = await tx.invoice.findFirst({
-            where: {
-                tenantId: billableTenantId,
-                unitId: uId,
-                month: monthStr
-            }
-        });
-
-        if (!existingInvoice) {
-            const count = await tx.invoice.count();
-            const invoiceNo = `INV-LEASE-${String(count + 1).padStart(5, '0')}`;
-            const rentAmt = parseFloat(monthlyRent) || 0;
-
-            await tx.invoice.create({
-                data: {
-                    invoiceNo,
-                    tenantId: billableTenantId,
-                    unitId: uId,
-                    leaseId: lease.id,
-                    leaseType: isFullUnitLease ? 'FULL_UNIT' : 'BEDROOM_WISE',
-                    month: monthStr,
-                    rent: rentAmt,
-                    serviceFees: 0,
-                    amount: rentAmt,
-                    paidAmount: 0,
-                    balanceDue: rentAmt,
-                    status: 'sent',
-                    dueDate: new Date(startDate)
-                }
-            });
-        }
+        // Bill the first (prorated) month through the billing engine
+        await billLease(tx, lease, toPeriod(lease.startDate));
 
         // 4. Link Co-Tenants (Residents)
         if (coTenantIds && Array.isArray(coTenantIds) && coTenantIds.length > 0) {
@@ -802,22 +745,30 @@ const processOnboardingInvitations = async (tenantId, coTenantIds = [], methods
                 }
             });
 
-            const inviteLink = `${loginUrl}/tenant/invite/${inviteToken}`;
-            let welcomeMsg = `Welcome to Property Management! \n\nYour login credentials for the portal: \nEmail: ${updatedUser.email}`;
-            if (password) {
-                welcomeMsg += ` \nPassword: ${password}`;
-            }
-            welcomeMsg += ` \n\nAccess your portal here: ${inviteLink}`;
+            const context = {
+                tenant: userContext(updatedUser),
+                login: { password, inviteLink: `${loginUrl}/tenant/invite/${inviteToken}` }
+            };
 
             const sendResults = { email: false, sms: false };
 
             if (methods.includes('email') && updatedUser.email) {
-                const eRes = await emailService.sendEmail(updatedUser.email, 'Welcome - Your Portal Access', welcomeMsg, { recipientId: user.id });
+                const eRes = await sendTemplatedEmail(updatedUser.email, 'TENANT_INVITE', context, {
+                    eventType: 'TENANT_CREATION_CREDENTIALS',
+                    recipientId: user.id,
+                    language: updatedUser.language,
+                    purpose: 'security'
+                });
                 sendResults.email = eRes.success;
             }
 
             if (methods.includes('sms') && updatedUser.phone) {
-                const sRes = await smsService.sendSMS(updatedUser.phone, welcomeMsg);
+                const sRes = await sendTemplatedSMS(updatedUser.phone, 'TENANT_INVITE', context, {
+                    eventType: 'TENANT_CREATION_CREDENTIALS',
+                    recipientId: user.id,
+                    language: updatedUser.language,
+                    purpose: 'security'
+                });
                 sendResults.sms = sRes.success;
             }
 
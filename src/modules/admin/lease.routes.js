@@ -1,14 +1,23 @@
 const express = require("express");
 const router = express.Router();
 const leaseController = require("./lease.controller");
+const {
+  authenticate,
+  authorize,
+  requirePermission,
+} = require("../../middlewares/auth.middleware");
+const { STAFF_ROLES } = require("../../constants/permissions");
 
-router.get("/", leaseController.getLeaseHistory);
-router.post("/", leaseController.createLease);
-router.get("/units-with-tenants", leaseController.getUnitsWithTenants);
-router.get("/active/:unitId", leaseController.getActiveLease);
-router.post("/:id/activate", leaseController.activateLease);
-router.post("/:id/send-credentials", leaseController.sendCredentials);
-router.put("/:id", leaseController.updateLease);
-router.delete("/:id", leaseController.deleteLease);
+router.use(authenticate);
+router.use(authorize(...STAFF_ROLES));
+
+router.get("/", requirePermission("leases:read"), leaseController.getLeaseHistory);
+router.post("/", requirePermission("leases:write"), leaseController.createLease);
+router.get("/units-with-tenants", requirePermission("leases:read"), leaseController.getUnitsWithTenants);
+router.get("/active/:unitId", requirePermission("leases:read"), leaseController.getActiveLease);
+router.post("/:id/activate", requirePermission("leases:activate"), leaseController.activateLease);
+router.post("/:id/send-credentials", requirePermission("leases:write"), leaseController.sendCredentials);
+router.put("/:id", requirePermission("leases:write"), leaseController.updateLease);
+router.delete("/:id", requirePermission("leases:write"), leaseController.deleteLease);
 
 module.exports = router;
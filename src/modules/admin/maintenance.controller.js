@@ -1,22 +1,39 @@
 const prisma = require('../../config/prisma');
+const AppError = require('../../utils/AppError');
+const catchAsync = require('../../utils/catchAsync');
+const workOrderCostService = require('../../services/workOrderCost.service');
+const maintenanceService = require('../../services/maintenance.service');
+const auditService = require('../../services/audit.service');
+const { MAINTENANCE_STATUS } = require('../../constants/statuses');
+
+const FREQUENCY_HELP = "Use Once, Weekly, Monthly, Quarterly, Semi-annually, Annually, 'Every N days|weeks|months|years' or 'cron: <min> <hour> <day> <month> <weekday>'";
+
+// Directory vendor for a task; its name is kept in the legacy `vendor` text column
+const resolveVendor = async (vendorId) => {
+    if (!vendorId) return null;
+    return prisma.vendor.findUnique({ where: { id: parseInt(vendorId) } });
+};
 
 // GET /api/admin/maintenance
 exports.getTasks = async (req, res) => {
     try {
-        const { propertyId } = req.query;
+        const { propertyId, vendorId, status } = req.query;
         const whereClause = {};
         if (propertyId && propertyId !== 'all') {
             whereClause.propertyId = parseInt(propertyId);
         }
+        if (vendorId) whereClause.vendorId = parseInt(vendorId);
+        if (status === 'open') whereClause.status = { in: maintenanceService.OPEN_STATUSES };
+        else if (status && status !== 'all') whereClause.status = maintenanceService.normalizeStatus(status) || status;
 
         const tasks = await prisma.maintenanceTask.findMany({
             where: whereClause,
-            include: { property: true },
+            include: { property: true, vendorRecord: { select: { id: true, name: true, phone: true } } },
             orderBy: { dueDate: 'asc' }
         });
 
         const formatted = tasks.map(t => ({
-            id: `MNT-${t.id + 100}`,
+            id: maintenanceService.taskRef(t),
             dbId: t.id,
             name: t.name,
             building: t.property ? t.property.name : 'General',
@@ -24,9 +41,14 @@ exports.getTasks = async (req, res) => {
             type: t.type,
             frequency: t.frequency,
             dueDate: t.dueDate?.toISOString().split('T')[0] || 'N/A',
-            vendor: t.vendor,
+            vendor: t.vendorRecord ? t.vendorRecord.name : t.vendor,
+            vendorId: t.vendorId,
+            vendorDetails: t.vendorRecord,
             status: t.status,
-            notes: t.notes
+            notes: t.notes,
+            recurring: maintenanceService.isRecurring(t.frequency),
+            completedAt: t.completedAt,
+            previousTaskId: t.previousTaskId
         }));
 
         res.json(formatted);
@@ -39,7 +61,14 @@ exports.getTasks = async (req, res) => {
 // POST /api/admin/maintenance
 exports.createTask = async (req, res) => {
     try {
-        const { name, buildingId, type, frequency, dueDate, vendor, notes } = req.body;
+        const { name, buildingId, type, frequency, dueDate, vendor, vendorId, notes } = req.body;
+
+        if (!maintenanceService.isValidFrequency(frequency)) {
+            return res.status(400).json({ message: `Unknown frequency. ${FREQUENCY_HELP}` });
+        }
+
+        const directoryVendor = await resolveVendor(vendorId);
+        if (vendorId && !directoryVendor) return res.status(404).json({ message: 'Vendor not found' });
 
         const newTask = await prisma.maintenanceTask.create({
             data: {
@@ -48,7 +77,8 @@ exports.createTask = async (req, res) => {
                 type,
                 frequency,
                 dueDate: new Date(dueDate),
-                vendor,
+                vendor: directoryVendor ? directoryVendor.name : vendor,
+                vendorId: directoryVendor ? directoryVendor.id : null,
                 status: 'Upcoming',
                 notes
             }
@@ -65,25 +95,57 @@ exports.createTask = async (req, res) => {
 exports.updateTask = async (req, res) => {
     try {
         const { id } = req.params;
-        const { status, name, notes, propertyId, type, frequency, dueDate, vendor } = req.body;
+        const { status, name, notes, propertyId, type, frequency, dueDate, vendor, vendorId } = req.body;
+
+        const targetStatus = status ? maintenanceService.normalizeStatus(status) : null;
+        if (status && !targetStatus) {
+            return res.status(400).json({ message: `Unknown status. Use one of: ${Object.values(MAINTENANCE_STATUS).join(', ')}` });
+        }
+        if (frequency && !maintenanceService.isValidFrequency(frequency)) {
+            return res.status(400).json({ message: `Unknown frequency. ${FREQUENCY_HELP}` });
+        }
+
+        const current = await prisma.maintenanceTask.findUnique({ where: { id: parseInt(id) } });
+        if (!current) return res.status(404).json({ message: 'Maintenance task not found' });
 
         const data = {};
-        if (status) data.status = status;
+        // Completion goes through the scheduler below so the next occurrence is generated
+        if (targetStatus && targetStatus !== MAINTENANCE_STATUS.COMPLETED) data.status = targetStatus;
+        if (targetStatus && targetStatus !== MAINTENANCE_STATUS.COMPLETED && current.status === MAINTENANCE_STATUS.COMPLETED) {
+            data.completedAt = null;
+            data.completedById = null;
+        }
         if (name) data.name = name;
         if (notes !== undefined) data.notes = notes;
         if (propertyId) data.propertyId = parseInt(propertyId);
         if (type) data.type = type;
         if (frequency) data.frequency = frequency;
-        if (dueDate) data.dueDate = new Date(dueDate);
+        if (dueDate) {
+            data.dueDate = new Date(dueDate);
+            if (!data.status) data.status = maintenanceService.statusForDueDate(current.status, data.dueDate);
+            if (data.status !== MAINTENANCE_STATUS.OVERDUE) data.overdueAt = null;
+        }
         if (vendor !== undefined) data.vendor = vendor;
+        if (vendorId !== undefined) {
+            const directoryVendor = await resolveVendor(vendorId);
+            if (vendorId && !directoryVendor) return res.status(404).json({ message: 'Vendor not found' });
+            data.vendorId = directoryVendor ? directoryVendor.id : null;
+            if (directoryVendor) data.vendor = directoryVendor.name;
+        }
 
         const updated = await prisma.maintenanceTask.update({
             where: { id: parseInt(id) },
             data
         });
 
+        if (targetStatus === MAINTENANCE_STATUS.COMPLETED && current.status !== MAINTENANCE_STATUS.COMPLETED) {
+            const result = await maintenanceService.completeTask(updated.id, { completedById: req.user.id });
+            return res.json({ ...result.task, nextTask: result.nextTask });
+        }
+
         res.json(updated);
     } catch (e) {
+        if (e.statusCode) return res.status(e.statusCode).json({ message: e.message });
         console.error(e);
         res.status(500).json({ message: 'Error updating task' });
     }
@@ -102,3 +164,91 @@ exports.deleteTask = async (req, res) => {
         res.status(500).json({ message: 'Error deleting task' });
     }
 };
+
+// POST /api/admin/maintenance/:id/complete
+// Body: { completedAt, notes } - schedules the next occurrence for recurring tasks
+exports.completeTask = catchAsync(async (req, res) => {
+    const completedAt = req.body.completedAt ? new Date(req.body.completedAt) : new Date();
+    if (isNaN(completedAt.getTime())) {
+        const err = new AppError('Validation failed', 400);
+        err.errors = { completedAt: 'Invalid date' };
+        throw err;
+    }
+
+    const result = await maintenanceService.completeTask(parseInt(req.params.id), {
+        completedAt,
+        completedById: req.user.id,
+        notes: req.body.notes
+    });
+    res.json(result);
+});
+
+// POST /api/admin/maintenance/digest
+// Body: { propertyId } - sends the weekly digest now (all properties when omitted)
+exports.sendDigest = catchAsync(async (req, res) => {
+    const result = await maintenanceService.sendWeeklyDigest({
+        propertyId: req.body.propertyId ? parseInt(req.body.propertyId) : null
+    });
+    res.json(result);
+});
+
+// GET /api/admin/maintenance/:id/costs
+exports.getTaskCosts = catchAsync(async (req, res) => {
+    res.json(await workOrderCostService.getCosts({ maintenanceTaskId: parseInt(req.params.id) }));
+});
+
+// POST /api/admin/maintenance/:id/costs
+// Body: { costType (Labour|Material|Other), description, amount, billToTenant, vendorId (defaults to the task's vendor), incurredAt }
+exports.addTaskCost = catchAsync(async (req, res) => {
+    const cost = await workOrderCostService.addCost({
+        maintenanceTaskId: parseInt(req.params.id),
+        vendorId: req.body.vendorId !== undefined ? (parseInt(req.body.vendorId) || null) : undefined,
+        costType: req.body.costType,
+        description: req.body.description,
+        amount: req.body.amount,
+        billToTenant: req.body.billToTenant === true || req.body.billToTenant === 'true',
+        incurredAt: req.body.incurredAt,
+        createdById: req.user.id
+    });
+    res.status(201).json(cost);
+});
+
+// POST /api/admin/maintenance/:id/chargeback
+// Body: { tenantId, costIds, issue }
+exports.createChargeback = catchAsync(async (req, res) => {
+    const result = await workOrderCostService.createChargeback({
+        maintenanceTaskId: parseInt(req.params.id),
+        tenantId: req.body.tenantId ? parseInt(req.body.tenantId) : null,
+        costIds: Array.isArray(req.body.costIds) ? req.body.costIds.map(id => parseInt(id)) : null,
+        issue: req.body.issue === true || req.body.issue === 'true',
+        createdById: req.user.id
+    });
+
+    await auditService.log({
+        action: 'CHARGEBACK_INVOICED',
+        userId: result.invoice.tenantId,
+        actorId: req.user.id,
+        req,
+        metadata: { maintenanceTaskId: parseInt(req.params.id), invoiceId: result.invoice.id, costIds: result.costs.map(c => c.id) }
+    });
+
+    res.status(201).json(result);
+});
+
+// PUT /api/admin/work-order-costs/:id
+// Body: { costType, description, amount, billToTenant, vendorId, incurredAt } - only before the line is billed
+exports.updateCost = catchAsync(async (req, res) => {
+    const { vendorId, billToTenant, ...rest } = req.body;
+    const cost = await workOrderCostService.updateCost(parseInt(req.params.id), {
+        ...rest,
+        ...(vendorId !== undefined ? { vendorId: parseInt(vendorId) || null } : {}),
+        ...(billToTenant !== undefined ? { billToTenant: billToTenant === true || billToTenant === 'true' } : {})
+    }, { actorId: req.user.id });
+    res.json(cost);
+});
+
+// DELETE /api/admin/work-order-costs/:id
+exports.deleteCost = catchAsync(async (req, res) => {
+    await workOrderCostService.deleteCost(parseInt(req.params.id), { actorId: req.user.id });
+    res.json({ message: 'Cost line deleted' });
+});
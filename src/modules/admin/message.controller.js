@@ -71,7 +71,11 @@ exports.sendMessage = async (req, res) => {
         // Optionally send SMS notification if requested
         if (sendSMS && message.receiver.phone) {
             try {
-                await smsService.sendSMS(message.receiver.phone, content);
+                await smsService.sendSMS(message.receiver.phone, content, {
+                    purpose: 'conversational',
+                    eventType: 'CHAT_MESSAGE',
+                    recipientId: message.receiver.id
+                });
                 console.log(`SMS sent to ${message.receiver.phone} for message ${message.id}`);
             } catch (smsError) {
                 console.error('SMS send failed:', smsError);
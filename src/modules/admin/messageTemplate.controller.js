@@ -0,0 +1,136 @@
+const prisma = require('../../config/prisma');
+const AppError = require('../../utils/AppError');
+const catchAsync = require('../../utils/catchAsync');
+const auditService = require('../../services/audit.service');
+const EmailService = require('../../services/email.service');
+const { sendSMS } = require('../../services/sms.service');
+const templateService = require('../../services/template.service');
+
+const { TEMPLATE_CHANNELS, TEMPLATE_EVENTS, DEFAULT_LANGUAGE } = templateService;
+
+const parseTemplate = (body) => {
+    const errors = {};
+
+    const eventType = String(body.eventType || '').toUpperCase();
+    if (!TEMPLATE_EVENTS[eventType]) errors.eventType = `Event type must be one of: ${Object.keys(TEMPLATE_EVENTS).join(', ')}`;
+
+    const channel = String(body.channel || '').toUpperCase();
+    if (!Object.values(TEMPLATE_CHANNELS).includes(channel)) errors.channel = `Channel must be one of: ${Object.values(TEMPLATE_CHANNELS).join(', ')}`;
+
+    const language = String(body.language || DEFAULT_LANGUAGE).trim();
+    if (!/^[a-z]{2}(-[A-Z]{2})?$/.test(language)) errors.language = 'Language must be a code such as en or fr-CA';
+
+    if (!body.body || !String(body.body).trim()) errors.body = 'Message body is required';
+    if (channel === TEMPLATE_CHANNELS.EMAIL && (!body.subject || !String(body.subject).trim())) errors.subject = 'Subject is required for email';
+
+    if (Object.keys(errors).length > 0) {
+        const err = new AppError('Validation failed', 400);
+        err.errors = errors;
+        throw err;
+    }
+
+    return {
+        eventType,
+        channel,
+        language,
+        subject: channel === TEMPLATE_CHANNELS.EMAIL ? String(body.subject).trim() : null,
+        body: String(body.body),
+        htmlBody: channel === TEMPLATE_CHANNELS.EMAIL && body.htmlBody ? String(body.htmlBody) : null,
+        active: body.active === undefined ? true : body.active === true || body.active === 'true'
+    };
+};
+
+// Template to preview or test: the draft in the body when given, otherwise the one that would be used
+const templateFromRequest = async (body) => {
+    if (body.body) return parseTemplate(body);
+
+    const eventType = String(body.eventType || '').toUpperCase();
+    const channel = String(body.channel || '').toUpperCase();
+    const template = await templateService.resolveTemplate(eventType, channel, body.language || DEFAULT_LANGUAGE);
+    if (!template) throw new AppError(`No ${channel || 'channel'} template for ${eventType || 'event'}`, 404);
+    return { ...template, eventType, channel };
+};
+
+const previewContext = (eventType, overrides) => ({ ...TEMPLATE_EVENTS[eventType].sample, ...(overrides || {}) });
+
+// GET /api/admin/message-templates
+// Every event with its variables, built-in defaults and saved templates
+exports.getTemplates = catchAsync(async (req, res) => {
+    const saved = await prisma.messageTemplate.findMany({ orderBy: [{ eventType: 'asc' }, { channel: 'asc' }, { language: 'asc' }] });
+
+    res.json(Object.entries(TEMPLATE_EVENTS).map(([eventType, event]) => ({
+        eventType,
+        description: event.description,
+        variables: event.variables,
+        channels: Object.keys(event.defaults),
+        defaults: event.defaults,
+        templates: saved.filter(t => t.eventType === eventType)
+    })));
+});
+
+// PUT /api/admin/message-templates
+// Body: { eventType, channel, language, subject, body, htmlBody, active }
+exports.saveTemplate = catchAsync(async (req, res) => {
+    const data = parseTemplate(req.body);
+    const { eventType, channel, language } = data;
+
+    const template = await prisma.messageTemplate.upsert({
+        where: { eventType_channel_language: { eventType, channel, language } },
+        update: { ...data, updatedById: req.user.id },
+        create: { ...data, updatedById: req.user.id }
+    });
+
+    await auditService.log({
+        action: 'MESSAGE_TEMPLATE_UPDATED',
+        actorId: req.user.id,
+        req,
+        metadata: { templateId: template.id, eventType, channel, language }
+    });
+
+    res.json(template);
+});
+
+// DELETE /api/admin/message-templates/:id (falls back to the default text)
+exports.deleteTemplate = catchAsync(async (req, res) => {
+    const id = parseInt(req.params.id);
+    const template = await prisma.messageTemplate.findUnique({ where: { id } });
+    if (!template) throw new AppError('Message template not found', 404);
+
+    await prisma.messageTemplate.delete({ where: { id } });
+
+    await auditService.log({
+        action: 'MESSAGE_TEMPLATE_DELETED',
+        actorId: req.user.id,
+        req,
+        metadata: { eventType: template.eventType, channel: template.channel, language: template.language }
+    });
+
+    res.json({ message: 'Message template deleted' });
+});
+
+// POST /api/admin/message-templates/preview
+// Body: { eventType, channel, language, subject, body, htmlBody (unsaved draft, optional), context (overrides the sample values) }
+exports.previewTemplate = catchAsync(async (req, res) => {
+    const template = await templateFromRequest(req.body);
+    const rendered = await templateService.renderWith(template, previewContext(template.eventType, req.body.context));
+    res.json({ eventType: template.eventType, channel: template.channel, ...rendered });
+});
+
+// POST /api/admin/message-templates/test-send
+// Body: same as preview plus { to } - an email address or phone number depending on the channel
+exports.testSendTemplate = catchAsync(async (req, res) => {
+    if (!req.body.to) throw new AppError('A recipient (to) is required', 400);
+
+    const template = await templateFromRequest(req.body);
+    const rendered = await templateService.renderWith(template, previewContext(template.eventType, req.body.context));
+
+    const result = template.channel === TEMPLATE_CHANNELS.EMAIL
+        ? await EmailService.sendEmail(req.body.to, `[TEST] ${rendered.subject || template.eventType}`, rendered.text, {
+            eventType: 'TEMPLATE_TEST',
+            html: rendered.html
+        })
+        : await sendSMS(req.body.to, rendered.text, { eventType: 'TEMPLATE_TEST', purpose: 'conversational' });
+
+    if (!result.success) throw new AppError(`Test message failed: ${result.error || result.message}`, 502);
+    res.json({ message: `Test ${template.channel.toLowerCase()} sent to ${req.body.to}`, ...rendered });
+});
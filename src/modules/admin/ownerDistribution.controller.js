@@ -0,0 +1,291 @@
+const prisma = require('../../config/prisma');
+const AppError = require('../../utils/AppError');
+const catchAsync = require('../../utils/catchAsync');
+const auditService = require('../../services/audit.service');
+const distributionService = require('../../services/ownerDistribution.service');
+
+const parseDate = (value, field) => {
+    if (!value) return null;
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        const err = new AppError('Validation failed', 400);
+        err.errors = { [field]: 'Invalid date' };
+        throw err;
+    }
+    return date;
+};
+
+const formatDistribution = (d) => ({
+    id: d.id,
+    ownerId: d.ownerId,
+    owner: d.owner ? { id: d.owner.id, name: d.owner.name, email: d.owner.email } : undefined,
+    statementId: d.statementId,
+    period: d.period,
+    grossAmount: parseFloat(d.grossAmount),
+    reserveHeld: parseFloat(d.reserveHeld),
+    amount: parseFloat(d.amount),
+    status: d.status,
+    method: d.method,
+    reference: d.reference,
+    scheduledFor: d.scheduledFor,
+    paidAt: d.paidAt,
+    batchId: d.batchId,
+    reserveHolds: d.details ? JSON.parse(d.details).holds : [],
+    notes: d.notes,
+    createdAt: d.createdAt
+});
+
+// GET /api/admin/owner-distributions?ownerId=&status=&period=
+exports.getDistributions = catchAsync(async (req, res) => {
+    const where = {};
+    if (req.query.ownerId) where.ownerId = parseInt(req.query.ownerId);
+    if (req.query.status) where.status = req.query.status;
+    if (req.query.period) where.period = req.query.period;
+
+    const distributions = await prisma.ownerDistribution.findMany({
+        where,
+        include: { owner: true },
+        orderBy: [{ scheduledFor: 'desc' }, { id: 'desc' }]
+    });
+    res.json(distributions.map(formatDistribution));
+});
+
+// POST /api/admin/owner-distributions/schedule
+// Body: { statementId, scheduledFor, notes } for one statement, or { period, ownerId } for every unscheduled statement
+exports.scheduleDistributions = catchAsync(async (req, res) => {
+    let result;
+    if (req.body.statementId) {
+        const distribution = await distributionService.scheduleDistribution(parseInt(req.body.statementId), {
+            scheduledFor: parseDate(req.body.scheduledFor, 'scheduledFor'),
+            notes: req.body.notes || null,
+            createdById: req.user.id
+        });
+        result = { distribution: formatDistribution(distribution) };
+    } else {
+        if (!req.body.period) throw new AppError('statementId or period is required', 400);
+        result = await distributionService.scheduleDistributions({
+            period: req.body.period,
+            ownerId: req.body.ownerId ? parseInt(req.body.ownerId) : null,
+            createdById: req.user.id
+        });
+    }
+
+    await auditService.log({
+        action: 'OWNER_DISTRIBUTIONS_SCHEDULED',
+        actorId: req.user.id,
+        req,
+        metadata: result.summary || { distributionId: result.distribution.id, statementId: req.body.statementId }
+    });
+
+    res.status(201).json(result);
+});
+
+// POST /api/admin/owner-distributions/:id/pay
+// Body: { method, reference, paidAt, notes }
+exports.markPaid = catchAsync(async (req, res) => {
+    const distribution = await distributionService.markPaid(parseInt(req.params.id), {
+        method: req.body.method ? String(req.body.method).toUpperCase() : undefined,
+        reference: req.body.reference || undefined,
+        paidAt: parseDate(req.body.paidAt, 'paidAt') || undefined,
+        notes: req.body.notes
+    });
+
+    await auditService.log({
+        action: 'OWNER_DISTRIBUTION_PAID',
+        userId: distribution.ownerId,
+        actorId: req.user.id,
+        req,
+        metadata: { distributionId: distribution.id, amount: parseFloat(distribution.amount), method: distribution.method, reference: distribution.reference }
+    });
+
+    res.json(formatDistribution(distribution));
+});
+
+// POST /api/admin/owner-distributions/:id/cancel
+exports.cancelDistribution = catchAsync(async (req, res) => {
+    const distribution = await distributionService.cancelDistribution(parseInt(req.params.id));
+
+    await auditService.log({
+        action: 'OWNER_DISTRIBUTION_CANCELLED',
+        userId: distribution.ownerId,
+        actorId: req.user.id,
+        req,
+        metadata: { distributionId: distribution.id, reserveReleased: parseFloat(distribution.reserveHeld) }
+    });
+
+    res.json(formatDistribution(distribution));
+});
+
+// POST /api/admin/owner-distributions/:id/release (after confirming an owner's payout account change with them)
+exports.releaseDistribution = catchAsync(async (req, res) => {
+    const distribution = await distributionService.releaseDistribution(parseInt(req.params.id));
+
+    await auditService.log({
+        action: 'OWNER_DISTRIBUTION_RELEASED',
+        userId: distribution.ownerId,
+        actorId: req.user.id,
+        req,
+        metadata: { distributionId: distribution.id, method: distribution.method }
+    });
+
+    res.json(formatDistribution(distribution));
+});
+
+// GET /api/admin/owner-distributions/reconciliation?ownerId=&period=
+exports.getReconciliation = catchAsync(async (req, res) => {
+    res.json(await distributionService.getReconciliation({
+        ownerId: req.query.ownerId ? parseInt(req.query.ownerId) : null,
+        period: req.query.period || null
+    }));
+});
+
+// GET /api/admin/owner-distributions/batches
+exports.getBatches = catchAsync(async (req, res) => {
+    const batches = await prisma.distributionBatch.findMany({ orderBy: { createdAt: 'desc' } });
+    res.json(batches.map(b => ({ ...b, totalAmount: parseFloat(b.totalAmount) })));
+});
+
+// POST /api/admin/owner-distributions/batches
+// Body: { distributionIds (omit for every ACH payout due by the effective date), effectiveDate }
+exports.createBatch = catchAsync(async (req, res) => {
+    const distributionIds = Array.isArray(req.body.distributionIds) && req.body.distributionIds.length > 0
+        ? req.body.distributionIds.map(id => parseInt(id))
+        : null;
+
+    const { batch, skipped } = await distributionService.createNachaBatch({
+        distributionIds,
+        effectiveDate: parseDate(req.body.effectiveDate, 'effectiveDate'),
+        createdById: req.user.id
+    });
+
+    await auditService.log({
+        action: 'OWNER_DISTRIBUTION_BATCH_EXPORTED',
+        actorId: req.user.id,
+        req,
+        metadata: { batchId: batch.id, entryCount: batch.entryCount, totalAmount: parseFloat(batch.totalAmount), skipped: skipped.length }
+    });
+
+    res.status(201).json({ batch: { ...batch, totalAmount: parseFloat(batch.totalAmount) }, skipped });
+});
+
+// GET /api/admin/owner-distributions/batches/:id/download
+exports.downloadBatch = catchAsync(async (req, res) => {
+    const { batch, content } = await distributionService.getNachaFile(parseInt(req.params.id));
+
+    res.setHeader('Content-Type', 'text/plain');
+    res.setHeader('Content-Disposition', `attachment; filename=${batch.fileName}`);
+    res.send(content);
+});
+
+// POST /api/admin/owner-distributions/batches/:id/settle
+// Body: { paidAt } - the bank has processed the file
+exports.settleBatch = catchAsync(async (req, res) => {
+    const batch = await distributionService.settleBatch(parseInt(req.params.id), parseDate(req.body.paidAt, 'paidAt') || new Date());
+
+    await auditService.log({
+        action: 'OWNER_DISTRIBUTION_BATCH_SETTLED',
+        actorId: req.user.id,
+        req,
+        metadata: { batchId: batch.id }
+    });
+
+    res.json({ ...batch, totalAmount: parseFloat(batch.totalAmount) });
+});
+
+// GET /api/admin/property-reserves
+exports.getReserves = catchAsync(async (req, res) => {
+    const reserves = await prisma.propertyReserve.findMany({
+        include: { property: { select: { id: true, name: true } } },
+        orderBy: { propertyId: 'asc' }
+    });
+    res.json(reserves.map(r => ({
+        ...r,
+        targetAmount: parseFloat(r.targetAmount),
+        balance: parseFloat(r.balance),
+        shortfall: Math.max(parseFloat(r.targetAmount) - parseFloat(r.balance), 0)
+    })));
+});
+
+// PUT /api/admin/properties/:id/reserve
+// Body: { targetAmount, balance } - balance is only changed when given (e.g. after spending the reserve)
+exports.saveReserve = catchAsync(async (req, res) => {
+    const propertyId = parseInt(req.params.id);
+    const property = await prisma.property.findUnique({ where: { id: propertyId } });
+    if (!property) throw new AppError('Property not found', 404);
+
+    const errors = {};
+    const targetAmount = parseFloat(req.body.targetAmount);
+    if (isNaN(targetAmount) || targetAmount < 0) errors.targetAmount = 'Target must be a positive number';
+
+    let balance;
+    if (req.body.balance !== undefined && req.body.balance !== null && req.body.balance !== '') {
+        balance = parseFloat(req.body.balance);
+        if (isNaN(balance) || balance < 0) errors.balance = 'Balance must be a positive number';
+    }
+
+    if (Object.keys(errors).length > 0) {
+        const err = new AppError('Validation failed', 400);
+        err.errors = errors;
+        throw err;
+    }
+
+    const before = await prisma.propertyReserve.findUnique({ where: { propertyId } });
+    const reserve = await prisma.propertyReserve.upsert({
+        where: { propertyId },
+        update: { targetAmount, ...(balance !== undefined ? { balance } : {}) },
+        create: { propertyId, targetAmount, balance: balance || 0 }
+    });
+
+    await auditService.log({
+        action: 'PROPERTY_RESERVE_UPDATED',
+        actorId: req.user.id,
+        req,
+        metadata: {
+            propertyId,
+            targetAmount,
+            balanceBefore: before ? parseFloat(before.balance) : 0,
+            balanceAfter: parseFloat(reserve.balance)
+        }
+    });
+
+    res.json({ ...reserve, targetAmount: parseFloat(reserve.targetAmount), balance: parseFloat(reserve.balance) });
+});
+
+// GET /api/admin/owners/:id/payout-account
+exports.getPayoutAccount = catchAsync(async (req, res) => {
+    const account = await prisma.ownerPayoutAccount.findUnique({ where: { ownerId: parseInt(req.params.id) } });
+    res.json(distributionService.formatPayoutAccount(account));
+});
+
+// PUT /api/admin/owners/:id/payout-account
+// Body: { method (ACH, CHECK, WIRE), accountName, routingNumber, accountNumber, accountType }
+exports.savePayoutAccount = catchAsync(async (req, res) => {
+    const ownerId = parseInt(req.params.id);
+    const { account } = await distributionService.savePayoutAccount(ownerId, req.body);
+
+    await auditService.log({
+        action: 'OWNER_PAYOUT_ACCOUNT_UPDATED',
+        userId: ownerId,
+        actorId: req.user.id,
+        req,
+        metadata: { method: account.method, accountNumber: distributionService.maskAccountNumber(account.accountNumber) }
+    });
+
+    res.json(distributionService.formatPayoutAccount(account));
+});
+
+// POST /api/admin/owners/:id/payout-account/verify (after confirming the owner's payout account change with them)
+exports.verifyPayoutAccount = catchAsync(async (req, res) => {
+    const ownerId = parseInt(req.params.id);
+    const { account, released } = await distributionService.verifyPayoutAccount(ownerId, req.user.id);
+
+    await auditService.log({
+        action: 'OWNER_PAYOUT_ACCOUNT_VERIFIED',
+        userId: ownerId,
+        actorId: req.user.id,
+        req,
+        metadata: { method: account.method, accountNumber: distributionService.maskAccountNumber(account.accountNumber), distributionsReleased: released }
+    });
+
+    res.json({ ...distributionService.formatPayoutAccount(account), distributionsReleased: released });
+});
@@ -0,0 +1,198 @@
+const prisma = require('../../config/prisma');
+const AppError = require('../../utils/AppError');
+const catchAsync = require('../../utils/catchAsync');
+const auditService = require('../../services/audit.service');
+const ownerStatementService = require('../../services/ownerStatement.service');
+const { getBrandingSettings } = require('../../services/settings.service');
+const { generateOwnerStatementPDF } = require('../../utils/pdf.utils');
+
+const { MANAGEMENT_FEE_TYPES } = ownerStatementService;
+
+const formatStatement = (statement) => ({
+    id: statement.id,
+    ownerId: statement.ownerId,
+    owner: statement.owner ? { id: statement.owner.id, name: statement.owner.name, email: statement.owner.email } : undefined,
+    period: statement.period,
+    income: parseFloat(statement.income),
+    expenses: parseFloat(statement.expenses),
+    managementFee: parseFloat(statement.managementFee),
+    netPayable: parseFloat(statement.netPayable),
+    status: statement.status,
+    sentAt: statement.sentAt,
+    documentId: statement.documentId,
+    fileUrl: statement.document ? statement.document.fileUrl : null,
+    createdAt: statement.createdAt,
+    updatedAt: statement.updatedAt
+});
+
+// GET /api/admin/owner-statements?ownerId=&period=
+exports.getStatements = catchAsync(async (req, res) => {
+    const where = {};
+    if (req.query.ownerId) where.ownerId = parseInt(req.query.ownerId);
+    if (req.query.period) where.period = req.query.period;
+
+    const statements = await prisma.ownerStatement.findMany({
+        where,
+        include: { owner: true, document: { select: { fileUrl: true } } },
+        orderBy: [{ period: 'desc' }, { ownerId: 'asc' }]
+    });
+    res.json(statements.map(formatStatement));
+});
+
+// GET /api/admin/owner-statements/preview?ownerId=&period=
+// Statement figures without saving anything
+exports.previewStatement = catchAsync(async (req, res) => {
+    const ownerId = parseInt(req.query.ownerId);
+    if (isNaN(ownerId)) throw new AppError('ownerId is required', 400);
+
+    res.json(await ownerStatementService.buildStatement(ownerId, req.query.period || ownerStatementService.previousPeriod()));
+});
+
+// POST /api/admin/owner-statements/generate
+// Body: { period ('YYYY-MM', default last month), ownerId (omit for every owner), send }
+exports.generateStatements = catchAsync(async (req, res) => {
+    const send = req.body.send === true || req.body.send === 'true';
+    const result = await ownerStatementService.generateStatements({
+        period: req.body.period || undefined,
+        ownerId: req.body.ownerId ? parseInt(req.body.ownerId) : null,
+        send,
+        createdById: req.user.id
+    });
+
+    await auditService.log({
+        action: 'OWNER_STATEMENTS_GENERATED',
+        actorId: req.user.id,
+        req,
+        metadata: { ...result.summary, ownerId: req.body.ownerId || null, send }
+    });
+
+    res.json(result);
+});
+
+// POST /api/admin/owner-statements/:id/send
+exports.sendStatement = catchAsync(async (req, res) => {
+    const statement = await ownerStatementService.sendStatement(parseInt(req.params.id));
+    res.json({ message: 'Statement emailed to the owner', statement: formatStatement(statement) });
+});
+
+// GET /api/admin/owner-statements/:id/download
+exports.downloadStatement = catchAsync(async (req, res) => {
+    const statement = await prisma.ownerStatement.findUnique({ where: { id: parseInt(req.params.id) } });
+    if (!statement) throw new AppError('Owner statement not found', 404);
+
+    generateOwnerStatementPDF(JSON.parse(statement.details), res, await getBrandingSettings());
+});
+
+const parseFeePolicy = (body) => {
+    const errors = {};
+
+    const feeType = String(body.feeType || MANAGEMENT_FEE_TYPES.PERCENTAGE).toUpperCase();
+    if (!Object.values(MANAGEMENT_FEE_TYPES).includes(feeType)) {
+        errors.feeType = `Fee type must be one of: ${Object.values(MANAGEMENT_FEE_TYPES).join(', ')}`;
+    }
+
+    const amount = parseFloat(body.amount);
+    if (isNaN(amount) || amount < 0) errors.amount = 'Amount must be a positive number';
+    else if (feeType === MANAGEMENT_FEE_TYPES.PERCENTAGE && amount > 100) errors.amount = 'Percentage cannot exceed 100';
+
+    let minAmount = null;
+    if (body.minAmount !== undefined && body.minAmount !== null && body.minAmount !== '') {
+        minAmount = parseFloat(body.minAmount);
+        if (isNaN(minAmount) || minAmount < 0) errors.minAmount = 'Minimum fee must be a positive number';
+        else if (feeType === MANAGEMENT_FEE_TYPES.FLAT) errors.minAmount = 'Only used with percentage fees';
+    }
+
+    if (Object.keys(errors).length > 0) {
+        const err = new AppError('Validation failed', 400);
+        err.errors = errors;
+        throw err;
+    }
+
+    return {
+        enabled: body.enabled === undefined ? true : body.enabled === true || body.enabled === 'true',
+        feeType,
+        amount,
+        minAmount
+    };
+};
+
+// GET /api/admin/management-fees
+exports.getFeePolicies = catchAsync(async (req, res) => {
+    const policies = await prisma.managementFeePolicy.findMany({
+        include: {
+            property: { select: { id: true, name: true } },
+            owner: { select: { id: true, name: true } }
+        },
+        orderBy: { id: 'asc' }
+    });
+    res.json(policies);
+});
+
+// PUT /api/admin/management-fees
+// Body: { propertyId, ownerId (omit both for the default policy), feeType, amount, minAmount, enabled }
+exports.saveFeePolicy = catchAsync(async (req, res) => {
+    const propertyId = req.body.propertyId ? parseInt(req.body.propertyId) : null;
+    const ownerId = req.body.ownerId ? parseInt(req.body.ownerId) : null;
+    const data = parseFeePolicy(req.body);
+
+    if (propertyId) {
+        const property = await prisma.property.findUnique({ where: { id: propertyId } });
+        if (!property) throw new AppError('Property not found', 404);
+    }
+    if (ownerId) {
+        const owner = await prisma.user.findUnique({ where: { id: ownerId } });
+        if (!owner || owner.role !== 'OWNER') throw new AppError('Owner not found', 404);
+    }
+
+    const existing = await prisma.managementFeePolicy.findFirst({ where: { propertyId, ownerId } });
+    const policy = existing
+        ? await prisma.managementFeePolicy.update({ where: { id: existing.id }, data })
+        : await prisma.managementFeePolicy.create({ data: { ...data, propertyId, ownerId } });
+
+    res.json(policy);
+});
+
+// DELETE /api/admin/management-fees/:id
+exports.deleteFeePolicy = catchAsync(async (req, res) => {
+    const id = parseInt(req.params.id);
+    const policy = await prisma.managementFeePolicy.findUnique({ where: { id } });
+    if (!policy) throw new AppError('Management fee policy not found', 404);
+
+    await prisma.managementFeePolicy.delete({ where: { id } });
+    res.json({ message: 'Management fee policy deleted' });
+});
+
+// GET /api/admin/properties/:id/ownership
+exports.getOwnership = catchAsync(async (req, res) => {
+    const property = await prisma.property.findUnique({
+        where: { id: parseInt(req.params.id) },
+        include: {
+            owners: { select: { id: true, name: true, email: true } },
+            ownershipShares: true
+        }
+    });
+    if (!property) throw new AppError('Property not found', 404);
+
+    const shares = ownerStatementService.getOwnerShares(property);
+    res.json({
+        propertyId: property.id,
+        configured: property.ownershipShares.length > 0,
+        owners: property.owners.map(o => ({ ...o, percentage: Math.round((shares[o.id] || 0) * 10000) / 100 }))
+    });
+});
+
+// PUT /api/admin/properties/:id/ownership
+// Body: { shares: [{ ownerId, percentage }] } - must add up to 100; an empty list splits equally
+exports.saveOwnership = catchAsync(async (req, res) => {
+    const propertyId = parseInt(req.params.id);
+    const shares = await ownerStatementService.setOwnershipShares(propertyId, req.body.shares || []);
+
+    await auditService.log({
+        action: 'PROPERTY_OWNERSHIP_UPDATED',
+        actorId: req.user.id,
+        req,
+        metadata: { propertyId, shares: shares.map(s => ({ ownerId: s.ownerId, percentage: parseFloat(s.percentage) })) }
+    });
+
+    res.json(shares);
+});
@@ -1,4 +1,7 @@
 const prisma = require('../../config/prisma');
+const { applyInvoicePayment } = require('../../services/payment.service');
+const paymentGateway = require('../../services/paymentGateway.service');
+const catchAsync = require('../../utils/catchAsync');
 const { generateReceiptPDF } = require('../../utils/pdf.utils');
 
 // GET /api/admin/payments/:id/download
@@ -33,7 +36,7 @@ exports.getOutstandingDues = async (req, res) => {
         const dues = await prisma.invoice.findMany({
             where: {
                 status: {
-                    not: 'paid'
+                    notIn: ['paid', 'void']
                 }
             },
             include: {
@@ -51,11 +54,12 @@ exports.getOutstandingDues = async (req, res) => {
             const diffTime = now - dueDate;
             const daysOverdue = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
 
-            // Determine status dynamically based on date if not already 'paid'
-            // If API status is 'draft', we might want to show it as 'Pending' or 'Overdue'
+            // 'overdue' is set by the late fee cron once the grace period has passed
             let status = 'Pending';
-            if (daysOverdue > 0) {
+            if (due.status === 'overdue') {
                 status = 'Overdue';
+            } else if (daysOverdue > 0) {
+                status = 'In Grace Period';
             }
 
             return {
@@ -69,6 +73,7 @@ exports.getOutstandingDues = async (req, res) => {
                     day: '2-digit', month: 'short', year: 'numeric'
                 }),
                 daysOverdue: daysOverdue > 0 ? daysOverdue : 0,
+                category: due.category,
                 status: status
             };
         });
@@ -139,74 +144,12 @@ exports.recordPayment = async (req, res) => {
                 throw new Error('Invoice not found');
             }
 
-            // 2. Create Payment Record
-            const payment = await tx.payment.create({
-                data: {
-                    invoiceId: invoice.id,
-                    amount: payAmount,
-                    method: paymentMethod || 'Cash',
-                    date: new Date()
-                }
-            });
-
-            // 3. Update Invoice Status and Balances
-            const currentPaid = parseFloat(invoice.paidAmount) || 0;
-            const totalRequired = parseFloat(invoice.amount) || 0;
-
-            const newPaidAmount = currentPaid + payAmount;
-            const newBalanceDue = totalRequired - newPaidAmount;
-
-            let status = 'partial';
-            if (newBalanceDue <= 0) {
-                status = 'paid';
-            }
-
-            const updatedInvoice = await tx.invoice.update({
-                where: { id: invoice.id },
-                data: {
-                    paidAmount: newPaidAmount,
-                    balanceDue: Math.max(0, newBalanceDue),
-                    status: status,
-                    paidAt: status === 'paid' ? new Date() : invoice.paidAt,
-                    paymentMethod: paymentMethod || invoice.paymentMethod
-                }
-            });
-
-            // 4. Create Ledger Transaction
-            let rentAccount = await tx.account.findFirst({
-                where: { accountName: 'Rent Income' }
-            });
-
-            if (!rentAccount) {
-                rentAccount = await tx.account.create({
-                    data: {
-                        accountName: 'Rent Income',
-                        assetType: 'Income',
-                        openingBalance: 0
-                    }
-                });
-            }
-
-            const lastTx = await tx.transaction.findFirst({
-                orderBy: { id: 'desc' }
+            // 2. Payment, invoice balances and ledger entry
+            return applyInvoicePayment(tx, invoice, {
+                amount: payAmount,
+                method: paymentMethod || 'Cash',
+                reference: req.body.reference || null
             });
-            const prevBalance = lastTx ? parseFloat(lastTx.balance) : 0;
-
-            const transaction = await tx.transaction.create({
-                data: {
-                    date: new Date(),
-                    description: `Payment - ${invoice.month} (Inv: ${invoice.invoiceNo})`,
-                    type: 'Income',
-                    amount: payAmount,
-                    balance: prevBalance + payAmount,
-                    status: 'Completed',
-                    invoiceId: invoice.id,
-                    paymentId: payment.id,
-                    accountId: rentAccount.id
-                }
-            });
-
-            return { payment, updatedInvoice, transaction };
         });
 
         res.json({
@@ -223,3 +166,35 @@ exports.recordPayment = async (req, res) => {
         res.status(500).json({ message: e.message || 'Payment recording failed' });
     }
 };
+
+// GET /api/admin/payment-intents (Online payments and their provider status)
+exports.getPaymentIntents = catchAsync(async (req, res) => {
+    const where = {};
+    if (req.query.status) where.status = req.query.status;
+
+    const intents = await prisma.paymentIntent.findMany({
+        where,
+        include: {
+            tenant: { select: { id: true, name: true } },
+            invoice: { select: { id: true, invoiceNo: true } },
+            refunds: true
+        },
+        orderBy: { createdAt: 'desc' },
+        take: parseInt(req.query.limit) || 100
+    });
+
+    res.json(intents.map(({ clientSecret, ...intent }) => intent));
+});
+
+// POST /api/admin/payments/:id/refund
+// Body: { amount? (defaults to the refundable balance), reason }
+exports.refundPayment = catchAsync(async (req, res) => {
+    const refund = await paymentGateway.refundPayment(parseInt(req.params.id), {
+        amount: req.body.amount,
+        reason: req.body.reason || null,
+        requestedById: req.user.id,
+        idempotencyKey: req.get('Idempotency-Key') || req.body.idempotencyKey
+    });
+
+    res.status(201).json(refund);
+});
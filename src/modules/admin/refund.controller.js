@@ -1,4 +1,6 @@
 const prisma = require('../../config/prisma');
+const { allocateRefundNumber } = require('../../services/numbering.service');
+const { postRefundIssued } = require('../../services/ledger.service');
 
 // GET /api/admin/refunds
 exports.getRefunds = async (req, res) => {
@@ -39,8 +41,7 @@ exports.createRefund = async (req, res) => {
         const { type, reason, tenantId, unitId, amount, status, date } = req.body;
 
         const result = await prisma.$transaction(async (tx) => {
-            const count = await tx.refundAdjustment.count();
-            const requestId = `RA-${String(count + 1).padStart(5, '0')}`;
+            const requestId = await allocateRefundNumber(tx, date ? new Date(date) : new Date());
 
             const refundamt = parseFloat(amount) || 0;
 
@@ -54,7 +55,8 @@ exports.createRefund = async (req, res) => {
                     amount: refundamt,
                     status: status || 'Completed',
                     date: date ? new Date(date) : new Date()
-                }
+                },
+                include: { unit: true }
             });
 
             // Notification for Security Deposit (Requirement from user)
@@ -68,20 +70,10 @@ exports.createRefund = async (req, res) => {
                 });
             }
 
-            // Ledger Entry (Accounting Requirement)
-            const lastTx = await tx.transaction.findFirst({ orderBy: { id: 'desc' } });
-            const prevBalance = lastTx ? parseFloat(lastTx.balance) : 0;
-
-            await tx.transaction.create({
-                data: {
-                    date: new Date(),
-                    description: `${type} Refund - ${requestId}`,
-                    type: type.toLowerCase().includes('deposit') ? 'Liability' : 'Expense',
-                    amount: refundamt,
-                    balance: prevBalance - refundamt,
-                    status: 'Completed'
-                }
-            });
+            // Ledger Entry (Accounting Requirement): only money actually paid out is posted
+            if (refund.status === 'Completed' && refundamt > 0) {
+                await postRefundIssued(tx, refund);
+            }
 
             return refund;
         });
@@ -89,6 +81,8 @@ exports.createRefund = async (req, res) => {
         res.status(201).json(result);
     } catch (e) {
         console.error(e);
+        // Ledger errors (e.g. a closed accounting period) are the caller's to fix
+        if (e.statusCode) return res.status(e.statusCode).json({ message: e.message });
         res.status(500).json({ message: 'Error creating refund' });
     }
 };
@@ -99,18 +93,32 @@ exports.updateRefund = async (req, res) => {
         const { status, reason, amount } = req.body;
         const { id } = req.params;
 
-        const updated = await prisma.refundAdjustment.update({
-            where: { requestId: id },
-            data: {
-                status,
-                reason,
-                amount: amount ? parseFloat(amount) : undefined
+        const updated = await prisma.$transaction(async (tx) => {
+            const refund = await tx.refundAdjustment.update({
+                where: { requestId: id },
+                data: {
+                    status,
+                    reason,
+                    amount: amount ? parseFloat(amount) : undefined
+                },
+                include: { unit: true }
+            });
+
+            // A pending refund is posted to the ledger once it is completed
+            if (refund.status === 'Completed' && parseFloat(refund.amount) > 0) {
+                const posted = await tx.journalEntry.findFirst({
+                    where: { sourceType: 'RefundAdjustment', sourceId: refund.id }
+                });
+                if (!posted) await postRefundIssued(tx, { ...refund, date: new Date() });
             }
+
+            return refund;
         });
 
         res.json(updated);
     } catch (e) {
         console.error(e);
+        if (e.statusCode) return res.status(e.statusCode).json({ message: e.message });
         res.status(500).json({ message: 'Error updating refund' });
     }
 };
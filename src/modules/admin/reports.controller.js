@@ -1,53 +1,101 @@
 const prisma = require('../../config/prisma');
+const catchAsync = require('../../utils/catchAsync');
+const AppError = require('../../utils/AppError');
 const { generateReportPDF } = require('../../utils/pdf.utils');
-
-// GET /api/admin/reports/:id/download
-exports.downloadReportPDF = async (req, res) => {
-    try {
-        const { id } = req.params;
-        // Basic implementation, can be expanded to fetch real data
-        generateReportPDF(id, res);
-    } catch (e) {
-        console.error(e);
-        res.status(500).json({ message: 'Error generating PDF' });
+const { generateReportCSV } = require('../../utils/csv.utils');
+const { generateReportXLSX } = require('../../utils/xlsx.utils');
+const reportService = require('../../services/report.service');
+const { getBrandingSettings } = require('../../services/settings.service');
+const { findSettledRefunds } = require('../../services/payment.service');
+
+const REPORT_FORMATS = ['pdf', 'csv', 'xlsx'];
+
+// GET /api/admin/reports/:id?from=&to=&propertyId=&ownerId=
+exports.getReport = catchAsync(async (req, res) => {
+    const filters = reportService.parseReportFilters(req.query);
+    res.json(await reportService.buildReport(req.params.id, filters));
+});
+
+// GET /api/admin/reports/:id/download?format=pdf|csv|xlsx&from=&to=&propertyId=&ownerId=
+exports.downloadReport = catchAsync(async (req, res) => {
+    const format = String(req.query.format || 'pdf').toLowerCase();
+    if (!REPORT_FORMATS.includes(format)) {
+        throw new AppError(`Format must be one of: ${REPORT_FORMATS.join(', ')}`, 400);
     }
-};
 
-// GET /api/admin/reports
+    const filters = reportService.parseReportFilters(req.query);
+    const report = await reportService.buildReport(req.params.id, filters);
+
+    if (format === 'csv') return generateReportCSV(report, res);
+
+    const settings = await getBrandingSettings();
+    if (format === 'xlsx') return generateReportXLSX(report, res, settings);
+    generateReportPDF(report, res, settings);
+});
+
+// GET /api/admin/reports?from=&to=&propertyId=&ownerId=
+// Dashboard KPIs for the date range (revenue = payments received less refunds settled in the range), plus the downloadable reports
 exports.getReports = async (req, res) => {
     try {
+        const filters = reportService.parseReportFilters(req.query);
+        const scoped = filters.propertyId || filters.ownerId;
+        const propertyIds = scoped
+            ? (await prisma.property.findMany({
+                where: {
+                    ...(filters.propertyId ? { id: filters.propertyId } : {}),
+                    ...(filters.ownerId ? { owners: { some: { id: filters.ownerId } } } : {})
+                },
+                select: { id: true }
+            })).map(p => p.id)
+            : null;
+        const unitFilter = scoped ? { propertyId: { in: propertyIds } } : {};
+
         // --- KPI Calculation ---
 
-        // Total Revenue (Paid Invoices)
-        const paidInvoices = await prisma.invoice.findMany({ where: { status: 'paid' } });
-        const totalRevenue = paidInvoices.reduce((sum, i) => sum + parseFloat(i.amount), 0);
+        // Total Revenue (payments received in the range; gateway refunds leave the payment row alone,
+        // so they are counted as negative payments on the day they settled)
+        const received = await prisma.payment.findMany({
+            where: { date: { gte: filters.from, lte: filters.to }, invoice: { unit: unitFilter } },
+            select: { amount: true, date: true }
+        });
+        const refunds = await findSettledRefunds(prisma, filters.from, filters.to, { unit: unitFilter }, { unit: { select: { propertyId: true } } });
+        const payments = [
+            ...received,
+            ...refunds.map(r => ({ amount: -parseFloat(r.amount), date: r.succeededAt }))
+        ];
+        const totalRevenue = payments.reduce((sum, p) => sum + parseFloat(p.amount), 0);
 
         // Occupancy Rate
-        const totalUnits = await prisma.unit.count();
-        const occupiedUnits = await prisma.unit.count({ where: { status: { not: 'Vacant' } } });
+        const totalUnits = await prisma.unit.count({ where: unitFilter });
+        const occupiedUnits = await prisma.unit.count({ where: { ...unitFilter, status: { not: 'Vacant' } } });
         const occupancyRate = totalUnits > 0 ? Math.round((occupiedUnits / totalUnits) * 100) : 0;
 
         // Active Leases
-        const activeLeases = await prisma.lease.count({ where: { status: 'Active' } });
+        const activeLeases = await prisma.lease.count({ where: { status: 'Active', unit: unitFilter } });
 
-        // Outstanding Dues (Invoices not paid)
-        const unpaidInvoices = await prisma.invoice.findMany({ where: { status: 'sent' } }); // Assuming 'sent' means pending
-        const outstandingDues = unpaidInvoices.reduce((sum, i) => sum + parseFloat(i.amount), 0);
+        // Outstanding Dues (open balance on issued invoices)
+        const outstanding = await prisma.invoice.aggregate({
+            where: { status: { notIn: ['draft', 'void', 'paid'] }, unit: unitFilter },
+            _sum: { balanceDue: true }
+        });
+        const outstandingDues = parseFloat(outstanding._sum.balanceDue) || 0;
 
 
         // --- Graphs Data ---
 
-        // Monthly Revenue (Aggregate by month string)
+        // Monthly Revenue ('YYYY-MM' of the payment date)
         const monthlyMap = {};
-        paidInvoices.forEach(inv => {
-            if (!monthlyMap[inv.month]) monthlyMap[inv.month] = 0;
-            monthlyMap[inv.month] += parseFloat(inv.amount);
+        payments.forEach(p => {
+            const d = new Date(p.date);
+            const month = `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+            if (!monthlyMap[month]) monthlyMap[month] = 0;
+            monthlyMap[month] += parseFloat(p.amount);
         });
 
         // Lease Type Distribution
         // We need to fetch units to check bedrooms count for lease type heuristic
         const leases = await prisma.lease.findMany({
-            where: { status: 'Active' },
+            where: { status: 'Active', unit: unitFilter },
             include: { unit: true }
         });
 
@@ -60,20 +108,26 @@ exports.getReports = async (req, res) => {
 
         // --- Top Performing Properties ---
         const properties = await prisma.property.findMany({
+            where: scoped ? { id: { in: propertyIds } } : {},
             include: {
                 units: {
                     include: {
                         leases: { where: { status: 'Active' } },
-                        invoices: { where: { status: 'paid' } }
+                        invoices: {
+                            include: { payments: { where: { date: { gte: filters.from, lte: filters.to } }, select: { amount: true } } }
+                        }
                     }
                 }
             }
         });
 
         const propertyPerformance = properties.map(p => {
+            const refunded = refunds
+                .filter(r => r.paymentIntent.invoice.unit && r.paymentIntent.invoice.unit.propertyId === p.id)
+                .reduce((sum, r) => sum + parseFloat(r.amount), 0);
             const revenue = p.units.reduce((rSum, u) => {
-                return rSum + u.invoices.reduce((iSum, i) => iSum + parseFloat(i.amount), 0);
-            }, 0);
+                return rSum + u.invoices.reduce((iSum, i) => iSum + i.payments.reduce((pSum, pay) => pSum + parseFloat(pay.amount), 0), 0);
+            }, 0) - refunded;
             const pTotalUnits = p.units.length;
             const pOccupied = p.units.filter(u => u.status !== 'Vacant').length;
             const pOccupancy = pTotalUnits > 0 ? Math.round((pOccupied / pTotalUnits) * 100) : 0;
@@ -86,11 +140,12 @@ exports.getReports = async (req, res) => {
         }).sort((a, b) => b.revenue - a.revenue).slice(0, 5); // Top 5
 
         // Tenant vs Resident counts
+        const tenantScope = scoped ? { leases: { some: { unit: unitFilter } } } : {};
         const tenantCount = await prisma.user.count({
-            where: { role: 'TENANT', type: { in: ['INDIVIDUAL', 'COMPANY'] } }
+            where: { role: 'TENANT', type: { in: ['INDIVIDUAL', 'COMPANY'] }, ...tenantScope }
         });
         const residentCount = await prisma.user.count({
-            where: { role: 'TENANT', type: 'RESIDENT' }
+            where: { role: 'TENANT', type: 'RESIDENT', ...(scoped ? { residentLease: { unit: unitFilter } } : {}) }
         });
 
         res.json({
@@ -102,12 +157,15 @@ exports.getReports = async (req, res) => {
                 tenantCount,
                 residentCount
             },
-            monthlyRevenue: Object.keys(monthlyMap).map(k => ({ month: k, amount: monthlyMap[k] })),
+            filters: { from: filters.from, to: filters.to, propertyId: filters.propertyId, ownerId: filters.ownerId },
+            monthlyRevenue: Object.keys(monthlyMap).sort().map(k => ({ month: k, amount: monthlyMap[k] })),
             leaseDistribution: { fullUnit: fullUnitCount, bedroom: bedroomCount },
-            topProperties: propertyPerformance
+            topProperties: propertyPerformance,
+            reports: reportService.listReports()
         });
 
     } catch (e) {
+        if (e.statusCode) return res.status(e.statusCode).json({ message: e.message, errors: e.errors });
         console.error(e);
         res.status(500).json({ message: 'Server error' });
     }
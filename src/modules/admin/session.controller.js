@@ -0,0 +1,43 @@
+const prisma = require('../../config/prisma');
+const sessionService = require('../../services/session.service');
+const auditService = require('../../services/audit.service');
+const AppError = require('../../utils/AppError');
+const catchAsync = require('../../utils/catchAsync');
+
+const findUser = async (rawId) => {
+    const id = parseInt(rawId);
+    if (isNaN(id)) throw new AppError('Invalid user ID', 400);
+
+    const user = await prisma.user.findUnique({
+        where: { id },
+        select: { id: true, name: true, email: true, role: true }
+    });
+    if (!user) throw new AppError('User not found', 404);
+
+    return user;
+};
+
+// GET /api/admin/users/:id/sessions
+exports.getUserSessions = catchAsync(async (req, res) => {
+    const user = await findUser(req.params.id);
+    const sessions = await sessionService.getActiveSessions(user.id);
+
+    res.json({ user, sessions });
+});
+
+// POST /api/admin/users/:id/revoke-sessions
+// "Sign out all sessions": revokes every refresh token. Access tokens die on their own short expiry.
+exports.revokeUserSessions = catchAsync(async (req, res) => {
+    const user = await findUser(req.params.id);
+    const revoked = await sessionService.revokeAllForUser(user.id);
+
+    await auditService.log({
+        action: 'SESSIONS_REVOKED',
+        userId: user.id,
+        actorId: req.user.id,
+        req,
+        metadata: { revoked }
+    });
+
+    res.json({ message: `All sessions for ${user.name || user.email} have been signed out`, revoked });
+});
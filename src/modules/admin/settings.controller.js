@@ -1,4 +1,5 @@
 const prisma = require('../../config/prisma');
+const { DOCUMENT_TYPES, formatSettingKey, isValidFormat } = require('../../services/numbering.service');
 
 // GET /api/admin/settings
 exports.getSettings = async (req, res) => {
@@ -90,6 +91,14 @@ exports.updateSettings = async (req, res) => {
             }
         });
 
+        // Numbering formats must keep a counter, otherwise every document gets the same number
+        const invalidFormat = Object.values(DOCUMENT_TYPES)
+            .map(formatSettingKey)
+            .find(key => globalUpdates[key] !== undefined && !isValidFormat(globalUpdates[key]));
+        if (invalidFormat) {
+            return res.status(400).json({ message: `${invalidFormat} must contain a {SEQ} or {SEQ:n} token` });
+        }
+
         // 1. Update Global Settings
         const promises = Object.keys(globalUpdates).map(key => {
             let val = globalUpdates[key];
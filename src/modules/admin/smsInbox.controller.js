@@ -0,0 +1,112 @@
+const prisma = require('../../config/prisma');
+const AppError = require('../../utils/AppError');
+const catchAsync = require('../../utils/catchAsync');
+const auditService = require('../../services/audit.service');
+const smsInbound = require('../../services/smsInbound.service');
+const { STAFF_ROLES } = require('../../constants/permissions');
+
+const { LEAD_STATUS } = smsInbound;
+
+const findStaffMember = async (userId, field) => {
+    if (userId === null || userId === undefined || userId === '') return null;
+    const user = await prisma.user.findFirst({ where: { id: parseInt(userId), role: { in: STAFF_ROLES } }, select: { id: true, name: true } });
+    if (!user) {
+        const err = new AppError('Validation failed', 400);
+        err.errors = { [field]: 'Must be a staff member' };
+        throw err;
+    }
+    return user;
+};
+
+// GET /api/admin/leads?status=
+exports.getLeads = catchAsync(async (req, res) => {
+    const leads = await prisma.lead.findMany({
+        where: req.query.status ? { status: req.query.status } : {},
+        include: {
+            assignedTo: { select: { id: true, name: true } },
+            messages: { orderBy: { createdAt: 'desc' }, take: 1 }
+        },
+        orderBy: { lastMessageAt: 'desc' }
+    });
+
+    res.json(leads.map(({ messages, ...lead }) => ({ ...lead, lastMessage: messages[0] || null })));
+});
+
+// GET /api/admin/leads/:id (with the message history)
+exports.getLead = catchAsync(async (req, res) => {
+    const lead = await prisma.lead.findUnique({
+        where: { id: parseInt(req.params.id) },
+        include: {
+            assignedTo: { select: { id: true, name: true } },
+            messages: { orderBy: { createdAt: 'asc' } }
+        }
+    });
+    if (!lead) throw new AppError('Lead not found', 404);
+    res.json(lead);
+});
+
+// PUT /api/admin/leads/:id
+// Body: { name, status, assignedToId, notes }
+exports.updateLead = catchAsync(async (req, res) => {
+    const id = parseInt(req.params.id);
+    const lead = await prisma.lead.findUnique({ where: { id } });
+    if (!lead) throw new AppError('Lead not found', 404);
+
+    const data = {};
+    if (req.body.name !== undefined) data.name = req.body.name ? String(req.body.name).trim() : null;
+    if (req.body.notes !== undefined) data.notes = req.body.notes || null;
+    if (req.body.status !== undefined) {
+        if (!Object.values(LEAD_STATUS).includes(req.body.status)) {
+            const err = new AppError('Validation failed', 400);
+            err.errors = { status: `Status must be one of: ${Object.values(LEAD_STATUS).join(', ')}` };
+            throw err;
+        }
+        data.status = req.body.status;
+    }
+    if (req.body.assignedToId !== undefined) {
+        const assignee = await findStaffMember(req.body.assignedToId, 'assignedToId');
+        data.assignedToId = assignee ? assignee.id : null;
+    }
+
+    const updated = await prisma.lead.update({ where: { id }, data });
+
+    await auditService.log({
+        action: 'LEAD_UPDATED',
+        actorId: req.user.id,
+        req,
+        metadata: { leadId: id, ...data }
+    });
+
+    res.json(updated);
+});
+
+// POST /api/admin/leads/:id/reply
+// Body: { message }
+exports.replyToLead = catchAsync(async (req, res) => {
+    const reply = await smsInbound.replyToLead(parseInt(req.params.id), req.body.message, req.user.id);
+    res.status(201).json(reply);
+});
+
+// PUT /api/admin/properties/:id/sms-inbox
+// Body: { userId } - staff member who receives texts from the property's tenants (null to clear)
+exports.setPropertyInbox = catchAsync(async (req, res) => {
+    const propertyId = parseInt(req.params.id);
+    const property = await prisma.property.findUnique({ where: { id: propertyId } });
+    if (!property) throw new AppError('Property not found', 404);
+
+    const inboxUser = await findStaffMember(req.body.userId, 'userId');
+    const updated = await prisma.property.update({
+        where: { id: propertyId },
+        data: { smsInboxUserId: inboxUser ? inboxUser.id : null },
+        select: { id: true, name: true, smsInboxUserId: true }
+    });
+
+    await auditService.log({
+        action: 'PROPERTY_SMS_INBOX_UPDATED',
+        actorId: req.user.id,
+        req,
+        metadata: { propertyId, before: property.smsInboxUserId, after: updated.smsInboxUserId }
+    });
+
+    res.json({ ...updated, smsInboxUser: inboxUser });
+});
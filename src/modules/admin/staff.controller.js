@@ -0,0 +1,177 @@
+const prisma = require('../../config/prisma');
+const crypto = require('crypto');
+const emailService = require('../../services/email.service');
+const AppError = require('../../utils/AppError');
+const catchAsync = require('../../utils/catchAsync');
+const { ROLES, STAFF_ROLES, getRolePermissions, ROLE_PERMISSIONS } = require('../../constants/permissions');
+
+const staffSelect = {
+    id: true,
+    name: true,
+    firstName: true,
+    lastName: true,
+    email: true,
+    phone: true,
+    role: true,
+    createdAt: true
+};
+
+const assertStaffRole = (role) => {
+    if (!STAFF_ROLES.includes(role)) {
+        const err = new AppError('Validation failed', 400);
+        err.errors = { role: `Role must be one of: ${STAFF_ROLES.join(', ')}` };
+        throw err;
+    }
+};
+
+// GET /api/admin/staff
+exports.getStaff = catchAsync(async (req, res) => {
+    const staff = await prisma.user.findMany({
+        where: { role: { in: STAFF_ROLES } },
+        select: staffSelect,
+        orderBy: { createdAt: 'desc' }
+    });
+
+    res.json(staff.map(s => ({ ...s, permissions: getRolePermissions(s.role) })));
+});
+
+// GET /api/admin/staff/roles
+exports.getRoles = catchAsync(async (req, res) => {
+    res.json(STAFF_ROLES.map(role => ({ role, permissions: ROLE_PERMISSIONS[role] })));
+});
+
+// GET /api/admin/me/permissions
+exports.getMyPermissions = catchAsync(async (req, res) => {
+    res.json({
+        role: req.user.role,
+        permissions: getRolePermissions(req.user.role)
+    });
+});
+
+// POST /api/admin/staff
+exports.createStaff = catchAsync(async (req, res) => {
+    const { firstName, lastName, email, phone, role } = req.body;
+
+    if (!email) {
+        const err = new AppError('Validation failed', 400);
+        err.errors = { email: 'Email is required' };
+        throw err;
+    }
+    assertStaffRole(role);
+
+    const existing = await prisma.user.findUnique({ where: { email } });
+    if (existing) {
+        const err = new AppError('A user with this email already exists', 409);
+        err.errors = { email: 'A user with this email already exists' };
+        throw err;
+    }
+
+    // Staff set their own password through the invite link
+    const inviteToken = crypto.randomBytes(32).toString('hex');
+    const inviteExpires = new Date();
+    inviteExpires.setDate(inviteExpires.getDate() + 7);
+
+    const staff = await prisma.user.create({
+        data: {
+            firstName,
+            lastName,
+            name: `${firstName || ''} ${lastName || ''}`.trim() || email,
+            email,
+            phone,
+            role,
+            inviteToken,
+            inviteExpires
+        },
+        select: staffSelect
+    });
+
+    const loginUrl = process.env.FRONTEND_URL || 'https://property-n.kiaantechnology.com';
+    const inviteLink = `${loginUrl}/login?token=${inviteToken}`;
+    const roleLabel = role.replace(/_/g, ' ').toLowerCase();
+
+    const eRes = await emailService.sendEmail(
+        email,
+        'Your Staff Portal Access',
+        `Hello ${staff.name},\n\nYou have been added to the property management portal as a ${roleLabel}.\n\nSet your password here: ${inviteLink}\n\nThis link expires in 7 days.`,
+        { eventType: 'STAFF_INVITE', purpose: 'security' }
+    );
+
+    res.status(201).json({
+        ...staff,
+        permissions: getRolePermissions(staff.role),
+        invite: { emailSent: eRes.success, inviteLink }
+    });
+});
+
+// PUT /api/admin/staff/:id
+exports.updateStaff = catchAsync(async (req, res) => {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) throw new AppError('Invalid staff ID', 400);
+
+    const { firstName, lastName, phone, role } = req.body;
+
+    const staff = await prisma.user.findUnique({ where: { id } });
+    if (!staff || !STAFF_ROLES.includes(staff.role)) throw new AppError('Staff member not found', 404);
+
+    if (role !== undefined) {
+        assertStaffRole(role);
+        if (id === req.user.id && role !== staff.role) {
+            throw new AppError('You cannot change your own role', 400);
+        }
+        if (staff.role === ROLES.ADMIN && role !== ROLES.ADMIN) {
+            const adminCount = await prisma.user.count({ where: { role: ROLES.ADMIN } });
+            if (adminCount <= 1) throw new AppError('At least one admin account is required', 400);
+        }
+    }
+
+    const first = firstName !== undefined ? firstName : staff.firstName;
+    const last = lastName !== undefined ? lastName : staff.lastName;
+
+    const updated = await prisma.user.update({
+        where: { id },
+        data: {
+            firstName: first,
+            lastName: last,
+            name: `${first || ''} ${last || ''}`.trim() || staff.name,
+            phone: phone !== undefined ? phone : staff.phone,
+            role: role !== undefined ? role : staff.role
+        },
+        select: staffSelect
+    });
+
+    res.json({ ...updated, permissions: getRolePermissions(updated.role) });
+});
+
+// DELETE /api/admin/staff/:id
+exports.deleteStaff = catchAsync(async (req, res) => {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) throw new AppError('Invalid staff ID', 400);
+    if (id === req.user.id) throw new AppError('You cannot delete your own account', 400);
+
+    const staff = await prisma.user.findUnique({ where: { id } });
+    if (!staff || !STAFF_ROLES.includes(staff.role)) throw new AppError('Staff member not found', 404);
+
+    if (staff.role === ROLES.ADMIN) {
+        const adminCount = await prisma.user.count({ where: { role: ROLES.ADMIN } });
+        if (adminCount <= 1) throw new AppError('At least one admin account is required', 400);
+    }
+
+    await prisma.$transaction(async (tx) => {
+        await tx.refreshToken.deleteMany({ where: { userId: id } });
+        await tx.message.deleteMany({
+            where: {
+                OR: [
+                    { senderId: id },
+                    { receiverId: id }
+                ]
+            }
+        });
+        await tx.communicationLog.updateMany({
+            where: { recipientId: id },
+            data: { recipientId: null }
+        });
+        await tx.user.delete({ where: { id } });
+    });
+
+    res.json({ message: 'Staff member deleted successfully' });
+});
@@ -1,4 +1,5 @@
 const prisma = require('../../config/prisma');
+const taxService = require('../../services/tax.service');
 
 // GET /api/admin/taxes
 exports.getTaxes = async (req, res) => {
@@ -103,3 +104,25 @@ exports.updateTax = async (req, res) => {
         res.status(500).json({ message: 'Error updating tax' });
     }
 };
+
+// GET /api/admin/taxes/report?from=YYYY-MM-DD&to=YYYY-MM-DD
+// Tax billed and collected per tax, per month
+exports.getTaxReport = async (req, res) => {
+    try {
+        const now = new Date();
+        const from = req.query.from ? new Date(req.query.from) : new Date(now.getFullYear(), 0, 1);
+        const to = req.query.to ? new Date(req.query.to) : now;
+
+        if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+            return res.status(400).json({ message: 'Invalid date range' });
+        }
+        // Make the end date inclusive
+        to.setHours(23, 59, 59, 999);
+
+        const report = await taxService.getTaxReport({ from, to });
+        res.json(report);
+    } catch (e) {
+        console.error('Error generating tax report:', e);
+        res.status(500).json({ message: 'Error generating tax report' });
+    }
+};
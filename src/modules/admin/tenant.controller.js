@@ -1,8 +1,10 @@
 const bcrypt = require('bcrypt');
 const crypto = require('crypto');
 const prisma = require('../../config/prisma');
+const { removeInvoicePostings } = require('../../services/ledger.service');
 const smsService = require('../../services/sms.service');
 const emailService = require('../../services/email.service');
+const consentService = require('../../services/consent.service');
 const AppError = require('../../utils/AppError');
 const catchAsync = require('../../utils/catchAsync');
 
@@ -73,6 +75,13 @@ exports.getAllTenants = async (req, res) => {
         const units = await prisma.unit.findMany({ include: { property: true } });
         const unitMap = new Map(units.map(u => [u.id, u]));
 
+        // Addresses on the email suppression list (bounced, dropped, spam report)
+        const emails = tenants.map(t => t.email).filter(Boolean);
+        const suppressions = emails.length > 0
+            ? await prisma.emailSuppression.findMany({ where: { email: { in: emails.map(e => e.toLowerCase()) } } })
+            : [];
+        const suppressionMap = new Map(suppressions.map(s => [s.email, s]));
+
         const formatted = sortedTenants.map(t => {
             // Find active lease first
             let activeLease = t.leases.find(l => l.status === 'Active') ||
@@ -127,7 +136,9 @@ exports.getAllTenants = async (req, res) => {
                 documents: t.documents,
                 parentId: t.parentId,
                 parentName: t.parent ? t.parent.name || `${t.parent.firstName || ''} ${t.parent.lastName || ''}`.trim() : null,
-                hasPortalAccess: !!t.password
+                hasPortalAccess: !!t.password,
+                emailSuppressed: Boolean(t.email && suppressionMap.has(t.email.toLowerCase())),
+                emailIssue: t.email && suppressionMap.has(t.email.toLowerCase()) ? suppressionMap.get(t.email.toLowerCase()).reason : null
             };
         });
 
@@ -391,66 +402,73 @@ exports.deleteTenant = async (req, res) => {
     try {
         const id = parseInt(req.params.id);
 
-        await prisma.$transaction(async (prisma) => {
+        await prisma.$transaction(async (tx) => {
             // 1. Find any lease (Active or Draft) to vacate unit and bedrooms
-            const anyLease = await prisma.lease.findFirst({
+            const anyLease = await tx.lease.findFirst({
                 where: { tenantId: id, status: { in: ['Active', 'DRAFT'] } }
             });
 
             if (anyLease) {
                 // Vacate all bedrooms in the unit
-                await prisma.bedroom.updateMany({
+                await tx.bedroom.updateMany({
                     where: { unitId: anyLease.unitId, status: 'Occupied' },
                     data: { status: 'Vacant' }
                 });
 
                 // Set unit to Vacant
-                await prisma.unit.update({
+                await tx.unit.update({
                     where: { id: anyLease.unitId },
                     data: { status: 'Vacant' }
                 });
             }
 
             // 2. Cleanup references (order matters: dependents before parents)
-            await prisma.lease.deleteMany({ where: { tenantId: id } });
-            await prisma.insurance.deleteMany({ where: { userId: id } });
-            await prisma.document.deleteMany({ where: { userId: id } });
-            await prisma.ticket.deleteMany({ where: { userId: id } });
-            await prisma.refreshToken.deleteMany({ where: { userId: id } });
+            await tx.lease.deleteMany({ where: { tenantId: id } });
+            await tx.insurance.deleteMany({ where: { userId: id } });
+            await tx.document.deleteMany({ where: { userId: id } });
+            await tx.ticket.deleteMany({ where: { userId: id } });
+            await tx.refreshToken.deleteMany({ where: { userId: id } });
             // Invoice: delete Transaction -> Payment -> Invoice (FK order)
-            const tenantInvoiceIds = (await prisma.invoice.findMany({ where: { tenantId: id }, select: { id: true } })).map(i => i.id);
+            const tenantInvoiceIds = (await tx.invoice.findMany({ where: { tenantId: id }, select: { id: true } })).map(i => i.id);
             if (tenantInvoiceIds.length > 0) {
-                const paymentIds = (await prisma.payment.findMany({ where: { invoiceId: { in: tenantInvoiceIds } }, select: { id: true } })).map(p => p.id);
-                await prisma.transaction.deleteMany({ where: { OR: [{ invoiceId: { in: tenantInvoiceIds } }, { paymentId: { in: paymentIds } }] } });
-                await prisma.payment.deleteMany({ where: { invoiceId: { in: tenantInvoiceIds } } });
+                // Reverse what the invoices and their payments posted to the ledger before they disappear
+                await removeInvoicePostings(tx, tenantInvoiceIds, { createdById: req.user?.id || null });
+                const paymentIds = (await tx.payment.findMany({ where: { invoiceId: { in: tenantInvoiceIds } }, select: { id: true } })).map(p => p.id);
+                await tx.paymentRefund.deleteMany({ where: { paymentIntent: { invoiceId: { in: tenantInvoiceIds } } } });
+                await tx.paymentIntent.deleteMany({ where: { invoiceId: { in: tenantInvoiceIds } } });
+                await tx.transaction.deleteMany({ where: { OR: [{ invoiceId: { in: tenantInvoiceIds } }, { paymentId: { in: paymentIds } }] } });
+                await tx.payment.deleteMany({ where: { invoiceId: { in: tenantInvoiceIds } } });
             }
-            await prisma.invoice.deleteMany({ where: { tenantId: id } });
-            await prisma.refundAdjustment.deleteMany({ where: { tenantId: id } });
+            await tx.invoice.deleteMany({ where: { tenantId: id } });
+            await tx.refundAdjustment.deleteMany({ where: { tenantId: id } });
             // Residents: clean all FKs pointing to residents (including tenantId on Lease/Invoice/RefundAdjustment), then delete residents
-            const residentIds = (await prisma.user.findMany({ where: { parentId: id }, select: { id: true } })).map(u => u.id);
+            const residentIds = (await tx.user.findMany({ where: { parentId: id }, select: { id: true } })).map(u => u.id);
             if (residentIds.length > 0) {
-                await prisma.lease.deleteMany({ where: { tenantId: { in: residentIds } } });
-                const residentInvoiceIds = (await prisma.invoice.findMany({ where: { tenantId: { in: residentIds } }, select: { id: true } })).map(i => i.id);
+                await tx.lease.deleteMany({ where: { tenantId: { in: residentIds } } });
+                const residentInvoiceIds = (await tx.invoice.findMany({ where: { tenantId: { in: residentIds } }, select: { id: true } })).map(i => i.id);
                 if (residentInvoiceIds.length > 0) {
-                    const residentPaymentIds = (await prisma.payment.findMany({ where: { invoiceId: { in: residentInvoiceIds } }, select: { id: true } })).map(p => p.id);
-                    await prisma.transaction.deleteMany({ where: { OR: [{ invoiceId: { in: residentInvoiceIds } }, { paymentId: { in: residentPaymentIds } }] } });
-                    await prisma.payment.deleteMany({ where: { invoiceId: { in: residentInvoiceIds } } });
+                    await removeInvoicePostings(tx, residentInvoiceIds, { createdById: req.user?.id || null });
+                    const residentPaymentIds = (await tx.payment.findMany({ where: { invoiceId: { in: residentInvoiceIds } }, select: { id: true } })).map(p => p.id);
+                    await tx.paymentRefund.deleteMany({ where: { paymentIntent: { invoiceId: { in: residentInvoiceIds } } } });
+                    await tx.paymentIntent.deleteMany({ where: { invoiceId: { in: residentInvoiceIds } } });
+                    await tx.transaction.deleteMany({ where: { OR: [{ invoiceId: { in: residentInvoiceIds } }, { paymentId: { in: residentPaymentIds } }] } });
+                    await tx.payment.deleteMany({ where: { invoiceId: { in: residentInvoiceIds } } });
                 }
-                await prisma.invoice.deleteMany({ where: { tenantId: { in: residentIds } } });
-                await prisma.refundAdjustment.deleteMany({ where: { tenantId: { in: residentIds } } });
-                await prisma.refreshToken.deleteMany({ where: { userId: { in: residentIds } } });
-                await prisma.insurance.deleteMany({ where: { userId: { in: residentIds } } });
-                await prisma.document.deleteMany({ where: { userId: { in: residentIds } } });
-                await prisma.ticket.deleteMany({ where: { userId: { in: residentIds } } });
-                await prisma.message.deleteMany({ where: { OR: [{ senderId: { in: residentIds } }, { receiverId: { in: residentIds } }] } });
-                await prisma.communicationLog.deleteMany({ where: { recipientId: { in: residentIds } } });
-                await prisma.quickBooksConfig.deleteMany({ where: { userId: { in: residentIds } } });
+                await tx.invoice.deleteMany({ where: { tenantId: { in: residentIds } } });
+                await tx.refundAdjustment.deleteMany({ where: { tenantId: { in: residentIds } } });
+                await tx.refreshToken.deleteMany({ where: { userId: { in: residentIds } } });
+                await tx.insurance.deleteMany({ where: { userId: { in: residentIds } } });
+                await tx.document.deleteMany({ where: { userId: { in: residentIds } } });
+                await tx.ticket.deleteMany({ where: { userId: { in: residentIds } } });
+                await tx.message.deleteMany({ where: { OR: [{ senderId: { in: residentIds } }, { receiverId: { in: residentIds } }] } });
+                await tx.communicationLog.deleteMany({ where: { recipientId: { in: residentIds } } });
+                await tx.quickBooksConfig.deleteMany({ where: { userId: { in: residentIds } } });
             }
-            await prisma.user.deleteMany({ where: { parentId: id } });
-            await prisma.companyContact.deleteMany({ where: { companyId: id } });
-            await prisma.communicationLog.deleteMany({ where: { recipientId: id } });
-            await prisma.quickBooksConfig.deleteMany({ where: { userId: id } });
-            await prisma.message.deleteMany({
+            await tx.user.deleteMany({ where: { parentId: id } });
+            await tx.companyContact.deleteMany({ where: { companyId: id } });
+            await tx.communicationLog.deleteMany({ where: { recipientId: id } });
+            await tx.quickBooksConfig.deleteMany({ where: { userId: id } });
+            await tx.message.deleteMany({
                 where: {
                     OR: [
                         { senderId: id },
@@ -459,7 +477,7 @@ exports.deleteTenant = async (req, res) => {
                 }
             }); // Clean up messages
             // Also delete documents linked via DocumentLink
-            const linkedDocuments = await prisma.document.findMany({
+            const linkedDocuments = await tx.document.findMany({
                 where: {
                     links: {
                         some: {
@@ -473,7 +491,7 @@ exports.deleteTenant = async (req, res) => {
             if (linkedDocuments.length > 0) {
                 const linkedDocIds = linkedDocuments.map(d => d.id);
                 // Delete the DocumentLinks first
-                await prisma.documentLink.deleteMany({
+                await tx.documentLink.deleteMany({
                     where: {
                         documentId: { in: linkedDocIds },
                         entityType: 'USER',
@@ -483,7 +501,7 @@ exports.deleteTenant = async (req, res) => {
             }
 
             // 3. Delete user
-            await prisma.user.delete({ where: { id } });
+            await tx.user.delete({ where: { id } });
         });
 
         res.json({ message: 'Deleted' });
@@ -597,10 +615,17 @@ exports.updateTenant = catchAsync(async (req, res, next) => {
                 unitId: sanitizedUnitId,
                 bedroomId: sanitizedBedroomId,
                 parentId: sanitizedParentId !== undefined ? sanitizedParentId : null,
-                leaseId: sanitizedLeaseId !== undefined ? sanitizedLeaseId : null
+                leaseId: sanitizedLeaseId !== undefined ? sanitizedLeaseId : null,
+                language: /^[a-z]{2}(-[A-Z]{2})?$/.test(String(req.body.language || '')) ? req.body.language : undefined
             }
         });
 
+        // Notification channels changed by staff are recorded as consent
+        await consentService.recordPreferenceChanges(id, {
+            notifyByEmail: req.body.notifyByEmail !== undefined ? req.body.notifyByEmail === true || req.body.notifyByEmail === 'true' : undefined,
+            notifyBySms: req.body.notifyBySms !== undefined ? req.body.notifyBySms === true || req.body.notifyBySms === 'true' : undefined
+        }, { source: 'admin', recordedById: req.user.id });
+
         // Handle Company Contacts Sync
         if (normalizedType === 'COMPANY' && req.body.companyContacts && Array.isArray(req.body.companyContacts)) {
             await prisma.companyContact.deleteMany({ where: { companyId: id } });
@@ -817,7 +842,10 @@ exports.sendInvite = catchAsync(async (req, res, next) => {
             results.email.error = 'No email address on file';
         } else {
             try {
-                const eRes = await emailService.sendEmail(updatedUser.email, 'Welcome - Your Portal Access', welcomeMsg);
+                const eRes = await emailService.sendEmail(updatedUser.email, 'Welcome - Your Portal Access', welcomeMsg, {
+                    recipientId: updatedUser.id,
+                    purpose: 'security'
+                });
                 results.email.success = eRes.success;
                 if (!eRes.success) results.email.error = eRes.error;
             } catch (err) {
@@ -832,7 +860,11 @@ exports.sendInvite = catchAsync(async (req, res, next) => {
             results.sms.error = 'No phone number on file';
         } else {
             try {
-                const sRes = await smsService.sendSMS(updatedUser.phone, welcomeMsg);
+                const sRes = await smsService.sendSMS(updatedUser.phone, welcomeMsg, {
+                    eventType: 'TENANT_CREATION_CREDENTIALS',
+                    recipientId: updatedUser.id,
+                    purpose: 'security'
+                });
                 results.sms.success = sRes.success;
                 if (!sRes.success) results.sms.error = sRes.error;
             } catch (err) {
@@ -1,13 +1,18 @@
 const express = require('express');
 const router = express.Router();
 const tenantController = require('./tenant.controller');
+const { authenticate, authorize, requirePermission } = require('../../middlewares/auth.middleware');
+const { STAFF_ROLES } = require('../../constants/permissions');
 
-router.get('/', tenantController.getAllTenants);
-router.get('/:id', tenantController.getTenantById);
-router.get('/:id/tickets', tenantController.getTenantTickets);
-router.post('/', tenantController.createTenant);
-router.put('/:id', tenantController.updateTenant);
-router.post('/:id/send-invite', tenantController.sendInvite);
-router.delete('/:id', tenantController.deleteTenant);
+router.use(authenticate);
+router.use(authorize(...STAFF_ROLES));
+
+router.get('/', requirePermission('tenants:read'), tenantController.getAllTenants);
+router.get('/:id', requirePermission('tenants:read'), tenantController.getTenantById);
+router.get('/:id/tickets', requirePermission('tenants:read', 'tickets:read'), tenantController.getTenantTickets);
+router.post('/', requirePermission('tenants:write'), tenantController.createTenant);
+router.put('/:id', requirePermission('tenants:write'), tenantController.updateTenant);
+router.post('/:id/send-invite', requirePermission('tenants:write'), tenantController.sendInvite);
+router.delete('/:id', requirePermission('tenants:write'), tenantController.deleteTenant);
 
 module.exports = router;
@@ -1,16 +1,24 @@
 const prisma = require('../../config/prisma');
 const https = require('https');
 const { uploadToCloudinary } = require('../../config/cloudinary');
+const AppError = require('../../utils/AppError');
+const catchAsync = require('../../utils/catchAsync');
+const ticketService = require('../../services/ticket.service');
+const workOrderCostService = require('../../services/workOrderCost.service');
+const auditService = require('../../services/audit.service');
+const { STAFF_ROLES } = require('../../constants/permissions');
 
 // GET /api/admin/tickets
 exports.getAllTickets = async (req, res) => {
     try {
-        const { userId } = req.query;
+        const { userId, status, assignedToId } = req.query;
 
         const where = {};
         if (userId) {
             where.userId = parseInt(userId);
         }
+        if (status) where.status = status;
+        if (assignedToId) where.assignedToId = parseInt(assignedToId);
 
         const tickets = await prisma.ticket.findMany({
             where,
@@ -22,7 +30,10 @@ exports.getAllTickets = async (req, res) => {
                             include: { unit: { include: { property: true } } }
                         }
                     }
-                }
+                },
+                assignedTo: { select: { id: true, name: true } },
+                vendor: { select: { id: true, name: true } },
+                _count: { select: { comments: true } }
             },
             orderBy: { createdAt: 'desc' }
         });
@@ -42,7 +53,12 @@ exports.getAllTickets = async (req, res) => {
                 subject: t.subject,
                 category: t.category,
                 priority: t.priority,
-                status: t.status,
+                status: ticketService.normalizeStatus(t.status) || t.status,
+                assignedTo: t.assignedTo,
+                assignedVendor: t.assignedVendor,
+                vendor: t.vendor,
+                sla: ticketService.slaStatus(t),
+                commentCount: t._count.comments,
                 desc: t.description,
                 createdAt: t.createdAt.toLocaleString(),
                 date: t.createdAt.toISOString().split('T')[0], // For frontend consistency
@@ -76,33 +92,109 @@ exports.getAllTickets = async (req, res) => {
     }
 };
 
+// GET /api/admin/tickets/:id (Work order with comment thread and status history)
+exports.getTicketById = catchAsync(async (req, res) => {
+    const ticket = await ticketService.getTicketDetail(ticketService.parseTicketRef(req.params.id));
+    if (!ticket) throw new AppError('Ticket not found', 404);
+    res.json(ticket);
+});
+
 // PUT /api/admin/tickets/:id/status
-exports.updateTicketStatus = async (req, res) => {
-    try {
-        const { id } = req.params;
-        const { status } = req.body;
+// Body: { status, note }. Only moves allowed by the work-order state machine are accepted.
+exports.updateTicketStatus = catchAsync(async (req, res) => {
+    const ticketId = ticketService.parseTicketRef(req.params.id);
+    const { status, note } = req.body;
 
-        // Parse ID (T-1005 -> 5) if needed, but we passed dbId in list
-        // If frontend passes "T-1005", we need to split. 
-        // Let's assume frontend passes raw int ID or we handle it.
-        // Actually the format in list is T-XXXX. Let's rely on receiving INT ID or parsing it.
+    const updated = await ticketService.transitionTicket(ticketId, status, {
+        actorId: req.user.id,
+        note: note || null
+    });
 
-        // Simpler: frontend sends the numeric ID if we provide it.
-        // I provided `dbId` in the response above.
+    res.json(updated);
+});
 
-        const ticketId = parseInt(id);
+// POST /api/admin/tickets/:id/assign
+// Body: { assigneeId } for staff, { vendorId } for a directory vendor or { vendor } for a one-off contractor, plus optional note
+exports.assignTicket = catchAsync(async (req, res) => {
+    const ticketId = ticketService.parseTicketRef(req.params.id);
+    const { assigneeId, vendorId, vendor, note } = req.body;
 
-        const updated = await prisma.ticket.update({
-            where: { id: ticketId },
-            data: { status }
-        });
+    const updated = await ticketService.assignTicket(ticketId, {
+        assigneeId: assigneeId ? parseInt(assigneeId) : null,
+        vendorId: vendorId ? parseInt(vendorId) : null,
+        vendor: vendor ? String(vendor).trim() : null,
+        actorId: req.user.id,
+        note: note || null
+    });
 
-        res.json(updated);
-    } catch (e) {
-        console.error(e);
-        res.status(500).json({ message: 'Server error' });
-    }
-};
+    res.json(updated);
+});
+
+// POST /api/admin/tickets/:id/comments
+// Body: { body, parentId, isInternal } - internal notes are hidden from the tenant
+exports.addComment = catchAsync(async (req, res) => {
+    const comment = await ticketService.addComment(ticketService.parseTicketRef(req.params.id), {
+        authorId: req.user.id,
+        body: req.body.body,
+        parentId: req.body.parentId ? parseInt(req.body.parentId) : null,
+        isInternal: req.body.isInternal === true || req.body.isInternal === 'true'
+    });
+
+    res.status(201).json(comment);
+});
+
+// GET /api/admin/tickets/:id/costs
+exports.getTicketCosts = catchAsync(async (req, res) => {
+    res.json(await workOrderCostService.getCosts({ ticketId: ticketService.parseTicketRef(req.params.id) }));
+});
+
+// POST /api/admin/tickets/:id/costs
+// Body: { costType (Labour|Material|Other), description, amount, billToTenant, vendorId (defaults to the ticket's vendor), incurredAt }
+exports.addTicketCost = catchAsync(async (req, res) => {
+    const cost = await workOrderCostService.addCost({
+        ticketId: ticketService.parseTicketRef(req.params.id),
+        vendorId: req.body.vendorId !== undefined ? (parseInt(req.body.vendorId) || null) : undefined,
+        costType: req.body.costType,
+        description: req.body.description,
+        amount: req.body.amount,
+        billToTenant: req.body.billToTenant === true || req.body.billToTenant === 'true',
+        incurredAt: req.body.incurredAt,
+        createdById: req.user.id
+    });
+    res.status(201).json(cost);
+});
+
+// POST /api/admin/tickets/:id/chargeback
+// Body: { costIds, tenantId (defaults to the ticket's tenant), issue }
+exports.createChargeback = catchAsync(async (req, res) => {
+    const result = await workOrderCostService.createChargeback({
+        ticketId: ticketService.parseTicketRef(req.params.id),
+        tenantId: req.body.tenantId ? parseInt(req.body.tenantId) : null,
+        costIds: Array.isArray(req.body.costIds) ? req.body.costIds.map(id => parseInt(id)) : null,
+        issue: req.body.issue === true || req.body.issue === 'true',
+        createdById: req.user.id
+    });
+
+    await auditService.log({
+        action: 'CHARGEBACK_INVOICED',
+        userId: result.invoice.tenantId,
+        actorId: req.user.id,
+        req,
+        metadata: { ticketId: ticketService.parseTicketRef(req.params.id), invoiceId: result.invoice.id, costIds: result.costs.map(c => c.id) }
+    });
+
+    res.status(201).json(result);
+});
+
+// GET /api/admin/tickets/assignees (Staff who can take work orders)
+exports.getAssignees = catchAsync(async (req, res) => {
+    const staff = await prisma.user.findMany({
+        where: { role: { in: STAFF_ROLES } },
+        select: { id: true, name: true, email: true, role: true },
+        orderBy: { name: 'asc' }
+    });
+    res.json(staff);
+});
 
 // POST /api/admin/tickets (Admin creating ticket for tenant)
 exports.createTicket = async (req, res) => {
@@ -128,19 +220,16 @@ exports.createTicket = async (req, res) => {
         }
 
         // tenantId is user.id
-        const newTicket = await prisma.ticket.create({
-            data: {
-                userId: parseInt(tenantId),
-                subject,
-                description,
-                priority,
-                category: req.body.category,
-                status: 'Open',
-                propertyId: propertyId ? parseInt(propertyId) : null,
-                unitId: unitId ? parseInt(unitId) : null,
-                attachmentUrls: attachmentUrls.length > 0 ? JSON.stringify(attachmentUrls) : null
-            }
-        });
+        const newTicket = await ticketService.createTicket({
+            userId: parseInt(tenantId),
+            subject,
+            description,
+            priority,
+            category: req.body.category,
+            propertyId: propertyId ? parseInt(propertyId) : null,
+            unitId: unitId ? parseInt(unitId) : null,
+            attachmentUrls: attachmentUrls.length > 0 ? JSON.stringify(attachmentUrls) : null
+        }, { actorId: req.user.id });
 
         res.status(201).json(newTicket);
     } catch (e) {
@@ -152,26 +241,44 @@ exports.createTicket = async (req, res) => {
 // PUT /api/admin/tickets/:id
 exports.updateTicket = async (req, res) => {
     try {
-        const { id } = req.params;
+        const id = parseInt(req.params.id);
         const { subject, description, priority, category, status, propertyId, unitId, tenantId } = req.body;
 
-        const updated = await prisma.ticket.update({
-            where: { id: parseInt(id) },
-            data: {
-                subject,
-                description,
-                priority,
-                category,
-                status,
-                propertyId: propertyId ? parseInt(propertyId) : undefined,
-                unitId: unitId ? parseInt(unitId) : undefined,
-                userId: tenantId ? parseInt(tenantId) : undefined
-            }
+        const existing = await prisma.ticket.findUnique({ where: { id } });
+        if (!existing) return res.status(404).json({ message: 'Ticket not found' });
+
+        const data = {
+            subject,
+            description,
+            category,
+            propertyId: propertyId ? parseInt(propertyId) : undefined,
+            unitId: unitId ? parseInt(unitId) : undefined,
+            userId: tenantId ? parseInt(tenantId) : undefined
+        };
+
+        // A priority change re-targets the SLA from when the ticket was opened
+        const newPriority = priority !== undefined ? ticketService.normalizePriority(priority) : null;
+        if (priority !== undefined && !newPriority) return res.status(400).json({ message: 'Invalid priority' });
+        if (newPriority && newPriority !== existing.priority) {
+            data.priority = newPriority;
+            Object.assign(data, await ticketService.calculateSlaTargets(newPriority, existing.createdAt));
+            if (existing.firstRespondedAt) delete data.responseDueAt;
+        }
+
+        let updated = await prisma.ticket.update({
+            where: { id },
+            data
         });
 
+        // Status changes still go through the state machine
+        if (status && ticketService.normalizeStatus(status) !== ticketService.normalizeStatus(existing.status)) {
+            updated = await ticketService.transitionTicket(id, status, { actorId: req.user.id });
+        }
+
         res.json(updated);
     } catch (e) {
         console.error(e);
+        if (e.statusCode) return res.status(e.statusCode).json({ message: e.message });
         res.status(500).json({ message: 'Error updating ticket' });
     }
 };
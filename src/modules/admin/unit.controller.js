@@ -1,4 +1,5 @@
 const prisma = require('../../config/prisma');
+const { removeInvoicePostings } = require('../../services/ledger.service');
 
 // GET /api/admin/units
 exports.getAllUnits = async (req, res) => {
@@ -514,7 +515,14 @@ exports.deleteUnit = async (req, res) => {
 
         // Use transaction to delete all related records
         const result = await prisma.$transaction(async (tx) => {
-            // Delete associated invoices first (FK constraint)
+            // Delete associated invoices first (FK constraint), reversing what they and their payments posted to the ledger
+            const invoiceIds = (await tx.invoice.findMany({ where: { unitId: unitId }, select: { id: true } })).map(i => i.id);
+            await removeInvoicePostings(tx, invoiceIds, { createdById: req.user?.id || null });
+            const paymentIds = (await tx.payment.findMany({ where: { invoiceId: { in: invoiceIds } }, select: { id: true } })).map(p => p.id);
+            await tx.paymentRefund.deleteMany({ where: { paymentIntent: { invoiceId: { in: invoiceIds } } } });
+            await tx.paymentIntent.deleteMany({ where: { invoiceId: { in: invoiceIds } } });
+            await tx.transaction.deleteMany({ where: { OR: [{ invoiceId: { in: invoiceIds } }, { paymentId: { in: paymentIds } }] } });
+            await tx.payment.deleteMany({ where: { id: { in: paymentIds } } });
             await tx.invoice.deleteMany({
                 where: { unitId: unitId }
             });
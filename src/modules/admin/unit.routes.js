@@ -1,15 +1,20 @@
 const express = require('express');
 const router = express.Router();
 const unitController = require('./unit.controller');
+const { authenticate, authorize, requirePermission } = require('../../middlewares/auth.middleware');
+const { STAFF_ROLES } = require('../../constants/permissions');
 
-router.get('/', unitController.getAllUnits);
-router.post('/', unitController.createUnit);
-router.get('/types', unitController.getUnitTypes);
-router.post('/types', unitController.createUnitType);
-router.delete('/types/:id', unitController.deleteUnitType);
-router.get('/bedrooms/vacant', unitController.getVacantBedrooms);
-router.get('/:id', unitController.getUnitDetails);
-router.put('/:id', unitController.updateUnit);
-router.delete('/:id', unitController.deleteUnit);
+router.use(authenticate);
+router.use(authorize(...STAFF_ROLES));
+
+router.get('/', requirePermission('units:read'), unitController.getAllUnits);
+router.post('/', requirePermission('units:write'), unitController.createUnit);
+router.get('/types', requirePermission('units:read'), unitController.getUnitTypes);
+router.post('/types', requirePermission('units:write'), unitController.createUnitType);
+router.delete('/types/:id', requirePermission('units:write'), unitController.deleteUnitType);
+router.get('/bedrooms/vacant', requirePermission('units:read'), unitController.getVacantBedrooms);
+router.get('/:id', requirePermission('units:read'), unitController.getUnitDetails);
+router.put('/:id', requirePermission('units:write'), unitController.updateUnit);
+router.delete('/:id', requirePermission('units:write'), unitController.deleteUnit);
 
 module.exports = router;
@@ -0,0 +1,310 @@
+const prisma = require('../../config/prisma');
+const path = require('path');
+const fs = require('fs');
+const AppError = require('../../utils/AppError');
+const catchAsync = require('../../utils/catchAsync');
+const documentService = require('../../services/documentService');
+const vendorService = require('../../services/vendor.service');
+
+const VENDOR_STATUSES = ['Active', 'Inactive'];
+
+const parseVendor = (body, { partial = false } = {}) => {
+    const errors = {};
+    const data = {};
+
+    if (!partial || body.name !== undefined) {
+        if (!body.name || !String(body.name).trim()) errors.name = 'Vendor name is required';
+        else data.name = String(body.name).trim();
+    }
+    if (body.email !== undefined) {
+        if (body.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(body.email)) errors.email = 'Invalid email address';
+        data.email = body.email || null;
+    }
+    if (body.phone !== undefined) data.phone = body.phone || null;
+    if (body.address !== undefined) data.address = body.address || null;
+    if (body.notes !== undefined) data.notes = body.notes || null;
+
+    if (body.trades !== undefined) {
+        const trades = vendorService.parseList(Array.isArray(body.trades) ? JSON.stringify(body.trades) : body.trades);
+        const unknown = trades.filter(t => !vendorService.VENDOR_TRADES.includes(t));
+        if (unknown.length > 0) errors.trades = `Unknown trade(s): ${unknown.join(', ')}`;
+        data.trades = vendorService.serializeList(trades);
+    }
+    if (body.serviceAreas !== undefined) {
+        data.serviceAreas = vendorService.serializeList(body.serviceAreas);
+    }
+    if (body.status !== undefined) {
+        if (!VENDOR_STATUSES.includes(body.status)) errors.status = `Status must be one of: ${VENDOR_STATUSES.join(', ')}`;
+        data.status = body.status;
+    }
+
+    if (Object.keys(errors).length > 0) {
+        const err = new AppError('Validation failed', 400);
+        err.errors = errors;
+        throw err;
+    }
+    return data;
+};
+
+const parseRange = (query) => {
+    const from = query.from ? new Date(query.from) : null;
+    const to = query.to ? new Date(query.to) : null;
+    if ((from && isNaN(from)) || (to && isNaN(to))) throw new AppError('Invalid date range', 400);
+    return { from, to };
+};
+
+const formatVendor = (vendor, compliance) => ({
+    ...vendor,
+    trades: vendorService.parseList(vendor.trades),
+    serviceAreas: vendorService.parseList(vendor.serviceAreas),
+    compliance
+});
+
+// GET /api/admin/vendors/trades
+exports.getTrades = (req, res) => {
+    res.json(vendorService.VENDOR_TRADES);
+};
+
+// GET /api/admin/vendors?trade=&area=&status=&search=
+exports.getVendors = catchAsync(async (req, res) => {
+    const { trade, area, status, search } = req.query;
+
+    const where = {};
+    if (status) where.status = status;
+    if (search) {
+        where.OR = [
+            { name: { contains: search } },
+            { email: { contains: search } },
+            { contacts: { some: { name: { contains: search } } } }
+        ];
+    }
+    // JSON arrays are stored as text; match the quoted value
+    if (trade) where.trades = { contains: JSON.stringify(String(trade)) };
+    if (area) where.serviceAreas = { contains: String(area) };
+
+    const vendors = await prisma.vendor.findMany({
+        where,
+        include: {
+            contacts: { where: { isPrimary: true } },
+            _count: { select: { tickets: true, maintenanceTasks: true } }
+        },
+        orderBy: { name: 'asc' }
+    });
+
+    const compliance = await vendorService.getComplianceForVendors(vendors.map(v => v.id));
+    res.json(vendors.map(v => formatVendor(v, compliance[v.id])));
+});
+
+// GET /api/admin/vendors/compliance (Vendors with missing W-9 or a missing/expiring/expired COI)
+exports.getComplianceReport = catchAsync(async (req, res) => {
+    const vendors = await prisma.vendor.findMany({
+        where: { status: 'Active' },
+        select: { id: true, name: true, email: true, phone: true },
+        orderBy: { name: 'asc' }
+    });
+
+    const compliance = await vendorService.getComplianceForVendors(vendors.map(v => v.id));
+    const report = vendors
+        .map(v => ({ ...v, ...compliance[v.id] }))
+        .filter(v => !v.compliant || v.coi === 'Expiring');
+
+    res.json(report);
+});
+
+// GET /api/admin/vendors/spend?from=&to=&propertyId= (Spend per vendor per building)
+exports.getSpendReport = catchAsync(async (req, res) => {
+    const { from, to } = parseRange(req.query);
+    const rows = await vendorService.getSpendByProperty({
+        from,
+        to,
+        propertyId: req.query.propertyId ? parseInt(req.query.propertyId) : null
+    });
+    res.json(rows);
+});
+
+// POST /api/admin/vendors
+exports.createVendor = catchAsync(async (req, res) => {
+    const data = parseVendor(req.body);
+    const contacts = Array.isArray(req.body.contacts) ? req.body.contacts : [];
+
+    const vendor = await prisma.vendor.create({
+        data: {
+            ...data,
+            contacts: {
+                create: contacts.filter(c => c && c.name).map((c, index) => ({
+                    name: c.name,
+                    role: c.role || null,
+                    email: c.email || null,
+                    phone: c.phone || null,
+                    isPrimary: c.isPrimary !== undefined ? Boolean(c.isPrimary) : index === 0
+                }))
+            }
+        },
+        include: { contacts: true }
+    });
+
+    res.status(201).json(formatVendor(vendor, null));
+});
+
+// GET /api/admin/vendors/:id
+exports.getVendorById = catchAsync(async (req, res) => {
+    const id = parseInt(req.params.id);
+    const vendor = await prisma.vendor.findUnique({
+        where: { id },
+        include: {
+            contacts: { orderBy: [{ isPrimary: 'desc' }, { name: 'asc' }] },
+            documents: { orderBy: { createdAt: 'desc' } }
+        }
+    });
+    if (!vendor) throw new AppError('Vendor not found', 404);
+
+    const [compliance, spend] = await Promise.all([
+        vendorService.getComplianceForVendors([id]),
+        vendorService.getSpendByProperty({ vendorId: id })
+    ]);
+
+    res.json({
+        ...formatVendor(vendor, compliance[id]),
+        spend,
+        totalSpend: spend.reduce((sum, r) => Math.round((sum + r.total) * 100) / 100, 0)
+    });
+});
+
+// PUT /api/admin/vendors/:id
+exports.updateVendor = catchAsync(async (req, res) => {
+    const id = parseInt(req.params.id);
+    const existing = await prisma.vendor.findUnique({ where: { id } });
+    if (!existing) throw new AppError('Vendor not found', 404);
+
+    const vendor = await prisma.vendor.update({
+        where: { id },
+        data: parseVendor(req.body, { partial: true }),
+        include: { contacts: true }
+    });
+
+    res.json(formatVendor(vendor, null));
+});
+
+// DELETE /api/admin/vendors/:id (Vendors with job history can only be deactivated)
+exports.deleteVendor = catchAsync(async (req, res) => {
+    const id = parseInt(req.params.id);
+    const vendor = await prisma.vendor.findUnique({
+        where: { id },
+        include: { _count: { select: { tickets: true, maintenanceTasks: true, costs: true } } }
+    });
+    if (!vendor) throw new AppError('Vendor not found', 404);
+
+    const { tickets, maintenanceTasks, costs } = vendor._count;
+    if (tickets + maintenanceTasks + costs > 0) {
+        throw new AppError('Vendor has job history; set its status to Inactive instead', 400);
+    }
+
+    await prisma.$transaction([
+        prisma.document.updateMany({ where: { vendorId: id }, data: { vendorId: null } }),
+        prisma.vendor.delete({ where: { id } })
+    ]);
+    res.json({ message: 'Vendor deleted' });
+});
+
+// POST /api/admin/vendors/:id/contacts
+exports.addContact = catchAsync(async (req, res) => {
+    const vendorId = parseInt(req.params.id);
+    const { name, role, email, phone, isPrimary } = req.body;
+    if (!name) throw new AppError('Contact name is required', 400);
+
+    const vendor = await prisma.vendor.findUnique({ where: { id: vendorId } });
+    if (!vendor) throw new AppError('Vendor not found', 404);
+
+    const contact = await prisma.$transaction(async (tx) => {
+        if (isPrimary) await tx.vendorContact.updateMany({ where: { vendorId }, data: { isPrimary: false } });
+        return tx.vendorContact.create({
+            data: { vendorId, name, role: role || null, email: email || null, phone: phone || null, isPrimary: Boolean(isPrimary) }
+        });
+    });
+
+    res.status(201).json(contact);
+});
+
+// PUT /api/admin/vendors/:id/contacts/:contactId
+exports.updateContact = catchAsync(async (req, res) => {
+    const vendorId = parseInt(req.params.id);
+    const contactId = parseInt(req.params.contactId);
+    const { name, role, email, phone, isPrimary } = req.body;
+
+    const existing = await prisma.vendorContact.findFirst({ where: { id: contactId, vendorId } });
+    if (!existing) throw new AppError('Contact not found', 404);
+
+    const contact = await prisma.$transaction(async (tx) => {
+        if (isPrimary) await tx.vendorContact.updateMany({ where: { vendorId }, data: { isPrimary: false } });
+        return tx.vendorContact.update({
+            where: { id: contactId },
+            data: {
+                name,
+                role,
+                email,
+                phone,
+                isPrimary: isPrimary !== undefined ? Boolean(isPrimary) : undefined
+            }
+        });
+    });
+
+    res.json(contact);
+});
+
+// DELETE /api/admin/vendors/:id/contacts/:contactId
+exports.deleteContact = catchAsync(async (req, res) => {
+    const vendorId = parseInt(req.params.id);
+    const contactId = parseInt(req.params.contactId);
+
+    const { count } = await prisma.vendorContact.deleteMany({ where: { id: contactId, vendorId } });
+    if (count === 0) throw new AppError('Contact not found', 404);
+
+    res.json({ message: 'Contact deleted' });
+});
+
+// POST /api/admin/vendors/:id/documents (multipart: file, type 'W9' | 'COI' | other, expiryDate)
+exports.uploadDocument = catchAsync(async (req, res) => {
+    const vendorId = parseInt(req.params.id);
+    const vendor = await prisma.vendor.findUnique({ where: { id: vendorId } });
+    if (!vendor) throw new AppError('Vendor not found', 404);
+
+    if (!req.files || !req.files.file) throw new AppError('No file was uploaded.', 400);
+
+    const type = String(req.body.type || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    if (!type) throw new AppError('Document type is required.', 400);
+    if (type === vendorService.VENDOR_DOCUMENT_TYPES.COI && !req.body.expiryDate) {
+        throw new AppError('A certificate of insurance needs an expiry date', 400);
+    }
+
+    const file = req.files.file;
+    const uploadPath = path.join(process.cwd(), 'uploads', `${Date.now()}-${file.name}`);
+    const dir = path.dirname(uploadPath);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    await file.mv(uploadPath);
+
+    const doc = await documentService.linkDocument({
+        name: req.body.name || `${vendor.name}-${type}-${new Date().toISOString().split('T')[0]}${path.extname(file.name)}`,
+        type,
+        fileUrl: `/uploads/${path.basename(uploadPath)}`,
+        expiryDate: req.body.expiryDate,
+        vendorId
+    });
+
+    res.status(201).json(doc);
+});
+
+// GET /api/admin/vendors/:id/jobs
+exports.getJobHistory = catchAsync(async (req, res) => {
+    const vendorId = parseInt(req.params.id);
+    const vendor = await prisma.vendor.findUnique({ where: { id: vendorId } });
+    if (!vendor) throw new AppError('Vendor not found', 404);
+
+    res.json(await vendorService.getJobHistory(vendorId));
+});
+
+// GET /api/admin/vendors/:id/spend?from=&to=
+exports.getVendorSpend = catchAsync(async (req, res) => {
+    const vendorId = parseInt(req.params.id);
+    const { from, to } = parseRange(req.query);
+    res.json(await vendorService.getSpendByProperty({ vendorId, from, to }));
+});
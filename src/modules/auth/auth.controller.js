@@ -1,7 +1,21 @@
 const { body, validationResult } = require('express-validator');
 const bcrypt = require('bcrypt');
+const crypto = require('crypto');
 const prisma = require('../../config/prisma');
-const { generateTokens } = require('../../utils/token');
+const sessionService = require('../../services/session.service');
+const auditService = require('../../services/audit.service');
+const emailService = require('../../services/email.service');
+const smsService = require('../../services/sms.service');
+const AppError = require('../../utils/AppError');
+const catchAsync = require('../../utils/catchAsync');
+const { hashToken } = require('../../utils/token');
+
+const RESET_TOKEN_TTL_MINUTES = parseInt(process.env.RESET_TOKEN_TTL_MINUTES) || 60;
+
+const getSessionMeta = (req) => ({
+    userAgent: req.headers['user-agent'],
+    ipAddress: req.ip
+});
 
 // Login Controller
 exports.login = async (req, res) => {
@@ -32,22 +46,8 @@ exports.login = async (req, res) => {
             return res.status(401).json({ message: 'Invalid credentials' });
         }
 
-        // Generate Tokens
-        const { accessToken, refreshToken } = generateTokens(user);
-
-        // Store Refresh Token
-        // First, delete old tokens for this user to keep it clean (optional, strictly one session or multiple?)
-        // Let's just create a new one.
-        const expiresAt = new Date();
-        expiresAt.setDate(expiresAt.getDate() + 7);
-
-        await prisma.refreshToken.create({
-            data: {
-                token: refreshToken,
-                userId: user.id,
-                expiresAt,
-            },
-        });
+        // Generate Tokens (refresh token is persisted, hashed, as a new session family)
+        const { accessToken, refreshToken } = await sessionService.createSession(user, getSessionMeta(req));
 
         res.json({
             message: 'Login successful',
@@ -66,6 +66,39 @@ exports.login = async (req, res) => {
     }
 };
 
+// POST /api/auth/refresh
+// Rotates the refresh token: the presented token is revoked and a new pair is issued
+exports.refresh = catchAsync(async (req, res) => {
+    const { refreshToken } = req.body;
+    const session = await sessionService.rotateSession(refreshToken, getSessionMeta(req));
+
+    res.json({
+        accessToken: session.accessToken,
+        refreshToken: session.refreshToken,
+        user: {
+            id: session.user.id,
+            name: session.user.name,
+            email: session.user.email,
+            role: session.user.role,
+        },
+    });
+});
+
+// POST /api/auth/logout
+exports.logout = catchAsync(async (req, res) => {
+    const { refreshToken } = req.body;
+    await sessionService.revokeSession(refreshToken);
+
+    res.json({ message: 'Logged out successfully' });
+});
+
+// POST /api/auth/logout-all (authenticated)
+exports.logoutAll = catchAsync(async (req, res) => {
+    const revoked = await sessionService.revokeAllForUser(req.user.id);
+
+    res.json({ message: 'Signed out of all sessions', revoked });
+});
+
 // Validation Rules
 exports.validateLogin = [
     body('email').isEmail().withMessage('Please provide a valid email'),
@@ -115,9 +148,142 @@ exports.acceptInvite = async (req, res) => {
             }
         });
 
+        // A new password invalidates every existing session
+        await sessionService.revokeAllForUser(user.id);
+
         res.json({ message: 'Password set successfully. You can now login.' });
     } catch (e) {
         console.error('Accept Invite Error:', e);
         res.status(500).json({ message: 'Server error' });
     }
 };
+
+// Looks up a user by a plain reset token (only the hash is stored)
+const findUserByResetToken = async (token) => {
+    if (!token) return null;
+
+    const user = await prisma.user.findUnique({
+        where: { resetToken: hashToken(token) }
+    });
+
+    if (!user || !user.resetExpires || user.resetExpires < new Date()) return null;
+    return user;
+};
+
+// POST /api/auth/forgot-password
+// Always answers with the same message so the endpoint cannot be used to discover accounts
+exports.forgotPassword = catchAsync(async (req, res) => {
+    const { email, channel } = req.body;
+    const genericResponse = { message: 'If an account exists for this email, password reset instructions have been sent.' };
+
+    if (!email) {
+        const err = new AppError('Validation failed', 400);
+        err.errors = { email: 'Email is required' };
+        throw err;
+    }
+
+    const user = await prisma.user.findUnique({ where: { email: String(email).trim() } });
+
+    // Residents have no portal access
+    if (!user || user.type === 'RESIDENT') {
+        await auditService.log({ action: 'PASSWORD_RESET_UNKNOWN_ACCOUNT', req, metadata: { email } });
+        return res.json(genericResponse);
+    }
+
+    const resetToken = crypto.randomBytes(32).toString('hex');
+    const resetExpires = new Date();
+    resetExpires.setMinutes(resetExpires.getMinutes() + RESET_TOKEN_TTL_MINUTES);
+
+    // Issuing a new token replaces any previous one, so only the latest link works
+    await prisma.user.update({
+        where: { id: user.id },
+        data: {
+            resetToken: hashToken(resetToken),
+            resetExpires
+        }
+    });
+
+    const loginUrl = process.env.FRONTEND_URL || 'https://property-n.kiaantechnology.com';
+    const resetLink = `${loginUrl}/reset-password/${resetToken}`;
+    const displayName = user.firstName || user.name || 'there';
+
+    const delivery = { email: false, sms: false };
+
+    const eRes = await emailService.sendEmail(
+        user.email,
+        'Reset your password',
+        `Hello ${displayName},\n\nWe received a request to reset your portal password.\n\nReset it here: ${resetLink}\n\nThis link expires in ${RESET_TOKEN_TTL_MINUTES} minutes and can only be used once. If you did not request this, you can ignore this email.`,
+        { eventType: 'PASSWORD_RESET', recipientId: user.id, purpose: 'security' }
+    );
+    delivery.email = eRes.success;
+
+    if (channel === 'sms' && user.phone) {
+        const sRes = await smsService.sendSMS(user.phone, `Your password reset link: ${resetLink} (expires in ${RESET_TOKEN_TTL_MINUTES} min). Ignore if you did not request it.`, {
+            eventType: 'PASSWORD_RESET',
+            recipientId: user.id,
+            purpose: 'security'
+        });
+        delivery.sms = sRes.success;
+    }
+
+    await auditService.log({
+        action: 'PASSWORD_RESET_REQUESTED',
+        userId: user.id,
+        req,
+        metadata: { channel: channel === 'sms' ? 'email+sms' : 'email', delivery }
+    });
+
+    res.json(genericResponse);
+});
+
+// GET /api/auth/reset-password/:token
+exports.getResetDetails = catchAsync(async (req, res) => {
+    const user = await findUserByResetToken(req.params.token);
+    if (!user) throw new AppError('Invalid or expired reset link', 404);
+
+    res.json({ email: user.email });
+});
+
+// POST /api/auth/reset-password
+exports.resetPassword = catchAsync(async (req, res) => {
+    const { token, password } = req.body;
+
+    if (!password || String(password).length < 8) {
+        const err = new AppError('Validation failed', 400);
+        err.errors = { password: 'Password must be at least 8 characters' };
+        throw err;
+    }
+
+    const user = await findUserByResetToken(token);
+    if (!user) {
+        await auditService.log({ action: 'PASSWORD_RESET_INVALID_TOKEN', req });
+        throw new AppError('Invalid or expired reset link', 404);
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+
+    // Conditional update makes the token single-use even under concurrent requests
+    const { count } = await prisma.user.updateMany({
+        where: { id: user.id, resetToken: user.resetToken },
+        data: {
+            password: hashedPassword,
+            resetToken: null,
+            resetExpires: null,
+            // A completed reset also proves control of the invite address
+            inviteToken: null,
+            inviteExpires: null
+        }
+    });
+    if (count === 0) throw new AppError('Invalid or expired reset link', 404);
+
+    const revoked = await sessionService.revokeAllForUser(user.id);
+
+    await auditService.log({
+        action: 'PASSWORD_RESET_COMPLETED',
+        userId: user.id,
+        req,
+        metadata: { sessionsRevoked: revoked }
+    });
+
+    res.json({ message: 'Password reset successfully. You can now login.' });
+});
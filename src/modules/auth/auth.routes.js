@@ -1,9 +1,29 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('./auth.controller');
+const { authenticate } = require('../../middlewares/auth.middleware');
+const rateLimit = require('../../middlewares/rateLimit.middleware');
+
+const FIFTEEN_MINUTES = 15 * 60 * 1000;
+
+// Per-IP and per-email throttles for the password reset flow
+const resetRequestIpLimiter = rateLimit({ windowMs: FIFTEEN_MINUTES, max: 10 });
+const resetRequestEmailLimiter = rateLimit({
+    windowMs: FIFTEEN_MINUTES,
+    max: 3,
+    keyGenerator: (req) => req.body && req.body.email ? String(req.body.email).trim().toLowerCase() : null,
+    message: 'Too many reset requests for this account. Please try again later.'
+});
+const resetSubmitLimiter = rateLimit({ windowMs: FIFTEEN_MINUTES, max: 10 });
 
 router.post('/login', authController.validateLogin, authController.login);
+router.post('/refresh', authController.refresh);
+router.post('/logout', authController.logout);
+router.post('/logout-all', authenticate, authController.logoutAll);
 router.get('/invite/:token', authController.getInviteDetails);
 router.post('/accept-invite', authController.acceptInvite);
+router.post('/forgot-password', resetRequestIpLimiter, resetRequestEmailLimiter, authController.forgotPassword);
+router.get('/reset-password/:token', resetSubmitLimiter, authController.getResetDetails);
+router.post('/reset-password', resetSubmitLimiter, authController.resetPassword);
 
 module.exports = router;
@@ -1,6 +1,7 @@
 const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
 const smsService = require('../../services/sms.service');
+const { STAFF_ROLES } = require('../../constants/permissions');
 
 // Send a message
 exports.sendMessage = async (req, res) => {
@@ -41,7 +42,11 @@ exports.sendMessage = async (req, res) => {
         // Send SMS if receiver has a phone number
         if (receiver.phone) {
             const smsMessage = `${sender.name || 'Admin'}: ${content}`;
-            const smsResult = await smsService.sendSMS(receiver.phone, smsMessage);
+            const smsResult = await smsService.sendSMS(receiver.phone, smsMessage, {
+                purpose: 'conversational',
+                eventType: 'CHAT_MESSAGE',
+                recipientId: receiver.id
+            });
 
             if (smsResult.success) {
                 smsSid = smsResult.sid;
@@ -51,7 +56,7 @@ exports.sendMessage = async (req, res) => {
                 console.log(`✅ SMS sent to ${receiver.phone} (SID: ${smsSid})`);
             } else {
                 console.error(`❌ SMS failed to ${receiver.phone}:`, smsResult.error);
-                smsStatus = 'failed';
+                smsStatus = smsResult.skipped ? 'skipped' : 'failed';
                 sentVia = hasAppAccess ? 'app' : 'none';
             }
 
@@ -149,7 +154,7 @@ exports.getConversations = async (req, res) => {
         // If Admin: fetch ALL Tenants and Owners.
         // If Tenant/Owner: fetch ONLY Admin(s).
 
-        if (userRole === 'ADMIN') {
+        if (STAFF_ROLES.includes(userRole)) {
             // Fetch all users except self (Owners and Tenants)
             const users = await prisma.user.findMany({
                 where: {
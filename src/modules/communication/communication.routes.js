@@ -3,11 +3,17 @@ const express = require('express');
 const router = express.Router();
 const communicationController = require('./communication.controller');
 const twilioWebhookController = require('./twilio.webhook.controller');
+const sendgridWebhookController = require('./sendgrid.webhook.controller');
 const { authenticate } = require('../../middlewares/auth.middleware'); // Corrected path
+const { verifyTwilioSignature } = require('../../middlewares/twilioSignature.middleware');
 
-// Twilio webhook routes (NO AUTH - Twilio needs to access these)
-router.post('/webhook/sms/incoming', twilioWebhookController.handleIncomingSMS);
-router.post('/webhook/sms/status', twilioWebhookController.handleSMSStatusCallback);
+// Twilio webhook routes (NO AUTH - signed by Twilio, posted as form fields)
+const twilioWebhook = [express.urlencoded({ extended: false }), verifyTwilioSignature];
+router.post('/webhook/sms/incoming', ...twilioWebhook, twilioWebhookController.handleIncomingSMS);
+router.post('/webhook/sms/status', ...twilioWebhook, twilioWebhookController.handleSMSStatusCallback);
+
+// SendGrid event webhook (NO AUTH - signed by SendGrid)
+router.post('/webhook/email/events', sendgridWebhookController.handleEmailEvents);
 
 // Authenticated routes
 router.use(authenticate);
@@ -0,0 +1,16 @@
+const catchAsync = require('../../utils/catchAsync');
+const emailEventService = require('../../services/emailEvent.service');
+
+/**
+ * SendGrid Event Webhook Handler
+ * POST /api/communication/webhook/email/events (NO AUTH - verified by the SendGrid signature)
+ * Records delivery, open, bounce and spam report events against the email logs
+ */
+exports.handleEmailEvents = catchAsync(async (req, res) => {
+    emailEventService.verifySignature(req.rawBody, req.headers);
+
+    const summary = await emailEventService.processEvents(req.body);
+    console.log(`📧 SendGrid events: ${summary.processed} processed, ${summary.duplicate} duplicate, ${summary.ignored} ignored`);
+
+    res.json({ received: true, ...summary });
+});
@@ -1,78 +1,53 @@
 const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
+const { TEMPLATE_CHANNELS, renderMessage } = require('../../services/template.service');
+const smsInbound = require('../../services/smsInbound.service');
+
+const escapeXml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+// Reply to the sender with the SMS template for an event
+const sendTwimlReply = async (res, eventType, context = {}, language) => {
+    let text;
+    try {
+        ({ text } = await renderMessage(eventType, TEMPLATE_CHANNELS.SMS, context, language));
+    } catch (error) {
+        console.error(`❌ Could not render ${eventType} reply:`, error.message);
+        text = 'Error processing your message. Please try again.';
+    }
+
+    res.set('Content-Type', 'text/xml');
+    return res.send(`<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+    <Message>${escapeXml(text)}</Message>
+</Response>`);
+};
 
 /**
  * Twilio Webhook Handler for Incoming SMS
- * This endpoint receives incoming SMS messages from Twilio and creates them in the database
+ * Verified by verifyTwilioSignature. Routes the text to the right staff member (or records a lead),
+ * handles keywords and replies with TwiML.
  */
 exports.handleIncomingSMS = async (req, res) => {
     try {
-        const { From, To, Body, MessageSid } = req.body;
-
-        console.log('📱 Incoming SMS from Twilio:', { From, To, Body, MessageSid });
-
-        // Find the user by phone number (sender)
-        const sender = await prisma.user.findFirst({
-            where: {
-                phone: {
-                    contains: From.replace(/\D/g, '').slice(-10) // Match last 10 digits
-                }
-            }
-        });
-
-        if (!sender) {
-            console.warn(`⚠️ No user found with phone number: ${From}`);
-            // Send TwiML response
-            res.set('Content-Type', 'text/xml');
-            return res.send(`<?xml version="1.0" encoding="UTF-8"?>
-<Response>
-    <Message>Sorry, we couldn't identify your account. Please contact support.</Message>
-</Response>`);
-        }
+        const { From, Body, MessageSid } = req.body;
 
-        // Find admin user to receive the message
-        const admin = await prisma.user.findFirst({
-            where: { role: 'ADMIN' }
-        });
+        console.log('📱 Incoming SMS from Twilio:', { From, MessageSid });
 
-        if (!admin) {
-            console.error('❌ No admin user found to receive SMS');
+        const { reply } = await smsInbound.handleIncoming({ from: From, body: Body, sid: MessageSid });
+        if (!reply) {
             res.set('Content-Type', 'text/xml');
-            return res.send(`<?xml version="1.0" encoding="UTF-8"?>
-<Response>
-    <Message>System error. Please try again later.</Message>
-</Response>`);
+            return res.send('<?xml version="1.0" encoding="UTF-8"?>\n<Response></Response>');
         }
 
-        // Create message in database
-        const message = await prisma.message.create({
-            data: {
-                content: Body,
-                senderId: sender.id,
-                receiverId: admin.id,
-                isRead: false,
-                smsSid: MessageSid,
-                smsStatus: 'received',
-                sentVia: 'sms'
-            }
-        });
-
-        console.log(`✅ SMS message saved to database (ID: ${message.id})`);
-
-        // Send TwiML response (optional auto-reply)
-        res.set('Content-Type', 'text/xml');
-        res.send(`<?xml version="1.0" encoding="UTF-8"?>
-<Response>
-    <Message>Message received. We'll get back to you soon!</Message>
-</Response>`);
-
+        await sendTwimlReply(res, reply.eventType, reply.context, reply.language);
     } catch (error) {
         console.error('❌ Error handling incoming SMS:', error);
-        res.set('Content-Type', 'text/xml');
-        res.send(`<?xml version="1.0" encoding="UTF-8"?>
-<Response>
-    <Message>Error processing your message. Please try again.</Message>
-</Response>`);
+        await sendTwimlReply(res, 'SMS_ERROR');
     }
 };
 
@@ -94,6 +69,15 @@ exports.handleSMSStatusCallback = async (req, res) => {
 
         console.log(`✅ Updated ${updated.count} message(s) with status: ${MessageStatus}`);
 
+        // Delivery outcome on the outbox row (campaign reports read it from there)
+        const logStatus = { delivered: 'Delivered', undelivered: 'Undelivered', failed: 'Undelivered' }[MessageStatus];
+        if (logStatus && MessageSid) {
+            await prisma.communicationLog.updateMany({
+                where: { providerId: MessageSid, channel: 'SMS' },
+                data: { status: logStatus, lastEventAt: new Date() }
+            });
+        }
+
         res.sendStatus(200);
     } catch (error) {
         console.error('❌ Error handling SMS status callback:', error);
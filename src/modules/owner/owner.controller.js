@@ -1,4 +1,11 @@
 const prisma = require('../../config/prisma');
+const reportService = require('../../services/report.service');
+const distributionService = require('../../services/ownerDistribution.service');
+const auditService = require('../../services/audit.service');
+const { getBrandingSettings } = require('../../services/settings.service');
+const { generateReportPDF, generateOwnerStatementPDF } = require('../../utils/pdf.utils');
+const { generateReportCSV } = require('../../utils/csv.utils');
+const { generateReportXLSX } = require('../../utils/xlsx.utils');
 
 // GET /api/owner/dashboard/stats
 exports.getOwnerDashboardStats = async (req, res) => {
@@ -138,31 +145,77 @@ exports.getOwnerFinancials = async (req, res) => {
         });
         const propertyIds = properties.map(p => p.id);
 
-        // Find paid invoices (Revenue)
+        // Find paid invoices (Revenue); totals cover all of them, the transaction list only the latest 50
+        const invoiceWhere = {
+            unit: { propertyId: { in: propertyIds } },
+            status: 'paid'
+        };
         const invoices = await prisma.invoice.findMany({
-            where: {
-                unit: { propertyId: { in: propertyIds } },
-                status: 'paid'
-            },
+            where: invoiceWhere,
             include: { unit: { include: { property: true } } },
             orderBy: { paidAt: 'desc' },
             take: 50
         });
 
-        const totalCollected = invoices.reduce((sum, inv) => sum + parseFloat(inv.amount), 0);
+        const invoiceAgg = await prisma.invoice.aggregate({ where: invoiceWhere, _sum: { amount: true } });
+        const totalCollected = parseFloat(invoiceAgg._sum.amount) || 0;
+
+        // Repair and maintenance costs (Expenses); chargebacks recovered from tenants stay listed as expenses
+        // and the recovered amount comes back in as a paid SERVICE invoice
+        const costWhere = { propertyId: { in: propertyIds } };
+        const costs = await prisma.workOrderCost.findMany({
+            where: costWhere,
+            include: { property: true, vendor: { select: { name: true } } },
+            orderBy: { incurredAt: 'desc' },
+            take: 50
+        });
+
+        const costAgg = await prisma.workOrderCost.aggregate({ where: costWhere, _sum: { amount: true } });
+        const totalExpenses = parseFloat(costAgg._sum.amount) || 0;
 
         const transactions = invoices.map(inv => ({
             id: `INV-${inv.id}`,
             property: inv.unit.property.name,
             date: inv.paidAt ? inv.paidAt.toLocaleDateString() : inv.createdAt.toLocaleDateString(),
-            type: 'Rent Payment',
+            sortDate: inv.paidAt || inv.createdAt,
+            type: inv.category === 'SERVICE' ? 'Service Charge' : 'Rent Payment',
             amount: parseFloat(inv.amount),
             status: 'Paid'
         }));
 
+        costs.forEach(c => transactions.push({
+            id: `EXP-${c.id}`,
+            property: c.property ? c.property.name : 'General',
+            date: c.incurredAt.toLocaleDateString(),
+            sortDate: c.incurredAt,
+            type: `${c.costType} Expense`,
+            description: c.description,
+            vendor: c.vendor ? c.vendor.name : null,
+            amount: -parseFloat(c.amount),
+            billedToTenant: Boolean(c.invoiceId),
+            status: 'Expense'
+        }));
+
+        transactions.sort((a, b) => b.sortDate - a.sortDate);
+
+        // What has been paid out of the collected rent, and what is coming next
+        const distributions = await prisma.ownerDistribution.findMany({
+            where: { ownerId, status: { in: ['Scheduled', 'On Hold', 'Paid'] } },
+            orderBy: { scheduledFor: 'asc' }
+        });
+        const sumAmount = (list) => list.reduce((sum, d) => sum + parseFloat(d.amount), 0);
+        // Payouts held after a payout account change are still owed, but are not the next one to go out
+        const scheduled = distributions.filter(d => d.status === 'Scheduled' || d.status === 'On Hold');
+        const next = scheduled.find(d => d.status === 'Scheduled');
+
         res.json({
             collected: totalCollected,
-            transactions
+            expenses: totalExpenses,
+            net: totalCollected - totalExpenses,
+            distributed: sumAmount(distributions.filter(d => d.status === 'Paid')),
+            scheduledDistributions: sumAmount(scheduled),
+            nextDistribution: next ? { amount: parseFloat(next.amount), scheduledFor: next.scheduledFor, method: next.method, period: next.period } : null,
+            transactions: transactions.map(({ sortDate, ...t }) => t)
         });
 
     } catch (e) {
@@ -255,9 +308,6 @@ exports.getOwnerReports = async (req, res) => {
         })).map(p => p.id);
 
         const today = new Date().toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
-        const lastMonth = new Date();
-        lastMonth.setMonth(lastMonth.getMonth() - 1);
-        const lastMonthStr = lastMonth.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
 
         let reportsViewable = 4;
         if (propertyIds.length > 0) {
@@ -269,12 +319,7 @@ exports.getOwnerReports = async (req, res) => {
             reportsViewable = Math.min(99, Math.max(4, Math.ceil(invoiceCount / 3) || 4));
         }
 
-        const reports = [
-            { id: 'monthly_summary', title: 'Monthly Performance Summary', description: 'Comprehensive view of revenue, occupancy, and expenses for the current month.', type: 'monthly_summary', lastGenerated: today },
-            { id: 'annual_overview', title: 'Annual Financial Overview', description: 'Year-on-year growth, cumulative earnings, and portfolio valuation trends.', type: 'annual_overview', lastGenerated: today },
-            { id: 'occupancy_stats', title: 'Occupancy & Vacancy Analysis', description: 'Unit-by-unit occupancy status and historical vacancy rates across all sites.', type: 'occupancy_stats', lastGenerated: today },
-            { id: 'tax_statement', title: 'Tax Compliance Statement', description: 'Read-only tax summaries and deductible expense records for audit purposes.', type: 'tax_statement', lastGenerated: lastMonthStr },
-        ];
+        const reports = reportService.listReports().map(r => ({ ...r, type: r.id, lastGenerated: today }));
 
         res.json({
             reports,
@@ -292,3 +337,127 @@ exports.getOwnerReports = async (req, res) => {
         res.status(500).json({ message: 'Server error' });
     }
 };
+
+// GET /api/owner/reports/:id/download?format=pdf|csv|xlsx&from=&to=&propertyId=
+// Same reports as staff, always limited to the properties this owner owns
+exports.downloadOwnerReport = async (req, res) => {
+    try {
+        const format = String(req.query.format || 'pdf').toLowerCase();
+        if (!['pdf', 'csv', 'xlsx'].includes(format)) {
+            return res.status(400).json({ message: 'Format must be one of: pdf, csv, xlsx' });
+        }
+
+        const filters = reportService.parseReportFilters({ ...req.query, ownerId: req.user.id });
+        const report = await reportService.buildReport(req.params.id, filters);
+
+        if (format === 'csv') return generateReportCSV(report, res);
+
+        const settings = await getBrandingSettings();
+        if (format === 'xlsx') return await generateReportXLSX(report, res, settings);
+        generateReportPDF(report, res, settings);
+    } catch (e) {
+        if (e.statusCode) return res.status(e.statusCode).json({ message: e.message, errors: e.errors });
+        console.error(e);
+        res.status(500).json({ message: 'Error generating report' });
+    }
+};
+
+// GET /api/owner/statements
+exports.getOwnerStatements = async (req, res) => {
+    try {
+        const statements = await prisma.ownerStatement.findMany({
+            where: { ownerId: req.user.id },
+            orderBy: { period: 'desc' }
+        });
+
+        res.json(statements.map(s => ({
+            id: s.id,
+            period: s.period,
+            income: parseFloat(s.income),
+            expenses: parseFloat(s.expenses),
+            managementFee: parseFloat(s.managementFee),
+            netPayable: parseFloat(s.netPayable),
+            status: s.status,
+            sentAt: s.sentAt
+        })));
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// GET /api/owner/statements/:id/download
+exports.downloadOwnerStatement = async (req, res) => {
+    try {
+        const statement = await prisma.ownerStatement.findFirst({
+            where: { id: parseInt(req.params.id), ownerId: req.user.id }
+        });
+        if (!statement) return res.status(404).json({ message: 'Statement not found' });
+
+        generateOwnerStatementPDF(JSON.parse(statement.details), res, await getBrandingSettings());
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ message: 'Error generating statement' });
+    }
+};
+
+// GET /api/owner/distributions
+exports.getOwnerDistributions = async (req, res) => {
+    try {
+        const distributions = await prisma.ownerDistribution.findMany({
+            where: { ownerId: req.user.id, status: { not: 'Cancelled' } },
+            orderBy: [{ scheduledFor: 'desc' }, { id: 'desc' }]
+        });
+
+        res.json(distributions.map(d => ({
+            id: d.id,
+            period: d.period,
+            statementId: d.statementId,
+            statementNet: parseFloat(d.grossAmount),
+            reserveHeld: parseFloat(d.reserveHeld),
+            amount: parseFloat(d.amount),
+            status: d.status,
+            method: d.method,
+            reference: d.reference,
+            scheduledFor: d.scheduledFor,
+            paidAt: d.paidAt
+        })));
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// GET /api/owner/payout-account
+exports.getPayoutAccount = async (req, res) => {
+    try {
+        const account = await prisma.ownerPayoutAccount.findUnique({ where: { ownerId: req.user.id } });
+        res.json(distributionService.formatPayoutAccount(account));
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// PUT /api/owner/payout-account
+// Body: { method (ACH, CHECK, WIRE), accountName, routingNumber, accountNumber, accountType }
+// A change puts scheduled distributions on hold until staff confirm it, and is emailed to the owner
+exports.updatePayoutAccount = async (req, res) => {
+    try {
+        const { account, changed, held } = await distributionService.savePayoutAccount(req.user.id, req.body, { holdScheduled: true });
+
+        await auditService.log({
+            action: 'OWNER_PAYOUT_ACCOUNT_UPDATED',
+            userId: req.user.id,
+            actorId: req.user.id,
+            req,
+            metadata: { method: account.method, accountNumber: distributionService.maskAccountNumber(account.accountNumber), changed, distributionsHeld: held }
+        });
+
+        res.json({ ...distributionService.formatPayoutAccount(account), distributionsHeld: held });
+    } catch (e) {
+        if (e.statusCode) return res.status(e.statusCode).json({ message: e.message, errors: e.errors });
+        console.error(e);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
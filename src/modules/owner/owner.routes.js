@@ -14,5 +14,11 @@ router.get('/dashboard/financial-pulse', ownerController.getOwnerFinancialPulse)
 router.get('/properties', ownerController.getOwnerProperties);
 router.get('/financials', ownerController.getOwnerFinancials);
 router.get('/reports', ownerController.getOwnerReports);
+router.get('/reports/:id/download', ownerController.downloadOwnerReport);
+router.get('/statements', ownerController.getOwnerStatements);
+router.get('/statements/:id/download', ownerController.downloadOwnerStatement);
+router.get('/distributions', ownerController.getOwnerDistributions);
+router.get('/payout-account', ownerController.getPayoutAccount);
+router.put('/payout-account', ownerController.updatePayoutAccount);
 
 module.exports = router;
@@ -0,0 +1,16 @@
+const express = require('express');
+
+const router = express.Router();
+const paymentWebhookController = require('./payment.webhook.controller');
+const { authenticate } = require('../../middlewares/auth.middleware');
+const { getDefaultProviderName } = require('../../services/paymentProviders');
+
+// Provider webhooks (NO AUTH - the provider signature is verified instead; unregistered providers get 400)
+router.post('/webhook/:provider', paymentWebhookController.handleWebhook);
+
+// Mock provider helpers for local development
+if (process.env.NODE_ENV !== 'production' && getDefaultProviderName() === 'mock') {
+    router.post('/mock/intents/:id/:outcome', authenticate, paymentWebhookController.simulateMockWebhook);
+}
+
+module.exports = router;
@@ -0,0 +1,35 @@
+const prisma = require('../../config/prisma');
+const AppError = require('../../utils/AppError');
+const catchAsync = require('../../utils/catchAsync');
+const paymentGateway = require('../../services/paymentGateway.service');
+const mockProvider = require('../../services/paymentProviders/mock.provider');
+
+/**
+ * Payment provider webhooks
+ * POST /api/payments/webhook/:provider (NO AUTH - verified by the provider signature)
+ */
+exports.handleWebhook = catchAsync(async (req, res) => {
+    const result = await paymentGateway.handleWebhook(req.params.provider, req.rawBody, req.headers);
+    res.json({ received: true, duplicate: result.duplicate });
+});
+
+/**
+ * Local development only: make the mock provider confirm or fail an intent.
+ * Goes through the same signed webhook path as a real provider.
+ * POST /api/payments/mock/intents/:id/:outcome (outcome: succeed | fail)
+ */
+exports.simulateMockWebhook = catchAsync(async (req, res) => {
+    const intent = await prisma.paymentIntent.findUnique({ where: { id: parseInt(req.params.id) } });
+    if (!intent || intent.provider !== mockProvider.name) throw new AppError('Mock payment intent not found', 404);
+    if (req.user.role === 'TENANT' && intent.tenantId !== req.user.id) throw new AppError('Mock payment intent not found', 404);
+
+    const type = req.params.outcome === 'fail' ? 'payment.failed' : 'payment.succeeded';
+    const { rawBody, headers } = mockProvider.buildWebhook(intent.providerIntentId, type, {
+        failureReason: type === 'payment.failed' ? (req.body.failureReason || 'Card declined') : undefined
+    });
+
+    await paymentGateway.handleWebhook(mockProvider.name, rawBody, headers);
+
+    const updated = await prisma.paymentIntent.findUnique({ where: { id: intent.id } });
+    res.json({ id: updated.id, status: updated.status, failureReason: updated.failureReason, paymentId: updated.paymentId });
+});
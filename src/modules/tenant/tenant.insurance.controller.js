@@ -1,6 +1,7 @@
 const prisma = require('../../config/prisma');
 const documentService = require('../../services/documentService');
 const { uploadToCloudinary } = require('../../config/cloudinary');
+const insuranceService = require('../../services/insurance.service');
 
 // Helper to determine expiry label for UI
 const getExpiryLabel = (endDate) => {
@@ -35,6 +36,12 @@ exports.getInsurance = async (req, res) => {
             endDate: insurance.endDate.toISOString().substring(0, 10),
             documentUrl: insurance.documentUrl,
             status: insurance.status,
+            rejectionReason: insurance.rejectionReason,
+            liabilityAmount: insurance.liabilityAmount != null ? parseFloat(insurance.liabilityAmount) : null,
+            coverageTypes: insuranceService.parseCoverageTypes(insurance.coverageTypes || insurance.coverageType),
+            additionalInsured: insurance.additionalInsured,
+            additionalInsuredName: insurance.additionalInsuredName,
+            shortfalls: insuranceService.parseShortfalls(insurance.verificationResult),
             expiryLabel: getExpiryLabel(insurance.endDate)
         });
 
@@ -44,22 +51,62 @@ exports.getInsurance = async (req, res) => {
     }
 };
 
+// GET /api/tenant/insurance/requirements (What the tenant's policy must cover)
+exports.getRequirements = async (req, res) => {
+    try {
+        const user = await prisma.user.findUnique({
+            where: { id: req.user.id },
+            include: { leases: { where: { status: 'Active' }, include: { unit: true }, take: 1 } }
+        });
+        const activeLease = user?.leases?.[0];
+        const propertyId = activeLease?.unit?.propertyId || user?.buildingId || null;
+
+        const requirement = await insuranceService.getRequirementForProperty(propertyId);
+        res.json({
+            coverageTypes: insuranceService.COVERAGE_TYPES,
+            requirement: requirement ? {
+                minLiabilityAmount: requirement.minLiabilityAmount != null ? parseFloat(requirement.minLiabilityAmount) : null,
+                requiredCoverageTypes: insuranceService.parseCoverageTypes(requirement.requiredCoverageTypes),
+                requireAdditionalInsured: requirement.requireAdditionalInsured,
+                additionalInsuredName: requirement.additionalInsuredName
+            } : null
+        });
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
 // POST /api/tenant/insurance
 exports.uploadInsurance = async (req, res) => {
     try {
         const userId = req.user.id;
-        const { provider, policyNumber, startDate, endDate, coverageType } = req.body;
+        const { provider, policyNumber, startDate, endDate, coverageType, liabilityAmount, additionalInsuredName } = req.body;
 
         if (!provider || !policyNumber || !startDate || !endDate) {
             return res.status(400).json({ message: 'Missing required fields' });
         }
 
+        if (liabilityAmount !== undefined && liabilityAmount !== '' && (isNaN(parseFloat(liabilityAmount)) || parseFloat(liabilityAmount) < 0)) {
+            return res.status(400).json({ message: 'Liability amount must be a positive number' });
+        }
+
+        const policy = {
+            startDate: new Date(startDate),
+            endDate: new Date(endDate),
+            liabilityAmount: liabilityAmount !== undefined && liabilityAmount !== '' ? parseFloat(liabilityAmount) : null,
+            coverageTypes: insuranceService.serializeCoverageTypes(req.body.coverageTypes || coverageType),
+            additionalInsured: req.body.additionalInsured === true || req.body.additionalInsured === 'true',
+            additionalInsuredName: additionalInsuredName || null
+        };
+
         // 1. Get user data to link property/unit
         const user = await prisma.user.findUnique({
             where: { id: userId },
             include: {
                 leases: {
                     where: { status: 'Active' },
+                    include: { unit: true },
                     take: 1
                 }
             }
@@ -67,6 +114,13 @@ exports.uploadInsurance = async (req, res) => {
 
         const activeLease = user?.leases?.[0];
 
+        // Check the policy against the property's requirement before anything is stored
+        const requirement = await insuranceService.getRequirementForProperty(activeLease?.unit?.propertyId || user?.buildingId || null);
+        const shortfalls = insuranceService.checkPolicy(requirement, policy);
+        if (shortfalls.some(s => s.code === insuranceService.SHORTFALL.INVALID_DATES)) {
+            return res.status(400).json({ message: 'Policy end date must be after its start date' });
+        }
+
         // 2. Handle file upload and create Document record
         let documentUrl = null;
         let uploadedDocId = null;
@@ -95,8 +149,8 @@ exports.uploadInsurance = async (req, res) => {
                 provider,
                 policyNumber,
                 coverageType,
-                startDate: new Date(startDate),
-                endDate: new Date(endDate),
+                ...policy,
+                verificationResult: JSON.stringify(shortfalls),
                 documentUrl,
                 uploadedDocumentId: uploadedDocId,
                 status: 'PENDING_APPROVAL',
@@ -105,8 +159,12 @@ exports.uploadInsurance = async (req, res) => {
             }
         });
 
+        // Shortfalls do not block the upload; staff see them when reviewing the policy
         res.status(201).json({
             ...insurance,
+            coverageTypes: insuranceService.parseCoverageTypes(insurance.coverageTypes),
+            meetsRequirements: shortfalls.length === 0,
+            shortfalls,
             expiryLabel: getExpiryLabel(insurance.endDate)
         });
 
@@ -15,7 +15,7 @@ exports.getInvoices = async (req, res) => {
                 }
             },
             orderBy: { createdAt: 'desc' },
-            include: { unit: true }
+            include: { unit: true, taxLines: true }
         });
 
         const formatted = invoices.map(inv => {
@@ -35,6 +35,12 @@ exports.getInvoices = async (req, res) => {
                 amount: parseFloat(inv.amount),
                 rent: parseFloat(inv.rent),
                 serviceFees: parseFloat(inv.serviceFees),
+                taxAmount: parseFloat(inv.taxAmount),
+                taxes: inv.taxLines.map(t => ({
+                    name: t.name,
+                    rate: parseFloat(t.rate),
+                    amount: parseFloat(t.amount)
+                })),
                 status: statusDisplay,
                 date: inv.createdAt.toISOString().split('T')[0],
                 unit: inv.unit ? inv.unit.name : 'N/A'
@@ -58,7 +64,8 @@ exports.downloadInvoicePDF = async (req, res) => {
             where: { id, tenantId: userId },
             include: {
                 tenant: true,
-                unit: true
+                unit: true,
+                taxLines: true
             }
         });
 
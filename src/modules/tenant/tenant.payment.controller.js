@@ -1,112 +1,54 @@
-// POST /api/tenant/pay
 const prisma = require('../../config/prisma');
+const AppError = require('../../utils/AppError');
+const catchAsync = require('../../utils/catchAsync');
+const paymentGateway = require('../../services/paymentGateway.service');
+
+const formatIntent = (intent) => ({
+    intentId: intent.id,
+    invoiceId: intent.invoiceId,
+    amount: parseFloat(intent.amount),
+    currency: intent.currency,
+    method: intent.method,
+    provider: intent.provider,
+    clientSecret: intent.clientSecret,
+    status: intent.status,
+    failureReason: intent.failureReason,
+    paymentId: intent.paymentId
+});
 
-exports.processPayment = async (req, res) => {
-    try {
-        const userId = req.user.id;
-        const { invoiceId, amount, paymentMethod } = req.body;
-        const payAmount = parseFloat(amount);
-
-        if (!invoiceId || isNaN(payAmount) || payAmount <= 0) {
-            return res.status(400).json({ message: 'Valid Invoice ID and Amount are required' });
-        }
-
-        const result = await prisma.$transaction(async (tx) => {
-            // 1. Get the invoice and verify tenant ownership
-            const invoice = await tx.invoice.findFirst({
-                where: {
-                    id: parseInt(invoiceId),
-                    tenantId: userId
-                }
-            });
-
-            if (!invoice) {
-                throw new Error('Invoice not found or unauthorized');
-            }
-
-            // 2. Create Payment Record (Requirement 6)
-            const payment = await tx.payment.create({
-                data: {
-                    invoiceId: invoice.id,
-                    amount: payAmount,
-                    method: paymentMethod || 'Online',
-                    date: new Date()
-                }
-            });
-
-            // 3. Update Invoice Status and Balances (Requirement 6)
-            const currentPaid = parseFloat(invoice.paidAmount) || 0;
-            const totalRequired = parseFloat(invoice.amount) || 0;
-
-            const newPaidAmount = currentPaid + payAmount;
-            const newBalanceDue = totalRequired - newPaidAmount;
-
-            let status = 'partial';
-            if (newBalanceDue <= 0) {
-                status = 'paid';
-            }
-
-            const updatedInvoice = await tx.invoice.update({
-                where: { id: invoice.id },
-                data: {
-                    paidAmount: newPaidAmount,
-                    balanceDue: Math.max(0, newBalanceDue),
-                    status: status,
-                    paidAt: status === 'paid' ? new Date() : invoice.paidAt,
-                    paymentMethod: paymentMethod || invoice.paymentMethod
-                }
-            });
-
-            // 4. Create Ledger Transaction (Requirement 2 & 3)
-            // Ensure a "Rent Income" account exists
-            let rentAccount = await tx.account.findFirst({
-                where: { accountName: 'Rent Income' }
-            });
-
-            if (!rentAccount) {
-                rentAccount = await tx.account.create({
-                    data: {
-                        accountName: 'Rent Income',
-                        assetType: 'Income',
-                        openingBalance: 0
-                    }
-                });
-            }
-
-            // Simple running balance logic
-            const lastTx = await tx.transaction.findFirst({
-                orderBy: { id: 'desc' }
-            });
-            const prevBalance = lastTx ? parseFloat(lastTx.balance) : 0;
-
-            const transaction = await tx.transaction.create({
-                data: {
-                    date: new Date(),
-                    description: `Rent Payment - ${invoice.month} (Inv: ${invoice.invoiceNo})`,
-                    type: 'Income',
-                    amount: payAmount,
-                    balance: prevBalance + payAmount,
-                    status: 'Completed',
-                    invoiceId: invoice.id,
-                    paymentId: payment.id,
-                    accountId: rentAccount.id
-                }
-            });
-
-            return { payment, updatedInvoice, transaction };
-        });
-
-        res.json({
-            success: true,
-            message: 'Payment processed successfully',
-            paymentId: result.payment.id,
-            invoiceId: result.updatedInvoice.id,
-            status: result.updatedInvoice.status,
-            balanceDue: result.updatedInvoice.balanceDue
-        });
-
-    } catch (e) {
-        console.error('Payment Error:', e);
-        res.status(500).json({ message: e.message || 'Payment processing failed' });
+// POST /api/tenant/pay
+// Starts an online payment. The invoice is only marked paid once the provider confirms it via webhook.
+// Clients should send an Idempotency-Key header so a retried request never opens a second payment.
+exports.processPayment = catchAsync(async (req, res) => {
+    const { invoiceId, amount, paymentMethod } = req.body;
+
+    if (!invoiceId || isNaN(parseInt(invoiceId))) {
+        const err = new AppError('Validation failed', 400);
+        err.errors = { invoiceId: 'Valid Invoice ID is required' };
+        throw err;
     }
-};
+
+    const intent = await paymentGateway.createPaymentIntent({
+        tenantId: req.user.id,
+        invoiceId: parseInt(invoiceId),
+        amount,
+        method: paymentMethod,
+        idempotencyKey: req.get('Idempotency-Key') || req.body.idempotencyKey
+    });
+
+    res.status(201).json({
+        success: true,
+        message: 'Payment initiated. Complete the authorization to finish paying.',
+        ...formatIntent(intent)
+    });
+});
+
+// GET /api/tenant/payments/:intentId
+exports.getPaymentStatus = catchAsync(async (req, res) => {
+    const intent = await prisma.paymentIntent.findFirst({
+        where: { id: parseInt(req.params.intentId), tenantId: req.user.id }
+    });
+    if (!intent) throw new AppError('Payment not found', 404);
+
+    res.json(formatIntent(intent));
+});
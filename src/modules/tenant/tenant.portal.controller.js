@@ -1,4 +1,5 @@
 const prisma = require('../../config/prisma');
+const consentService = require('../../services/consent.service');
 
 // GET /api/tenant/dashboard
 exports.getDashboard = async (req, res) => {
@@ -27,7 +28,7 @@ exports.getDashboard = async (req, res) => {
         const openTickets = await prisma.ticket.count({
             where: {
                 userId,
-                status: { not: 'Resolved' }
+                status: { notIn: ['Resolved', 'Closed'] }
             }
         });
 
@@ -58,12 +59,29 @@ exports.getDashboard = async (req, res) => {
             }
         }
 
+        // Insurance: a lapse recorded on the lease by the lapse engine wins over older policies
+        const today = new Date();
+        const currentPolicy = tenant.insurances.find(i => ['ACTIVE', 'EXPIRING'].includes(i.status) && new Date(i.endDate) >= today);
+        let insuranceStatus = 'Missing';
+        let insuranceLapsedDays = null;
+
+        if (activeLease && activeLease.insuranceLapsedAt) {
+            insuranceStatus = 'Lapsed';
+            insuranceLapsedDays = Math.max(0, Math.floor((today - new Date(activeLease.insuranceLapsedAt)) / (1000 * 60 * 60 * 24)));
+        } else if (currentPolicy) {
+            insuranceStatus = currentPolicy.status === 'EXPIRING' ? 'Expiring' : 'Compliant';
+        } else if (tenant.insurances.some(i => i.status === 'PENDING_APPROVAL')) {
+            insuranceStatus = 'Pending Review';
+        }
+
         const stats = {
             currentRent,
             rentDueStatus,
             leaseStatus: activeLease ? 'Active' : 'No Active Lease',
             leaseExpiry: activeLease ? activeLease.endDate : null,
-            insuranceStatus: tenant.insurances.length > 0 ? 'Compliant' : 'Missing',
+            insuranceStatus,
+            insuranceLapsedSince: activeLease && activeLease.insuranceLapsedAt ? activeLease.insuranceLapsedAt : null,
+            insuranceLapsedDays,
             openTickets: `${openTickets} Open`
         };
 
@@ -126,3 +144,48 @@ exports.getReports = async (req, res) => {
         res.status(500).json({ message: 'Server error' });
     }
 };
+
+// GET /api/tenant/notification-preferences
+exports.getNotificationPreferences = async (req, res) => {
+    try {
+        const user = await prisma.user.findUnique({
+            where: { id: req.user.id },
+            select: { email: true, phone: true, notifyByEmail: true, notifyBySms: true, language: true }
+        });
+        if (!user) return res.status(404).json({ message: 'Tenant not found' });
+
+        res.json(user);
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// PUT /api/tenant/notification-preferences – channels used for payment reminders, language of templated messages
+// Turning a channel on or off is recorded as consent, with the IP address and browser as evidence
+exports.updateNotificationPreferences = async (req, res) => {
+    try {
+        const { notifyByEmail, notifyBySms, language } = req.body;
+        const data = {};
+        if (language !== undefined) {
+            if (!/^[a-z]{2}(-[A-Z]{2})?$/.test(String(language))) return res.status(400).json({ message: 'Language must be a code such as en or fr-CA' });
+            data.language = String(language);
+        }
+
+        await consentService.recordPreferenceChanges(req.user.id, {
+            notifyByEmail: notifyByEmail !== undefined ? notifyByEmail === true || notifyByEmail === 'true' : undefined,
+            notifyBySms: notifyBySms !== undefined ? notifyBySms === true || notifyBySms === 'true' : undefined
+        }, { source: 'tenant_portal', ipAddress: req.ip, userAgent: req.get('user-agent') });
+
+        const user = await prisma.user.update({
+            where: { id: req.user.id },
+            data,
+            select: { notifyByEmail: true, notifyBySms: true, language: true }
+        });
+
+        res.json(user);
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
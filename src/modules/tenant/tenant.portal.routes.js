@@ -26,14 +26,22 @@ router.post("/documents", tenantDocumentController.uploadDocument);
 
 router.get("/tickets", tenantTicketController.getTickets);
 router.post("/tickets", tenantTicketController.createTicket);
+router.get("/tickets/:id", tenantTicketController.getTicketById);
+router.post("/tickets/:id/comments", tenantTicketController.addComment);
+router.post("/tickets/:id/reopen", tenantTicketController.reopenTicket);
 
 router.get("/invoices", tenantInvoiceController.getInvoices);
 router.get("/invoices/:id/download", tenantInvoiceController.downloadInvoicePDF);
 router.post("/pay", tenantPaymentController.processPayment);
+router.get("/payments/:intentId", tenantPaymentController.getPaymentStatus);
 
 router.get("/insurance", tenantInsuranceController.getInsurance);
+router.get("/insurance/requirements", tenantInsuranceController.getRequirements);
 router.post("/insurance", tenantInsuranceController.uploadInsurance);
 
 router.get("/reports", tenantPortalController.getReports);
 
+router.get("/notification-preferences", tenantPortalController.getNotificationPreferences);
+router.put("/notification-preferences", tenantPortalController.updateNotificationPreferences);
+
 module.exports = router;
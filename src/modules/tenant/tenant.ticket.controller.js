@@ -1,5 +1,9 @@
 const prisma = require('../../config/prisma');
 const { uploadToCloudinary } = require('../../config/cloudinary');
+const AppError = require('../../utils/AppError');
+const catchAsync = require('../../utils/catchAsync');
+const ticketService = require('../../services/ticket.service');
+const { TICKET_STATUS } = require('../../constants/statuses');
 
 // GET /api/tenant/tickets
 exports.getTickets = async (req, res) => {
@@ -7,6 +11,7 @@ exports.getTickets = async (req, res) => {
         const userId = req.user.id;
         const tickets = await prisma.ticket.findMany({
             where: { userId },
+            include: { _count: { select: { comments: { where: { isInternal: false } } } } },
             orderBy: { createdAt: 'desc' }
         });
 
@@ -14,8 +19,11 @@ exports.getTickets = async (req, res) => {
             id: `T-${t.id + 1000}`,
             subject: t.subject,
             desc: t.description,
-            status: t.status,
+            status: ticketService.normalizeStatus(t.status) || t.status,
             priority: t.priority,
+            assignedVendor: t.assignedVendor,
+            commentCount: t._count.comments,
+            updatedAt: t.updatedAt,
             date: t.createdAt.toISOString().split('T')[0],
             attachments: t.attachmentUrls ? JSON.parse(t.attachmentUrls) : []
         }));
@@ -58,18 +66,15 @@ exports.createTicket = async (req, res) => {
             attachmentUrls.push({ type: 'video', url: result.secure_url });
         }
 
-        const newTicket = await prisma.ticket.create({
-            data: {
-                userId,
-                subject,
-                description: finalDescription,
-                priority: priority || 'Low',
-                status: 'Open',
-                propertyId: activeLease?.unit?.propertyId || null,
-                unitId: activeLease?.unitId || null,
-                attachmentUrls: attachmentUrls.length > 0 ? JSON.stringify(attachmentUrls) : null
-            }
-        });
+        const newTicket = await ticketService.createTicket({
+            userId,
+            subject,
+            description: finalDescription,
+            priority: priority || 'Low',
+            propertyId: activeLease?.unit?.propertyId || null,
+            unitId: activeLease?.unitId || null,
+            attachmentUrls: attachmentUrls.length > 0 ? JSON.stringify(attachmentUrls) : null
+        }, { actorId: userId });
 
         res.status(201).json({
             id: `T-${newTicket.id + 1000}`,
@@ -86,3 +91,64 @@ exports.createTicket = async (req, res) => {
         res.status(500).json({ message: 'Error creating ticket' });
     }
 };
+
+// GET /api/tenant/tickets/:id (Status history and the public comment thread)
+exports.getTicketById = catchAsync(async (req, res) => {
+    const ticket = await ticketService.getTicketDetail(ticketService.parseTicketRef(req.params.id), {
+        forTenantId: req.user.id
+    });
+    if (!ticket) throw new AppError('Ticket not found', 404);
+
+    res.json({
+        id: ticket.ref,
+        subject: ticket.subject,
+        desc: ticket.description,
+        status: ticket.status,
+        priority: ticket.priority,
+        date: ticket.createdAt.toISOString().split('T')[0],
+        assignedVendor: ticket.assignedVendor,
+        assignedTo: ticket.assignedTo ? ticket.assignedTo.name : null,
+        resolvedAt: ticket.resolvedAt,
+        attachments: ticket.attachmentUrls ? JSON.parse(ticket.attachmentUrls) : [],
+        history: ticket.events.map(e => ({
+            status: e.toStatus,
+            note: e.note,
+            date: e.createdAt
+        })),
+        comments: ticket.comments
+    });
+});
+
+// POST /api/tenant/tickets/:id/comments
+// Body: { body, parentId }
+exports.addComment = catchAsync(async (req, res) => {
+    const ticketId = ticketService.parseTicketRef(req.params.id);
+    const ticket = await prisma.ticket.findFirst({ where: { id: ticketId, userId: req.user.id } });
+    if (!ticket) throw new AppError('Ticket not found', 404);
+
+    const comment = await ticketService.addComment(ticketId, {
+        authorId: req.user.id,
+        body: req.body.body,
+        parentId: req.body.parentId ? parseInt(req.body.parentId) : null,
+        fromTenant: true
+    });
+
+    res.status(201).json(comment);
+});
+
+// POST /api/tenant/tickets/:id/reopen
+// Body: { reason } - only resolved or closed tickets can be reopened
+exports.reopenTicket = catchAsync(async (req, res) => {
+    const ticketId = ticketService.parseTicketRef(req.params.id);
+    const ticket = await prisma.ticket.findFirst({ where: { id: ticketId, userId: req.user.id } });
+    if (!ticket) throw new AppError('Ticket not found', 404);
+
+    const updated = await ticketService.transitionTicket(ticketId, TICKET_STATUS.REOPENED, {
+        actorId: req.user.id,
+        note: req.body.reason || null,
+        // The tenant reopened it themselves
+        notify: false
+    });
+
+    res.json({ id: ticketService.ticketRef(updated), status: updated.status });
+});
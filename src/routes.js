@@ -27,5 +27,6 @@ router.use('/admin', adminRoutes);
 router.use('/owner', ownerRoutes);
 router.use('/tenant', tenantPortalRoutes);
 router.use('/communication', require('./modules/communication/communication.routes'));
+router.use('/payments', require('./modules/payment/payment.routes'));
 
 module.exports = router;
@@ -0,0 +1,37 @@
+const prisma = require('../config/prisma');
+
+/**
+ * Audit Service
+ * Records security-relevant actions (password resets, session revocations, ...)
+ * Failures are logged and swallowed so auditing never breaks the main request.
+ */
+class AuditService {
+
+    /**
+     * @param {Object} params
+     * @param {string} params.action - e.g. 'PASSWORD_RESET_REQUESTED'
+     * @param {number} [params.userId] - Subject user (if known)
+     * @param {number} [params.actorId] - User who performed the action (if different)
+     * @param {Object} [params.req] - Express request, used for IP / user agent
+     * @param {Object} [params.metadata] - Extra context, stored as JSON
+     */
+    async log({ action, userId = null, actorId = null, req = null, metadata = null }) {
+        try {
+            return await prisma.auditLog.create({
+                data: {
+                    action,
+                    userId,
+                    actorId,
+                    ipAddress: req ? req.ip : null,
+                    userAgent: req && req.headers['user-agent'] ? String(req.headers['user-agent']).substring(0, 191) : null,
+                    metadata: metadata ? JSON.stringify(metadata) : null
+                }
+            });
+        } catch (error) {
+            console.error('[AuditService] Failed to write audit log:', error.message);
+            return null;
+        }
+    }
+}
+
+module.exports = new AuditService();
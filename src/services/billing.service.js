@@ -0,0 +1,316 @@
+const prisma = require('../config/prisma');
+const { buildInvoiceAmounts, round2 } = require('./tax.service');
+const { getIntSetting } = require('./settings.service');
+const { allocateInvoiceNumber } = require('./numbering.service');
+const { syncInvoicePosting } = require('./ledger.service');
+
+/**
+ * Billing Service
+ * The single place where monthly rent invoices are generated.
+ * Used by the monthly cron, the admin "Rent Run" screen and lease activation.
+ *
+ * - Periods are calendar months keyed as 'YYYY-MM' (Invoice.billingPeriod).
+ * - Idempotent: a lease is billed at most once per period (unique leaseId + billingPeriod + category).
+ * - Partial first/last months are prorated by day.
+ * - The due day comes from the `billing_due_day` setting (1-28, default 1).
+ * - Every lease processed by a run gets a RentRunLog row so runs can be audited and re-run.
+ * - Issued invoices are posted to the general ledger in the same transaction.
+ */
+
+const DEFAULT_DUE_DAY = 1;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toPeriod = (date = new Date()) => {
+    const d = new Date(date);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+};
+
+const isValidPeriod = (period) => /^\d{4}-(0[1-9]|1[0-2])$/.test(period || '');
+
+const periodBounds = (period) => {
+    const [year, month] = period.split('-').map(Number);
+    const start = new Date(year, month - 1, 1);
+    const end = new Date(year, month, 0, 23, 59, 59, 999);
+    return { start, end, daysInMonth: end.getDate() };
+};
+
+// Human label stored in Invoice.month, e.g. 'October 2026'
+const periodLabel = (period) => periodBounds(period).start.toLocaleString('en-US', { month: 'long', year: 'numeric' });
+
+const startOfDay = (date) => {
+    const d = new Date(date);
+    d.setHours(0, 0, 0, 0);
+    return d;
+};
+
+const getDueDay = (client = prisma) => getIntSetting('billing_due_day', DEFAULT_DUE_DAY, { min: 1, max: 28 }, client);
+
+/**
+ * Rent owed by a lease for a period, prorated by day for partial months
+ * @param {Object} lease - Lease row (monthlyRent, startDate, endDate)
+ * @param {string} period - 'YYYY-MM'
+ * @returns {{ amount: number, prorated: boolean, daysBilled: number, daysInMonth: number }}
+ */
+const calculateRentForPeriod = (lease, period) => {
+    const { start, end, daysInMonth } = periodBounds(period);
+    const monthlyRent = parseFloat(lease.monthlyRent) || 0;
+
+    const activeFrom = lease.startDate && startOfDay(lease.startDate) > start ? startOfDay(lease.startDate) : start;
+    const activeTo = lease.endDate && startOfDay(lease.endDate) < startOfDay(end) ? startOfDay(lease.endDate) : startOfDay(end);
+
+    if (activeTo < activeFrom) {
+        return { amount: 0, prorated: false, daysBilled: 0, daysInMonth };
+    }
+
+    const daysBilled = Math.round((activeTo - activeFrom) / DAY_MS) + 1;
+    if (daysBilled >= daysInMonth) {
+        return { amount: round2(monthlyRent), prorated: false, daysBilled: daysInMonth, daysInMonth };
+    }
+
+    return {
+        amount: round2(monthlyRent * daysBilled / daysInMonth),
+        prorated: true,
+        daysBilled,
+        daysInMonth
+    };
+};
+
+/**
+ * Due date for a lease's invoice in a period. A lease starting after the
+ * configured due day is due on its start date instead.
+ */
+const calculateDueDate = (lease, period, dueDay) => {
+    const { start } = periodBounds(period);
+    const dueDate = new Date(start.getFullYear(), start.getMonth(), dueDay);
+    if (lease.startDate && startOfDay(lease.startDate) > dueDate) {
+        return startOfDay(lease.startDate);
+    }
+    return dueDate;
+};
+
+// Residents are billed through their responsible party
+const resolveBillableTenantId = (lease) => {
+    if (lease.tenant && lease.tenant.type === 'RESIDENT') return lease.tenant.parentId || null;
+    return lease.tenantId;
+};
+
+/**
+ * Bill a single lease for a period.
+ * @param {Object} client - Prisma transaction (the invoice number is allocated in it)
+ * @param {Object} lease - Lease with `unit` and `tenant` included
+ * @param {string} period - 'YYYY-MM'
+ * @param {Object} [options] - { dueDay, dryRun }
+ * @returns {Promise<{ status: 'Success'|'Skipped'|'Preview', message: string, amount: number, invoice?: Object }>}
+ */
+const billLease = async (client, lease, period, { dueDay, dryRun = false } = {}) => {
+    const effectiveDueDay = dueDay || await getDueDay(client);
+    const label = periodLabel(period);
+
+    const existing = await client.invoice.findFirst({
+        where: {
+            leaseId: lease.id,
+            category: 'RENT',
+            OR: [
+                { billingPeriod: period },
+                // Invoices created before billingPeriod existed only carry the label
+                { billingPeriod: null, month: label, rent: { gt: 0 } }
+            ]
+        }
+    });
+    if (existing) {
+        return { status: 'Skipped', message: `Rent invoice ${existing.invoiceNo} already exists for ${label}.`, amount: 0, invoice: existing };
+    }
+
+    const rent = calculateRentForPeriod(lease, period);
+    if (rent.amount <= 0) {
+        return { status: 'Skipped', message: 'Lease monthlyRent is 0 or lease is not active in this period.', amount: 0 };
+    }
+
+    const billableTenantId = resolveBillableTenantId(lease);
+    if (!billableTenantId) {
+        return { status: 'Skipped', message: 'No billable tenant (parent) found for this resident.', amount: 0 };
+    }
+
+    const dueDate = calculateDueDate(lease, period, effectiveDueDay);
+    const description = rent.prorated
+        ? `Prorated rent: ${rent.daysBilled} of ${rent.daysInMonth} days`
+        : null;
+
+    if (dryRun) {
+        return {
+            status: 'Preview',
+            message: rent.prorated ? description : 'Full month rent',
+            amount: rent.amount,
+            preview: { tenantId: billableTenantId, unitId: lease.unitId, dueDate, prorated: rent.prorated }
+        };
+    }
+
+    const invoice = await client.invoice.create({
+        data: {
+            invoiceNo: await allocateInvoiceNumber(client),
+            tenantId: billableTenantId,
+            unitId: lease.unitId,
+            leaseId: lease.id,
+            leaseType: lease.unit ? lease.unit.rentalMode : null,
+            month: label,
+            billingPeriod: period,
+            ...await buildInvoiceAmounts(client, { rent: rent.amount }),
+            status: 'sent',
+            category: 'RENT',
+            description,
+            dueDate
+        }
+    });
+
+    await syncInvoicePosting(client, invoice.id);
+
+    return { status: 'Success', message: `Invoice ${invoice.invoiceNo} generated.`, amount: rent.amount, invoice };
+};
+
+const findBillableLeases = (period, leaseIds = null) => {
+    const { start, end } = periodBounds(period);
+
+    return prisma.lease.findMany({
+        where: {
+            status: 'Active',
+            startDate: { lte: end },
+            OR: [
+                { endDate: null },
+                { endDate: { gte: start } }
+            ],
+            ...(leaseIds ? { id: { in: leaseIds } } : {})
+        },
+        include: { unit: true, tenant: true },
+        orderBy: { id: 'asc' }
+    });
+};
+
+/**
+ * Run rent billing for every eligible lease in a period.
+ * @param {Object} [options]
+ * @param {string} [options.period] - 'YYYY-MM', defaults to the current month
+ * @param {boolean} [options.dryRun] - Preview only: nothing is written
+ * @param {string} [options.trigger] - 'CRON' | 'MANUAL' | 'RERUN'
+ * @param {Array<number>} [options.leaseIds] - Restrict to these leases
+ * @param {number} [options.createdById] - Staff user who started the run
+ * @param {number} [options.rerunOfId] - Original run when re-running
+ */
+const runRentBilling = async ({ period = toPeriod(), dryRun = false, trigger = 'MANUAL', leaseIds = null, createdById = null, rerunOfId = null } = {}) => {
+    if (!isValidPeriod(period)) throw new Error(`Invalid billing period: ${period}`);
+
+    const dueDay = await getDueDay();
+    const leases = await findBillableLeases(period, leaseIds);
+
+    const summary = { successCount: 0, skippedCount: 0, failedCount: 0, totalAmount: 0 };
+    const results = [];
+
+    const rentRun = dryRun ? null : await prisma.rentRun.create({
+        data: {
+            period,
+            trigger,
+            status: 'Pending',
+            createdById,
+            rerunOfId
+        }
+    });
+
+    for (const lease of leases) {
+        let result;
+        try {
+            result = await prisma.$transaction((tx) => billLease(tx, lease, period, { dueDay, dryRun }));
+        } catch (error) {
+            console.error(`[Billing] Error processing Lease ID ${lease.id}:`, error);
+            // A concurrent run billed this lease first (unique leaseId + billingPeriod)
+            result = error.code === 'P2002'
+                ? { status: 'Skipped', message: 'Rent invoice already exists for this period.', amount: 0 }
+                : { status: 'Failed', message: error.message || 'Unknown processing error.', amount: 0 };
+        }
+
+        if (result.status === 'Success' || result.status === 'Preview') {
+            summary.successCount++;
+            summary.totalAmount = round2(summary.totalAmount + result.amount);
+        } else if (result.status === 'Skipped') {
+            summary.skippedCount++;
+        } else {
+            summary.failedCount++;
+        }
+
+        results.push({
+            leaseId: lease.id,
+            tenant: lease.tenant ? lease.tenant.name : null,
+            unit: lease.unit ? lease.unit.name : null,
+            status: result.status,
+            amount: result.amount,
+            message: result.message,
+            invoiceId: result.invoice && result.status === 'Success' ? result.invoice.id : null,
+            ...(result.preview ? { preview: result.preview } : {})
+        });
+
+        if (rentRun) {
+            await prisma.rentRunLog.create({
+                data: {
+                    rentRunId: rentRun.id,
+                    leaseId: lease.id,
+                    invoiceId: result.invoice && result.status === 'Success' ? result.invoice.id : null,
+                    status: result.status,
+                    amount: result.amount,
+                    message: result.message
+                }
+            });
+        }
+    }
+
+    let run = null;
+    if (rentRun) {
+        run = await prisma.rentRun.update({
+            where: { id: rentRun.id },
+            data: {
+                status: 'Completed',
+                completedAt: new Date(),
+                ...summary
+            }
+        });
+    }
+
+    console.log(`[Billing] ${dryRun ? 'Preview' : 'Run'} for ${period} complete. Created: ${summary.successCount}, Skipped: ${summary.skippedCount}, Failed: ${summary.failedCount}`);
+
+    return { run, period, dryRun, dueDay, summary, results };
+};
+
+/**
+ * Re-run the leases of a previous run that did not get an invoice
+ * @param {number} runId
+ * @param {Object} [options] - { createdById }
+ */
+const rerunRentRun = async (runId, { createdById = null } = {}) => {
+    const original = await prisma.rentRun.findUnique({
+        where: { id: runId },
+        include: { logs: true }
+    });
+    if (!original) return null;
+    if (!original.period) throw new Error('This run predates billing periods and cannot be re-run.');
+
+    const leaseIds = [...new Set(original.logs
+        .filter(l => l.status === 'Failed' && l.leaseId)
+        .map(l => l.leaseId))];
+
+    return runRentBilling({
+        period: original.period,
+        trigger: 'RERUN',
+        // No failures: re-run the whole period (idempotent, picks up newly eligible leases)
+        leaseIds: leaseIds.length > 0 ? leaseIds : null,
+        createdById,
+        rerunOfId: original.id
+    });
+};
+
+module.exports = {
+    toPeriod,
+    isValidPeriod,
+    periodLabel,
+    calculateRentForPeriod,
+    calculateDueDate,
+    billLease,
+    runRentBilling,
+    rerunRentRun
+};
@@ -0,0 +1,528 @@
+const prisma = require('../config/prisma');
+const AppError = require('../utils/AppError');
+const outbox = require('./outbox.service');
+const { getIntSetting } = require('./settings.service');
+const { findSuppression } = require('./emailEvent.service');
+const { CONSENT_PURPOSES, latestConsents } = require('./consent.service');
+const { renderWith, userContext, companyContext } = require('./template.service');
+
+/**
+ * Campaign Service
+ * Bulk email/SMS sent to an audience built from filters rather than a hand-picked list.
+ *
+ * - Audience filters: property, unit, lease status, balance owing, insurance status and tenant
+ *   type for tenants (residents included); property for owners; or an explicit list of users.
+ * - The audience is resolved when the campaign starts, so a scheduled campaign reaches whoever
+ *   matches on the day. Recipients without an address, on the email suppression list or sharing
+ *   an address with an earlier recipient are recorded as Skipped with the reason.
+ * - Purpose: a service notice (water shut-off, building work) reaches every tenant who has not
+ *   opted out, like any other transactional message. Marketing SMS also needs an opt-in on
+ *   record. The outbox checks again at send time, so a later STOP still wins.
+ * - The campaign worker hands at most `campaign_send_rate_per_minute` (default 60) recipients per
+ *   minute to the communication outbox, which does the sending and retrying.
+ * - Message and subject may use {{recipient.firstName}}, {{recipient.name}} and {{company.name}}.
+ * - Per-recipient delivery status is the status of the outbox row (Sent, Delivered, Bounced...).
+ */
+
+const CAMPAIGN_STATUS = {
+    SCHEDULED: 'Scheduled',
+    SENDING: 'Sending',
+    COMPLETED: 'Completed',
+    CANCELLED: 'Cancelled'
+};
+
+// Stored as the consent purpose the messages are checked against
+const CAMPAIGN_PURPOSES = {
+    SERVICE_NOTICE: CONSENT_PURPOSES.TRANSACTIONAL,
+    MARKETING: CONSENT_PURPOSES.MARKETING
+};
+
+const RECIPIENT_STATUS = {
+    QUEUED: 'Queued',
+    RELEASED: 'Released',
+    SKIPPED: 'Skipped',
+    CANCELLED: 'Cancelled'
+};
+
+const CAMPAIGN_AUDIENCES = {
+    TENANTS: 'TENANTS',
+    OWNERS: 'OWNERS'
+};
+
+const INSURANCE_FILTERS = ['PENDING_APPROVAL', 'ACTIVE', 'EXPIRING', 'EXPIRED', 'REJECTED', 'NONE'];
+const TENANT_TYPES = ['INDIVIDUAL', 'COMPANY', 'RESIDENT'];
+
+// Invoices that still count towards what a tenant owes
+const OPEN_INVOICE = { status: { notIn: ['draft', 'void', 'paid'] } };
+
+const toList = (value) => {
+    if (value === undefined || value === null || value === '') return [];
+    return Array.isArray(value) ? value : String(value).split(',');
+};
+
+const toIds = (value) => toList(value).map(v => parseInt(v)).filter(v => !isNaN(v));
+
+const validationError = (errors) => {
+    const err = new AppError('Validation failed', 400);
+    err.errors = errors;
+    return err;
+};
+
+/**
+ * Validate and normalise audience filters
+ * @param {Object} input - { audience, userIds, propertyIds, unitIds, leaseStatuses, minBalance, insuranceStatuses, tenantTypes }
+ * @returns {Object} Normalised filters
+ */
+const parseFilters = (input = {}) => {
+    const errors = {};
+
+    const audience = String(input.audience || CAMPAIGN_AUDIENCES.TENANTS).toUpperCase();
+    if (!CAMPAIGN_AUDIENCES[audience]) errors.audience = `Audience must be one of: ${Object.values(CAMPAIGN_AUDIENCES).join(', ')}`;
+
+    const filters = {
+        audience,
+        userIds: toIds(input.userIds),
+        propertyIds: toIds(input.propertyIds),
+        unitIds: toIds(input.unitIds),
+        leaseStatuses: toList(input.leaseStatuses).map(s => String(s).trim()).filter(Boolean),
+        minBalance: null,
+        insuranceStatuses: toList(input.insuranceStatuses).map(s => String(s).trim().toUpperCase()),
+        tenantTypes: toList(input.tenantTypes).map(s => String(s).trim().toUpperCase())
+    };
+
+    if (input.minBalance !== undefined && input.minBalance !== null && input.minBalance !== '') {
+        filters.minBalance = parseFloat(input.minBalance);
+        if (isNaN(filters.minBalance) || filters.minBalance <= 0) errors.minBalance = 'Minimum balance must be a positive number (0.01 for any balance owing)';
+    }
+
+    const badInsurance = filters.insuranceStatuses.filter(s => !INSURANCE_FILTERS.includes(s));
+    if (badInsurance.length > 0) errors.insuranceStatuses = `Insurance status must be one of: ${INSURANCE_FILTERS.join(', ')}`;
+
+    const badTypes = filters.tenantTypes.filter(t => !TENANT_TYPES.includes(t));
+    if (badTypes.length > 0) errors.tenantTypes = `Tenant type must be one of: ${TENANT_TYPES.join(', ')}`;
+
+    if (audience === CAMPAIGN_AUDIENCES.OWNERS) {
+        const tenantOnly = ['unitIds', 'leaseStatuses', 'insuranceStatuses', 'tenantTypes'].filter(key => filters[key].length > 0);
+        if (filters.minBalance !== null) tenantOnly.push('minBalance');
+        tenantOnly.forEach(key => { errors[key] = 'Only the property filter applies to owners'; });
+    }
+
+    if (Object.keys(errors).length > 0) throw validationError(errors);
+    return filters;
+};
+
+/**
+ * Users matching the audience filters
+ * @param {Object} filters - Output of parseFilters
+ */
+const buildAudience = async (filters) => {
+    const and = [];
+    // A hand-picked list may mix tenants and owners; otherwise the audience decides the role
+    if (filters.userIds.length > 0) and.push({ id: { in: filters.userIds } });
+
+    if (filters.audience === CAMPAIGN_AUDIENCES.OWNERS) {
+        if (filters.userIds.length === 0) and.push({ role: 'OWNER' });
+        if (filters.propertyIds.length > 0) {
+            and.push({
+                OR: [
+                    { properties: { some: { id: { in: filters.propertyIds } } } },
+                    { propertyShares: { some: { propertyId: { in: filters.propertyIds } } } }
+                ]
+            });
+        }
+    } else {
+        if (filters.userIds.length === 0) and.push({ role: 'TENANT' });
+        if (filters.tenantTypes.length > 0) and.push({ type: { in: filters.tenantTypes } });
+
+        const lease = {};
+        if (filters.leaseStatuses.length > 0) lease.status = { in: filters.leaseStatuses };
+        if (filters.unitIds.length > 0) lease.unitId = { in: filters.unitIds };
+        if (filters.propertyIds.length > 0) lease.unit = { propertyId: { in: filters.propertyIds } };
+        if (Object.keys(lease).length > 0) {
+            // Residents reach the lease through their own link or through the lease holder
+            and.push({
+                OR: [
+                    { leases: { some: lease } },
+                    { residentLease: lease },
+                    { parent: { leases: { some: lease } } }
+                ]
+            });
+        }
+
+        if (filters.insuranceStatuses.length > 0) {
+            const statuses = filters.insuranceStatuses.filter(s => s !== 'NONE');
+            const or = [];
+            if (statuses.length > 0) or.push({ insurances: { some: { status: { in: statuses } } } });
+            if (filters.insuranceStatuses.includes('NONE')) or.push({ insurances: { none: {} } });
+            and.push({ OR: or });
+        }
+
+        if (filters.minBalance !== null) {
+            const owing = await prisma.invoice.groupBy({
+                by: ['tenantId'],
+                where: OPEN_INVOICE,
+                _sum: { balanceDue: true },
+                having: { balanceDue: { _sum: { gte: filters.minBalance } } }
+            });
+            and.push({ id: { in: owing.map(o => o.tenantId) } });
+        }
+    }
+
+    return prisma.user.findMany({
+        where: { AND: and },
+        select: { id: true, name: true, firstName: true, lastName: true, email: true, phone: true, language: true },
+        orderBy: { id: 'asc' }
+    });
+};
+
+/**
+ * Recipient rows for an audience: one per user and channel, with the reason when it will be skipped
+ * @param {Array} users
+ * @param {Array<string>} channels
+ */
+const planRecipients = async (users, channels, purpose = CAMPAIGN_PURPOSES.MARKETING) => {
+    const rows = [];
+    for (const channel of channels) {
+        const seen = new Set();
+        const consents = await latestConsents(users.map(u => u.id), channel);
+        for (const user of users) {
+            const consent = consents.get(user.id);
+            const address = channel === outbox.OUTBOX_CHANNELS.EMAIL
+                ? (user.email || '').trim().toLowerCase()
+                : (user.phone || '').replace(/[^\d+]/g, '');
+
+            let skipReason = null;
+            if (!address) {
+                skipReason = channel === outbox.OUTBOX_CHANNELS.EMAIL ? 'No email address on file' : 'No phone number on file';
+            } else if (seen.has(address)) {
+                skipReason = 'Same address as another recipient';
+            } else if (consent && !consent.granted) {
+                skipReason = `Opted out of ${channel === outbox.OUTBOX_CHANNELS.EMAIL ? 'email' : 'SMS'}`;
+            } else if (channel === outbox.OUTBOX_CHANNELS.SMS && !consent && purpose === CAMPAIGN_PURPOSES.MARKETING) {
+                skipReason = 'No SMS opt-in on record';
+            } else if (channel === outbox.OUTBOX_CHANNELS.EMAIL) {
+                const suppression = await findSuppression(address);
+                if (suppression) skipReason = `Email suppressed (${suppression.reason})`;
+            }
+            if (address) seen.add(address);
+
+            rows.push({
+                userId: user.id,
+                channel,
+                address: channel === outbox.OUTBOX_CHANNELS.EMAIL ? user.email || null : user.phone || null,
+                status: skipReason ? RECIPIENT_STATUS.SKIPPED : RECIPIENT_STATUS.QUEUED,
+                skipReason
+            });
+        }
+    }
+    return rows;
+};
+
+/**
+ * Audience size and a sample of recipients, without creating anything
+ * @param {Object} input - Raw filters
+ * @param {Array<string>} [channels]
+ */
+const previewAudience = async (input, channels = Object.values(outbox.OUTBOX_CHANNELS), purpose = CAMPAIGN_PURPOSES.MARKETING) => {
+    const filters = parseFilters(input);
+    const users = await buildAudience(filters);
+    const rows = await planRecipients(users, channels, purpose);
+
+    const byChannel = {};
+    for (const channel of channels) {
+        const channelRows = rows.filter(r => r.channel === channel);
+        byChannel[channel] = {
+            reachable: channelRows.filter(r => r.status === RECIPIENT_STATUS.QUEUED).length,
+            skipped: channelRows.filter(r => r.status === RECIPIENT_STATUS.SKIPPED).length
+        };
+    }
+
+    return {
+        filters,
+        count: users.length,
+        channels: byChannel,
+        sample: users.slice(0, 20).map(u => ({ id: u.id, name: u.name || `${u.firstName || ''} ${u.lastName || ''}`.trim(), email: u.email, phone: u.phone }))
+    };
+};
+
+const parseChannels = (value) => {
+    const names = { EMAIL: outbox.OUTBOX_CHANNELS.EMAIL, SMS: outbox.OUTBOX_CHANNELS.SMS };
+    return [...new Set(toList(value).map(c => names[String(c).trim().toUpperCase()]))];
+};
+
+/**
+ * Create a campaign. It starts at scheduledFor (now when omitted) on the next worker run.
+ * @param {Object} input - { name, channels, purpose, subject, message, filters, scheduledFor }
+ * @param {number} createdById
+ */
+const createCampaign = async (input, createdById) => {
+    const errors = {};
+
+    const channels = parseChannels(input.channels);
+    if (channels.length === 0 || channels.includes(undefined)) errors.channels = 'Channels must be Email and/or SMS';
+
+    const purpose = input.purpose || CAMPAIGN_PURPOSES.MARKETING;
+    if (!Object.values(CAMPAIGN_PURPOSES).includes(purpose)) errors.purpose = `Purpose must be one of: ${Object.values(CAMPAIGN_PURPOSES).join(', ')}`;
+
+    const message = String(input.message || '').trim();
+    if (!message) errors.message = 'Message is required';
+
+    const subject = input.subject ? String(input.subject).trim() : null;
+    if (channels.includes(outbox.OUTBOX_CHANNELS.EMAIL) && !subject) errors.subject = 'Subject is required for email';
+
+    let scheduledFor = new Date();
+    if (input.scheduledFor) {
+        scheduledFor = new Date(input.scheduledFor);
+        if (isNaN(scheduledFor.getTime())) errors.scheduledFor = 'Invalid date';
+    }
+
+    let filters;
+    try {
+        filters = parseFilters(input.filters || {});
+    } catch (error) {
+        if (!error.errors) throw error;
+        Object.assign(errors, error.errors);
+    }
+
+    if (Object.keys(errors).length > 0) throw validationError(errors);
+
+    return prisma.campaign.create({
+        data: {
+            name: String(input.name || subject || message).trim().substring(0, 100),
+            channels: channels.join(','),
+            purpose,
+            subject,
+            message,
+            filters: JSON.stringify(filters),
+            status: CAMPAIGN_STATUS.SCHEDULED,
+            scheduledFor,
+            createdById
+        }
+    });
+};
+
+/**
+ * Resolve the audience of a due campaign and queue its recipients
+ * @param {Object} campaign
+ */
+const startCampaign = async (campaign) => {
+    const claimed = await prisma.campaign.updateMany({
+        where: { id: campaign.id, status: CAMPAIGN_STATUS.SCHEDULED },
+        data: { status: CAMPAIGN_STATUS.SENDING, startedAt: new Date() }
+    });
+    if (claimed.count === 0) return;
+
+    const users = await buildAudience(JSON.parse(campaign.filters));
+    const rows = await planRecipients(users, campaign.channels.split(','), campaign.purpose);
+
+    await prisma.campaignRecipient.createMany({
+        data: rows.map(r => ({ ...r, campaignId: campaign.id })),
+        skipDuplicates: true
+    });
+    await prisma.campaign.update({
+        where: { id: campaign.id },
+        data: { recipientCount: rows.filter(r => r.status === RECIPIENT_STATUS.QUEUED).length }
+    });
+
+    console.log(`[Campaign] Started #${campaign.id} "${campaign.name}": ${rows.length} recipient(s)`);
+};
+
+/**
+ * Hand up to `limit` queued recipients of a campaign to the outbox
+ * @param {Object} campaign
+ * @param {number} limit
+ * @param {Object} company - company template context
+ * @returns {Promise<number>} Recipients released
+ */
+const releaseRecipients = async (campaign, limit, company) => {
+    const queued = await prisma.campaignRecipient.findMany({
+        where: { campaignId: campaign.id, status: RECIPIENT_STATUS.QUEUED },
+        include: { user: true },
+        orderBy: { id: 'asc' },
+        take: limit
+    });
+
+    let released = 0;
+    for (const recipient of queued) {
+        const rendered = await renderWith(
+            { subject: campaign.subject, body: campaign.message },
+            { recipient: userContext(recipient.user), company }
+        );
+
+        const done = await prisma.$transaction(async (tx) => {
+            // Claim it so a second worker cannot queue the same recipient twice
+            const claimed = await tx.campaignRecipient.updateMany({
+                where: { id: recipient.id, status: RECIPIENT_STATUS.QUEUED },
+                data: { status: RECIPIENT_STATUS.RELEASED, releasedAt: new Date() }
+            });
+            if (claimed.count === 0) return false;
+
+            const log = await outbox.enqueue({
+                channel: recipient.channel,
+                eventType: 'CAMPAIGN',
+                recipient: recipient.address,
+                recipientId: recipient.userId,
+                relatedEntity: 'Campaign',
+                entityId: campaign.id,
+                subject: rendered.subject,
+                content: rendered.text
+            }, tx);
+            await tx.campaignRecipient.update({ where: { id: recipient.id }, data: { logId: log.id } });
+
+            // SMS campaigns also show up in the tenant's message thread, as bulk SMS always did
+            if (recipient.channel === outbox.OUTBOX_CHANNELS.SMS && campaign.createdById) {
+                await tx.message.create({
+                    data: {
+                        content: rendered.text,
+                        senderId: campaign.createdById,
+                        receiverId: recipient.userId,
+                        isRead: false,
+                        smsStatus: 'queued',
+                        sentVia: 'sms'
+                    }
+                });
+            }
+            return true;
+        });
+        if (done) released++;
+    }
+
+    const remaining = await prisma.campaignRecipient.count({ where: { campaignId: campaign.id, status: RECIPIENT_STATUS.QUEUED } });
+    if (remaining === 0) {
+        await prisma.campaign.updateMany({
+            where: { id: campaign.id, status: CAMPAIGN_STATUS.SENDING },
+            data: { status: CAMPAIGN_STATUS.COMPLETED, completedAt: new Date() }
+        });
+    }
+    return released;
+};
+
+/**
+ * Start due campaigns and release this minute's share of recipients to the outbox
+ * @param {Object} [options] - { now }
+ * @returns {Promise<Object>} { started, released }
+ */
+const processCampaigns = async ({ now = new Date() } = {}) => {
+    const due = await prisma.campaign.findMany({
+        where: { status: CAMPAIGN_STATUS.SCHEDULED, scheduledFor: { lte: now } },
+        orderBy: { scheduledFor: 'asc' }
+    });
+    for (const campaign of due) {
+        await startCampaign(campaign);
+    }
+
+    let budget = await getIntSetting('campaign_send_rate_per_minute', 60, { min: 1, max: 1000 });
+    const sending = await prisma.campaign.findMany({
+        where: { status: CAMPAIGN_STATUS.SENDING },
+        orderBy: { scheduledFor: 'asc' }
+    });
+
+    let released = 0;
+    const company = sending.length > 0 ? await companyContext() : null;
+    for (const campaign of sending) {
+        if (budget <= 0) break;
+        const count = await releaseRecipients(campaign, budget, company);
+        budget -= count;
+        released += count;
+    }
+
+    if (due.length > 0 || released > 0) {
+        console.log(`[Campaign] Started ${due.length} campaign(s), released ${released} recipient(s) to the outbox`);
+    }
+    return { started: due.length, released };
+};
+
+/**
+ * Cancel a campaign that has not finished. Messages already handed to the outbox still go out.
+ * @param {number} id
+ */
+const cancelCampaign = async (id) => {
+    const campaign = await prisma.campaign.findUnique({ where: { id } });
+    if (!campaign) throw new AppError('Campaign not found', 404);
+    if (![CAMPAIGN_STATUS.SCHEDULED, CAMPAIGN_STATUS.SENDING].includes(campaign.status)) {
+        throw new AppError(`Only scheduled or sending campaigns can be cancelled (this one is ${campaign.status})`, 400);
+    }
+
+    return prisma.$transaction(async (tx) => {
+        const { count } = await tx.campaignRecipient.updateMany({
+            where: { campaignId: id, status: RECIPIENT_STATUS.QUEUED },
+            data: { status: RECIPIENT_STATUS.CANCELLED }
+        });
+        const updated = await tx.campaign.update({
+            where: { id },
+            data: { status: CAMPAIGN_STATUS.CANCELLED, completedAt: new Date() }
+        });
+        return { campaign: updated, cancelledRecipients: count };
+    });
+};
+
+// Delivery status of one recipient: the outbox row once released, otherwise the recipient status
+const deliveryStatus = (recipient) => {
+    if (recipient.status !== RECIPIENT_STATUS.RELEASED) return recipient.status;
+    return recipient.log ? recipient.log.status : RECIPIENT_STATUS.RELEASED;
+};
+
+/**
+ * Campaign with per-recipient delivery status and totals
+ * @param {number} id
+ */
+const getCampaignReport = async (id) => {
+    const campaign = await prisma.campaign.findUnique({
+        where: { id },
+        include: {
+            recipients: {
+                include: {
+                    user: { select: { id: true, name: true, firstName: true, lastName: true } },
+                    log: { select: { status: true, attempts: true, lastError: true, sentAt: true, lastEventAt: true, providerId: true } }
+                },
+                orderBy: { id: 'asc' }
+            }
+        }
+    });
+    if (!campaign) throw new AppError('Campaign not found', 404);
+
+    const recipients = campaign.recipients.map(r => ({
+        id: r.id,
+        userId: r.userId,
+        name: r.user.name || `${r.user.firstName || ''} ${r.user.lastName || ''}`.trim(),
+        channel: r.channel,
+        address: r.address,
+        status: deliveryStatus(r),
+        skipReason: r.skipReason,
+        error: r.log ? r.log.lastError : null,
+        attempts: r.log ? r.log.attempts : 0,
+        releasedAt: r.releasedAt,
+        sentAt: r.log ? r.log.sentAt : null,
+        lastEventAt: r.log ? r.log.lastEventAt : null
+    }));
+
+    const totals = {};
+    for (const r of recipients) {
+        totals[r.channel] = totals[r.channel] || {};
+        totals[r.channel][r.status] = (totals[r.channel][r.status] || 0) + 1;
+    }
+
+    const { recipients: _, ...details } = campaign;
+    return {
+        ...details,
+        channels: campaign.channels.split(','),
+        filters: JSON.parse(campaign.filters),
+        totals,
+        recipients
+    };
+};
+
+module.exports = {
+    CAMPAIGN_STATUS,
+    CAMPAIGN_PURPOSES,
+    RECIPIENT_STATUS,
+    CAMPAIGN_AUDIENCES,
+    parseFilters,
+    buildAudience,
+    previewAudience,
+    parseChannels,
+    createCampaign,
+    processCampaigns,
+    cancelCampaign,
+    getCampaignReport
+};
@@ -1,33 +1,32 @@
 const prisma = require('../config/prisma');
+const { TEMPLATE_CHANNELS, renderMessage, userContext } = require('./template.service');
+const outbox = require('./outbox.service');
 
 /**
- * Service to handle all outgoing communications (Email/SMS)
- * and log them to the CommunicationLog table for audit purposes.
+ * Service to handle all outgoing communications (Email/SMS).
+ * Messages are queued in the outbox (a Pending CommunicationLog row) and sent by the outbox worker;
+ * pass the transaction client to queue them together with the change they announce.
  */
 class CommunicationService {
 
     /**
-     * Send a general notification and log it
+     * Queue a notification for dispatch
+     * @param {Object} message - { recipientId, recipientEmail (or phone for SMS), eventType, channel, subject, content, html, relatedEntity, entityId }
+     * @param {Object} [client] - Prisma client or transaction
      */
-    async logCommunication({ recipientId, recipientEmail, eventType, channel, content, relatedEntity, entityId }) {
+    async logCommunication({ recipientId, recipientEmail, eventType, channel, subject, content, html, relatedEntity, entityId }, client = prisma) {
         try {
-            const log = await prisma.communicationLog.create({
-                data: {
-                    recipientId: recipientId || null,
-                    recipient: recipientEmail,
-                    eventType,
-                    channel,
-                    content,
-                    relatedEntity,
-                    entityId,
-                    status: 'Sent', // In a real app, this would be 'Pending' then updated after actual dispatch
-                }
-            });
-
-            // REAL-WORLD DISPATCH LOGIC (e.g. SendGrid or Twilio)
-            // console.log(`[DISPATCH] Sending ${channel} to ${recipientEmail}: ${content}`);
-
-            return log;
+            return await outbox.enqueue({
+                channel,
+                eventType,
+                recipient: recipientEmail,
+                recipientId,
+                relatedEntity,
+                entityId,
+                subject,
+                content,
+                html
+            }, client);
         } catch (error) {
             console.error('Failed to log communication:', error);
             throw error;
@@ -35,63 +34,62 @@ class CommunicationService {
     }
 
     /**
-     * Notify tenant of Insurance Approval
+     * Render a template for a user and queue it by email
      */
-    async sendInsuranceApproved(userId, insuranceId) {
-        const user = await prisma.user.findUnique({ where: { id: userId } });
-        if (!user) return;
-
-        const content = `Your insurance policy (ID: ${insuranceId}) has been approved. Your status is now ACTIVE.`;
+    async queueTemplatedEmail(user, templateEvent, context, log, client) {
+        const message = await renderMessage(templateEvent, TEMPLATE_CHANNELS.EMAIL, { tenant: userContext(user), ...context }, user.language);
 
         return this.logCommunication({
-            recipientId: userId,
+            recipientId: user.id,
             recipientEmail: user.email,
-            eventType: 'INSURANCE_APPROVED',
             channel: 'Email',
-            content,
+            subject: message.subject,
+            content: message.text,
+            html: message.html,
+            ...log
+        }, client);
+    }
+
+    /**
+     * Notify tenant of Insurance Approval
+     */
+    async sendInsuranceApproved(userId, insuranceId, client = prisma) {
+        const user = await client.user.findUnique({ where: { id: userId } });
+        if (!user) return;
+
+        return this.queueTemplatedEmail(user, 'INSURANCE_APPROVED', { insurance: { id: insuranceId } }, {
+            eventType: 'INSURANCE_APPROVED',
             relatedEntity: 'INSURANCE',
             entityId: insuranceId
-        });
+        }, client);
     }
 
     /**
      * Notify tenant of Insurance Rejection
      */
-    async sendInsuranceRejected(userId, insuranceId, reason) {
-        const user = await prisma.user.findUnique({ where: { id: userId } });
+    async sendInsuranceRejected(userId, insuranceId, reason, client = prisma) {
+        const user = await client.user.findUnique({ where: { id: userId } });
         if (!user) return;
 
-        const content = `Your insurance policy (ID: ${insuranceId}) was rejected. Reason: ${reason}. Please upload a corrected document.`;
-
-        return this.logCommunication({
-            recipientId: userId,
-            recipientEmail: user.email,
+        return this.queueTemplatedEmail(user, 'INSURANCE_REJECTED', { insurance: { id: insuranceId, reason } }, {
             eventType: 'INSURANCE_REJECTED',
-            channel: 'Email',
-            content,
             relatedEntity: 'INSURANCE',
             entityId: insuranceId
-        });
+        }, client);
     }
 
     /**
      * Notify tenant of Insurance Expiry
      */
-    async sendInsuranceExpiryAlert(userId, insuranceId, daysRemaining) {
-        const user = await prisma.user.findUnique({ where: { id: userId } });
+    async sendInsuranceExpiryAlert(userId, insuranceId, daysRemaining, client = prisma) {
+        const user = await client.user.findUnique({ where: { id: userId } });
         if (!user) return;
 
-        const content = `Your insurance policy (ID: ${insuranceId}) expires in ${daysRemaining} days. Please upload a new policy to remain compliant.`;
-
-        return this.logCommunication({
-            recipientId: userId,
-            recipientEmail: user.email,
+        return this.queueTemplatedEmail(user, 'INSURANCE_EXPIRY', { insurance: { id: insuranceId, daysRemaining } }, {
             eventType: `INSURANCE_EXPIRY_${daysRemaining}`,
-            channel: 'Email',
-            content,
             relatedEntity: 'INSURANCE',
             entityId: insuranceId
-        });
+        }, client);
     }
 }
 
@@ -0,0 +1,262 @@
+const prisma = require('../config/prisma');
+const AppError = require('../utils/AppError');
+const { getSetting, getIntSetting } = require('./settings.service');
+
+/**
+ * Communication Consent Service
+ * Per-user, per-channel consent to receive email and SMS (CASL / TCPA).
+ *
+ * - Every change is kept as a CommunicationConsent record with its source, time and evidence
+ *   (IP address and browser for the portal, the keyword for texts). The latest record per
+ *   channel is the current state and is mirrored to User.notifyByEmail / notifyBySms.
+ * - A withdrawal (STOP, unsubscribe, turning the preference off) blocks every message on that
+ *   channel except security email (password resets, portal invitations). An SMS withdrawal
+ *   covers the number, so it applies to every account sharing it and to opted-out leads.
+ * - Campaigns are commercial messages: SMS needs an express opt-in; email may rely on the
+ *   existing tenancy (implied consent) unless the user opted out.
+ * - Automated SMS wait for the end of quiet hours (`sms_quiet_hours_start` to
+ *   `sms_quiet_hours_end`, default 21 to 8) in the recipient's property time zone, or
+ *   `default_time_zone` (America/Toronto). One-to-one staff messages and security codes are exempt.
+ */
+
+const CONSENT_CHANNELS = {
+    EMAIL: 'Email',
+    SMS: 'SMS'
+};
+
+const CONSENT_PURPOSES = {
+    TRANSACTIONAL: 'transactional',
+    MARKETING: 'marketing',
+    SECURITY: 'security',
+    CONVERSATIONAL: 'conversational'
+};
+
+const CONSENT_SOURCES = ['tenant_portal', 'admin', 'sms_keyword', 'sendgrid', 'legacy_preference'];
+
+const phoneDigits = (phone) => String(phone || '').replace(/\D/g, '').slice(-10);
+
+const NOTIFY_FIELD = {
+    [CONSENT_CHANNELS.EMAIL]: 'notifyByEmail',
+    [CONSENT_CHANNELS.SMS]: 'notifyBySms'
+};
+
+/**
+ * Users whose stored phone number is the given number (compared on the last 10 digits)
+ * @param {string} phone
+ */
+const findUsersByPhone = async (phone) => {
+    const digits = phoneDigits(phone);
+    if (digits.length < 10) return [];
+
+    const candidates = await prisma.user.findMany({
+        where: { phone: { contains: digits } },
+        orderBy: { id: 'asc' }
+    });
+    return candidates.filter(u => phoneDigits(u.phone) === digits);
+};
+
+/**
+ * Record a consent change and mirror it to the user's notification preference
+ * @param {number} userId
+ * @param {string} channel - Email or SMS
+ * @param {boolean} granted
+ * @param {Object} evidence - { source, keyword, ipAddress, userAgent, notes, recordedById }
+ * @param {Object} [client] - Prisma client or transaction
+ */
+const recordConsent = async (userId, channel, granted, evidence, client = prisma) => {
+    if (!NOTIFY_FIELD[channel]) throw new AppError(`Unsupported channel: ${channel}`, 400);
+    if (!CONSENT_SOURCES.includes(evidence.source)) throw new AppError(`Unknown consent source: ${evidence.source}`, 400);
+
+    const record = await client.communicationConsent.create({
+        data: {
+            userId,
+            channel,
+            granted: Boolean(granted),
+            source: evidence.source,
+            keyword: evidence.keyword || null,
+            ipAddress: evidence.ipAddress || null,
+            userAgent: evidence.userAgent || null,
+            notes: evidence.notes || null,
+            recordedById: evidence.recordedById || null
+        }
+    });
+    await client.user.update({ where: { id: userId }, data: { [NOTIFY_FIELD[channel]]: Boolean(granted) } });
+    return record;
+};
+
+/**
+ * Latest consent record per user for a channel
+ * @param {Array<number>} userIds
+ * @param {string} channel
+ * @param {Object} [client] - Prisma client or transaction
+ * @returns {Promise<Map<number, Object>>}
+ */
+const latestConsents = async (userIds, channel, client = prisma) => {
+    const records = userIds.length > 0
+        ? await client.communicationConsent.findMany({
+            where: { userId: { in: userIds }, channel },
+            orderBy: [{ createdAt: 'desc' }, { id: 'desc' }]
+        })
+        : [];
+
+    const latest = new Map();
+    for (const record of records) {
+        if (!latest.has(record.userId)) latest.set(record.userId, record);
+    }
+    return latest;
+};
+
+/**
+ * Record preference changes from a form, only for channels whose state actually changes
+ * @param {number} userId
+ * @param {Object} preferences - { notifyByEmail, notifyBySms } (undefined = unchanged)
+ * @param {Object} evidence - as for recordConsent
+ */
+const recordPreferenceChanges = async (userId, preferences, evidence) => {
+    const changes = [
+        [CONSENT_CHANNELS.EMAIL, preferences.notifyByEmail],
+        [CONSENT_CHANNELS.SMS, preferences.notifyBySms]
+    ].filter(([, value]) => value !== undefined);
+
+    const recorded = [];
+    for (const [channel, granted] of changes) {
+        const current = (await latestConsents([userId], channel)).get(userId);
+        if (current && current.granted === granted) continue;
+        recorded.push(await recordConsent(userId, channel, granted, evidence));
+    }
+    return recorded;
+};
+
+const describeWithdrawal = (record) =>
+    `${record.source}${record.keyword ? ` ${record.keyword}` : ''} on ${record.createdAt.toISOString().split('T')[0]}`;
+
+/**
+ * Local hour/minute in a time zone
+ * @param {Date} date
+ * @param {string} timeZone
+ */
+const localTime = (date, timeZone) => {
+    const parts = new Intl.DateTimeFormat('en-US', { timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' }).formatToParts(date);
+    const get = (type) => parseInt(parts.find(p => p.type === type).value);
+    return { hour: get('hour'), minute: get('minute') };
+};
+
+const isValidTimeZone = (timeZone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return Boolean(timeZone);
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * When quiet hours end, or null outside quiet hours
+ * @param {string} timeZone
+ * @param {Object} window - { start, end } hours (0-23); start > end spans midnight
+ * @param {Date} [now]
+ */
+const quietHoursEnd = (timeZone, { start, end }, now = new Date()) => {
+    if (start === end) return null;
+
+    const { hour, minute } = localTime(now, timeZone);
+    const quiet = start > end ? (hour >= start || hour < end) : (hour >= start && hour < end);
+    if (!quiet) return null;
+
+    const minutesLeft = ((end * 60) - (hour * 60 + minute) + 24 * 60) % (24 * 60);
+    return new Date(now.getTime() + minutesLeft * 60 * 1000);
+};
+
+// Time zone of the property the recipient lives in
+const recipientTimeZone = async (users) => {
+    const userIds = users.map(u => u.id);
+    const parentIds = users.map(u => u.parentId).filter(Boolean);
+
+    const lease = userIds.length > 0
+        ? await prisma.lease.findFirst({
+            where: {
+                status: 'Active',
+                OR: [
+                    { tenantId: { in: [...userIds, ...parentIds] } },
+                    { residents: { some: { id: { in: userIds } } } }
+                ]
+            },
+            include: { unit: { include: { property: { select: { timeZone: true } } } } }
+        })
+        : null;
+
+    const propertyZone = lease && lease.unit.property.timeZone;
+    if (propertyZone && isValidTimeZone(propertyZone)) return propertyZone;
+
+    const fallback = await getSetting('default_time_zone', 'America/Toronto');
+    return isValidTimeZone(fallback) ? fallback : 'America/Toronto';
+};
+
+/**
+ * Whether an SMS may go to a number now
+ * @param {string} phone
+ * @param {Object} [options] - { purpose, now }
+ * @returns {Promise<{ allowed: boolean, reason?: string, deferUntil?: Date }>}
+ */
+const checkSms = async (phone, { purpose = CONSENT_PURPOSES.TRANSACTIONAL, now = new Date() } = {}) => {
+    const users = await findUsersByPhone(phone);
+    const latest = await latestConsents(users.map(u => u.id), CONSENT_CHANNELS.SMS);
+
+    const withdrawal = [...latest.values()].find(record => !record.granted);
+    if (withdrawal) return { allowed: false, reason: `Opted out of SMS (${describeWithdrawal(withdrawal)})` };
+
+    const digits = phoneDigits(phone);
+    if (digits.length === 10) {
+        const optedOutLead = await prisma.lead.findFirst({ where: { phone: { contains: digits }, status: 'Opted Out' }, select: { id: true } });
+        if (optedOutLead) return { allowed: false, reason: 'Opted out of SMS (lead texted STOP)' };
+    }
+
+    if (purpose === CONSENT_PURPOSES.MARKETING && ![...latest.values()].some(record => record.granted)) {
+        return { allowed: false, reason: 'No SMS opt-in on record' };
+    }
+
+    if ([CONSENT_PURPOSES.CONVERSATIONAL, CONSENT_PURPOSES.SECURITY].includes(purpose)) return { allowed: true };
+
+    const [start, end] = await Promise.all([
+        getIntSetting('sms_quiet_hours_start', 21, { min: 0, max: 23 }),
+        getIntSetting('sms_quiet_hours_end', 8, { min: 0, max: 23 })
+    ]);
+    const timeZone = await recipientTimeZone(users);
+    const deferUntil = quietHoursEnd(timeZone, { start, end }, now);
+    if (deferUntil) {
+        return { allowed: false, deferUntil, reason: `Quiet hours (${start}:00-${end}:00 ${timeZone})` };
+    }
+
+    return { allowed: true };
+};
+
+/**
+ * Whether an email may go to an address
+ * @param {string} email
+ * @param {Object} [options] - { purpose }
+ * @returns {Promise<{ allowed: boolean, reason?: string }>}
+ */
+const checkEmail = async (email, { purpose = CONSENT_PURPOSES.TRANSACTIONAL } = {}) => {
+    if (purpose === CONSENT_PURPOSES.SECURITY || !email) return { allowed: true };
+
+    const user = await prisma.user.findFirst({ where: { email: String(email).trim() }, select: { id: true } });
+    if (!user) return { allowed: true };
+
+    const record = (await latestConsents([user.id], CONSENT_CHANNELS.EMAIL)).get(user.id);
+    if (record && !record.granted) return { allowed: false, reason: `Opted out of email (${describeWithdrawal(record)})` };
+    return { allowed: true };
+};
+
+module.exports = {
+    CONSENT_CHANNELS,
+    CONSENT_PURPOSES,
+    CONSENT_SOURCES,
+    findUsersByPhone,
+    recordConsent,
+    recordPreferenceChanges,
+    latestConsents,
+    isValidTimeZone,
+    quietHoursEnd,
+    checkSms,
+    checkEmail
+};
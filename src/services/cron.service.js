@@ -1,6 +1,15 @@
 const cron = require('node-cron');
 const prisma = require('../config/prisma');
 const { checkInsuranceExpirations } = require('../modules/admin/insurance.controller');
+const sessionService = require('./session.service');
+const { assessLateFees } = require('./lateFee.service');
+const { runDunning } = require('./dunning.service');
+const { checkSlaBreaches } = require('./ticket.service');
+const { markOverdueTasks, sendWeeklyDigest } = require('./maintenance.service');
+const { generateStatements } = require('./ownerStatement.service');
+const { scheduleDistributions } = require('./ownerDistribution.service');
+const { processOutbox } = require('./outbox.service');
+const { processCampaigns } = require('./campaign.service');
 
 /**
  * Lease Expiry Cron Job
@@ -102,4 +111,181 @@ const initInsuranceCron = () => {
     });
 };
 
-module.exports = { initLeaseCron, initInsuranceCron };
+/**
+ * Session Cleanup Cron Job
+ * Runs once per day at 3:00 AM and deletes expired refresh tokens
+ */
+const initSessionCleanupCron = () => {
+    const sessionCronTime = process.env.SESSION_CLEANUP_CRON_TIME || '0 3 * * *';
+
+    console.log(`[Cron] Initializing Session Cleanup cron with schedule: ${sessionCronTime}`);
+
+    cron.schedule(sessionCronTime, async () => {
+        try {
+            const removed = await sessionService.pruneExpired();
+            console.log(`[Cron] Session cleanup completed. Removed ${removed} expired refresh token(s).`);
+        } catch (error) {
+            console.error('[Cron] Error in session cleanup cron job:', error);
+        }
+    });
+};
+
+/**
+ * Late Fee Cron Job
+ * Runs once per day at 2:00 AM
+ * Marks invoices overdue after their grace period and charges late fees
+ */
+const initLateFeeCron = () => {
+    const lateFeeCronTime = process.env.LATE_FEE_CRON_TIME || '0 2 * * *';
+
+    console.log(`[Cron] Initializing Late Fee cron with schedule: ${lateFeeCronTime}`);
+
+    cron.schedule(lateFeeCronTime, async () => {
+        try {
+            await assessLateFees();
+        } catch (error) {
+            console.error('[Cron] Error in late fee cron job:', error);
+        }
+    });
+};
+
+/**
+ * Dunning Cron Job
+ * Runs once per day at 9:00 AM and sends payment reminders that have come due
+ */
+const initDunningCron = () => {
+    const dunningCronTime = process.env.DUNNING_CRON_TIME || '0 9 * * *';
+
+    console.log(`[Cron] Initializing Dunning cron with schedule: ${dunningCronTime}`);
+
+    cron.schedule(dunningCronTime, async () => {
+        try {
+            await runDunning();
+        } catch (error) {
+            console.error('[Cron] Error in dunning cron job:', error);
+        }
+    });
+};
+
+/**
+ * Ticket SLA Cron Job
+ * Runs every 15 minutes and flags work orders past their response or resolution target
+ */
+const initTicketSlaCron = () => {
+    const ticketSlaCronTime = process.env.TICKET_SLA_CRON_TIME || '*/15 * * * *';
+
+    console.log(`[Cron] Initializing Ticket SLA cron with schedule: ${ticketSlaCronTime}`);
+
+    cron.schedule(ticketSlaCronTime, async () => {
+        try {
+            await checkSlaBreaches();
+        } catch (error) {
+            console.error('[Cron] Error in ticket SLA cron job:', error);
+        }
+    });
+};
+
+/**
+ * Preventive Maintenance Overdue Cron Job
+ * Runs once per day at 6:00 AM, flags tasks past their due date and alerts staff
+ */
+const initMaintenanceCron = () => {
+    const maintenanceCronTime = process.env.MAINTENANCE_CRON_TIME || '0 6 * * *';
+
+    console.log(`[Cron] Initializing Maintenance Overdue cron with schedule: ${maintenanceCronTime}`);
+
+    cron.schedule(maintenanceCronTime, async () => {
+        try {
+            await markOverdueTasks();
+        } catch (error) {
+            console.error('[Cron] Error in maintenance overdue cron job:', error);
+        }
+    });
+};
+
+/**
+ * Maintenance Digest Cron Job
+ * Runs every Monday at 7:00 AM and emails upcoming work per property
+ */
+const initMaintenanceDigestCron = () => {
+    const digestCronTime = process.env.MAINTENANCE_DIGEST_CRON_TIME || '0 7 * * 1';
+
+    console.log(`[Cron] Initializing Maintenance Digest cron with schedule: ${digestCronTime}`);
+
+    cron.schedule(digestCronTime, async () => {
+        try {
+            await sendWeeklyDigest();
+        } catch (error) {
+            console.error('[Cron] Error in maintenance digest cron job:', error);
+        }
+    });
+};
+
+/**
+ * Owner Statement Cron Job
+ * Runs on the 1st of each month at 8:00 AM: generates last month's owner statements, emails them
+ * and schedules the owner distributions they are owed
+ */
+const initOwnerStatementCron = () => {
+    const statementCronTime = process.env.OWNER_STATEMENT_CRON_TIME || '0 8 1 * *';
+
+    console.log(`[Cron] Initializing Owner Statement cron with schedule: ${statementCronTime}`);
+
+    cron.schedule(statementCronTime, async () => {
+        try {
+            const { summary } = await generateStatements({ send: true, skipSent: true });
+            await scheduleDistributions({ period: summary.period });
+        } catch (error) {
+            console.error('[Cron] Error in owner statement cron job:', error);
+        }
+    });
+};
+
+/**
+ * Communication Outbox Cron Job
+ * Runs every minute: dispatches queued emails/SMS and retries failed ones whose backoff has elapsed
+ */
+const initOutboxCron = () => {
+    const outboxCronTime = process.env.OUTBOX_CRON_TIME || '* * * * *';
+    let running = false;
+
+    console.log(`[Cron] Initializing Outbox cron with schedule: ${outboxCronTime}`);
+
+    cron.schedule(outboxCronTime, async () => {
+        // A slow provider can make a run outlast the interval; the next tick just skips
+        if (running) return;
+        running = true;
+        try {
+            await processOutbox();
+        } catch (error) {
+            console.error('[Cron] Error in outbox cron job:', error);
+        } finally {
+            running = false;
+        }
+    });
+};
+
+/**
+ * Campaign Cron Job
+ * Runs every minute: starts scheduled campaigns and hands the next batch of recipients to the outbox
+ */
+const initCampaignCron = () => {
+    const campaignCronTime = process.env.CAMPAIGN_CRON_TIME || '* * * * *';
+    let running = false;
+
+    console.log(`[Cron] Initializing Campaign cron with schedule: ${campaignCronTime}`);
+
+    cron.schedule(campaignCronTime, async () => {
+        if (running) return;
+        running = true;
+        try {
+            await processCampaigns();
+        } catch (error) {
+            console.error('[Cron] Error in campaign cron job:', error);
+        } finally {
+            running = false;
+        }
+    });
+};
+
+module.exports = { initLeaseCron, initInsuranceCron, initSessionCleanupCron, initLateFeeCron, initDunningCron, initTicketSlaCron, initMaintenanceCron, initMaintenanceDigestCron, initOwnerStatementCron, initOutboxCron, initCampaignCron };
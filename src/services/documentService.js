@@ -19,6 +19,7 @@ class DocumentService {
             if (legacyFields.unitId) allLinks.push({ entityType: 'UNIT', entityId: legacyFields.unitId });
             if (legacyFields.leaseId) allLinks.push({ entityType: 'LEASE', entityId: legacyFields.leaseId });
             if (legacyFields.invoiceId) allLinks.push({ entityType: 'INVOICE', entityId: legacyFields.invoiceId });
+            if (legacyFields.vendorId) allLinks.push({ entityType: 'VENDOR', entityId: legacyFields.vendorId });
 
             const doc = await prisma.document.create({
                 data: {
@@ -30,6 +31,7 @@ class DocumentService {
                     unitId: legacyFields.unitId || null,
                     leaseId: legacyFields.leaseId || null,
                     invoiceId: legacyFields.invoiceId || null,
+                    vendorId: legacyFields.vendorId || null,
                     expiryDate: expiryDate ? new Date(expiryDate) : null,
                     links: {
                         create: allLinks.map(l => ({
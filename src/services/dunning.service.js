@@ -0,0 +1,188 @@
+const prisma = require('../config/prisma');
+const EmailService = require('./email.service');
+const outbox = require('./outbox.service');
+const { getSetting } = require('./settings.service');
+const { renderTemplate } = require('./template.service');
+const { INVOICE_STATUS } = require('../constants/statuses');
+
+/**
+ * Dunning Service
+ * Sends payment reminders for open invoices on a configurable schedule.
+ *
+ * - Each DunningStep fires at `offsetDays` relative to the invoice due date
+ *   (-3 = three days before, 0 = on the due date, 5 = five days late).
+ * - Only the latest step that has come due is sent, so a missed day or a late-created
+ *   invoice never produces a burst of old reminders.
+ * - Channels are the intersection of the step's channels and the tenant's preferences
+ *   (User.notifyByEmail / User.notifyBySms).
+ * - A DunningNotice row per invoice/step/channel makes runs idempotent; failed emails are retried.
+ *   Texts are Queued in the outbox, which applies opt-outs and quiet hours and retries failures.
+ * - The sequence stops once an invoice is settled (Invoice.dunningStoppedAt, set by payments)
+ *   or paused manually by staff.
+ */
+
+const CHANNELS = {
+    EMAIL: 'EMAIL',
+    SMS: 'SMS'
+};
+
+const OPEN_STATUSES = [INVOICE_STATUS.SENT, INVOICE_STATUS.UNPAID, INVOICE_STATUS.PARTIAL, INVOICE_STATUS.OVERDUE];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const startOfDay = (date) => {
+    const d = new Date(date);
+    d.setHours(0, 0, 0, 0);
+    return d;
+};
+
+const parseChannels = (value) => String(value || '')
+    .split(',')
+    .map(c => c.trim().toUpperCase())
+    .filter(c => Object.values(CHANNELS).includes(c));
+
+const formatMoney = (value) => `$${(parseFloat(value) || 0).toFixed(2)}`;
+
+const buildContext = (invoice, daysFromDue, companyName) => ({
+    tenant: {
+        firstName: invoice.tenant.firstName || invoice.tenant.name || '',
+        lastName: invoice.tenant.lastName || '',
+        name: invoice.tenant.name || ''
+    },
+    invoice: {
+        invoiceNo: invoice.invoiceNo,
+        month: invoice.month,
+        amount: formatMoney(invoice.amount),
+        balanceDue: formatMoney(invoice.balanceDue),
+        dueDate: new Date(invoice.dueDate).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })
+    },
+    unit: { name: invoice.unit ? invoice.unit.name : '' },
+    company: { name: companyName },
+    daysLate: Math.max(0, daysFromDue),
+    daysUntilDue: Math.max(0, -daysFromDue)
+});
+
+/**
+ * Latest active step that has come due for an invoice
+ * @param {Array} steps - Active steps sorted by offsetDays ascending
+ * @param {number} daysFromDue - Negative before the due date
+ */
+const findDueStep = (steps, daysFromDue) => {
+    let due = null;
+    for (const step of steps) {
+        if (step.offsetDays <= daysFromDue) due = step;
+    }
+    return due;
+};
+
+const sendNotice = async (invoice, step, channel, context) => {
+    const tenant = invoice.tenant;
+
+    if (channel === CHANNELS.EMAIL) {
+        if (!tenant.email) return { status: 'Skipped', error: 'No email address on file' };
+
+        const subject = renderTemplate(step.emailSubject || 'Payment reminder: {{invoice.invoiceNo}}', context);
+        const body = renderTemplate(step.emailBody || step.smsBody, context);
+        const result = await EmailService.sendEmail(tenant.email, subject, body, {
+            eventType: 'DUNNING_REMINDER',
+            recipientId: tenant.id,
+            relatedEntity: 'Invoice',
+            entityId: invoice.id
+        });
+
+        if (result.skipped) return { status: 'Skipped', recipient: tenant.email, error: String(result.error) };
+        return { status: result.success ? 'Sent' : 'Failed', recipient: tenant.email, error: result.success ? null : String(result.error) };
+    }
+
+    if (!tenant.phone) return { status: 'Skipped', error: 'No phone number on file' };
+
+    await outbox.enqueue({
+        channel: 'SMS',
+        eventType: 'DUNNING_REMINDER',
+        recipient: tenant.phone,
+        recipientId: tenant.id,
+        relatedEntity: 'Invoice',
+        entityId: invoice.id,
+        content: renderTemplate(step.smsBody || step.emailBody, context)
+    });
+
+    return { status: 'Queued', recipient: tenant.phone };
+};
+
+/**
+ * Send every reminder that has come due. Safe to run more than once a day.
+ * @param {Object} [options] - { today }
+ */
+const runDunning = async ({ today = new Date() } = {}) => {
+    const steps = await prisma.dunningStep.findMany({
+        where: { active: true },
+        orderBy: { offsetDays: 'asc' }
+    });
+    const summary = { sent: 0, queued: 0, skipped: 0, failed: 0 };
+    if (steps.length === 0) return summary;
+
+    const companyName = await getSetting('companyName', 'Property Management');
+
+    // Earliest step decides how far ahead of the due date we look
+    const horizon = new Date(startOfDay(today).getTime() - steps[0].offsetDays * DAY_MS + DAY_MS - 1);
+
+    const invoices = await prisma.invoice.findMany({
+        where: {
+            status: { in: OPEN_STATUSES },
+            balanceDue: { gt: 0 },
+            dueDate: { not: null, lte: horizon },
+            dunningStoppedAt: null
+        },
+        include: { tenant: true, unit: true, dunningNotices: true }
+    });
+
+    for (const invoice of invoices) {
+        const daysFromDue = Math.round((startOfDay(today) - startOfDay(invoice.dueDate)) / DAY_MS);
+        const step = findDueStep(steps, daysFromDue);
+        if (!step) continue;
+
+        const wanted = parseChannels(step.channels).filter(channel =>
+            channel === CHANNELS.EMAIL ? invoice.tenant.notifyByEmail : invoice.tenant.notifyBySms
+        );
+        const context = buildContext(invoice, daysFromDue, companyName);
+
+        for (const channel of wanted) {
+            const previous = invoice.dunningNotices.find(n => n.stepId === step.id && n.channel === channel);
+            if (previous && previous.status !== 'Failed') continue;
+
+            let outcome;
+            try {
+                outcome = await sendNotice(invoice, step, channel, context);
+            } catch (error) {
+                console.error(`[Dunning] Error sending ${channel} reminder for invoice ${invoice.invoiceNo}:`, error);
+                outcome = { status: 'Failed', error: error.message };
+            }
+
+            const data = {
+                status: outcome.status,
+                recipient: outcome.recipient || null,
+                error: outcome.error || null,
+                sentAt: outcome.status === 'Sent' ? new Date() : null
+            };
+            if (previous) {
+                await prisma.dunningNotice.update({ where: { id: previous.id }, data });
+            } else {
+                await prisma.dunningNotice.create({ data: { ...data, invoiceId: invoice.id, stepId: step.id, channel } });
+            }
+
+            if (outcome.status === 'Sent') summary.sent++;
+            else if (outcome.status === 'Queued') summary.queued++;
+            else if (outcome.status === 'Skipped') summary.skipped++;
+            else summary.failed++;
+        }
+    }
+
+    console.log(`[Dunning] Reminders sent: ${summary.sent}, Queued: ${summary.queued}, Skipped: ${summary.skipped}, Failed: ${summary.failed}`);
+    return summary;
+};
+
+module.exports = {
+    CHANNELS,
+    parseChannels,
+    runDunning
+};
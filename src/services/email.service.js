@@ -1,5 +1,7 @@
 const axios = require('axios');
 const prisma = require('../config/prisma');
+const { findSuppression } = require('./emailEvent.service');
+const { checkEmail } = require('./consent.service');
 
 /**
  * Email Service
@@ -11,11 +13,79 @@ class EmailService {
      * @param {string} to - Recipient email address
      * @param {string} subject - Email subject
      * @param {string} text - Email body (plain text)
-     * @param {object} [options] - Optional. { eventType } for log entry (default: TENANT_CREATION_CREDENTIALS)
-     * @returns {Promise<object>} - SendGrid response or error
+     * @param {object} [options] - Optional. { eventType, recipientId, relatedEntity, entityId } for log entry (eventType default: TENANT_CREATION_CREDENTIALS),
+     *                             attachments: [{ filename, content (Buffer), type }], html (sent alongside the plain text body)
+     *                             skipLog (the caller keeps its own CommunicationLog row, e.g. the outbox)
+     *                             and purpose (consent.service CONSENT_PURPOSES; security email ignores opt-outs)
+     * @returns {Promise<object>} - { success, status, messageId } or { success: false, error, suppressed | skipped }
      */
     static async sendEmail(to, subject, text, options = {}) {
         const eventType = options.eventType || 'TENANT_CREATION_CREDENTIALS';
+        const logContext = {
+            recipientId: options.recipientId || null,
+            relatedEntity: options.relatedEntity || null,
+            entityId: options.entityId || null
+        };
+        // Addresses that bounced or reported spam are not mailed again (unsubscribes are consent, checked below)
+        let suppression = null;
+        try {
+            suppression = await findSuppression(to);
+        } catch (lookupError) {
+            console.error('[EmailService] Suppression lookup failed:', lookupError.message);
+        }
+        if (suppression) {
+            const error = `Address suppressed (${suppression.reason})`;
+            console.warn(`[EmailService] Not sending to ${to}: ${error}`);
+            if (!options.skipLog) {
+                try {
+                    await prisma.communicationLog.create({
+                        data: {
+                            channel: 'Email',
+                            eventType,
+                            recipient: to,
+                            ...logContext,
+                            content: `Subject: ${subject} | Body: ${text}`,
+                            status: 'Suppressed',
+                            lastError: error
+                        }
+                    });
+                } catch (logError) {
+                    // ignore
+                }
+            }
+            return { success: false, error, suppressed: true };
+        }
+
+        // Users who withdrew consent only get security email (password resets, invitations)
+        let consent;
+        try {
+            consent = await checkEmail(to, { purpose: options.purpose });
+        } catch (error) {
+            console.error('[EmailService] Consent check failed:', error.message);
+            return { success: false, error: `Consent check failed: ${error.message}` };
+        }
+        if (!consent.allowed) {
+            console.warn(`[EmailService] Not sending to ${to}: ${consent.reason}`);
+            if (!options.skipLog) {
+                try {
+                    await prisma.communicationLog.create({
+                        data: {
+                            channel: 'Email',
+                            eventType,
+                            recipient: to,
+                            ...logContext,
+                            content: `Subject: ${subject} | Body: ${text}`,
+                            status: 'Skipped',
+                            lastError: consent.reason
+                        }
+                    });
+                } catch (logError) {
+                    // ignore
+                }
+            }
+            return { success: false, error: consent.reason, skipped: true };
+        }
+
         if (!process.env.SENDGRID_API_KEY) {
             console.error('[EmailService] SENDGRID_API_KEY is not defined in .env');
             return { success: false, error: 'API Key missing' };
@@ -49,6 +119,19 @@ class EmailService {
                 }]
             };
 
+            if (options.html) {
+                data.content.push({ type: 'text/html', value: options.html });
+            }
+
+            if (options.attachments && options.attachments.length > 0) {
+                data.attachments = options.attachments.map(a => ({
+                    content: Buffer.isBuffer(a.content) ? a.content.toString('base64') : a.content,
+                    filename: a.filename,
+                    type: a.type || 'application/pdf',
+                    disposition: 'attachment'
+                }));
+            }
+
             const response = await axios.post('https://api.sendgrid.com/v3/mail/send', data, {
                 headers: {
                     'Authorization': `Bearer ${process.env.SENDGRID_API_KEY}`,
@@ -56,8 +139,11 @@ class EmailService {
                 }
             });
 
+            const messageId = response.headers ? response.headers['x-message-id'] || null : null;
             console.log(`[EmailService] Email sent successfully to ${to}. Status: ${response.status}`);
 
+            if (options.skipLog) return { success: true, status: response.status, messageId };
+
             // Log to CommunicationLog if possible (optional but good for consistency)
             try {
                 await prisma.communicationLog.create({
@@ -65,25 +151,31 @@ class EmailService {
                         channel: 'Email',
                         eventType,
                         recipient: to,
+                        ...logContext,
                         content: `Subject: ${subject} | Body: ${text}`,
-                        status: 'Sent'
+                        status: 'Sent',
+                        providerId: messageId,
+                        sentAt: new Date()
                     }
                 });
             } catch (logError) {
                 console.error('[EmailService] Error logging communication:', logError.message);
             }
 
-            return { success: true, status: response.status };
+            return { success: true, status: response.status, messageId };
         } catch (error) {
             const errorMessage = error.response ? JSON.stringify(error.response.data) : error.message;
             console.error(`[EmailService] Error sending email to ${to}:`, errorMessage);
 
+            if (options.skipLog) return { success: false, error: errorMessage };
+
             try {
                 await prisma.communicationLog.create({
                     data: {
                         channel: 'Email',
                         eventType,
                         recipient: to,
+                        ...logContext,
                         content: `Subject: ${subject} | Body: ${text}`,
                         status: 'Failed',
                         timestamp: new Date()
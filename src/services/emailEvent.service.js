@@ -0,0 +1,197 @@
+const crypto = require('crypto');
+const prisma = require('../config/prisma');
+const AppError = require('../utils/AppError');
+const consentService = require('./consent.service');
+
+/**
+ * Email Event Service
+ * SendGrid event webhook ingestion and the email suppression list.
+ *
+ * - Requests are signed by SendGrid (ECDSA P-256 over timestamp + raw body); the verification key
+ *   is SENDGRID_WEBHOOK_PUBLIC_KEY from the SendGrid "Signed Event Webhook" settings.
+ * - Every event is stored once (EmailEvent, keyed by sg_event_id) so retried batches are harmless.
+ *   The row and its effects (log status, suppression, consent) are written in one transaction, so
+ *   an event that failed half-way is not seen as a duplicate when SendGrid retries it.
+ * - Events are matched to CommunicationLog rows by the SendGrid message ID saved when sending.
+ *   The log status only moves forward (Deferred < Delivered < Opened); bounces, drops, spam
+ *   reports and unsubscribes always win, so an open arriving late never hides a bounce.
+ * - Hard bounces, drops and spam reports add the address to EmailSuppression; EmailService.sendEmail
+ *   refuses to send anything to suppressed addresses.
+ * - Unsubscribes (and spam reports) withdraw the email consent of the accounts using the address
+ *   instead, so they stop notices and campaigns but still get password resets and invitations.
+ */
+
+// Log status per event, with the order statuses may move in
+const EVENT_STATUS = {
+    deferred: { status: 'Deferred', rank: 1 },
+    delivered: { status: 'Delivered', rank: 2 },
+    open: { status: 'Opened', rank: 3 },
+    click: { status: 'Opened', rank: 3 },
+    bounce: { status: 'Bounced', rank: 10 },
+    dropped: { status: 'Dropped', rank: 10 },
+    unsubscribe: { status: 'Unsubscribed', rank: 10 },
+    group_unsubscribe: { status: 'Unsubscribed', rank: 10 },
+    spamreport: { status: 'Spam Report', rank: 11 }
+};
+
+const statusRank = (status) => {
+    const match = Object.values(EVENT_STATUS).find(s => s.status === status);
+    return match ? match.rank : 0;
+};
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+/**
+ * Verify the SendGrid signature headers against the raw request body
+ * @param {Buffer} rawBody
+ * @param {Object} headers
+ */
+const verifySignature = (rawBody, headers) => {
+    const publicKey = process.env.SENDGRID_WEBHOOK_PUBLIC_KEY;
+    if (!publicKey) throw new AppError('SendGrid event webhook is not configured', 503);
+
+    const signature = headers['x-twilio-email-event-webhook-signature'];
+    const timestamp = headers['x-twilio-email-event-webhook-timestamp'];
+    if (!signature || !timestamp) throw new AppError('Missing webhook signature', 401);
+
+    let valid = false;
+    try {
+        const key = crypto.createPublicKey({ key: Buffer.from(publicKey, 'base64'), format: 'der', type: 'spki' });
+        valid = crypto.verify('sha256', Buffer.concat([Buffer.from(timestamp), rawBody || Buffer.from('')]), key, Buffer.from(signature, 'base64'));
+    } catch (error) {
+        valid = false;
+    }
+    if (!valid) throw new AppError('Invalid webhook signature', 401);
+};
+
+/**
+ * Reason an event should stop every further send to its address, or null.
+ * Unsubscribes are not here: they are consent withdrawals (see withdrawEmailConsent).
+ * @param {Object} event - SendGrid event
+ */
+const suppressionReason = (event) => {
+    switch (event.event) {
+        case 'bounce':
+            // 'blocked' bounces are temporary reputation blocks, not a bad address
+            return event.type === 'blocked' ? null : 'bounce';
+        case 'spamreport':
+            return 'spamreport';
+        case 'dropped':
+            return /bounced|spam|unsubscribed|invalid/i.test(event.reason || '') ? 'dropped' : null;
+        default:
+            return null;
+    }
+};
+
+/**
+ * Add an address to the suppression list (or refresh its reason)
+ * @param {string} email
+ * @param {Object} entry - { reason, detail, source, createdById }
+ * @param {Object} [client] - Prisma client or transaction
+ */
+const suppress = (email, { reason, detail = null, source = 'sendgrid', createdById = null }, client = prisma) => {
+    const address = normalizeEmail(email);
+    return client.emailSuppression.upsert({
+        where: { email: address },
+        update: { reason, detail, source },
+        create: { email: address, reason, detail, source, createdById }
+    });
+};
+
+/**
+ * Suppression entry for an address, or null
+ * @param {string} email
+ */
+const findSuppression = (email) => prisma.emailSuppression.findUnique({ where: { email: normalizeEmail(email) } });
+
+// Record the withdrawal for each account using the address, once
+const withdrawEmailConsent = async (client, email, eventName) => {
+    const users = await client.user.findMany({ where: { email: normalizeEmail(email) }, select: { id: true } });
+    const latest = await consentService.latestConsents(users.map(u => u.id), consentService.CONSENT_CHANNELS.EMAIL, client);
+
+    for (const user of users) {
+        const current = latest.get(user.id);
+        if (current && !current.granted) continue;
+        await consentService.recordConsent(user.id, consentService.CONSENT_CHANNELS.EMAIL, false, { source: 'sendgrid', notes: `SendGrid ${eventName} event` }, client);
+    }
+};
+
+const processEvent = async (event) => {
+    if (!event || !event.event || !event.email) return 'ignored';
+
+    const messageId = event.sg_message_id ? String(event.sg_message_id).split('.')[0] : null;
+    const occurredAt = event.timestamp ? new Date(event.timestamp * 1000) : new Date();
+    const eventId = event.sg_event_id || `${messageId}:${event.event}:${event.timestamp}`;
+
+    const log = messageId
+        ? await prisma.communicationLog.findFirst({ where: { providerId: messageId, channel: 'Email' } })
+        : null;
+
+    // Only the EmailEvent key makes this a retry; any other failure rolls back and is retried by SendGrid
+    let duplicate = false;
+    try {
+        await prisma.$transaction(async (tx) => {
+            try {
+                await tx.emailEvent.create({
+                    data: {
+                        eventId,
+                        messageId,
+                        logId: log ? log.id : null,
+                        event: event.event,
+                        email: normalizeEmail(event.email),
+                        reason: event.reason || event.response || null,
+                        occurredAt
+                    }
+                });
+            } catch (error) {
+                duplicate = error.code === 'P2002';
+                throw error;
+            }
+
+            const mapped = EVENT_STATUS[event.event];
+            if (log && mapped && mapped.rank >= statusRank(log.status)) {
+                await tx.communicationLog.update({
+                    where: { id: log.id },
+                    data: {
+                        status: mapped.status,
+                        lastEventAt: occurredAt,
+                        ...(mapped.rank >= 10 && event.reason ? { lastError: String(event.reason) } : {})
+                    }
+                });
+            }
+
+            const reason = suppressionReason(event);
+            if (reason) await suppress(event.email, { reason, detail: event.reason || null }, tx);
+            if (['unsubscribe', 'group_unsubscribe', 'spamreport'].includes(event.event)) await withdrawEmailConsent(tx, event.email, event.event);
+        });
+    } catch (error) {
+        if (duplicate) return 'duplicate';
+        throw error;
+    }
+
+    return 'processed';
+};
+
+/**
+ * Apply a batch of SendGrid events
+ * @param {Array} events
+ * @returns {Promise<Object>} { processed, duplicate, ignored }
+ */
+const processEvents = async (events) => {
+    const summary = { processed: 0, duplicate: 0, ignored: 0 };
+    for (const event of Array.isArray(events) ? events : []) {
+        const outcome = await processEvent(event);
+        summary[outcome]++;
+    }
+    return summary;
+};
+
+module.exports = {
+    EVENT_STATUS,
+    normalizeEmail,
+    verifySignature,
+    suppressionReason,
+    suppress,
+    findSuppression,
+    processEvents
+};
@@ -0,0 +1,529 @@
+const prisma = require('../config/prisma');
+const EmailService = require('./email.service');
+const { round2 } = require('./tax.service');
+const { getSetting, getIntSetting } = require('./settings.service');
+const { allocateInvoiceNumber } = require('./numbering.service');
+const { syncInvoicePosting } = require('./ledger.service');
+
+/**
+ * Insurance Service
+ * Checks tenant insurance policies against the landlord's coverage requirements.
+ *
+ * - Requirements are per property (InsuranceRequirement.propertyId); a requirement without a
+ *   property is the default. No requirement (or a disabled one) only asks for a valid policy.
+ * - A requirement can set a minimum liability amount, a list of coverage types that must all be
+ *   present, and whether the landlord must be named as additional insured (optionally by name).
+ * - checkPolicy returns the list of shortfalls; an empty list means the policy meets the requirement.
+ *   The result is stored on the policy when it is uploaded and re-checked when staff approve it.
+ *
+ * Lapse engine (runLapseEngine, daily):
+ * - Approved policies move to EXPIRING inside the `insurance_expiring_days` window (default 30)
+ *   and to EXPIRED once their end date has passed.
+ * - An active lease whose approved cover has ended is lapsed from that end date
+ *   (Lease.insuranceLapsedAt) until a policy covering today is approved.
+ * - Escalations go to the tenant, staff and the property owners when the lapse reaches each of the
+ *   `insurance_escalation_days` thresholds (default '0,7,30'); only the latest threshold is sent.
+ * - When the property's requirement sets a lapseFeeAmount, an INSURANCE_FEE invoice is issued once
+ *   lapseFeeGraceDays have passed and again every lapseFeeIntervalDays while the lapse continues.
+ */
+
+const COVERAGE_TYPES = [
+    'Personal Liability',
+    'Contents',
+    'Additional Living Expenses',
+    'Water Damage',
+    'Sewer Backup',
+    'Fire'
+];
+
+const SHORTFALL = {
+    INVALID_DATES: 'INVALID_DATES',
+    EXPIRED: 'EXPIRED',
+    LIABILITY_MISSING: 'LIABILITY_MISSING',
+    LIABILITY_TOO_LOW: 'LIABILITY_TOO_LOW',
+    COVERAGE_MISSING: 'COVERAGE_MISSING',
+    ADDITIONAL_INSURED_MISSING: 'ADDITIONAL_INSURED_MISSING',
+    ADDITIONAL_INSURED_MISMATCH: 'ADDITIONAL_INSURED_MISMATCH'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EXPIRING_DAYS = 30;
+const APPROVED_STATUSES = ['ACTIVE', 'EXPIRING'];
+const ESCALATION_STAFF_ROLES = ['ADMIN', 'PROPERTY_MANAGER'];
+
+const startOfDay = (date) => {
+    const d = new Date(date);
+    d.setHours(0, 0, 0, 0);
+    return d;
+};
+
+const formatDate = (date) => new Date(date).toISOString().split('T')[0];
+
+const normalizeKey = (value) => String(value || '').trim().toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Coverage types from a request body or a stored column: an array, a JSON array or a comma-separated string
+ * @param {Array|string} value
+ * @returns {Array<string>}
+ */
+const parseCoverageTypes = (value) => {
+    if (!value) return [];
+    let list = value;
+    if (typeof value === 'string') {
+        try {
+            list = JSON.parse(value);
+        } catch (error) {
+            list = value.split(',');
+        }
+    }
+    if (!Array.isArray(list)) list = [list];
+
+    const result = [];
+    for (const item of list.map(v => String(v).trim()).filter(Boolean)) {
+        const known = COVERAGE_TYPES.find(t => normalizeKey(t) === normalizeKey(item));
+        const type = known || item;
+        if (!result.some(r => normalizeKey(r) === normalizeKey(type))) result.push(type);
+    }
+    return result;
+};
+
+const serializeCoverageTypes = (value) => {
+    const list = parseCoverageTypes(value);
+    return list.length > 0 ? JSON.stringify(list) : null;
+};
+
+const loadRequirements = async () => {
+    const rows = await prisma.insuranceRequirement.findMany();
+    const byProperty = {};
+    let fallback = null;
+
+    rows.forEach(requirement => {
+        if (requirement.propertyId) byProperty[requirement.propertyId] = requirement;
+        else fallback = requirement;
+    });
+
+    return { byProperty, fallback };
+};
+
+const resolveRequirement = (requirements, propertyId) => {
+    const requirement = requirements.byProperty[propertyId] || requirements.fallback;
+    return requirement && requirement.enabled ? requirement : null;
+};
+
+/**
+ * Requirement that applies to a property (or the default), null when none is enabled
+ * @param {number|null} propertyId
+ */
+const getRequirementForProperty = async (propertyId) => resolveRequirement(await loadRequirements(), propertyId);
+
+const formatMoney = (value) => `$${(parseFloat(value) || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+/**
+ * Shortfalls of a policy against a requirement (pure, no DB access)
+ * @param {Object|null} requirement - InsuranceRequirement row
+ * @param {Object} policy - Insurance row or upload fields { startDate, endDate, liabilityAmount, coverageTypes, coverageType, additionalInsured, additionalInsuredName }
+ * @param {Date} [asOf]
+ * @returns {Array<{ code: string, message: string }>}
+ */
+const checkPolicy = (requirement, policy, asOf = new Date()) => {
+    const shortfalls = [];
+    const start = new Date(policy.startDate);
+    const end = new Date(policy.endDate);
+
+    if (isNaN(start) || isNaN(end) || end <= start) {
+        shortfalls.push({ code: SHORTFALL.INVALID_DATES, message: 'Policy end date must be after its start date' });
+    } else if (end < asOf) {
+        shortfalls.push({ code: SHORTFALL.EXPIRED, message: `Policy expired on ${end.toISOString().split('T')[0]}` });
+    }
+
+    if (!requirement) return shortfalls;
+
+    if (requirement.minLiabilityAmount !== null && requirement.minLiabilityAmount !== undefined && parseFloat(requirement.minLiabilityAmount) > 0) {
+        const minimum = round2(parseFloat(requirement.minLiabilityAmount));
+        const liability = policy.liabilityAmount === null || policy.liabilityAmount === undefined || policy.liabilityAmount === ''
+            ? null
+            : round2(parseFloat(policy.liabilityAmount));
+
+        if (liability === null || isNaN(liability)) {
+            shortfalls.push({ code: SHORTFALL.LIABILITY_MISSING, message: `Liability coverage amount is missing (minimum ${formatMoney(minimum)})` });
+        } else if (liability < minimum) {
+            shortfalls.push({ code: SHORTFALL.LIABILITY_TOO_LOW, message: `Liability coverage ${formatMoney(liability)} is below the required ${formatMoney(minimum)}` });
+        }
+    }
+
+    const held = parseCoverageTypes(policy.coverageTypes || policy.coverageType).map(normalizeKey);
+    const missing = parseCoverageTypes(requirement.requiredCoverageTypes).filter(t => !held.includes(normalizeKey(t)));
+    if (missing.length > 0) {
+        shortfalls.push({ code: SHORTFALL.COVERAGE_MISSING, message: `Missing required coverage: ${missing.join(', ')}` });
+    }
+
+    if (requirement.requireAdditionalInsured) {
+        const named = policy.additionalInsured === true || policy.additionalInsured === 'true';
+        if (!named) {
+            shortfalls.push({ code: SHORTFALL.ADDITIONAL_INSURED_MISSING, message: 'Landlord is not named as additional insured' });
+        } else if (requirement.additionalInsuredName
+            && !normalizeKey(policy.additionalInsuredName).includes(normalizeKey(requirement.additionalInsuredName))) {
+            shortfalls.push({
+                code: SHORTFALL.ADDITIONAL_INSURED_MISMATCH,
+                message: `Additional insured must be "${requirement.additionalInsuredName}"${policy.additionalInsuredName ? ` (policy names "${policy.additionalInsuredName}")` : ''}`
+            });
+        }
+    }
+
+    return shortfalls;
+};
+
+// Stored shortfalls (Insurance.verificationResult)
+const parseShortfalls = (value) => {
+    if (!value) return [];
+    try {
+        const list = JSON.parse(value);
+        return Array.isArray(list) ? list : [];
+    } catch (error) {
+        return [];
+    }
+};
+
+// Property of the lease or unit a policy covers
+const policyPropertyId = async (policy) => {
+    if (policy.unit) return policy.unit.propertyId;
+    if (policy.lease && policy.lease.unit) return policy.lease.unit.propertyId;
+
+    const unitId = policy.unitId || (policy.leaseId
+        ? (await prisma.lease.findUnique({ where: { id: policy.leaseId }, select: { unitId: true } }))?.unitId
+        : null);
+    if (!unitId) return null;
+
+    const unit = await prisma.unit.findUnique({ where: { id: unitId }, select: { propertyId: true } });
+    return unit ? unit.propertyId : null;
+};
+
+/**
+ * Check a stored policy against the requirement of its property
+ * @param {Object} policy - Insurance row
+ * @returns {Promise<{ requirement: Object|null, shortfalls: Array }>}
+ */
+const verifyPolicy = async (policy) => {
+    const requirement = await getRequirementForProperty(await policyPropertyId(policy));
+    return { requirement, shortfalls: checkPolicy(requirement, policy) };
+};
+
+/**
+ * Compliance of leases against their property's requirement, with the specific shortfalls per lease
+ * @param {Object} [filters] - { propertyId, ownerId, leaseStatus }
+ */
+const getComplianceReport = async ({ propertyId = null, ownerId = null, leaseStatus = 'Active' } = {}) => {
+    const leaseWhere = { status: leaseStatus || 'Active' };
+    if (propertyId) leaseWhere.unit = { propertyId };
+    if (ownerId) {
+        leaseWhere.unit = {
+            ...(leaseWhere.unit || {}),
+            property: { owners: { some: { id: ownerId } } }
+        };
+    }
+
+    const [leases, requirements] = await Promise.all([
+        prisma.lease.findMany({
+            where: leaseWhere,
+            include: {
+                tenant: true,
+                unit: { include: { property: true } },
+                insurances: {
+                    where: { status: { in: ['ACTIVE', 'EXPIRING', 'PENDING_APPROVAL'] } },
+                    orderBy: { endDate: 'desc' }
+                }
+            }
+        }),
+        loadRequirements()
+    ]);
+
+    const today = new Date();
+
+    return leases.map(lease => {
+        const requirement = resolveRequirement(requirements, lease.unit.propertyId);
+        const approved = lease.insurances.find(i => i.status === 'ACTIVE' || i.status === 'EXPIRING');
+        const pending = lease.insurances.find(i => i.status === 'PENDING_APPROVAL');
+        const insurance = approved || pending || null;
+
+        let shortfalls = [];
+        let complianceStatus = 'Missing';
+        let daysRemaining = null;
+
+        if (insurance) {
+            daysRemaining = Math.ceil((new Date(insurance.endDate) - today) / DAY_MS);
+            shortfalls = checkPolicy(requirement, insurance, today);
+
+            if (!approved) complianceStatus = 'Pending Review';
+            else if (daysRemaining < 0) complianceStatus = 'Expired';
+            else if (shortfalls.length > 0) complianceStatus = 'Non-Compliant';
+            else if (daysRemaining <= EXPIRING_DAYS) complianceStatus = 'Expiring';
+            else complianceStatus = 'Compliant';
+        } else if (lease.insuranceLapsedAt) {
+            complianceStatus = 'Lapsed';
+            shortfalls = [{ code: 'LAPSED', message: `No valid insurance since ${formatDate(lease.insuranceLapsedAt)}` }];
+        } else {
+            shortfalls = [{ code: 'NO_POLICY', message: 'No insurance policy on file' }];
+        }
+
+        return {
+            leaseId: lease.id,
+            tenantName: lease.tenant.name,
+            tenantType: lease.tenant.type,
+            building: lease.unit.property.name,
+            propertyId: lease.unit.propertyId,
+            unitNumber: lease.unit.unitNumber || lease.unit.name,
+            status: complianceStatus,
+            daysRemaining,
+            lapsedSince: lease.insuranceLapsedAt ? formatDate(lease.insuranceLapsedAt) : null,
+            insuranceId: insurance ? insurance.id : null,
+            provider: insurance?.provider || 'N/A',
+            policyNumber: insurance?.policyNumber || 'N/A',
+            expiryDate: insurance?.endDate ? insurance.endDate.toISOString().split('T')[0] : 'N/A',
+            liabilityAmount: insurance?.liabilityAmount != null ? parseFloat(insurance.liabilityAmount) : null,
+            coverageTypes: insurance ? parseCoverageTypes(insurance.coverageTypes || insurance.coverageType) : [],
+            additionalInsured: insurance ? insurance.additionalInsured : false,
+            requirement: requirement ? {
+                id: requirement.id,
+                minLiabilityAmount: requirement.minLiabilityAmount != null ? parseFloat(requirement.minLiabilityAmount) : null,
+                requiredCoverageTypes: parseCoverageTypes(requirement.requiredCoverageTypes),
+                requireAdditionalInsured: requirement.requireAdditionalInsured,
+                additionalInsuredName: requirement.additionalInsuredName
+            } : null,
+            shortfalls
+        };
+    });
+};
+
+/**
+ * Move approved policies to EXPIRING / EXPIRED based on their end date
+ * @param {Object} [options] - { now }
+ */
+const transitionPolicyStatuses = async ({ now = new Date() } = {}) => {
+    const today = startOfDay(now);
+    const expiringDays = await getIntSetting('insurance_expiring_days', EXPIRING_DAYS, { min: 1, max: 120 });
+    const window = new Date(today.getTime() + (expiringDays + 1) * DAY_MS);
+
+    const expired = await prisma.insurance.updateMany({
+        where: { status: { in: APPROVED_STATUSES }, endDate: { lt: today } },
+        data: { status: 'EXPIRED' }
+    });
+
+    const expiring = await prisma.insurance.updateMany({
+        where: { status: 'ACTIVE', endDate: { gte: today, lt: window } },
+        data: { status: 'EXPIRING' }
+    });
+
+    return { expired: expired.count, expiring: expiring.count };
+};
+
+/**
+ * Recompute whether a lease's insurance has lapsed and store it on the lease.
+ * A lease is covered by an approved policy whose end date is today or later. Without cover, the
+ * lapse starts at the end date of the last approved policy (leases that never had one are
+ * "missing", not lapsed).
+ * @param {number} leaseId
+ * @param {Object} [options] - { now }
+ * @returns {Promise<{ lease: Object, covered: boolean, lapsedAt: Date|null }>}
+ */
+const syncLeaseLapse = async (leaseId, { now = new Date() } = {}) => {
+    const today = startOfDay(now);
+    const lease = await prisma.lease.findUnique({
+        where: { id: leaseId },
+        include: { insurances: { where: { status: { in: [...APPROVED_STATUSES, 'EXPIRED'] } }, orderBy: { endDate: 'desc' } } }
+    });
+    if (!lease) return { lease: null, covered: false, lapsedAt: null };
+
+    const covered = lease.insurances.some(i => APPROVED_STATUSES.includes(i.status) && new Date(i.endDate) >= today);
+
+    if (covered) {
+        if (lease.insuranceLapsedAt) {
+            const cleared = await prisma.lease.update({
+                where: { id: leaseId },
+                data: { insuranceLapsedAt: null, insuranceEscalationLevel: null, insuranceFeeChargedAt: null }
+            });
+            return { lease: cleared, covered, lapsedAt: null };
+        }
+        return { lease, covered, lapsedAt: null };
+    }
+
+    const lastPolicy = lease.insurances[0];
+    if (!lastPolicy) return { lease, covered, lapsedAt: null };
+
+    if (!lease.insuranceLapsedAt) {
+        const lapsed = await prisma.lease.update({
+            where: { id: leaseId },
+            data: { insuranceLapsedAt: startOfDay(lastPolicy.endDate) }
+        });
+        return { lease: lapsed, covered, lapsedAt: lapsed.insuranceLapsedAt };
+    }
+
+    return { lease, covered, lapsedAt: lease.insuranceLapsedAt };
+};
+
+const parseThresholds = (value) => [...new Set(String(value || '')
+    .split(',')
+    .map(v => parseInt(v))
+    .filter(v => !isNaN(v) && v >= 0))]
+    .sort((a, b) => a - b);
+
+/**
+ * Staff who receive lapse escalations. The `insurance_escalation_recipients` setting
+ * (comma-separated emails) overrides the default of every admin and property manager.
+ */
+const getEscalationStaff = async () => {
+    const configured = await getSetting('insurance_escalation_recipients', '');
+    const emails = String(configured || '').split(',').map(e => e.trim()).filter(Boolean);
+    if (emails.length > 0) return emails;
+
+    const staff = await prisma.user.findMany({
+        where: { role: { in: ESCALATION_STAFF_ROLES }, email: { not: null } },
+        select: { email: true }
+    });
+    return staff.map(s => s.email);
+};
+
+const sendEscalation = async (lease, daysLapsed, staffEmails) => {
+    const property = lease.unit.property;
+    const unitLabel = lease.unit.unitNumber || lease.unit.name;
+    const lapsedSince = formatDate(lease.insuranceLapsedAt);
+    const log = { eventType: 'INSURANCE_LAPSE_ESCALATION', relatedEntity: 'LEASE', entityId: lease.id };
+
+    if (lease.tenant.email) {
+        await EmailService.sendEmail(
+            lease.tenant.email,
+            'Your tenant insurance has lapsed',
+            `Your tenant insurance for ${property.name}, unit ${unitLabel} has lapsed since ${lapsedSince} (${daysLapsed} day(s)). `
+            + 'Your lease requires continuous coverage. Please upload a current policy in the tenant portal as soon as possible.',
+            { ...log, recipientId: lease.tenant.id }
+        );
+    }
+
+    const summary = `Tenant ${lease.tenant.name} (${property.name}, unit ${unitLabel}, lease #${lease.id}) has had no valid insurance since ${lapsedSince} (${daysLapsed} day(s)).`;
+
+    for (const email of staffEmails) {
+        await EmailService.sendEmail(email, `Insurance lapse: ${lease.tenant.name} - ${property.name}`, summary, log);
+    }
+
+    for (const owner of property.owners || []) {
+        if (!owner.email) continue;
+        await EmailService.sendEmail(owner.email, `Insurance lapse at ${property.name}`, summary, { ...log, recipientId: owner.id });
+    }
+};
+
+const createLapseFeeInvoice = async (lease, amount, daysLapsed, now) => {
+    const today = startOfDay(now);
+
+    return prisma.$transaction(async (tx) => {
+        // Conditional claim so two runs on the same day cannot both charge
+        const { count } = await tx.lease.updateMany({
+            where: { id: lease.id, insuranceFeeChargedAt: lease.insuranceFeeChargedAt },
+            data: { insuranceFeeChargedAt: today }
+        });
+        if (count === 0) return null;
+
+        const fee = await tx.invoice.create({
+            data: {
+                invoiceNo: await allocateInvoiceNumber(tx, today),
+                tenantId: lease.tenant.type === 'RESIDENT' && lease.tenant.parentId ? lease.tenant.parentId : lease.tenantId,
+                unitId: lease.unitId,
+                leaseId: lease.id,
+                leaseType: lease.unit.rentalMode,
+                month: today.toLocaleString('en-US', { month: 'long', year: 'numeric' }),
+                rent: 0,
+                serviceFees: amount,
+                taxAmount: 0,
+                amount,
+                paidAmount: 0,
+                balanceDue: amount,
+                status: 'sent',
+                category: 'INSURANCE_FEE',
+                description: `Insurance non-compliance fee: no valid tenant insurance since ${formatDate(lease.insuranceLapsedAt)} (${daysLapsed} day(s))`,
+                dueDate: today
+            }
+        });
+
+        await syncInvoicePosting(tx, fee.id, { date: today });
+        return fee;
+    });
+};
+
+/**
+ * Daily lapse run: policy status transitions, lease lapse tracking, escalations and fees
+ * @param {Object} [options] - { now }
+ */
+const runLapseEngine = async ({ now = new Date() } = {}) => {
+    const today = startOfDay(now);
+    const statuses = await transitionPolicyStatuses({ now });
+    const summary = { ...statuses, lapsed: 0, cleared: 0, escalations: 0, fees: 0, failed: 0 };
+
+    const thresholds = parseThresholds(await getSetting('insurance_escalation_days', '0,7,30'));
+    const [requirements, staffEmails] = await Promise.all([loadRequirements(), getEscalationStaff()]);
+
+    const leases = await prisma.lease.findMany({
+        where: {
+            status: 'Active',
+            OR: [
+                { insuranceLapsedAt: { not: null } },
+                { insurances: { some: { status: { in: [...APPROVED_STATUSES, 'EXPIRED'] } } } }
+            ]
+        },
+        select: { id: true, insuranceLapsedAt: true }
+    });
+
+    for (const { id, insuranceLapsedAt: wasLapsedAt } of leases) {
+        try {
+            const { covered, lapsedAt } = await syncLeaseLapse(id, { now });
+            if (covered) {
+                if (wasLapsedAt) summary.cleared++;
+                continue;
+            }
+            if (!lapsedAt) continue;
+            summary.lapsed++;
+
+            const lease = await prisma.lease.findUnique({
+                where: { id },
+                include: { tenant: true, unit: { include: { property: { include: { owners: true } } } } }
+            });
+            const daysLapsed = Math.max(0, Math.round((today - startOfDay(lapsedAt)) / DAY_MS));
+
+            const due = thresholds.filter(t => t <= daysLapsed).pop();
+            if (due !== undefined && (lease.insuranceEscalationLevel === null || due > lease.insuranceEscalationLevel)) {
+                await prisma.lease.update({ where: { id }, data: { insuranceEscalationLevel: due } });
+                await sendEscalation(lease, daysLapsed, staffEmails);
+                summary.escalations++;
+            }
+
+            const requirement = resolveRequirement(requirements, lease.unit.propertyId);
+            const feeAmount = requirement && requirement.lapseFeeAmount ? round2(parseFloat(requirement.lapseFeeAmount)) : 0;
+            if (feeAmount > 0 && daysLapsed >= requirement.lapseFeeGraceDays) {
+                const lastCharged = lease.insuranceFeeChargedAt ? startOfDay(lease.insuranceFeeChargedAt) : null;
+                const interval = Math.max(1, requirement.lapseFeeIntervalDays || 30);
+                if (!lastCharged || Math.round((today - lastCharged) / DAY_MS) >= interval) {
+                    const fee = await createLapseFeeInvoice(lease, feeAmount, daysLapsed, now);
+                    if (fee) summary.fees++;
+                }
+            }
+        } catch (error) {
+            console.error(`[Insurance] Lapse processing failed for lease ${id}:`, error.message);
+            summary.failed++;
+        }
+    }
+
+    console.log(`[Insurance] Lapse run complete. Expired: ${summary.expired}, Expiring: ${summary.expiring}, Lapsed leases: ${summary.lapsed}, Escalations: ${summary.escalations}, Fees: ${summary.fees}`);
+    return summary;
+};
+
+module.exports = {
+    COVERAGE_TYPES,
+    SHORTFALL,
+    parseCoverageTypes,
+    serializeCoverageTypes,
+    getRequirementForProperty,
+    checkPolicy,
+    parseShortfalls,
+    verifyPolicy,
+    getComplianceReport,
+    transitionPolicyStatuses,
+    syncLeaseLapse,
+    runLapseEngine
+};
@@ -0,0 +1,255 @@
+const prisma = require('../config/prisma');
+const AppError = require('../utils/AppError');
+const { round2 } = require('./tax.service');
+const { getIntSetting } = require('./settings.service');
+const { allocateInvoiceNumber } = require('./numbering.service');
+const { syncInvoicePosting } = require('./ledger.service');
+const { INVOICE_STATUS } = require('../constants/statuses');
+
+/**
+ * Late Fee Service
+ * Marks unpaid invoices overdue once their grace period has passed and charges late fees.
+ *
+ * - Policies are per property (LateFeePolicy.propertyId); a policy without a property is the default.
+ * - Without any policy, invoices are still marked overdue after `late_fee_grace_days` (default 5) but no fee is charged.
+ * - Fee types: FLAT (fixed amount), PERCENTAGE (of the outstanding balance) or DAILY (amount per day
+ *   past the grace period). `maxAmount` caps the fee charged for one invoice.
+ * - Each overdue invoice gets at most one LATE_FEE invoice (Invoice.lateFeeForId). DAILY fees grow
+ *   that invoice until the cap is reached or the original invoice is paid.
+ * - A waived invoice is never charged again; an already issued late fee is voided.
+ */
+
+const FEE_TYPES = {
+    FLAT: 'FLAT',
+    PERCENTAGE: 'PERCENTAGE',
+    DAILY: 'DAILY'
+};
+
+const OPEN_STATUSES = [INVOICE_STATUS.SENT, INVOICE_STATUS.UNPAID, INVOICE_STATUS.PARTIAL, INVOICE_STATUS.OVERDUE];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const startOfDay = (date) => {
+    const d = new Date(date);
+    d.setHours(0, 0, 0, 0);
+    return d;
+};
+
+const daysPastDue = (dueDate, today) => Math.round((startOfDay(today) - startOfDay(dueDate)) / DAY_MS);
+
+const loadPolicies = async () => {
+    const rows = await prisma.lateFeePolicy.findMany();
+    const byProperty = {};
+    let fallback = null;
+
+    rows.forEach(policy => {
+        if (policy.propertyId) byProperty[policy.propertyId] = policy;
+        else fallback = policy;
+    });
+
+    return { byProperty, fallback };
+};
+
+const resolvePolicy = (policies, propertyId) => policies.byProperty[propertyId] || policies.fallback;
+
+/**
+ * Late fee owed for an invoice (pure, no DB access)
+ * @param {Object} policy - LateFeePolicy row
+ * @param {Object} invoice - The overdue invoice
+ * @param {number} daysLate - Days past the end of the grace period
+ * @returns {number}
+ */
+const calculateLateFee = (policy, invoice, daysLate) => {
+    if (!policy || !policy.enabled || daysLate <= 0) return 0;
+
+    const rate = parseFloat(policy.amount) || 0;
+    let fee;
+    switch (policy.feeType) {
+        case FEE_TYPES.PERCENTAGE:
+            fee = (parseFloat(invoice.balanceDue) || 0) * rate / 100;
+            break;
+        case FEE_TYPES.DAILY:
+            fee = rate * daysLate;
+            break;
+        default:
+            fee = rate;
+    }
+
+    if (policy.maxAmount !== null && policy.maxAmount !== undefined) {
+        fee = Math.min(fee, parseFloat(policy.maxAmount));
+    }
+
+    return round2(Math.max(0, fee));
+};
+
+const createLateFeeInvoice = async (tx, invoice, fee, daysLate, today) => {
+    const lateFee = await tx.invoice.create({
+        data: {
+            invoiceNo: await allocateInvoiceNumber(tx, today),
+            tenantId: invoice.tenantId,
+            unitId: invoice.unitId,
+            leaseId: invoice.leaseId,
+            leaseType: invoice.leaseType,
+            month: invoice.month,
+            rent: 0,
+            serviceFees: fee,
+            taxAmount: 0,
+            amount: fee,
+            paidAmount: 0,
+            balanceDue: fee,
+            status: INVOICE_STATUS.SENT,
+            category: 'LATE_FEE',
+            lateFeeForId: invoice.id,
+            description: `Late fee for invoice ${invoice.invoiceNo} (${daysLate} day(s) past grace period)`,
+            dueDate: startOfDay(today)
+        }
+    });
+
+    await syncInvoicePosting(tx, lateFee.id, { date: today });
+    return lateFee;
+};
+
+// DAILY accrual: grow the existing late fee invoice up to the new amount
+const accrueLateFee = async (tx, lateFee, fee, invoice, daysLate) => {
+    const paid = parseFloat(lateFee.paidAmount) || 0;
+
+    const updated = await tx.invoice.update({
+        where: { id: lateFee.id },
+        data: {
+            serviceFees: fee,
+            amount: fee,
+            balanceDue: round2(Math.max(0, fee - paid)),
+            status: paid > 0 ? INVOICE_STATUS.PARTIAL : lateFee.status,
+            description: `Late fee for invoice ${invoice.invoiceNo} (${daysLate} day(s) past grace period)`
+        }
+    });
+
+    await syncInvoicePosting(tx, lateFee.id);
+    return updated;
+};
+
+/**
+ * Mark overdue invoices and charge late fees. Safe to run repeatedly on the same day.
+ * @param {Object} [options] - { today }
+ */
+const assessLateFees = async ({ today = new Date() } = {}) => {
+    const policies = await loadPolicies();
+    const defaultGraceDays = await getIntSetting('late_fee_grace_days', 5, { min: 0, max: 90 });
+
+    const invoices = await prisma.invoice.findMany({
+        where: {
+            status: { in: OPEN_STATUSES },
+            category: { not: 'LATE_FEE' },
+            dueDate: { lt: startOfDay(today) },
+            balanceDue: { gt: 0 }
+        },
+        include: { unit: true, lateFee: true }
+    });
+
+    const summary = { markedOverdue: 0, feesCreated: 0, feesUpdated: 0, failed: 0 };
+
+    for (const invoice of invoices) {
+        const policy = resolvePolicy(policies, invoice.unit.propertyId);
+        const graceDays = policy ? policy.graceDays : defaultGraceDays;
+        const daysLate = daysPastDue(invoice.dueDate, today) - graceDays;
+        if (daysLate <= 0) continue;
+
+        try {
+            const outcome = await prisma.$transaction(async (tx) => {
+                const result = { markedOverdue: false, feeCreated: false, feeUpdated: false };
+
+                if (invoice.status !== INVOICE_STATUS.OVERDUE) {
+                    await tx.invoice.update({
+                        where: { id: invoice.id },
+                        data: { status: INVOICE_STATUS.OVERDUE }
+                    });
+                    result.markedOverdue = true;
+                }
+
+                if (invoice.lateFeeWaivedAt) return result;
+
+                const fee = calculateLateFee(policy, invoice, daysLate);
+                if (fee <= 0) return result;
+
+                const existing = invoice.lateFee;
+                if (!existing) {
+                    await createLateFeeInvoice(tx, invoice, fee, daysLate, today);
+                    result.feeCreated = true;
+                } else if (policy.feeType === FEE_TYPES.DAILY
+                    && existing.status !== INVOICE_STATUS.VOID
+                    && fee > parseFloat(existing.amount)) {
+                    await accrueLateFee(tx, existing, fee, invoice, daysLate);
+                    result.feeUpdated = true;
+                }
+
+                return result;
+            });
+
+            if (outcome.markedOverdue) summary.markedOverdue++;
+            if (outcome.feeCreated) summary.feesCreated++;
+            if (outcome.feeUpdated) summary.feesUpdated++;
+        } catch (error) {
+            console.error(`[LateFees] Error processing invoice ${invoice.invoiceNo}:`, error);
+            summary.failed++;
+        }
+    }
+
+    console.log(`[LateFees] Marked overdue: ${summary.markedOverdue}, Fees created: ${summary.feesCreated}, Fees accrued: ${summary.feesUpdated}, Failed: ${summary.failed}`);
+    return summary;
+};
+
+/**
+ * Waive late fees for an invoice. Future runs skip it and any issued late fee is voided
+ * (or closed at the amount already paid).
+ * @param {number} invoiceId - The overdue invoice, or its late fee invoice
+ * @param {Object} params - { reason, userId }
+ */
+const waiveLateFee = async (invoiceId, { reason, userId = null }) => {
+    return prisma.$transaction(async (tx) => {
+        let invoice = await tx.invoice.findUnique({
+            where: { id: invoiceId },
+            include: { lateFee: true }
+        });
+        if (!invoice) throw new AppError('Invoice not found', 404);
+
+        if (invoice.category === 'LATE_FEE') {
+            if (!invoice.lateFeeForId) throw new AppError('This late fee is not linked to an invoice', 400);
+            invoice = await tx.invoice.findUnique({
+                where: { id: invoice.lateFeeForId },
+                include: { lateFee: true }
+            });
+        }
+
+        if (invoice.lateFeeWaivedAt) throw new AppError('Late fees are already waived for this invoice', 400);
+
+        const updated = await tx.invoice.update({
+            where: { id: invoice.id },
+            data: {
+                lateFeeWaivedAt: new Date(),
+                lateFeeWaivedById: userId,
+                lateFeeWaiverReason: reason
+            }
+        });
+
+        let lateFee = invoice.lateFee;
+        if (lateFee && lateFee.status !== INVOICE_STATUS.VOID) {
+            const paid = parseFloat(lateFee.paidAmount) || 0;
+            lateFee = await tx.invoice.update({
+                where: { id: lateFee.id },
+                data: paid > 0
+                    ? { serviceFees: paid, amount: paid, balanceDue: 0, status: INVOICE_STATUS.PAID }
+                    : { balanceDue: 0, status: INVOICE_STATUS.VOID }
+            });
+            await syncInvoicePosting(tx, lateFee.id, { createdById: userId });
+        }
+
+        return { invoice: updated, lateFee };
+    });
+};
+
+module.exports = {
+    FEE_TYPES,
+    calculateLateFee,
+    assessLateFees,
+    waiveLateFee
+};
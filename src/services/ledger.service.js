@@ -0,0 +1,641 @@
+const prisma = require('../config/prisma');
+const AppError = require('../utils/AppError');
+const { round2 } = require('./tax.service');
+
+/**
+ * Ledger Service
+ * Double-entry general ledger: chart of accounts, journal entries and period close.
+ *
+ * - Every posting is a JournalEntry whose JournalLines balance (total debits = total credits).
+ * - System accounts (receivables, cash, income, tax, deposits, ...) are found by `systemKey`
+ *   and created on first use, adopting an existing account with the same name.
+ * - Invoices are kept in sync by delta: syncInvoicePosting compares what an invoice should have
+ *   posted (from its current amounts/status) with what is already in the journal and posts the
+ *   difference, so issue, edit, void and delete all use one code path.
+ * - Deleting invoices (with their unit, property or tenant) reverses their payment and refund
+ *   postings as well as the invoice's own, so cash and receivables stay balanced.
+ * - Entries cannot be dated inside a closed AccountingPeriod ('YYYY-MM').
+ */
+
+const ACCOUNT_TYPES = {
+    ASSET: 'Asset',
+    LIABILITY: 'Liability',
+    EQUITY: 'Equity',
+    INCOME: 'Income',
+    EXPENSE: 'Expense'
+};
+
+const DEBIT_NORMAL_TYPES = [ACCOUNT_TYPES.ASSET, ACCOUNT_TYPES.EXPENSE];
+
+const SYSTEM_ACCOUNTS = [
+    { systemKey: 'CASH', code: '1000', accountName: 'Operating Bank Account', assetType: ACCOUNT_TYPES.ASSET },
+    { systemKey: 'ACCOUNTS_RECEIVABLE', code: '1100', accountName: 'Accounts Receivable', assetType: ACCOUNT_TYPES.ASSET },
+    { systemKey: 'ACCOUNTS_PAYABLE', code: '2000', accountName: 'Accounts Payable', assetType: ACCOUNT_TYPES.LIABILITY },
+    { systemKey: 'SALES_TAX_PAYABLE', code: '2100', accountName: 'Sales Tax Payable', assetType: ACCOUNT_TYPES.LIABILITY },
+    { systemKey: 'SECURITY_DEPOSITS', code: '2200', accountName: 'Security Deposits Held', assetType: ACCOUNT_TYPES.LIABILITY },
+    { systemKey: 'RETAINED_EARNINGS', code: '3000', accountName: 'Retained Earnings', assetType: ACCOUNT_TYPES.EQUITY },
+    { systemKey: 'RENT_INCOME', code: '4000', accountName: 'Rent Income', assetType: ACCOUNT_TYPES.INCOME },
+    { systemKey: 'SERVICE_INCOME', code: '4100', accountName: 'Service Fee Income', assetType: ACCOUNT_TYPES.INCOME },
+    { systemKey: 'LATE_FEE_INCOME', code: '4200', accountName: 'Late Fee Income', assetType: ACCOUNT_TYPES.INCOME },
+    { systemKey: 'OTHER_INCOME', code: '4900', accountName: 'Other Income', assetType: ACCOUNT_TYPES.INCOME },
+    { systemKey: 'GENERAL_EXPENSE', code: '5000', accountName: 'General Expenses', assetType: ACCOUNT_TYPES.EXPENSE },
+    { systemKey: 'TENANT_REFUNDS', code: '5100', accountName: 'Tenant Refunds', assetType: ACCOUNT_TYPES.EXPENSE },
+    { systemKey: 'REPAIRS_EXPENSE', code: '5200', accountName: 'Repairs & Maintenance', assetType: ACCOUNT_TYPES.EXPENSE }
+];
+
+const INVOICE_INCOME_ACCOUNTS = {
+    RENT: 'RENT_INCOME',
+    SERVICE: 'SERVICE_INCOME',
+    LATE_FEE: 'LATE_FEE_INCOME',
+    INSURANCE_FEE: 'OTHER_INCOME'
+};
+
+const periodKey = (date) => {
+    const d = new Date(date);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+};
+
+const isDebitNormal = (account) => DEBIT_NORMAL_TYPES.includes(account.assetType);
+
+/**
+ * Load the system accounts, creating any that are missing
+ * @param {Object} [client] - Prisma client or transaction
+ * @returns {Promise<Object>} - Accounts keyed by systemKey
+ */
+const ensureSystemAccounts = async (client = prisma) => {
+    const keys = SYSTEM_ACCOUNTS.map(a => a.systemKey);
+    const existing = await client.account.findMany({ where: { systemKey: { in: keys } } });
+    const byKey = {};
+    existing.forEach(a => { byKey[a.systemKey] = a; });
+
+    for (const def of SYSTEM_ACCOUNTS) {
+        if (byKey[def.systemKey]) continue;
+
+        const codeTaken = await client.account.findFirst({ where: { code: def.code } });
+        const sameName = await client.account.findFirst({ where: { accountName: def.accountName, systemKey: null } });
+
+        byKey[def.systemKey] = sameName
+            ? await client.account.update({
+                where: { id: sameName.id },
+                data: { systemKey: def.systemKey, assetType: def.assetType, code: sameName.code || (codeTaken ? undefined : def.code) }
+            })
+            : await client.account.create({
+                data: { ...def, code: codeTaken ? null : def.code, openingBalance: 0 }
+            });
+    }
+
+    return byKey;
+};
+
+const assertPeriodOpen = async (client, date) => {
+    const period = periodKey(date);
+    const closed = await client.accountingPeriod.findFirst({ where: { period, status: 'Closed' } });
+    if (closed) throw new AppError(`Accounting period ${period} is closed`, 400);
+};
+
+/**
+ * Post a balanced journal entry
+ * @param {Object} client - Prisma client or transaction
+ * @param {Object} entry
+ * @param {Date} [entry.date]
+ * @param {string} entry.description
+ * @param {string} [entry.sourceType] - 'Invoice', 'Payment', 'PaymentRefund', 'RefundAdjustment', 'Deposit', 'WorkOrderCost' or 'Manual'
+ * @param {number} [entry.sourceId]
+ * @param {Array} entry.lines - [{ accountId | account (systemKey), debit, credit, memo, tenantId, propertyId }]
+ * @param {number} [entry.createdById]
+ */
+const postJournalEntry = async (client, { date = new Date(), description, sourceType = 'Manual', sourceId = null, lines, createdById = null }) => {
+    const accounts = lines.some(l => l.account) ? await ensureSystemAccounts(client) : {};
+
+    const normalized = lines.map(line => {
+        const accountId = line.account ? accounts[line.account].id : parseInt(line.accountId);
+        let debit = round2(line.debit || 0);
+        let credit = round2(line.credit || 0);
+        // A negative amount belongs on the other side
+        if (debit < 0) { credit = round2(credit - debit); debit = 0; }
+        if (credit < 0) { debit = round2(debit - credit); credit = 0; }
+
+        return {
+            accountId,
+            debit,
+            credit,
+            memo: line.memo || null,
+            tenantId: line.tenantId || null,
+            propertyId: line.propertyId || null
+        };
+    }).filter(l => l.debit > 0 || l.credit > 0);
+
+    const totalDebit = round2(normalized.reduce((sum, l) => sum + l.debit, 0));
+    const totalCredit = round2(normalized.reduce((sum, l) => sum + l.credit, 0));
+
+    if (normalized.length < 2 || totalDebit === 0) {
+        throw new AppError('A journal entry needs at least one debit and one credit', 400);
+    }
+    if (totalDebit !== totalCredit) {
+        throw new AppError(`Journal entry is not balanced (debits ${totalDebit.toFixed(2)}, credits ${totalCredit.toFixed(2)})`, 400);
+    }
+    if (normalized.some(l => isNaN(l.accountId))) {
+        throw new AppError('Every journal line needs an account', 400);
+    }
+
+    await assertPeriodOpen(client, date);
+
+    return client.journalEntry.create({
+        data: {
+            date: new Date(date),
+            description,
+            sourceType,
+            sourceId,
+            createdById,
+            lines: { create: normalized }
+        },
+        include: { lines: true }
+    });
+};
+
+// Net amount (debit positive) each system account should carry for an invoice in its current state
+const invoiceTargets = (invoice) => {
+    const targets = {};
+    if (!invoice || ['draft', 'void'].includes(String(invoice.status).toLowerCase())) return targets;
+
+    const add = (key, value) => { targets[key] = round2((targets[key] || 0) + value); };
+    const amount = parseFloat(invoice.amount) || 0;
+    const rent = parseFloat(invoice.rent) || 0;
+    const serviceFees = parseFloat(invoice.serviceFees) || 0;
+    const taxAmount = parseFloat(invoice.taxAmount) || 0;
+    const incomeKey = INVOICE_INCOME_ACCOUNTS[invoice.category] || 'RENT_INCOME';
+
+    add('ACCOUNTS_RECEIVABLE', amount);
+    add('SALES_TAX_PAYABLE', -taxAmount);
+    if (invoice.category === 'RENT') {
+        add('RENT_INCOME', -rent);
+        add('SERVICE_INCOME', -serviceFees);
+    } else {
+        add(incomeKey, -(rent + serviceFees));
+    }
+
+    // Older invoices whose total does not equal its components: book the difference as income
+    const difference = round2(amount - rent - serviceFees - taxAmount);
+    if (difference !== 0) add(incomeKey, -difference);
+
+    return targets;
+};
+
+/**
+ * Bring the journal in line with an invoice's current amounts and status
+ * @param {Object} client - Prisma client or transaction
+ * @param {number} invoiceId
+ * @param {Object} [options] - { date, createdById, remove (invoice is being deleted) }
+ * @returns {Promise<Object|null>} - The adjusting entry, or null when nothing changed
+ */
+const syncInvoicePosting = async (client, invoiceId, { date = new Date(), createdById = null, remove = false } = {}) => {
+    const invoice = await client.invoice.findUnique({
+        where: { id: invoiceId },
+        include: { unit: true }
+    });
+    if (!invoice) return null;
+
+    const accounts = await ensureSystemAccounts(client);
+    const targets = remove ? {} : invoiceTargets(invoice);
+
+    const posted = await client.journalLine.groupBy({
+        by: ['accountId'],
+        where: { journalEntry: { sourceType: 'Invoice', sourceId: invoiceId } },
+        _sum: { debit: true, credit: true }
+    });
+
+    const net = {};
+    posted.forEach(p => {
+        net[p.accountId] = round2(parseFloat(p._sum.debit || 0) - parseFloat(p._sum.credit || 0));
+    });
+    const alreadyPosted = Object.values(net).some(v => v !== 0);
+
+    const targetByAccount = {};
+    Object.entries(targets).forEach(([key, value]) => {
+        targetByAccount[accounts[key].id] = value;
+    });
+
+    const accountIds = new Set([...Object.keys(net), ...Object.keys(targetByAccount)].map(Number));
+    const lines = [];
+    accountIds.forEach(accountId => {
+        const delta = round2((targetByAccount[accountId] || 0) - (net[accountId] || 0));
+        if (delta === 0) return;
+        lines.push({
+            accountId,
+            debit: delta > 0 ? delta : 0,
+            credit: delta < 0 ? -delta : 0,
+            tenantId: invoice.tenantId,
+            propertyId: invoice.unit ? invoice.unit.propertyId : null
+        });
+    });
+
+    if (lines.length === 0) return null;
+
+    const hasTargets = Object.values(targets).some(v => v !== 0);
+    const action = !alreadyPosted ? 'issued' : (hasTargets ? 'adjusted' : 'reversed');
+
+    return postJournalEntry(client, {
+        date,
+        description: `Invoice ${invoice.invoiceNo} ${action}`,
+        sourceType: 'Invoice',
+        sourceId: invoice.id,
+        lines,
+        createdById
+    });
+};
+
+// Property an invoice belongs to, for per-property reporting on journal lines
+const invoicePropertyId = async (client, invoice) => {
+    if (invoice.unit) return invoice.unit.propertyId;
+    if (!invoice.unitId) return null;
+    const unit = await client.unit.findUnique({ where: { id: invoice.unitId }, select: { propertyId: true } });
+    return unit ? unit.propertyId : null;
+};
+
+/**
+ * Cash received against an invoice: Dr Cash / Cr Accounts Receivable
+ * @param {Object} client - Prisma client or transaction
+ * @param {Object} payment - Payment row
+ * @param {Object} invoice - Invoice the payment settles
+ * @param {Object} [options] - { description }
+ */
+const postPaymentReceived = async (client, payment, invoice, { description } = {}) => {
+    const propertyId = await invoicePropertyId(client, invoice);
+    return postJournalEntry(client, {
+        date: payment.date || new Date(),
+        description: description || `Payment - ${invoice.month} (Inv: ${invoice.invoiceNo})`,
+        sourceType: 'Payment',
+        sourceId: payment.id,
+        lines: [
+            { account: 'CASH', debit: payment.amount, tenantId: invoice.tenantId, propertyId },
+            { account: 'ACCOUNTS_RECEIVABLE', credit: payment.amount, tenantId: invoice.tenantId, propertyId }
+        ]
+    });
+};
+
+/**
+ * Money returned on a payment: Dr Accounts Receivable / Cr Cash
+ * @param {Object} client - Prisma client or transaction
+ * @param {Object} payment - Payment row being refunded
+ * @param {Object} invoice - Invoice the payment settled
+ * @param {number} amount
+ * @param {Object} [options] - { description }
+ */
+const postPaymentRefunded = async (client, payment, invoice, amount, { description } = {}) => {
+    const propertyId = await invoicePropertyId(client, invoice);
+    return postJournalEntry(client, {
+        description: description || `Payment Refund - ${invoice.invoiceNo}`,
+        sourceType: 'PaymentRefund',
+        sourceId: payment.id,
+        lines: [
+            { account: 'ACCOUNTS_RECEIVABLE', debit: amount, tenantId: invoice.tenantId, propertyId },
+            { account: 'CASH', credit: amount, tenantId: invoice.tenantId, propertyId }
+        ]
+    });
+};
+
+/**
+ * Reverse everything a payment posted (its receipt and any refunds) before the payment is deleted
+ * @param {Object} client - Prisma client or transaction
+ * @param {number} paymentId
+ * @param {Object} [options] - { date, createdById }
+ * @returns {Promise<Object|null>} - The reversing entry, or null when nothing was posted
+ */
+const removePaymentPostings = async (client, paymentId, { date = new Date(), createdById = null } = {}) => {
+    const payment = await client.payment.findUnique({
+        where: { id: paymentId },
+        include: { invoice: { include: { unit: true } } }
+    });
+    if (!payment) return null;
+
+    const posted = await client.journalLine.groupBy({
+        by: ['accountId'],
+        where: { journalEntry: { sourceType: { in: ['Payment', 'PaymentRefund'] }, sourceId: paymentId } },
+        _sum: { debit: true, credit: true }
+    });
+
+    const invoice = payment.invoice;
+    const lines = [];
+    posted.forEach(p => {
+        const net = round2(parseFloat(p._sum.debit || 0) - parseFloat(p._sum.credit || 0));
+        if (net === 0) return;
+        lines.push({
+            accountId: p.accountId,
+            debit: net < 0 ? -net : 0,
+            credit: net > 0 ? net : 0,
+            tenantId: invoice.tenantId,
+            propertyId: invoice.unit ? invoice.unit.propertyId : null
+        });
+    });
+
+    if (lines.length === 0) return null;
+
+    return postJournalEntry(client, {
+        date,
+        description: `Payment reversed - invoice ${invoice.invoiceNo} deleted`,
+        sourceType: 'Payment',
+        sourceId: payment.id,
+        lines,
+        createdById
+    });
+};
+
+/**
+ * Reverse the ledger postings of invoices about to be deleted: their payments and refunds, then the invoices
+ * @param {Object} client - Prisma client or transaction
+ * @param {Array<number>} invoiceIds
+ * @param {Object} [options] - { createdById }
+ */
+const removeInvoicePostings = async (client, invoiceIds, { createdById = null } = {}) => {
+    if (invoiceIds.length === 0) return;
+
+    const payments = await client.payment.findMany({ where: { invoiceId: { in: invoiceIds } }, select: { id: true } });
+    for (const payment of payments) {
+        await removePaymentPostings(client, payment.id, { createdById });
+    }
+    for (const invoiceId of invoiceIds) {
+        await syncInvoicePosting(client, invoiceId, { remove: true, createdById });
+    }
+};
+
+/**
+ * Refund or adjustment paid out to a tenant. Deposit refunds release the deposit
+ * liability (Dr Security Deposits Held); anything else is a refund expense. Cr Cash.
+ * @param {Object} client - Prisma client or transaction
+ * @param {Object} refund - RefundAdjustment row (with `unit` included for property tagging)
+ */
+const postRefundIssued = (client, refund) => {
+    const isDeposit = `${refund.type} ${refund.reason || ''}`.toLowerCase().includes('deposit');
+    const propertyId = refund.unit ? refund.unit.propertyId : null;
+
+    return postJournalEntry(client, {
+        date: refund.date,
+        description: `${refund.type} Refund - ${refund.requestId}`,
+        sourceType: 'RefundAdjustment',
+        sourceId: refund.id,
+        lines: [
+            { account: isDeposit ? 'SECURITY_DEPOSITS' : 'TENANT_REFUNDS', debit: refund.amount, tenantId: refund.tenantId, propertyId },
+            { account: 'CASH', credit: refund.amount, tenantId: refund.tenantId, propertyId }
+        ]
+    });
+};
+
+/**
+ * Security deposit received for a lease: Dr Cash / Cr Security Deposits Held
+ */
+const postDepositReceived = (client, lease, amount, { date = new Date(), createdById = null, memo = null } = {}) => {
+    const propertyId = lease.unit ? lease.unit.propertyId : null;
+    return postJournalEntry(client, {
+        date,
+        description: `Security deposit received - Lease #${lease.id}`,
+        sourceType: 'Deposit',
+        sourceId: lease.id,
+        createdById,
+        lines: [
+            { account: 'CASH', debit: amount, tenantId: lease.tenantId, propertyId, memo },
+            { account: 'SECURITY_DEPOSITS', credit: amount, tenantId: lease.tenantId, propertyId, memo }
+        ]
+    });
+};
+
+/**
+ * Repair cost recorded on a ticket or maintenance task: Dr Repairs & Maintenance / Cr Accounts Payable.
+ * With `remove` the entry is reversed (the cost line was deleted).
+ * @param {Object} client - Prisma client or transaction
+ * @param {Object} cost - WorkOrderCost row
+ */
+const postWorkOrderCost = (client, cost, { remove = false, createdById = null } = {}) => {
+    const job = cost.ticketId ? `Ticket T-${cost.ticketId + 1000}` : `Maintenance MNT-${cost.maintenanceTaskId + 100}`;
+    const amount = remove ? -parseFloat(cost.amount) : parseFloat(cost.amount);
+
+    return postJournalEntry(client, {
+        date: remove ? new Date() : cost.incurredAt,
+        description: `${remove ? 'Reversal: ' : ''}${cost.costType} - ${cost.description} (${job})`,
+        sourceType: 'WorkOrderCost',
+        sourceId: cost.id,
+        createdById: createdById || cost.createdById,
+        lines: [
+            { account: 'REPAIRS_EXPENSE', debit: amount, propertyId: cost.propertyId },
+            { account: 'ACCOUNTS_PAYABLE', credit: amount, propertyId: cost.propertyId }
+        ]
+    });
+};
+
+/**
+ * Balance of every account from the journal, plus its opening balance
+ * @param {Object} [range] - { from, to } on the entry date
+ */
+const getAccountBalances = async ({ from = null, to = null } = {}) => {
+    await ensureSystemAccounts();
+
+    const dateFilter = {};
+    if (from) dateFilter.gte = from;
+    if (to) dateFilter.lte = to;
+
+    const [accounts, sums] = await Promise.all([
+        prisma.account.findMany({ orderBy: [{ code: 'asc' }, { accountName: 'asc' }] }),
+        prisma.journalLine.groupBy({
+            by: ['accountId'],
+            where: Object.keys(dateFilter).length > 0 ? { journalEntry: { date: dateFilter } } : {},
+            _sum: { debit: true, credit: true }
+        })
+    ]);
+
+    const sumByAccount = {};
+    sums.forEach(s => { sumByAccount[s.accountId] = s._sum; });
+
+    return accounts.map(account => {
+        const sum = sumByAccount[account.id] || {};
+        // Opening balances only belong in cumulative (not ranged) figures
+        const opening = from ? 0 : parseFloat(account.openingBalance) || 0;
+        const debitNormal = isDebitNormal(account);
+
+        const debit = round2(parseFloat(sum.debit || 0) + (debitNormal ? opening : 0));
+        const credit = round2(parseFloat(sum.credit || 0) + (debitNormal ? 0 : opening));
+
+        return {
+            id: account.id,
+            code: account.code,
+            accountName: account.accountName,
+            type: account.assetType,
+            systemKey: account.systemKey,
+            debit,
+            credit,
+            // Positive when the account carries its normal balance
+            balance: debitNormal ? round2(debit - credit) : round2(credit - debit)
+        };
+    });
+};
+
+/**
+ * Trial balance as of a date: each account's net balance in the debit or credit column
+ * @param {Object} [options] - { asOf }
+ */
+const getTrialBalance = async ({ asOf = null } = {}) => {
+    const balances = await getAccountBalances({ to: asOf });
+
+    const rows = balances
+        .map(b => {
+            const net = round2(b.debit - b.credit);
+            return {
+                id: b.id,
+                code: b.code,
+                accountName: b.accountName,
+                type: b.type,
+                debit: net > 0 ? net : 0,
+                credit: net < 0 ? -net : 0
+            };
+        })
+        .filter(r => r.debit !== 0 || r.credit !== 0);
+
+    const totalDebit = round2(rows.reduce((sum, r) => sum + r.debit, 0));
+    const totalCredit = round2(rows.reduce((sum, r) => sum + r.credit, 0));
+
+    return { asOf, rows, totalDebit, totalCredit, balanced: totalDebit === totalCredit };
+};
+
+/**
+ * Close an accounting period; no entry can be dated inside it afterwards
+ * @param {string} period - 'YYYY-MM'
+ * @param {number} [userId]
+ */
+const closePeriod = async (period, userId = null) => {
+    if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(period || '')) {
+        throw new AppError('Period must be in YYYY-MM format', 400);
+    }
+
+    const existing = await prisma.accountingPeriod.findUnique({ where: { period } });
+    if (existing && existing.status === 'Closed') throw new AppError(`Accounting period ${period} is already closed`, 400);
+
+    const [year, month] = period.split('-').map(Number);
+    const trialBalance = await getTrialBalance({ asOf: new Date(year, month, 0, 23, 59, 59, 999) });
+    if (!trialBalance.balanced) {
+        throw new AppError(`Trial balance for ${period} does not balance; fix opening balances before closing`, 400);
+    }
+
+    const data = { status: 'Closed', closedAt: new Date(), closedById: userId };
+    return existing
+        ? prisma.accountingPeriod.update({ where: { id: existing.id }, data })
+        : prisma.accountingPeriod.create({ data: { period, ...data } });
+};
+
+/**
+ * Reopen a closed period
+ * @param {string} period - 'YYYY-MM'
+ */
+const reopenPeriod = async (period) => {
+    const existing = await prisma.accountingPeriod.findUnique({ where: { period } });
+    if (!existing || existing.status !== 'Closed') throw new AppError(`Accounting period ${period} is not closed`, 400);
+
+    return prisma.accountingPeriod.update({
+        where: { id: existing.id },
+        data: { status: 'Open', closedAt: null, closedById: null }
+    });
+};
+
+/**
+ * Post journal entries for invoices, payments and work-order costs created before the ledger existed.
+ * Entries are dated at the original document date unless that period is closed.
+ */
+const backfillLedger = async () => {
+    const summary = { invoices: 0, payments: 0, workOrderCosts: 0, failed: 0 };
+
+    const postedInvoiceIds = new Set((await prisma.journalEntry.findMany({
+        where: { sourceType: 'Invoice' },
+        select: { sourceId: true }
+    })).map(e => e.sourceId));
+
+    const invoices = await prisma.invoice.findMany({
+        where: { status: { notIn: ['draft', 'void'] } },
+        select: { id: true, createdAt: true }
+    });
+
+    for (const invoice of invoices.filter(i => !postedInvoiceIds.has(i.id))) {
+        try {
+            await prisma.$transaction(async (tx) => {
+                try {
+                    await assertPeriodOpen(tx, invoice.createdAt);
+                    await syncInvoicePosting(tx, invoice.id, { date: invoice.createdAt });
+                } catch (error) {
+                    if (!(error instanceof AppError)) throw error;
+                    await syncInvoicePosting(tx, invoice.id);
+                }
+            });
+            summary.invoices++;
+        } catch (error) {
+            console.error(`[Ledger] Backfill failed for invoice ${invoice.id}:`, error.message);
+            summary.failed++;
+        }
+    }
+
+    const postedPaymentIds = new Set((await prisma.journalEntry.findMany({
+        where: { sourceType: 'Payment' },
+        select: { sourceId: true }
+    })).map(e => e.sourceId));
+
+    const payments = await prisma.payment.findMany({ include: { invoice: { include: { unit: true } } } });
+
+    for (const payment of payments.filter(p => !postedPaymentIds.has(p.id))) {
+        try {
+            await prisma.$transaction(async (tx) => {
+                let date = payment.date;
+                try {
+                    await assertPeriodOpen(tx, date);
+                } catch (error) {
+                    date = new Date();
+                }
+                await postPaymentReceived(tx, { ...payment, date }, payment.invoice);
+            });
+            summary.payments++;
+        } catch (error) {
+            console.error(`[Ledger] Backfill failed for payment ${payment.id}:`, error.message);
+            summary.failed++;
+        }
+    }
+
+    const postedCostIds = new Set((await prisma.journalEntry.findMany({
+        where: { sourceType: 'WorkOrderCost' },
+        select: { sourceId: true }
+    })).map(e => e.sourceId));
+
+    const costs = await prisma.workOrderCost.findMany();
+
+    for (const cost of costs.filter(c => !postedCostIds.has(c.id))) {
+        try {
+            await prisma.$transaction(async (tx) => {
+                let incurredAt = cost.incurredAt;
+                try {
+                    await assertPeriodOpen(tx, incurredAt);
+                } catch (error) {
+                    incurredAt = new Date();
+                }
+                await postWorkOrderCost(tx, { ...cost, incurredAt });
+            });
+            summary.workOrderCosts++;
+        } catch (error) {
+            console.error(`[Ledger] Backfill failed for work-order cost ${cost.id}:`, error.message);
+            summary.failed++;
+        }
+    }
+
+    return summary;
+};
+
+module.exports = {
+    ACCOUNT_TYPES,
+    ensureSystemAccounts,
+    postJournalEntry,
+    syncInvoicePosting,
+    postPaymentReceived,
+    postPaymentRefunded,
+    removePaymentPostings,
+    removeInvoicePostings,
+    postRefundIssued,
+    postDepositReceived,
+    postWorkOrderCost,
+    getAccountBalances,
+    getTrialBalance,
+    closePeriod,
+    reopenPeriod,
+    backfillLedger
+};
@@ -0,0 +1,413 @@
+const prisma = require('../config/prisma');
+const AppError = require('../utils/AppError');
+const EmailService = require('./email.service');
+const { getSetting, getIntSetting } = require('./settings.service');
+const { MAINTENANCE_STATUS } = require('../constants/statuses');
+
+/**
+ * Preventive Maintenance Service
+ * Turns MaintenanceTask.frequency into a recurring schedule.
+ *
+ * - Supported rules (case-insensitive):
+ *     'Once' / 'One-time'                          -> no recurrence
+ *     'Daily', 'Weekly', 'Biweekly', 'Monthly', 'Quarterly', 'Semi-annually', 'Annually'
+ *     'Every N days|weeks|months|years'            -> e.g. 'Every 45 days'
+ *     'cron: <min> <hour> <day> <month> <weekday>' -> e.g. 'cron: 0 9 1 3,9 *'
+ * - Completing a task creates the next occurrence (linked through previousTaskId, so a
+ *   task is only ever rolled forward once). Calendar rules keep the original cadence:
+ *   the next date is counted from the previous due date, not the completion date, and
+ *   skips ahead if the work was done more than a full period late.
+ * - Open tasks past their due date are flagged Overdue daily and staff are alerted once.
+ * - A weekly digest lists overdue and upcoming work per property.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Reference shown for a task, as on the maintenance list
+const taskRef = (task) => `MNT-${task.id + 100}`;
+const OPEN_STATUSES = [MAINTENANCE_STATUS.UPCOMING, MAINTENANCE_STATUS.IN_PROGRESS, MAINTENANCE_STATUS.OVERDUE];
+const DIGEST_RECIPIENT_ROLES = ['ADMIN', 'PROPERTY_MANAGER'];
+
+const NAMED_RULES = {
+    daily: { unit: 'day', interval: 1 },
+    weekly: { unit: 'day', interval: 7 },
+    biweekly: { unit: 'day', interval: 14 },
+    monthly: { unit: 'month', interval: 1 },
+    bimonthly: { unit: 'month', interval: 2 },
+    quarterly: { unit: 'month', interval: 3 },
+    semiannually: { unit: 'month', interval: 6 },
+    biannually: { unit: 'month', interval: 6 },
+    annually: { unit: 'month', interval: 12 },
+    annual: { unit: 'month', interval: 12 },
+    yearly: { unit: 'month', interval: 12 }
+};
+
+const NON_RECURRING = ['', 'once', 'onetime', 'none', 'adhoc'];
+
+// min, hour, day of month, month, day of week
+const CRON_FIELDS = [
+    { min: 0, max: 59 },
+    { min: 0, max: 23 },
+    { min: 1, max: 31 },
+    { min: 1, max: 12 },
+    { min: 0, max: 7 }
+];
+
+const startOfDay = (date) => {
+    const d = new Date(date);
+    d.setHours(0, 0, 0, 0);
+    return d;
+};
+
+const normalizeStatus = (status) => {
+    const key = String(status || '').trim().toLowerCase().replace(/[\s_-]/g, '');
+    if (key === 'done') return MAINTENANCE_STATUS.COMPLETED;
+    if (key === 'scheduled' || key === 'pending') return MAINTENANCE_STATUS.UPCOMING;
+    return Object.values(MAINTENANCE_STATUS).find(s => s.toLowerCase().replace(/\s/g, '') === key) || null;
+};
+
+const parseCronField = (part, { min, max }) => {
+    const values = new Set();
+    for (const item of part.split(',')) {
+        const [range, stepRaw] = item.split('/');
+        const step = stepRaw === undefined ? 1 : parseInt(stepRaw);
+        if (!step || step < 1) return null;
+
+        let from = min;
+        let to = max;
+        if (range !== '*') {
+            const bounds = range.split('-').map(v => parseInt(v));
+            if (bounds.some(isNaN)) return null;
+            from = bounds[0];
+            to = bounds.length > 1 ? bounds[1] : (stepRaw === undefined ? bounds[0] : max);
+        }
+        if (from < min || to > max || from > to) return null;
+
+        for (let v = from; v <= to; v += step) values.add(v);
+    }
+    return values;
+};
+
+const parseCronExpression = (expression) => {
+    const parts = String(expression || '').trim().split(/\s+/);
+    if (parts.length !== 5) return null;
+
+    const fields = parts.map((part, i) => parseCronField(part, CRON_FIELDS[i]));
+    if (fields.some(f => !f)) return null;
+
+    // 7 is Sunday too
+    if (fields[4].has(7)) fields[4].add(0);
+
+    return {
+        minutes: fields[0],
+        hours: fields[1],
+        days: fields[2],
+        months: fields[3],
+        weekdays: fields[4],
+        anyDay: parts[2] === '*',
+        anyWeekday: parts[4] === '*'
+    };
+};
+
+/**
+ * Parse a frequency string into a schedule rule
+ * @param {string} frequency
+ * @returns {{ type: 'none' } | { type: 'interval', unit: 'day'|'month', interval: number } | { type: 'cron', expression: string, cron: Object } | null}
+ *   null when the frequency is not understood
+ */
+const parseFrequency = (frequency) => {
+    const raw = String(frequency || '').trim();
+    const key = raw.toLowerCase().replace(/[\s_-]/g, '');
+
+    if (NON_RECURRING.includes(key)) return { type: 'none' };
+    if (NAMED_RULES[key]) return { type: 'interval', ...NAMED_RULES[key] };
+
+    const every = /^every\s+(\d+)\s+(day|week|month|year)s?$/i.exec(raw);
+    if (every) {
+        const count = parseInt(every[1]);
+        if (count < 1) return null;
+        const unit = every[2].toLowerCase();
+        if (unit === 'week') return { type: 'interval', unit: 'day', interval: count * 7 };
+        if (unit === 'year') return { type: 'interval', unit: 'month', interval: count * 12 };
+        return { type: 'interval', unit, interval: count };
+    }
+
+    const expression = raw.replace(/^cron:\s*/i, '');
+    const cron = parseCronExpression(expression);
+    if (cron) return { type: 'cron', expression, cron };
+
+    return null;
+};
+
+const isValidFrequency = (frequency) => parseFrequency(frequency) !== null;
+
+const isRecurring = (frequency) => {
+    const rule = parseFrequency(frequency);
+    return Boolean(rule && rule.type !== 'none');
+};
+
+// Same day-of-month N months later, clamped to the end of shorter months (Jan 31 -> Feb 28)
+const addMonths = (date, months, anchorDay = date.getDate()) => {
+    const d = new Date(date);
+    d.setDate(1);
+    d.setMonth(d.getMonth() + months);
+    const lastDay = new Date(d.getFullYear(), d.getMonth() + 1, 0).getDate();
+    d.setDate(Math.min(anchorDay, lastDay));
+    return d;
+};
+
+const cronDayMatches = (cron, d) => {
+    if (!cron.months.has(d.getMonth() + 1)) return false;
+    const dayMatch = cron.days.has(d.getDate());
+    const weekdayMatch = cron.weekdays.has(d.getDay());
+    // Standard cron: when both day fields are restricted, either may match
+    if (!cron.anyDay && !cron.anyWeekday) return dayMatch || weekdayMatch;
+    return dayMatch && weekdayMatch;
+};
+
+// First cron match strictly after `after`, searched day by day up to five years ahead
+const nextCronMatch = (cron, after) => {
+    const day = startOfDay(after);
+    const hours = [...cron.hours].sort((a, b) => a - b);
+    const minutes = [...cron.minutes].sort((a, b) => a - b);
+
+    for (let i = 0; i < 366 * 5; i++) {
+        if (cronDayMatches(cron, day)) {
+            for (const h of hours) {
+                for (const m of minutes) {
+                    const candidate = new Date(day.getFullYear(), day.getMonth(), day.getDate(), h, m);
+                    if (candidate > after) return candidate;
+                }
+            }
+        }
+        day.setDate(day.getDate() + 1);
+    }
+    return null;
+};
+
+/**
+ * Due date of the occurrence after `dueDate`
+ * @param {string|Object} frequency - Frequency string or a rule from parseFrequency
+ * @param {Date} dueDate - Due date of the occurrence just completed
+ * @param {Date} [notBefore] - The result is pushed past this date (usually the completion date)
+ * @returns {Date|null} - null for non-recurring or unknown rules
+ */
+const nextOccurrence = (frequency, dueDate, notBefore = null) => {
+    const rule = typeof frequency === 'string' ? parseFrequency(frequency) : frequency;
+    if (!rule || rule.type === 'none') return null;
+
+    const base = new Date(dueDate);
+    const floor = notBefore && new Date(notBefore) > base ? new Date(notBefore) : base;
+
+    if (rule.type === 'cron') return nextCronMatch(rule.cron, floor);
+
+    let next = base;
+    let steps = 0;
+    do {
+        steps++;
+        if (rule.unit === 'day') {
+            next = new Date(base);
+            next.setDate(base.getDate() + rule.interval * steps);
+        } else {
+            next = addMonths(base, rule.interval * steps, base.getDate());
+        }
+    } while (next <= floor);
+
+    return next;
+};
+
+/**
+ * Status a task should have after its due date changes.
+ * Moving an overdue task into the future makes it Upcoming again.
+ */
+const statusForDueDate = (status, dueDate, now = new Date()) => {
+    const current = normalizeStatus(status) || MAINTENANCE_STATUS.UPCOMING;
+    if (current === MAINTENANCE_STATUS.OVERDUE && new Date(dueDate) >= startOfDay(now)) return MAINTENANCE_STATUS.UPCOMING;
+    return current;
+};
+
+/**
+ * Complete a task and schedule its next occurrence.
+ * @param {number} taskId
+ * @param {Object} [options] - { completedAt, completedById, notes }
+ * @returns {Promise<{ task: Object, nextTask: Object|null }>}
+ */
+const completeTask = async (taskId, { completedAt = new Date(), completedById = null, notes } = {}) => {
+    return prisma.$transaction(async (tx) => {
+        const task = await tx.maintenanceTask.findUnique({
+            where: { id: taskId },
+            include: { nextTask: true }
+        });
+        if (!task) throw new AppError('Maintenance task not found', 404);
+
+        const { count } = await tx.maintenanceTask.updateMany({
+            where: { id: taskId, status: { not: MAINTENANCE_STATUS.COMPLETED } },
+            data: {
+                status: MAINTENANCE_STATUS.COMPLETED,
+                completedAt: new Date(completedAt),
+                completedById,
+                ...(notes !== undefined ? { notes } : {})
+            }
+        });
+        if (count === 0) throw new AppError('Task is already completed', 409);
+
+        let nextTask = task.nextTask;
+        const nextDueDate = nextTask ? null : nextOccurrence(task.frequency, task.dueDate, completedAt);
+        if (nextDueDate) {
+            nextTask = await tx.maintenanceTask.create({
+                data: {
+                    name: task.name,
+                    propertyId: task.propertyId,
+                    type: task.type,
+                    frequency: task.frequency,
+                    dueDate: nextDueDate,
+                    vendor: task.vendor,
+                    vendorId: task.vendorId,
+                    status: MAINTENANCE_STATUS.UPCOMING,
+                    notes: task.notes,
+                    previousTaskId: task.id
+                }
+            });
+        }
+
+        const updated = await tx.maintenanceTask.findUnique({ where: { id: taskId } });
+        return { task: updated, nextTask };
+    });
+};
+
+/**
+ * Staff who receive maintenance alerts and digests.
+ * The `maintenance_digest_recipients` setting (comma-separated emails) overrides the
+ * default of every admin and property manager.
+ */
+const getStaffRecipients = async () => {
+    const configured = await getSetting('maintenance_digest_recipients', '');
+    const emails = String(configured || '').split(',').map(e => e.trim()).filter(Boolean);
+    if (emails.length > 0) return emails;
+
+    const staff = await prisma.user.findMany({
+        where: { role: { in: DIGEST_RECIPIENT_ROLES }, email: { not: null } },
+        select: { email: true }
+    });
+    return staff.map(s => s.email);
+};
+
+const formatDate = (date) => new Date(date).toISOString().split('T')[0];
+
+const describeTask = (task, now) => {
+    const due = formatDate(task.dueDate);
+    const vendor = task.vendorRecord ? task.vendorRecord.name : task.vendor;
+    const late = task.dueDate < startOfDay(now)
+        ? ` (${Math.floor((startOfDay(now) - startOfDay(task.dueDate)) / DAY_MS)} days overdue)`
+        : '';
+    return `- ${due}${late}: ${task.name} [${task.type}]${vendor ? ` - ${vendor}` : ''}`;
+};
+
+/**
+ * Flag open tasks whose due date has passed and alert staff about the newly overdue ones
+ * @param {Object} [options] - { now }
+ */
+const markOverdueTasks = async ({ now = new Date() } = {}) => {
+    const today = startOfDay(now);
+
+    const tasks = await prisma.maintenanceTask.findMany({
+        where: {
+            status: { in: [MAINTENANCE_STATUS.UPCOMING, MAINTENANCE_STATUS.IN_PROGRESS] },
+            dueDate: { lt: today }
+        },
+        include: { property: true, vendorRecord: { select: { name: true } } },
+        orderBy: { dueDate: 'asc' }
+    });
+    if (tasks.length === 0) return { flagged: 0 };
+
+    const { count } = await prisma.maintenanceTask.updateMany({
+        where: {
+            id: { in: tasks.map(t => t.id) },
+            status: { in: [MAINTENANCE_STATUS.UPCOMING, MAINTENANCE_STATUS.IN_PROGRESS] }
+        },
+        data: { status: MAINTENANCE_STATUS.OVERDUE, overdueAt: now }
+    });
+
+    const recipients = await getStaffRecipients();
+    const lines = tasks.map(t => `${describeTask(t, now)} @ ${t.property ? t.property.name : 'General'}`);
+    const body = `The following preventive maintenance is now overdue:\n\n${lines.join('\n')}\n\nPlease schedule or complete this work as soon as possible.`;
+
+    for (const email of recipients) {
+        await EmailService.sendEmail(email, `Overdue maintenance: ${tasks.length} task(s)`, body, {
+            eventType: 'MAINTENANCE_OVERDUE',
+            relatedEntity: 'MaintenanceTask'
+        });
+    }
+
+    console.log(`[Maintenance] Flagged ${count} overdue task(s).`);
+    return { flagged: count };
+};
+
+/**
+ * Email the weekly digest: one message per property listing overdue work and work due
+ * within the `maintenance_digest_days` window (default 14).
+ * @param {Object} [options] - { now, propertyId }
+ */
+const sendWeeklyDigest = async ({ now = new Date(), propertyId = null } = {}) => {
+    const days = await getIntSetting('maintenance_digest_days', 14, { min: 1, max: 90 });
+    const horizon = new Date(startOfDay(now).getTime() + (days + 1) * DAY_MS);
+
+    const tasks = await prisma.maintenanceTask.findMany({
+        where: {
+            status: { in: OPEN_STATUSES },
+            dueDate: { lt: horizon },
+            ...(propertyId ? { propertyId } : {})
+        },
+        include: { property: true, vendorRecord: { select: { name: true } } },
+        orderBy: { dueDate: 'asc' }
+    });
+
+    const recipients = await getStaffRecipients();
+    if (tasks.length === 0 || recipients.length === 0) return { properties: 0, tasks: tasks.length, emailsSent: 0 };
+
+    const byProperty = new Map();
+    for (const task of tasks) {
+        const key = task.propertyId || 0;
+        if (!byProperty.has(key)) byProperty.set(key, { name: task.property ? task.property.name : 'General', tasks: [] });
+        byProperty.get(key).tasks.push(task);
+    }
+
+    let emailsSent = 0;
+    for (const [key, group] of byProperty) {
+        const overdue = group.tasks.filter(t => t.dueDate < startOfDay(now));
+        const upcoming = group.tasks.filter(t => t.dueDate >= startOfDay(now));
+
+        const sections = [];
+        if (overdue.length > 0) sections.push(`OVERDUE\n${overdue.map(t => describeTask(t, now)).join('\n')}`);
+        if (upcoming.length > 0) sections.push(`DUE IN THE NEXT ${days} DAYS\n${upcoming.map(t => describeTask(t, now)).join('\n')}`);
+
+        const subject = `Maintenance digest - ${group.name}${overdue.length ? ` (${overdue.length} overdue)` : ''}`;
+        const body = `Preventive maintenance for ${group.name} as of ${formatDate(now)}:\n\n${sections.join('\n\n')}`;
+
+        for (const email of recipients) {
+            const result = await EmailService.sendEmail(email, subject, body, {
+                eventType: 'MAINTENANCE_DIGEST',
+                relatedEntity: 'Property',
+                entityId: key || null
+            });
+            if (result.success) emailsSent++;
+        }
+    }
+
+    console.log(`[Maintenance] Weekly digest sent for ${byProperty.size} propert(ies), ${tasks.length} task(s).`);
+    return { properties: byProperty.size, tasks: tasks.length, emailsSent };
+};
+
+module.exports = {
+    OPEN_STATUSES,
+    taskRef,
+    normalizeStatus,
+    parseFrequency,
+    isValidFrequency,
+    isRecurring,
+    nextOccurrence,
+    statusForDueDate,
+    completeTask,
+    markOverdueTasks,
+    sendWeeklyDigest
+};
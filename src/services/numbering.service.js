@@ -0,0 +1,109 @@
+const prisma = require('../config/prisma');
+const { getSetting, getIntSetting } = require('./settings.service');
+
+/**
+ * Numbering Service
+ * Allocates sequential document numbers (invoices, refunds) per document type and fiscal year.
+ *
+ * - Counters live in NumberSequence, one row per (docType, fiscalYear).
+ * - The counter is incremented inside the caller's transaction, so the row stays locked
+ *   until the document is written and a rolled-back document never consumes a number.
+ * - Formats come from SystemSetting `numbering_format_<type>` (e.g. numbering_format_invoice).
+ *   Tokens: {FY} fiscal year, {YY} two-digit fiscal year, {SEQ} or {SEQ:n} zero-padded counter.
+ * - The fiscal year starts in SystemSetting `fiscal_year_start_month` (1-12, default 1) and is
+ *   named after the calendar year it ends in.
+ */
+
+const DOCUMENT_TYPES = {
+    INVOICE: 'INVOICE',
+    REFUND: 'REFUND'
+};
+
+const DEFAULT_FORMATS = {
+    [DOCUMENT_TYPES.INVOICE]: 'INV-{FY}-{SEQ:5}',
+    [DOCUMENT_TYPES.REFUND]: 'RA-{FY}-{SEQ:5}'
+};
+
+const SEQ_TOKEN = /\{SEQ(?::(\d+))?\}/;
+
+const formatSettingKey = (docType) => `numbering_format_${docType.toLowerCase()}`;
+
+const isValidFormat = (format) => typeof format === 'string' && SEQ_TOKEN.test(format);
+
+/**
+ * Fiscal year a date falls in
+ * @param {Date} date
+ * @param {number} startMonth - 1-12
+ */
+const getFiscalYear = (date, startMonth = 1) => {
+    const d = new Date(date);
+    if (startMonth === 1 || d.getMonth() + 1 < startMonth) return d.getFullYear();
+    return d.getFullYear() + 1;
+};
+
+const formatNumber = (format, { fiscalYear, value }) => {
+    return format
+        .replace(/\{FY\}/g, String(fiscalYear))
+        .replace(/\{YY\}/g, String(fiscalYear).slice(-2))
+        .replace(new RegExp(SEQ_TOKEN.source, 'g'), (match, width) => String(value).padStart(parseInt(width) || 1, '0'));
+};
+
+const incrementSequence = async (client, docType, fiscalYear) => {
+    const where = { docType_fiscalYear: { docType, fiscalYear } };
+    const increment = () => client.numberSequence.update({
+        where,
+        data: { lastValue: { increment: 1 } }
+    });
+
+    try {
+        return await increment();
+    } catch (error) {
+        if (error.code !== 'P2025') throw error;
+    }
+
+    // First document of this type in the fiscal year
+    try {
+        return await client.numberSequence.create({
+            data: { docType, fiscalYear, lastValue: 1 }
+        });
+    } catch (error) {
+        // Another transaction created the row first
+        if (error.code !== 'P2002') throw error;
+        return increment();
+    }
+};
+
+/**
+ * Allocate the next number for a document type.
+ * Call with the transaction that creates the document to keep numbering gap-free.
+ * @param {Object} client - Prisma transaction
+ * @param {string} docType - One of DOCUMENT_TYPES
+ * @param {Date} [date] - Document date, decides the fiscal year
+ * @returns {Promise<string>}
+ */
+const allocateNumber = async (client, docType, date = new Date()) => {
+    if (!DEFAULT_FORMATS[docType]) throw new Error(`Unknown document type: ${docType}`);
+
+    const startMonth = await getIntSetting('fiscal_year_start_month', 1, { min: 1, max: 12 }, client);
+    const configured = await getSetting(formatSettingKey(docType), null, client);
+    const format = isValidFormat(configured) ? configured : DEFAULT_FORMATS[docType];
+
+    const fiscalYear = getFiscalYear(date, startMonth);
+    const sequence = await incrementSequence(client, docType, fiscalYear);
+
+    return formatNumber(format, { fiscalYear, value: sequence.lastValue });
+};
+
+const allocateInvoiceNumber = (client, date) => allocateNumber(client, DOCUMENT_TYPES.INVOICE, date);
+
+const allocateRefundNumber = (client, date) => allocateNumber(client, DOCUMENT_TYPES.REFUND, date);
+
+module.exports = {
+    DOCUMENT_TYPES,
+    formatSettingKey,
+    isValidFormat,
+    getFiscalYear,
+    allocateNumber,
+    allocateInvoiceNumber,
+    allocateRefundNumber
+};
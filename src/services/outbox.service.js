@@ -0,0 +1,225 @@
+const prisma = require('../config/prisma');
+const AppError = require('../utils/AppError');
+const EmailService = require('./email.service');
+const { sendSMS } = require('./sms.service');
+const { getIntSetting } = require('./settings.service');
+const { CONSENT_PURPOSES } = require('./consent.service');
+
+/**
+ * Communication Outbox Service
+ * Notifications are written as Pending CommunicationLog rows, in the same transaction as the
+ * change they announce, and dispatched afterwards by the outbox worker.
+ *
+ * - A rolled-back change never leaves a message behind, and a committed one is never lost.
+ * - Each attempt claims the row by bumping `attempts` and pushing `nextAttemptAt` forward, so two
+ *   workers never send the same message and a crashed attempt is picked up again later.
+ * - Failures are retried with exponential backoff (`outbox_retry_base_seconds`, default 60:
+ *   1, 2, 4, 8... minutes). After `outbox_max_attempts` (default 5) the row is Dead.
+ * - The provider's message ID (SendGrid X-Message-Id, Twilio SID) is kept on the row.
+ * - Messages to recipients without consent are Skipped; SMS due during quiet hours wait for the
+ *   end of them without using up an attempt. Campaign messages are checked with the campaign's
+ *   purpose (marketing, or a service notice checked like any other transactional message).
+ */
+
+const OUTBOX_STATUS = {
+    PENDING: 'Pending',
+    SENT: 'Sent',
+    FAILED: 'Failed',
+    DEAD: 'Dead',
+    SKIPPED: 'Skipped'
+};
+
+const OUTBOX_CHANNELS = {
+    EMAIL: 'Email',
+    SMS: 'SMS'
+};
+
+// How long an attempt may take before another worker may pick the row up again
+const CLAIM_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * Queue a message. Pass the transaction client to tie it to the business change.
+ * @param {Object} message - { channel (Email|SMS), eventType, recipient, recipientId, relatedEntity, entityId, subject, content, html }
+ * @param {Object} [client] - Prisma client or transaction
+ */
+const enqueue = async (message, client = prisma) => {
+    if (!Object.values(OUTBOX_CHANNELS).includes(message.channel)) {
+        throw new AppError(`Unsupported channel: ${message.channel}`, 400);
+    }
+
+    // Nowhere to send it: record it as Dead straight away rather than retrying
+    const noRecipient = !message.recipient;
+
+    return client.communicationLog.create({
+        data: {
+            channel: message.channel,
+            eventType: message.eventType,
+            recipient: message.recipient || '',
+            recipientId: message.recipientId || null,
+            relatedEntity: message.relatedEntity || null,
+            entityId: message.entityId || null,
+            subject: message.subject || null,
+            content: message.content,
+            htmlContent: message.html || null,
+            status: noRecipient ? OUTBOX_STATUS.DEAD : OUTBOX_STATUS.PENDING,
+            nextAttemptAt: noRecipient ? null : new Date(),
+            lastError: noRecipient ? `No ${message.channel === OUTBOX_CHANNELS.SMS ? 'phone number' : 'email address'} on file` : null
+        }
+    });
+};
+
+/**
+ * Delay before the next attempt
+ * @param {number} attempts - Attempts made so far (>= 1)
+ * @param {number} baseSeconds
+ */
+const backoffMs = (attempts, baseSeconds) => baseSeconds * 1000 * Math.pow(2, Math.max(attempts - 1, 0));
+
+// Consent purpose a queued message is checked against
+const purposeOf = async (entry) => {
+    if (entry.eventType !== 'CAMPAIGN') return CONSENT_PURPOSES.TRANSACTIONAL;
+
+    const campaign = entry.relatedEntity === 'Campaign' && entry.entityId
+        ? await prisma.campaign.findUnique({ where: { id: entry.entityId }, select: { purpose: true } })
+        : null;
+    return campaign ? campaign.purpose : CONSENT_PURPOSES.MARKETING;
+};
+
+const send = async (entry) => {
+    const purpose = await purposeOf(entry);
+
+    if (entry.channel === OUTBOX_CHANNELS.EMAIL) {
+        const result = await EmailService.sendEmail(entry.recipient, entry.subject || entry.eventType, entry.content || '', {
+            html: entry.htmlContent,
+            skipLog: true,
+            purpose
+        });
+        return { success: result.success, providerId: result.messageId || null, error: result.error, permanent: Boolean(result.suppressed), skipped: Boolean(result.skipped) };
+    }
+
+    const result = await sendSMS(entry.recipient, entry.content || '', { skipLog: true, purpose });
+    return { success: result.success, providerId: result.sid || null, error: result.error || result.message, skipped: Boolean(result.skipped), deferUntil: result.deferUntil || null };
+};
+
+/**
+ * Attempt one queued message
+ * @param {Object} entry - CommunicationLog row
+ * @param {Object} options - { maxAttempts, baseSeconds, now }
+ * @returns {Promise<string|null>} New status, or null when another worker claimed it
+ */
+const dispatch = async (entry, { maxAttempts, baseSeconds, now = new Date() }) => {
+    const claimed = await prisma.communicationLog.updateMany({
+        where: { id: entry.id, attempts: entry.attempts, status: { in: [OUTBOX_STATUS.PENDING, OUTBOX_STATUS.FAILED] } },
+        data: { attempts: { increment: 1 }, nextAttemptAt: new Date(now.getTime() + CLAIM_TIMEOUT_MS) }
+    });
+    if (claimed.count === 0) return null;
+
+    const attempts = entry.attempts + 1;
+    let result;
+    try {
+        result = await send(entry);
+    } catch (error) {
+        result = { success: false, error: error.message };
+    }
+
+    if (result.success) {
+        await prisma.communicationLog.update({
+            where: { id: entry.id },
+            data: { status: OUTBOX_STATUS.SENT, providerId: result.providerId, sentAt: new Date(), lastError: null, nextAttemptAt: null }
+        });
+        return OUTBOX_STATUS.SENT;
+    }
+
+    // Quiet hours: try again when they end, without counting this as an attempt
+    if (result.deferUntil) {
+        await prisma.communicationLog.update({
+            where: { id: entry.id },
+            data: { status: OUTBOX_STATUS.PENDING, attempts: entry.attempts, nextAttemptAt: result.deferUntil, lastError: String(result.error) }
+        });
+        return OUTBOX_STATUS.PENDING;
+    }
+
+    if (result.skipped) {
+        await prisma.communicationLog.update({
+            where: { id: entry.id },
+            data: { status: OUTBOX_STATUS.SKIPPED, lastError: String(result.error), nextAttemptAt: null }
+        });
+        return OUTBOX_STATUS.SKIPPED;
+    }
+
+    // A suppressed address will never accept it, so there is nothing to retry
+    const dead = attempts >= maxAttempts || result.permanent;
+    await prisma.communicationLog.update({
+        where: { id: entry.id },
+        data: {
+            status: dead ? OUTBOX_STATUS.DEAD : OUTBOX_STATUS.FAILED,
+            lastError: String(result.error || 'Send failed'),
+            nextAttemptAt: dead ? null : new Date(now.getTime() + backoffMs(attempts, baseSeconds))
+        }
+    });
+    return dead ? OUTBOX_STATUS.DEAD : OUTBOX_STATUS.FAILED;
+};
+
+/**
+ * Dispatch every queued message that is due
+ * @param {Object} [options] - { batchSize, now }
+ * @returns {Promise<Object>} Summary counts
+ */
+const processOutbox = async ({ batchSize = 50, now = new Date() } = {}) => {
+    const [maxAttempts, baseSeconds] = await Promise.all([
+        getIntSetting('outbox_max_attempts', 5, { min: 1, max: 20 }),
+        getIntSetting('outbox_retry_base_seconds', 60, { min: 1 })
+    ]);
+
+    const due = await prisma.communicationLog.findMany({
+        where: {
+            status: { in: [OUTBOX_STATUS.PENDING, OUTBOX_STATUS.FAILED] },
+            nextAttemptAt: { lte: now }
+        },
+        orderBy: { nextAttemptAt: 'asc' },
+        take: batchSize
+    });
+
+    const summary = { processed: 0, sent: 0, failed: 0, dead: 0, skipped: 0, deferred: 0 };
+    for (const entry of due) {
+        const status = await dispatch(entry, { maxAttempts, baseSeconds, now });
+        if (!status) continue;
+        summary.processed++;
+        if (status === OUTBOX_STATUS.SENT) summary.sent++;
+        else if (status === OUTBOX_STATUS.DEAD) summary.dead++;
+        else if (status === OUTBOX_STATUS.SKIPPED) summary.skipped++;
+        else if (status === OUTBOX_STATUS.PENDING) summary.deferred++;
+        else summary.failed++;
+    }
+
+    if (summary.processed > 0) {
+        console.log(`[Outbox] Processed ${summary.processed}: sent ${summary.sent}, retrying ${summary.failed}, dead ${summary.dead}, skipped ${summary.skipped}, deferred ${summary.deferred}`);
+    }
+    return summary;
+};
+
+/**
+ * Put a Failed, Dead or Skipped message back in the queue with a fresh set of attempts
+ * @param {number} id
+ */
+const requeue = async (id) => {
+    const entry = await prisma.communicationLog.findUnique({ where: { id } });
+    if (!entry) throw new AppError('Message not found', 404);
+    if (![OUTBOX_STATUS.FAILED, OUTBOX_STATUS.DEAD, OUTBOX_STATUS.SKIPPED].includes(entry.status)) {
+        throw new AppError(`Only failed, dead or skipped messages can be retried (this one is ${entry.status})`, 400);
+    }
+
+    return prisma.communicationLog.update({
+        where: { id },
+        data: { status: OUTBOX_STATUS.PENDING, attempts: 0, nextAttemptAt: new Date(), lastError: null }
+    });
+};
+
+module.exports = {
+    OUTBOX_STATUS,
+    OUTBOX_CHANNELS,
+    enqueue,
+    backoffMs,
+    processOutbox,
+    requeue
+};
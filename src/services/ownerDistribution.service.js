@@ -0,0 +1,767 @@
+const prisma = require('../config/prisma');
+const AppError = require('../utils/AppError');
+const EmailService = require('./email.service');
+const { round2 } = require('./tax.service');
+const { isValidPeriod, periodLabel } = require('./billing.service');
+const { getIntSetting, getBrandingSettings } = require('./settings.service');
+
+/**
+ * Owner Distribution Service
+ * Ledger of what has been (or will be) paid out to owners from their statements.
+ *
+ * - One distribution per owner statement: gross = statement net payable.
+ * - Reserve hold (PropertyReserve): each property keeps a target balance back from payouts.
+ *   Each owner contributes their ownership share of the shortfall, capped at what the property
+ *   earned them that month; the held amount is added to the reserve balance.
+ * - Amount paid = gross - reserve held. Nothing to pay (net <= 0) is recorded as Held.
+ * - Scheduled for the `owner_distribution_day` of the month after the period (default 10th).
+ * - ACH distributions are exported in NACHA batches (PPD credits) for the bank; settling the batch
+ *   marks them Paid. The bank details are copied onto each distribution at export, so re-downloading
+ *   a batch never picks up a payout account changed since. Checks and wires are marked Paid one by one with their reference.
+ * - Cancelling releases the reserve holds so the statement can be scheduled again.
+ * - When an owner changes their own payout details, the account is pending verification: their scheduled
+ *   distributions go On Hold, new ones are created On Hold, and they are emailed at their address on
+ *   file. Staff verifying the account releases the payouts; ACH export refuses them until then.
+ */
+
+const DISTRIBUTION_STATUS = {
+    SCHEDULED: 'Scheduled',
+    PAID: 'Paid',
+    HELD: 'Held',
+    ON_HOLD: 'On Hold',
+    CANCELLED: 'Cancelled'
+};
+
+const PAYOUT_METHODS = ['ACH', 'CHECK', 'WIRE'];
+const ACCOUNT_TYPES = ['CHECKING', 'SAVINGS'];
+
+const BATCH_STATUS = {
+    EXPORTED: 'Exported',
+    SETTLED: 'Settled'
+};
+
+/**
+ * ABA routing number check (9 digits, 3-7-1 weighted checksum)
+ * @param {string} routingNumber
+ */
+const isValidRoutingNumber = (routingNumber) => {
+    if (!/^\d{9}$/.test(String(routingNumber || ''))) return false;
+    const d = String(routingNumber).split('').map(Number);
+    const sum = 3 * (d[0] + d[3] + d[6]) + 7 * (d[1] + d[4] + d[7]) + (d[2] + d[5] + d[8]);
+    return sum % 10 === 0;
+};
+
+const maskAccountNumber = (accountNumber) => (accountNumber ? `****${String(accountNumber).slice(-4)}` : null);
+
+// Payout details safe to return over the API
+const formatPayoutAccount = (account) => (account ? {
+    method: account.method,
+    accountName: account.accountName,
+    routingNumber: account.routingNumber,
+    accountNumber: maskAccountNumber(account.accountNumber),
+    accountType: account.accountType,
+    pendingVerification: account.pendingVerification,
+    verifiedAt: account.verifiedAt,
+    updatedAt: account.updatedAt
+} : null);
+
+/**
+ * Validate payout details entered by staff or the owner
+ * @param {Object} body - { method, accountName, routingNumber, accountNumber, accountType }
+ * @param {Object} [current] - Saved account; a masked or blank account number keeps the saved one
+ */
+const parsePayoutAccount = (body, current = null) => {
+    const errors = {};
+
+    const method = String(body.method || 'ACH').toUpperCase();
+    if (!PAYOUT_METHODS.includes(method)) errors.method = `Method must be one of: ${PAYOUT_METHODS.join(', ')}`;
+
+    const accountType = String(body.accountType || 'CHECKING').toUpperCase();
+    if (!ACCOUNT_TYPES.includes(accountType)) errors.accountType = `Account type must be one of: ${ACCOUNT_TYPES.join(', ')}`;
+
+    const routingNumber = body.routingNumber ? String(body.routingNumber).trim() : null;
+    let accountNumber = body.accountNumber ? String(body.accountNumber).replace(/\s/g, '') : null;
+    if (accountNumber && accountNumber.startsWith('*')) accountNumber = current ? current.accountNumber : null;
+
+    if (routingNumber && !isValidRoutingNumber(routingNumber)) errors.routingNumber = 'Routing number is not valid';
+    if (accountNumber && !/^[0-9-]{4,17}$/.test(accountNumber)) errors.accountNumber = 'Account number must be 4-17 digits';
+    if (method !== 'CHECK') {
+        if (!routingNumber && !errors.routingNumber) errors.routingNumber = 'Routing number is required';
+        if (!accountNumber && !errors.accountNumber) errors.accountNumber = 'Account number is required';
+    }
+
+    if (Object.keys(errors).length > 0) {
+        const err = new AppError('Validation failed', 400);
+        err.errors = errors;
+        throw err;
+    }
+
+    return {
+        method,
+        accountName: body.accountName ? String(body.accountName).trim() : null,
+        routingNumber,
+        accountNumber,
+        accountType
+    };
+};
+
+/**
+ * Save an owner's payout details
+ * @param {number} ownerId
+ * @param {Object} body
+ * @param {Object} [options] - { holdScheduled: if the details changed, mark the account pending verification
+ *   and put upcoming payouts On Hold (owner self-service); staff-entered details count as verified }
+ * @returns {Promise<{ account: Object, changed: boolean, held: number }>}
+ */
+const savePayoutAccount = async (ownerId, body, { holdScheduled = false } = {}) => {
+    const owner = await prisma.user.findUnique({ where: { id: ownerId }, include: { payoutAccount: true } });
+    if (!owner || owner.role !== 'OWNER') throw new AppError('Owner not found', 404);
+
+    const current = owner.payoutAccount;
+    const data = parsePayoutAccount(body, current);
+    const changed = !current || ['method', 'routingNumber', 'accountNumber'].some(field => current[field] !== data[field]);
+    const hold = holdScheduled && changed;
+    const verification = changed ? { pendingVerification: hold, verifiedAt: null, verifiedById: null } : {};
+
+    const [account, upcoming] = await prisma.$transaction([
+        prisma.ownerPayoutAccount.upsert({
+            where: { ownerId },
+            update: { ...data, ...verification },
+            create: { ...data, ...verification, ownerId }
+        }),
+        // Upcoming payouts follow the new method
+        prisma.ownerDistribution.updateMany({
+            where: { ownerId, status: { in: [DISTRIBUTION_STATUS.SCHEDULED, DISTRIBUTION_STATUS.ON_HOLD] }, batchId: null },
+            data: { method: data.method, ...(hold ? { status: DISTRIBUTION_STATUS.ON_HOLD } : {}) }
+        })
+    ]);
+
+    if (changed) {
+        try {
+            await sendPayoutAccountNotice(owner, account, hold ? upcoming.count : 0);
+        } catch (error) {
+            console.error(`[OwnerDistribution] Payout account notice failed for owner ${ownerId}:`, error.message);
+        }
+    }
+    return { account, changed, held: hold ? upcoming.count : 0 };
+};
+
+/**
+ * Staff confirmed an owner's payout account change with them: clear the pending state and
+ * release the distributions it put On Hold
+ * @param {number} ownerId
+ * @param {number} verifiedById
+ * @returns {Promise<{ account: Object, released: number }>}
+ */
+const verifyPayoutAccount = async (ownerId, verifiedById) => {
+    const current = await prisma.ownerPayoutAccount.findUnique({ where: { ownerId } });
+    if (!current) throw new AppError('Owner has no payout account', 404);
+    if (!current.pendingVerification) throw new AppError('Payout account is not awaiting verification', 400);
+
+    const [account, released] = await prisma.$transaction([
+        prisma.ownerPayoutAccount.update({
+            where: { ownerId },
+            data: { pendingVerification: false, verifiedAt: new Date(), verifiedById }
+        }),
+        prisma.ownerDistribution.updateMany({
+            where: { ownerId, status: DISTRIBUTION_STATUS.ON_HOLD, batchId: null },
+            data: { status: DISTRIBUTION_STATUS.SCHEDULED }
+        })
+    ]);
+    return { account, released: released.count };
+};
+
+// Tell the owner, at the address on file, that their payout details changed
+const sendPayoutAccountNotice = async (owner, account, held) => {
+    if (!owner.email) return;
+
+    await EmailService.sendEmail(
+        owner.email,
+        'Your payout account was changed',
+        `Hello ${owner.name || ''},\n\n`
+        + `The account your distributions are paid to was changed on ${new Date().toISOString().split('T')[0]}.\n\n`
+        + `Method: ${account.method}\n`
+        + (account.accountNumber ? `Account: ${maskAccountNumber(account.accountNumber)}\n` : '')
+        + (held > 0 ? `\n${held} upcoming distribution(s) are on hold until our team confirms the change with you.\n` : '')
+        + '\nIf you did not make this change, contact us immediately.\n',
+        { eventType: 'OWNER_PAYOUT_ACCOUNT_CHANGED', recipientId: owner.id, purpose: 'security' }
+    );
+};
+
+/**
+ * Date a period's distribution is due: the given day of the following month
+ * @param {string} period - 'YYYY-MM'
+ * @param {number} day
+ */
+const scheduledDateFor = (period, day) => {
+    const [year, month] = period.split('-').map(Number);
+    const lastDay = new Date(year, month + 1, 0).getDate();
+    return new Date(year, month, Math.min(day, lastDay));
+};
+
+/**
+ * Reserve holds for one owner statement
+ * @param {Array} lines - Statement property lines ({ propertyId, property, sharePercent, net })
+ * @param {Object} reserves - PropertyReserve rows keyed by propertyId
+ * @returns {Array} [{ propertyId, property, net, hold }]
+ */
+const calculateReserveHolds = (lines, reserves) => lines.map(line => {
+    const reserve = reserves[line.propertyId];
+    let hold = 0;
+    if (reserve && line.net > 0) {
+        const shortfall = Math.max(parseFloat(reserve.targetAmount) - parseFloat(reserve.balance), 0);
+        hold = round2(Math.min(line.net, shortfall * (line.sharePercent / 100)));
+    }
+    return { propertyId: line.propertyId, property: line.property, net: line.net, hold };
+});
+
+const sendPaidNotice = async (distribution) => {
+    const owner = distribution.owner || await prisma.user.findUnique({ where: { id: distribution.ownerId } });
+    if (!owner || !owner.email) return;
+
+    const money = (v) => `$${(parseFloat(v) || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+    await EmailService.sendEmail(
+        owner.email,
+        `Owner distribution paid - ${periodLabel(distribution.period)}`,
+        `Hello ${owner.name || ''},\n\n`
+        + `Your distribution for ${periodLabel(distribution.period)} has been paid.\n\n`
+        + `Statement net: ${money(distribution.grossAmount)}\n`
+        + `Held for property reserves: ${money(distribution.reserveHeld)}\n`
+        + `Amount paid: ${money(distribution.amount)}\n`
+        + `Method: ${distribution.method}${distribution.reference ? ` (ref ${distribution.reference})` : ''}\n`,
+        { eventType: 'OWNER_DISTRIBUTION', recipientId: owner.id, relatedEntity: 'OWNER_DISTRIBUTION', entityId: distribution.id }
+    );
+};
+
+/**
+ * Create the distribution for an owner statement and hold the reserves it funds
+ * @param {number} statementId
+ * @param {Object} [options] - { scheduledFor, createdById, notes }
+ */
+const scheduleDistribution = async (statementId, { scheduledFor = null, createdById = null, notes = null } = {}) => {
+    const day = await getIntSetting('owner_distribution_day', 10, { min: 1, max: 31 });
+
+    return prisma.$transaction(async (tx) => {
+        const statement = await tx.ownerStatement.findUnique({
+            where: { id: statementId },
+            include: { owner: { include: { payoutAccount: true } } }
+        });
+        if (!statement) throw new AppError('Owner statement not found', 404);
+
+        const existing = await tx.ownerDistribution.findFirst({
+            where: { statementId, status: { not: DISTRIBUTION_STATUS.CANCELLED } }
+        });
+        if (existing) throw new AppError(`Statement already has a ${existing.status.toLowerCase()} distribution`, 409);
+
+        const details = JSON.parse(statement.details);
+        const gross = round2(parseFloat(statement.netPayable));
+
+        let holds = [];
+        if (gross > 0) {
+            const reserveRows = await tx.propertyReserve.findMany({
+                where: { propertyId: { in: details.properties.map(p => p.propertyId) } }
+            });
+            const reserves = Object.fromEntries(reserveRows.map(r => [r.propertyId, r]));
+            holds = calculateReserveHolds(details.properties, reserves);
+        }
+
+        // Never hold back more than the owner is owed overall
+        let reserveHeld = 0;
+        for (const h of holds) {
+            h.hold = round2(Math.min(h.hold, Math.max(gross - reserveHeld, 0)));
+            reserveHeld = round2(reserveHeld + h.hold);
+            if (h.hold > 0) {
+                await tx.propertyReserve.update({
+                    where: { propertyId: h.propertyId },
+                    data: { balance: { increment: h.hold } }
+                });
+            }
+        }
+
+        const amount = round2(Math.max(gross - reserveHeld, 0));
+        const account = statement.owner.payoutAccount;
+
+        let status = DISTRIBUTION_STATUS.HELD;
+        if (amount > 0) status = account && account.pendingVerification ? DISTRIBUTION_STATUS.ON_HOLD : DISTRIBUTION_STATUS.SCHEDULED;
+
+        return tx.ownerDistribution.create({
+            data: {
+                ownerId: statement.ownerId,
+                statementId,
+                period: statement.period,
+                grossAmount: gross,
+                reserveHeld,
+                amount,
+                status,
+                method: account ? account.method : 'CHECK',
+                scheduledFor: scheduledFor || scheduledDateFor(statement.period, day),
+                details: JSON.stringify({ holds: holds.filter(h => h.hold > 0) }),
+                notes,
+                createdById
+            }
+        });
+    });
+};
+
+/**
+ * Schedule distributions for every statement of a period that does not have one yet
+ * @param {Object} options - { period, ownerId, createdById }
+ */
+const scheduleDistributions = async ({ period, ownerId = null, createdById = null }) => {
+    if (!isValidPeriod(period)) throw new AppError(`Invalid period: ${period}`, 400);
+
+    const statements = await prisma.ownerStatement.findMany({
+        where: {
+            period,
+            ...(ownerId ? { ownerId } : {}),
+            distributions: { none: { status: { not: DISTRIBUTION_STATUS.CANCELLED } } }
+        },
+        select: { id: true, ownerId: true }
+    });
+
+    const summary = { period, scheduled: 0, onHold: 0, held: 0, failed: 0 };
+    const results = [];
+
+    for (const statement of statements) {
+        try {
+            const distribution = await scheduleDistribution(statement.id, { createdById });
+            if (distribution.status === DISTRIBUTION_STATUS.HELD) summary.held++;
+            else if (distribution.status === DISTRIBUTION_STATUS.ON_HOLD) summary.onHold++;
+            else summary.scheduled++;
+            results.push({ ownerId: statement.ownerId, distributionId: distribution.id, status: distribution.status, amount: parseFloat(distribution.amount) });
+        } catch (error) {
+            console.error(`[OwnerDistribution] Failed for statement ${statement.id}:`, error.message);
+            summary.failed++;
+            results.push({ ownerId: statement.ownerId, statementId: statement.id, status: 'Failed', message: error.message });
+        }
+    }
+
+    console.log(`[OwnerDistribution] ${period}: scheduled ${summary.scheduled}, on hold ${summary.onHold}, held ${summary.held}, failed ${summary.failed}`);
+    return { summary, results };
+};
+
+/**
+ * Record a scheduled distribution as paid and let the owner know
+ * @param {number} id
+ * @param {Object} [payment] - { method, reference, paidAt, notes }
+ */
+const markPaid = async (id, { method, reference, paidAt, notes } = {}) => {
+    const distribution = await prisma.ownerDistribution.findUnique({ where: { id } });
+    if (!distribution) throw new AppError('Owner distribution not found', 404);
+    if (distribution.status !== DISTRIBUTION_STATUS.SCHEDULED) {
+        throw new AppError(`Only scheduled distributions can be paid (this one is ${distribution.status})`, 400);
+    }
+    if (method && !PAYOUT_METHODS.includes(method)) {
+        throw new AppError(`Method must be one of: ${PAYOUT_METHODS.join(', ')}`, 400);
+    }
+
+    const paid = await prisma.ownerDistribution.update({
+        where: { id },
+        data: {
+            status: DISTRIBUTION_STATUS.PAID,
+            method: method || distribution.method,
+            reference: reference || distribution.reference,
+            paidAt: paidAt || new Date(),
+            ...(notes !== undefined ? { notes } : {})
+        },
+        include: { owner: true }
+    });
+
+    try {
+        await sendPaidNotice(paid);
+    } catch (error) {
+        console.error(`[OwnerDistribution] Paid notice failed for distribution ${id}:`, error.message);
+    }
+    return paid;
+};
+
+/**
+ * Cancel a distribution that has not been paid and release its reserve holds
+ * @param {number} id
+ */
+const cancelDistribution = async (id) => prisma.$transaction(async (tx) => {
+    const distribution = await tx.ownerDistribution.findUnique({ where: { id } });
+    if (!distribution) throw new AppError('Owner distribution not found', 404);
+    if (![DISTRIBUTION_STATUS.SCHEDULED, DISTRIBUTION_STATUS.ON_HOLD, DISTRIBUTION_STATUS.HELD].includes(distribution.status)) {
+        throw new AppError(`A ${distribution.status.toLowerCase()} distribution cannot be cancelled`, 400);
+    }
+    if (distribution.batchId) throw new AppError('Distribution is in an exported ACH batch', 400);
+
+    const { holds = [] } = distribution.details ? JSON.parse(distribution.details) : {};
+    for (const h of holds) {
+        await tx.propertyReserve.updateMany({
+            where: { propertyId: h.propertyId },
+            data: { balance: { decrement: h.hold } }
+        });
+    }
+
+    return tx.ownerDistribution.update({ where: { id }, data: { status: DISTRIBUTION_STATUS.CANCELLED } });
+});
+
+/**
+ * Release a distribution put On Hold by a payout account change, once staff confirmed the change
+ * @param {number} id
+ */
+const releaseDistribution = async (id) => {
+    const distribution = await prisma.ownerDistribution.findUnique({
+        where: { id },
+        include: { owner: { include: { payoutAccount: true } } }
+    });
+    if (!distribution) throw new AppError('Owner distribution not found', 404);
+    if (distribution.status !== DISTRIBUTION_STATUS.ON_HOLD) {
+        throw new AppError(`Only distributions on hold can be released (this one is ${distribution.status})`, 400);
+    }
+    if (distribution.owner.payoutAccount && distribution.owner.payoutAccount.pendingVerification) {
+        throw new AppError('Verify the owner\'s payout account change before releasing their payouts', 409);
+    }
+    return prisma.ownerDistribution.update({ where: { id }, data: { status: DISTRIBUTION_STATUS.SCHEDULED } });
+};
+
+// ---------- NACHA export ----------
+
+const alpha = (value, length) => String(value || '')
+    .toUpperCase()
+    .replace(/[^A-Z0-9 .,&'\-/]/g, '')
+    .padEnd(length)
+    .slice(0, length);
+
+const numeric = (value, length) => String(value).replace(/\D/g, '').padStart(length, '0').slice(-length);
+
+const yymmdd = (date) => `${String(date.getFullYear()).slice(-2)}${numeric(date.getMonth() + 1, 2)}${numeric(date.getDate(), 2)}`;
+
+/**
+ * Bank details for the NACHA file header, from settings
+ * @returns {Promise<Object>}
+ */
+const getNachaConfig = async () => {
+    const settings = await getBrandingSettings();
+    const config = {
+        destination: settings.nacha_immediate_destination,
+        destinationName: settings.nacha_destination_name || '',
+        origin: settings.nacha_immediate_origin,
+        originName: settings.nacha_origin_name || settings.company_name || '',
+        companyName: settings.nacha_company_name || settings.company_name || '',
+        companyId: settings.nacha_company_id || settings.nacha_immediate_origin,
+        originatingDfi: settings.nacha_originating_dfi || String(settings.nacha_immediate_destination || '').slice(0, 8)
+    };
+
+    const missing = [];
+    if (!isValidRoutingNumber(config.destination)) missing.push('nacha_immediate_destination');
+    if (!config.origin) missing.push('nacha_immediate_origin');
+    if (!/^\d{8}$/.test(config.originatingDfi)) missing.push('nacha_originating_dfi');
+    if (missing.length > 0) throw new AppError(`ACH export is not configured. Set: ${missing.join(', ')}`, 400);
+
+    return config;
+};
+
+/**
+ * Build a NACHA file with one PPD credit batch
+ * @param {Object} config - getNachaConfig()
+ * @param {Object} batch - { id, effectiveDate, createdAt }
+ * @param {Array} entries - [{ routingNumber, accountNumber, accountType, amount, individualId, name }]
+ * @returns {{ content: string, traceNumbers: string[] }}
+ */
+const buildNachaFile = (config, batch, entries) => {
+    const created = new Date(batch.createdAt);
+    const batchNumber = numeric(batch.id, 7);
+    const records = [];
+
+    records.push('1' + '01'
+        + ` ${numeric(config.destination, 9)}`
+        + String(config.origin).replace(/\s/g, '').padStart(10).slice(-10)
+        + yymmdd(created)
+        + numeric(created.getHours(), 2) + numeric(created.getMinutes(), 2)
+        + 'A' + '094' + '10' + '1'
+        + alpha(config.destinationName, 23)
+        + alpha(config.originName, 23)
+        + alpha(`DIST${batch.id}`, 8));
+
+    records.push('5' + '220'
+        + alpha(config.companyName, 16)
+        + alpha('', 20)
+        + alpha(config.companyId, 10)
+        + 'PPD'
+        + alpha('OWNER DIST', 10)
+        + yymmdd(created)
+        + yymmdd(new Date(batch.effectiveDate))
+        + '   ' + '1'
+        + config.originatingDfi
+        + batchNumber);
+
+    let entryHash = 0;
+    let totalCents = 0;
+    const traceNumbers = [];
+
+    entries.forEach((entry, index) => {
+        const cents = Math.round(entry.amount * 100);
+        const trace = config.originatingDfi + numeric(index + 1, 7);
+        entryHash += parseInt(entry.routingNumber.slice(0, 8));
+        totalCents += cents;
+        traceNumbers.push(trace);
+
+        records.push('6'
+            + (entry.accountType === 'SAVINGS' ? '32' : '22')
+            + entry.routingNumber
+            + alpha(entry.accountNumber, 17)
+            + numeric(cents, 10)
+            + alpha(entry.individualId, 15)
+            + alpha(entry.name, 22)
+            + '  ' + '0'
+            + trace);
+    });
+
+    const hash = numeric(entryHash, 10);
+
+    records.push('8' + '220'
+        + numeric(entries.length, 6)
+        + hash
+        + numeric(0, 12)
+        + numeric(totalCents, 12)
+        + alpha(config.companyId, 10)
+        + alpha('', 19) + alpha('', 6)
+        + config.originatingDfi
+        + batchNumber);
+
+    const blockCount = Math.ceil((records.length + 1) / 10);
+    records.push('9'
+        + numeric(1, 6)
+        + numeric(blockCount, 6)
+        + numeric(entries.length, 8)
+        + hash
+        + numeric(0, 12)
+        + numeric(totalCents, 12)
+        + alpha('', 39));
+
+    while (records.length % 10 !== 0) records.push('9'.repeat(94));
+
+    return { content: records.join('\r\n') + '\r\n', traceNumbers };
+};
+
+// Bank details copied onto a distribution when it goes into a batch
+const bankSnapshot = (distribution) => {
+    const account = distribution.owner.payoutAccount;
+    return {
+        payeeName: account.accountName || distribution.owner.name,
+        routingNumber: account.routingNumber,
+        accountNumber: account.accountNumber,
+        accountType: account.accountType
+    };
+};
+
+// NACHA entries from the distributions' snapshotted bank details
+const batchEntries = (distributions) => distributions.map(d => ({
+    routingNumber: d.routingNumber,
+    accountNumber: d.accountNumber,
+    accountType: d.accountType,
+    amount: parseFloat(d.amount),
+    individualId: `OWNER${d.ownerId}`,
+    name: d.payeeName
+}));
+
+/**
+ * Put scheduled ACH distributions into a NACHA batch for the bank
+ * @param {Object} options
+ * @param {Array<number>} [options.distributionIds] - Defaults to every ACH distribution due by the effective date
+ * @param {Date} [options.effectiveDate] - Settlement date requested from the bank (default tomorrow)
+ * @param {number} [options.createdById]
+ * @returns {Promise<{ batch: Object, content: string, skipped: Array }>}
+ */
+const createNachaBatch = async ({ distributionIds = null, effectiveDate = null, createdById = null } = {}) => {
+    const config = await getNachaConfig();
+
+    const effective = effectiveDate || new Date(Date.now() + 24 * 60 * 60 * 1000);
+    effective.setHours(0, 0, 0, 0);
+
+    const candidates = await prisma.ownerDistribution.findMany({
+        where: {
+            status: { in: [DISTRIBUTION_STATUS.SCHEDULED, DISTRIBUTION_STATUS.ON_HOLD] },
+            method: 'ACH',
+            batchId: null,
+            amount: { gt: 0 },
+            ...(distributionIds ? { id: { in: distributionIds } } : { scheduledFor: { lte: new Date(effective.getTime() + 24 * 60 * 60 * 1000 - 1) } })
+        },
+        include: { owner: { include: { payoutAccount: true } } },
+        orderBy: { id: 'asc' }
+    });
+
+    const skipped = [];
+    const ready = candidates.filter(d => {
+        const account = d.owner.payoutAccount;
+        if (account && account.pendingVerification) {
+            skipped.push({ distributionId: d.id, ownerId: d.ownerId, owner: d.owner.name, message: 'Payout account change is awaiting verification' });
+            return false;
+        }
+        if (d.status === DISTRIBUTION_STATUS.ON_HOLD) {
+            skipped.push({ distributionId: d.id, ownerId: d.ownerId, owner: d.owner.name, message: 'Distribution is on hold' });
+            return false;
+        }
+        if (!account || !isValidRoutingNumber(account.routingNumber) || !account.accountNumber) {
+            skipped.push({ distributionId: d.id, ownerId: d.ownerId, owner: d.owner.name, message: 'Owner has no valid bank account on file' });
+            return false;
+        }
+        return true;
+    }).map(d => ({ ...d, ...bankSnapshot(d) }));
+    if (ready.length === 0) throw new AppError('No ACH distributions are ready to export', 400);
+
+    const total = round2(ready.reduce((sum, d) => sum + parseFloat(d.amount), 0));
+
+    const batch = await prisma.$transaction(async (tx) => {
+        const created = await tx.distributionBatch.create({
+            data: {
+                fileName: 'pending',
+                effectiveDate: effective,
+                entryCount: ready.length,
+                totalAmount: total,
+                createdById
+            }
+        });
+
+        const { traceNumbers } = buildNachaFile(config, created, batchEntries(ready));
+        for (let i = 0; i < ready.length; i++) {
+            await tx.ownerDistribution.update({
+                where: { id: ready[i].id },
+                data: {
+                    batchId: created.id,
+                    reference: traceNumbers[i],
+                    payeeName: ready[i].payeeName,
+                    routingNumber: ready[i].routingNumber,
+                    accountNumber: ready[i].accountNumber,
+                    accountType: ready[i].accountType
+                }
+            });
+        }
+
+        return tx.distributionBatch.update({
+            where: { id: created.id },
+            data: { fileName: `owner-distributions-${created.id}-${yymmdd(effective)}.ach` }
+        });
+    });
+
+    const { content } = buildNachaFile(config, batch, batchEntries(ready));
+    return { batch, content, skipped };
+};
+
+/**
+ * Rebuild an exported batch's NACHA file from the bank details it was exported with
+ * @param {number} batchId
+ */
+const getNachaFile = async (batchId) => {
+    const batch = await prisma.distributionBatch.findUnique({
+        where: { id: batchId },
+        include: { distributions: { orderBy: { id: 'asc' } } }
+    });
+    if (!batch) throw new AppError('Distribution batch not found', 404);
+    if (batch.distributions.some(d => !d.routingNumber || !d.accountNumber)) {
+        throw new AppError('Batch has distributions without exported bank details', 409);
+    }
+
+    const config = await getNachaConfig();
+    const { content } = buildNachaFile(config, batch, batchEntries(batch.distributions));
+    return { batch, content };
+};
+
+/**
+ * The bank confirmed the batch: mark its distributions paid
+ * @param {number} batchId
+ * @param {Date} [paidAt]
+ */
+const settleBatch = async (batchId, paidAt = new Date()) => {
+    const batch = await prisma.distributionBatch.findUnique({ where: { id: batchId } });
+    if (!batch) throw new AppError('Distribution batch not found', 404);
+    if (batch.status === BATCH_STATUS.SETTLED) throw new AppError('Batch is already settled', 400);
+
+    const distributions = await prisma.ownerDistribution.findMany({
+        where: { batchId, status: DISTRIBUTION_STATUS.SCHEDULED },
+        select: { id: true }
+    });
+    for (const d of distributions) await markPaid(d.id, { paidAt });
+
+    return prisma.distributionBatch.update({
+        where: { id: batchId },
+        data: { status: BATCH_STATUS.SETTLED, settledAt: paidAt }
+    });
+};
+
+// ---------- Reconciliation ----------
+
+/**
+ * Statement net payable against what was held, scheduled and paid, per owner and period
+ * @param {Object} [filters] - { ownerId, period }
+ */
+const getReconciliation = async ({ ownerId = null, period = null } = {}) => {
+    const statements = await prisma.ownerStatement.findMany({
+        where: { ...(ownerId ? { ownerId } : {}), ...(period ? { period } : {}) },
+        include: {
+            owner: { select: { id: true, name: true } },
+            distributions: { where: { status: { not: DISTRIBUTION_STATUS.CANCELLED } } }
+        },
+        orderBy: [{ period: 'desc' }, { ownerId: 'asc' }]
+    });
+
+    const rows = statements.map(s => {
+        const sum = (field, status) => round2(s.distributions
+            .filter(d => !status || d.status === status)
+            .reduce((total, d) => total + parseFloat(d[field]), 0));
+
+        const netPayable = round2(parseFloat(s.netPayable));
+        const reserveHeld = sum('reserveHeld');
+        const scheduled = round2(sum('amount', DISTRIBUTION_STATUS.SCHEDULED) + sum('amount', DISTRIBUTION_STATUS.ON_HOLD));
+        const paid = sum('amount', DISTRIBUTION_STATUS.PAID);
+        const accounted = round2(reserveHeld + scheduled + paid);
+        // A statement with nothing owed is settled as soon as it is held
+        const difference = round2(Math.max(netPayable, 0) - accounted);
+
+        let status;
+        if (s.distributions.length === 0) status = netPayable > 0 ? 'Unscheduled' : 'Nothing Due';
+        else if (difference !== 0) status = 'Mismatch';
+        else if (scheduled > 0) status = 'Pending';
+        else status = 'Reconciled';
+
+        return {
+            statementId: s.id,
+            period: s.period,
+            ownerId: s.ownerId,
+            owner: s.owner.name,
+            netPayable,
+            reserveHeld,
+            scheduled,
+            paid,
+            difference,
+            status
+        };
+    });
+
+    const totals = rows.reduce((t, r) => ({
+        netPayable: round2(t.netPayable + r.netPayable),
+        reserveHeld: round2(t.reserveHeld + r.reserveHeld),
+        scheduled: round2(t.scheduled + r.scheduled),
+        paid: round2(t.paid + r.paid),
+        difference: round2(t.difference + r.difference)
+    }), { netPayable: 0, reserveHeld: 0, scheduled: 0, paid: 0, difference: 0 });
+
+    return { rows, totals };
+};
+
+module.exports = {
+    DISTRIBUTION_STATUS,
+    PAYOUT_METHODS,
+    ACCOUNT_TYPES,
+    BATCH_STATUS,
+    isValidRoutingNumber,
+    maskAccountNumber,
+    formatPayoutAccount,
+    savePayoutAccount,
+    verifyPayoutAccount,
+    scheduledDateFor,
+    calculateReserveHolds,
+    scheduleDistribution,
+    scheduleDistributions,
+    markPaid,
+    cancelDistribution,
+    releaseDistribution,
+    buildNachaFile,
+    createNachaBatch,
+    getNachaFile,
+    settleBatch,
+    getReconciliation
+};
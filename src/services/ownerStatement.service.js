@@ -0,0 +1,456 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Writable } = require('stream');
+const prisma = require('../config/prisma');
+const AppError = require('../utils/AppError');
+const EmailService = require('./email.service');
+const documentService = require('./documentService');
+const { round2 } = require('./tax.service');
+const { findSettledRefunds } = require('./payment.service');
+const { toPeriod, isValidPeriod, periodLabel } = require('./billing.service');
+const { getBrandingSettings } = require('./settings.service');
+const { uploadToCloudinary } = require('../config/cloudinary');
+const { generateOwnerStatementPDF } = require('../utils/pdf.utils');
+
+/**
+ * Owner Statement Service
+ * Monthly statements of what each owner earned from their properties.
+ *
+ * - Income is the cash collected in the month (payments on invoices of the property's units),
+ *   net of the sales tax included in those payments and of gateway refunds settled in the month.
+ *   Rent and other charges are listed per unit.
+ * - Expenses are the work-order costs incurred on the property in the month.
+ * - Management fee (ManagementFeePolicy): PERCENTAGE of the income collected (with an optional
+ *   minimum) or FLAT per property per month. The most specific enabled policy wins:
+ *   property + owner, then property, then owner, then the default (neither set).
+ * - Multi-owner properties are split by PropertyOwnership percentages; without them the owners
+ *   share equally. Each owner is charged their share of income, expenses and a FLAT fee.
+ * - Net payable = income - expenses - management fee (negative when the owner owes).
+ * - A statement is one row per owner and period, holding a JSON snapshot so the PDF can be
+ *   re-rendered exactly as sent. The PDF is stored as a Document and emailed to the owner.
+ */
+
+const MANAGEMENT_FEE_TYPES = {
+    PERCENTAGE: 'PERCENTAGE',
+    FLAT: 'FLAT'
+};
+
+const STATEMENT_STATUS = {
+    GENERATED: 'Generated',
+    SENT: 'Sent'
+};
+
+const periodRange = (period) => {
+    const [year, month] = period.split('-').map(Number);
+    return {
+        start: new Date(year, month - 1, 1),
+        end: new Date(year, month, 0, 23, 59, 59, 999)
+    };
+};
+
+const previousPeriod = (date = new Date()) => toPeriod(new Date(date.getFullYear(), date.getMonth() - 1, 1));
+
+const loadFeePolicies = () => prisma.managementFeePolicy.findMany();
+
+/**
+ * Most specific management fee policy for a property and owner, null when none is enabled
+ * @param {Array} policies - ManagementFeePolicy rows
+ * @param {number} propertyId
+ * @param {number} ownerId
+ */
+const resolveFeePolicy = (policies, propertyId, ownerId) => {
+    const policy = policies.find(p => p.propertyId === propertyId && p.ownerId === ownerId)
+        || policies.find(p => p.propertyId === propertyId && p.ownerId === null)
+        || policies.find(p => p.propertyId === null && p.ownerId === ownerId)
+        || policies.find(p => p.propertyId === null && p.ownerId === null);
+    return policy && policy.enabled ? policy : null;
+};
+
+/**
+ * Management fee charged to one owner for one property (pure, no DB access)
+ * @param {Object|null} policy - ManagementFeePolicy row
+ * @param {number} ownerIncome - Owner's share of the income collected
+ * @param {number} share - Owner's share of the property (0-1)
+ * @returns {number}
+ */
+const calculateManagementFee = (policy, ownerIncome, share) => {
+    if (!policy || share <= 0) return 0;
+    const amount = parseFloat(policy.amount) || 0;
+
+    if (policy.feeType === MANAGEMENT_FEE_TYPES.FLAT) return round2(amount * share);
+
+    let fee = round2(ownerIncome * amount / 100);
+    if (policy.minAmount !== null && policy.minAmount !== undefined) {
+        fee = Math.max(fee, round2(parseFloat(policy.minAmount) * share));
+    }
+    return fee;
+};
+
+/**
+ * Each owner's share (0-1) of a property: configured percentages, or an equal split
+ * @param {Object} property - Property with `owners` and `ownershipShares` included
+ * @returns {Object} ownerId -> share
+ */
+const getOwnerShares = (property) => {
+    if (property.ownershipShares && property.ownershipShares.length > 0) {
+        return Object.fromEntries(property.ownershipShares.map(s => [s.ownerId, parseFloat(s.percentage) / 100]));
+    }
+    const owners = property.owners || [];
+    return Object.fromEntries(owners.map(o => [o.id, owners.length > 0 ? 1 / owners.length : 0]));
+};
+
+/**
+ * Replace a property's ownership split
+ * @param {number} propertyId
+ * @param {Array<{ ownerId: number, percentage: number }>} shares - Empty to go back to an equal split
+ */
+const setOwnershipShares = async (propertyId, shares) => {
+    const property = await prisma.property.findUnique({ where: { id: propertyId }, include: { owners: { select: { id: true } } } });
+    if (!property) throw new AppError('Property not found', 404);
+
+    const errors = {};
+    const ownerIds = property.owners.map(o => o.id);
+    const cleaned = (shares || []).map(s => ({ ownerId: parseInt(s.ownerId), percentage: round2(parseFloat(s.percentage)) }));
+
+    cleaned.forEach((s, i) => {
+        if (!ownerIds.includes(s.ownerId)) errors[`shares.${i}.ownerId`] = 'Not an owner of this property';
+        if (isNaN(s.percentage) || s.percentage < 0 || s.percentage > 100) errors[`shares.${i}.percentage`] = 'Percentage must be between 0 and 100';
+    });
+    if (new Set(cleaned.map(s => s.ownerId)).size !== cleaned.length) errors.shares = 'Each owner can only appear once';
+    const total = round2(cleaned.reduce((sum, s) => sum + (s.percentage || 0), 0));
+    if (cleaned.length > 0 && total !== 100) errors.shares = `Percentages must add up to 100 (currently ${total})`;
+
+    if (Object.keys(errors).length > 0) {
+        const err = new AppError('Validation failed', 400);
+        err.errors = errors;
+        throw err;
+    }
+
+    return prisma.$transaction(async (tx) => {
+        await tx.propertyOwnership.deleteMany({ where: { propertyId } });
+        if (cleaned.length > 0) {
+            await tx.propertyOwnership.createMany({ data: cleaned.map(s => ({ ...s, propertyId })) });
+        }
+        return tx.propertyOwnership.findMany({
+            where: { propertyId },
+            include: { owner: { select: { id: true, name: true, email: true } } }
+        });
+    });
+};
+
+// Part of a payment that is income, i.e. without the sales tax it carried
+const netOfTax = (payment) => {
+    const invoiceAmount = parseFloat(payment.invoice.amount) || 0;
+    const tax = parseFloat(payment.invoice.taxAmount) || 0;
+    const amount = parseFloat(payment.amount);
+    if (invoiceAmount <= 0 || tax <= 0) return amount;
+    return amount * (invoiceAmount - tax) / invoiceAmount;
+};
+
+/**
+ * Statement figures for one owner and period (nothing is written)
+ * @param {number} ownerId
+ * @param {string} period - 'YYYY-MM'
+ * @returns {Promise<Object>} Snapshot stored in OwnerStatement.details
+ */
+const buildStatement = async (ownerId, period) => {
+    if (!isValidPeriod(period)) throw new AppError(`Invalid period: ${period}`, 400);
+
+    const owner = await prisma.user.findUnique({ where: { id: ownerId }, select: { id: true, name: true, email: true, role: true } });
+    if (!owner || owner.role !== 'OWNER') throw new AppError('Owner not found', 404);
+
+    const { start, end } = periodRange(period);
+    const [properties, policies] = await Promise.all([
+        prisma.property.findMany({
+            where: { owners: { some: { id: ownerId } } },
+            include: {
+                owners: { select: { id: true } },
+                ownershipShares: true,
+                units: { select: { id: true, name: true, unitNumber: true }, orderBy: { name: 'asc' } }
+            },
+            orderBy: { name: 'asc' }
+        }),
+        loadFeePolicies()
+    ]);
+
+    const propertyIds = properties.map(p => p.id);
+    const invoiceSelect = { amount: true, taxAmount: true, category: true, unitId: true, tenant: { select: { name: true } } };
+    const [received, refunds, costs] = await Promise.all([
+        prisma.payment.findMany({
+            where: { date: { gte: start, lte: end }, invoice: { unit: { propertyId: { in: propertyIds } } } },
+            include: { invoice: { select: invoiceSelect } }
+        }),
+        findSettledRefunds(prisma, start, end, { unit: { propertyId: { in: propertyIds } } }, invoiceSelect),
+        prisma.workOrderCost.findMany({
+            where: { propertyId: { in: propertyIds }, incurredAt: { gte: start, lte: end } },
+            include: { vendor: { select: { name: true } } },
+            orderBy: { incurredAt: 'asc' }
+        })
+    ]);
+
+    // Refunds count against the month they were settled in, as negative payments
+    const payments = [
+        ...received,
+        ...refunds.map(r => ({ amount: -parseFloat(r.amount), invoice: r.paymentIntent.invoice }))
+    ];
+
+    const lines = [];
+    for (const property of properties) {
+        const share = getOwnerShares(property)[ownerId] || 0;
+
+        const units = property.units.map(unit => {
+            const unitPayments = payments.filter(p => p.invoice.unitId === unit.id);
+            const rent = round2(unitPayments.filter(p => p.invoice.category === 'RENT').reduce((sum, p) => sum + netOfTax(p), 0));
+            const other = round2(unitPayments.filter(p => p.invoice.category !== 'RENT').reduce((sum, p) => sum + netOfTax(p), 0));
+            const tenants = [...new Set(unitPayments.map(p => p.invoice.tenant && p.invoice.tenant.name).filter(Boolean))];
+            return { unit: unit.unitNumber || unit.name, tenants: tenants.join(', '), rent, other, total: round2(rent + other) };
+        });
+
+        const expenses = costs
+            .filter(c => c.propertyId === property.id)
+            .map(c => ({
+                date: c.incurredAt.toISOString().split('T')[0],
+                description: c.description,
+                costType: c.costType,
+                vendor: c.vendor ? c.vendor.name : null,
+                billedToTenant: Boolean(c.invoiceId),
+                amount: round2(parseFloat(c.amount))
+            }));
+
+        const income = round2(units.reduce((sum, u) => sum + u.total, 0));
+        const expenseTotal = round2(expenses.reduce((sum, e) => sum + e.amount, 0));
+        const ownerIncome = round2(income * share);
+        const ownerExpenses = round2(expenseTotal * share);
+
+        const policy = resolveFeePolicy(policies, property.id, ownerId);
+        const managementFee = calculateManagementFee(policy, ownerIncome, share);
+
+        lines.push({
+            propertyId: property.id,
+            property: property.name,
+            sharePercent: round2(share * 100),
+            units,
+            expenses,
+            income,
+            expenseTotal,
+            ownerIncome,
+            ownerExpenses,
+            managementFee: {
+                type: policy ? policy.feeType : null,
+                rate: policy ? parseFloat(policy.amount) : 0,
+                amount: managementFee
+            },
+            net: round2(ownerIncome - ownerExpenses - managementFee)
+        });
+    }
+
+    const totals = {
+        income: round2(lines.reduce((sum, l) => sum + l.ownerIncome, 0)),
+        expenses: round2(lines.reduce((sum, l) => sum + l.ownerExpenses, 0)),
+        managementFee: round2(lines.reduce((sum, l) => sum + l.managementFee.amount, 0))
+    };
+    totals.netPayable = round2(totals.income - totals.expenses - totals.managementFee);
+
+    return {
+        owner: { id: owner.id, name: owner.name, email: owner.email },
+        period,
+        periodLabel: periodLabel(period),
+        periodStart: start.toISOString(),
+        periodEnd: end.toISOString(),
+        properties: lines,
+        totals
+    };
+};
+
+// Render a statement snapshot to a PDF buffer
+const renderStatementPDF = async (details) => {
+    const settings = await getBrandingSettings();
+    const chunks = [];
+    const sink = new Writable({
+        write(chunk, encoding, callback) {
+            chunks.push(chunk);
+            callback();
+        }
+    });
+
+    await new Promise((resolve, reject) => {
+        sink.on('finish', resolve);
+        sink.on('error', reject);
+        generateOwnerStatementPDF(details, sink, settings);
+    });
+    return Buffer.concat(chunks);
+};
+
+const statementFileName = (details) => `owner-statement-${details.owner.id}-${details.period}.pdf`;
+
+// Upload the PDF and record it as a Document linked to the owner and their properties
+const storeStatementDocument = async (details, pdf) => {
+    const filePath = path.join(os.tmpdir(), `${Date.now()}-${statementFileName(details)}`);
+    fs.writeFileSync(filePath, pdf);
+
+    const upload = await uploadToCloudinary(filePath, 'owner_statements');
+    return documentService.linkDocument({
+        name: statementFileName(details),
+        type: 'Owner Statement',
+        fileUrl: upload.secure_url,
+        userId: details.owner.id,
+        links: details.properties.map(p => ({ entityType: 'PROPERTY', entityId: p.propertyId }))
+    });
+};
+
+/**
+ * Email a generated statement to its owner with the PDF attached
+ * @param {number} statementId
+ */
+const sendStatement = async (statementId) => {
+    const statement = await prisma.ownerStatement.findUnique({ where: { id: statementId }, include: { owner: true } });
+    if (!statement) throw new AppError('Owner statement not found', 404);
+    if (!statement.owner.email) throw new AppError('Owner has no email address', 400);
+
+    const details = JSON.parse(statement.details);
+    const pdf = await renderStatementPDF(details);
+    const money = (v) => `$${(parseFloat(v) || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+    const result = await EmailService.sendEmail(
+        statement.owner.email,
+        `Owner statement - ${details.periodLabel}`,
+        `Hello ${statement.owner.name || ''},\n\n`
+        + `Your owner statement for ${details.periodLabel} is attached.\n\n`
+        + `Income collected: ${money(statement.income)}\n`
+        + `Expenses: ${money(statement.expenses)}\n`
+        + `Management fee: ${money(statement.managementFee)}\n`
+        + `Net payable to you: ${money(statement.netPayable)}\n`,
+        {
+            eventType: 'OWNER_STATEMENT',
+            recipientId: statement.ownerId,
+            relatedEntity: 'OWNER_STATEMENT',
+            entityId: statement.id,
+            attachments: [{ filename: statementFileName(details), content: pdf, type: 'application/pdf' }]
+        }
+    );
+
+    if (!result.success) throw new AppError(`Statement email failed: ${result.error}`, 502);
+
+    return prisma.ownerStatement.update({
+        where: { id: statement.id },
+        data: { status: STATEMENT_STATUS.SENT, sentAt: new Date() }
+    });
+};
+
+/**
+ * Generate (or regenerate) one owner's statement for a period.
+ * A statement with a live distribution is what was paid out, so it is never rewritten.
+ * @param {number} ownerId
+ * @param {string} period - 'YYYY-MM'
+ * @param {Object} [options] - { createdById, send }
+ */
+const generateStatement = async (ownerId, period, { createdById = null, send = false } = {}) => {
+    const distribution = await prisma.ownerDistribution.findFirst({
+        where: { statement: { ownerId, period }, status: { not: 'Cancelled' } },
+        select: { status: true }
+    });
+    if (distribution) {
+        throw new AppError(`Statement has a ${distribution.status.toLowerCase()} distribution; cancel it before regenerating`, 409);
+    }
+
+    const details = await buildStatement(ownerId, period);
+    const pdf = await renderStatementPDF(details);
+
+    let document = null;
+    try {
+        document = await storeStatementDocument(details, pdf);
+    } catch (error) {
+        // The statement is still saved; its PDF is re-rendered from the snapshot on download
+        console.error(`[OwnerStatement] Could not store PDF for owner ${ownerId} (${period}):`, error.message);
+    }
+
+    const data = {
+        periodStart: new Date(details.periodStart),
+        periodEnd: new Date(details.periodEnd),
+        income: details.totals.income,
+        expenses: details.totals.expenses,
+        managementFee: details.totals.managementFee,
+        netPayable: details.totals.netPayable,
+        details: JSON.stringify(details),
+        status: STATEMENT_STATUS.GENERATED,
+        sentAt: null,
+        createdById,
+        ...(document ? { documentId: document.id } : {})
+    };
+
+    let statement = await prisma.ownerStatement.upsert({
+        where: { ownerId_period: { ownerId, period } },
+        update: data,
+        create: { ...data, ownerId, period }
+    });
+
+    if (send) statement = await sendStatement(statement.id);
+    return statement;
+};
+
+/**
+ * Generate statements for every owner with properties (or one owner)
+ * @param {Object} [options]
+ * @param {string} [options.period] - 'YYYY-MM', defaults to the previous month
+ * @param {number} [options.ownerId]
+ * @param {boolean} [options.send] - Email each statement
+ * @param {boolean} [options.skipSent] - Leave statements that were already sent alone (scheduled runs)
+ * @param {number} [options.createdById]
+ */
+const generateStatements = async ({ period = previousPeriod(), ownerId = null, send = false, skipSent = false, createdById = null } = {}) => {
+    if (!isValidPeriod(period)) throw new AppError(`Invalid period: ${period}`, 400);
+
+    const owners = await prisma.user.findMany({
+        where: { role: 'OWNER', properties: { some: {} }, ...(ownerId ? { id: ownerId } : {}) },
+        select: { id: true, name: true }
+    });
+
+    const summary = { period, generated: 0, sent: 0, skipped: 0, failed: 0 };
+    const results = [];
+
+    for (const owner of owners) {
+        try {
+            if (skipSent) {
+                const existing = await prisma.ownerStatement.findUnique({ where: { ownerId_period: { ownerId: owner.id, period } } });
+                if (existing && existing.status === STATEMENT_STATUS.SENT) {
+                    summary.skipped++;
+                    results.push({ ownerId: owner.id, owner: owner.name, status: 'Skipped', message: 'Already sent' });
+                    continue;
+                }
+            }
+
+            const statement = await generateStatement(owner.id, period, { createdById, send });
+            summary.generated++;
+            if (statement.status === STATEMENT_STATUS.SENT) summary.sent++;
+            results.push({ ownerId: owner.id, owner: owner.name, status: statement.status, statementId: statement.id, netPayable: parseFloat(statement.netPayable) });
+        } catch (error) {
+            if (error.statusCode === 409) {
+                summary.skipped++;
+                results.push({ ownerId: owner.id, owner: owner.name, status: 'Skipped', message: error.message });
+                continue;
+            }
+            console.error(`[OwnerStatement] Failed for owner ${owner.id} (${period}):`, error.message);
+            summary.failed++;
+            results.push({ ownerId: owner.id, owner: owner.name, status: 'Failed', message: error.message });
+        }
+    }
+
+    console.log(`[OwnerStatement] ${period}: generated ${summary.generated}, sent ${summary.sent}, skipped ${summary.skipped}, failed ${summary.failed}`);
+    return { summary, results };
+};
+
+module.exports = {
+    MANAGEMENT_FEE_TYPES,
+    STATEMENT_STATUS,
+    previousPeriod,
+    resolveFeePolicy,
+    calculateManagementFee,
+    getOwnerShares,
+    setOwnershipShares,
+    buildStatement,
+    renderStatementPDF,
+    generateStatement,
+    sendStatement,
+    generateStatements
+};
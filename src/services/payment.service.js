@@ -0,0 +1,102 @@
+const { round2 } = require('./tax.service');
+const { postPaymentReceived, postPaymentRefunded } = require('./ledger.service');
+
+/**
+ * Payment Service
+ * Posts settled money against invoices. Used by staff-recorded payments and by the
+ * payment gateway once a provider confirms a charge or refund. Each movement is posted
+ * to the general ledger (cash against receivables) in the caller's transaction.
+ */
+
+/**
+ * Record a settled payment: Payment row, invoice balances/status and journal entry
+ * @param {Object} tx - Prisma transaction
+ * @param {Object} invoice - Invoice row
+ * @param {Object} params - { amount, method, reference, description }
+ */
+const applyInvoicePayment = async (tx, invoice, { amount, method, reference = null, description }) => {
+    const payAmount = round2(amount);
+
+    const payment = await tx.payment.create({
+        data: {
+            invoiceId: invoice.id,
+            amount: payAmount,
+            method,
+            reference,
+            date: new Date()
+        }
+    });
+
+    const newPaidAmount = round2((parseFloat(invoice.paidAmount) || 0) + payAmount);
+    const newBalanceDue = round2((parseFloat(invoice.amount) || 0) - newPaidAmount);
+    const status = newBalanceDue <= 0 ? 'paid' : 'partial';
+
+    const updatedInvoice = await tx.invoice.update({
+        where: { id: invoice.id },
+        data: {
+            paidAmount: newPaidAmount,
+            balanceDue: Math.max(0, newBalanceDue),
+            status,
+            paidAt: status === 'paid' ? new Date() : invoice.paidAt,
+            paymentMethod: method || invoice.paymentMethod,
+            // Settled invoices drop out of the reminder sequence
+            dunningStoppedAt: status === 'paid' ? new Date() : invoice.dunningStoppedAt
+        }
+    });
+
+    const journalEntry = await postPaymentReceived(tx, payment, invoice, { description });
+
+    return { payment, updatedInvoice, journalEntry };
+};
+
+/**
+ * Reverse (part of) a payment after a refund: reopen the invoice balance and post the outflow
+ * @param {Object} tx - Prisma transaction
+ * @param {Object} payment - Payment row with `invoice` included
+ * @param {Object} params - { amount, reference }
+ */
+const reverseInvoicePayment = async (tx, payment, { amount, reference = null }) => {
+    const refundAmount = round2(amount);
+    const invoice = payment.invoice;
+
+    const newPaidAmount = round2(Math.max(0, (parseFloat(invoice.paidAmount) || 0) - refundAmount));
+    const newBalanceDue = round2((parseFloat(invoice.amount) || 0) - newPaidAmount);
+
+    const updatedInvoice = await tx.invoice.update({
+        where: { id: invoice.id },
+        data: {
+            paidAmount: newPaidAmount,
+            balanceDue: Math.max(0, newBalanceDue),
+            status: newBalanceDue <= 0 ? 'paid' : (newPaidAmount > 0 ? 'partial' : 'sent'),
+            paidAt: newBalanceDue <= 0 ? invoice.paidAt : null
+        }
+    });
+
+    const journalEntry = await postPaymentRefunded(tx, payment, invoice, refundAmount, {
+        description: `Payment Refund - ${invoice.invoiceNo}${reference ? ` (${reference})` : ''}`
+    });
+
+    return { updatedInvoice, journalEntry };
+};
+
+/**
+ * Gateway refunds settled in a date range. They reduce the invoice and the ledger but leave the
+ * Payment row untouched, so income read from payments must subtract them.
+ * @param {Object} tx - Prisma client or transaction
+ * @param {Date} from
+ * @param {Date} to
+ * @param {Object} [invoiceWhere] - Filter on the refunded invoice
+ * @param {Object} [invoiceSelect] - Invoice fields to return
+ */
+const findSettledRefunds = (tx, from, to, invoiceWhere = {}, invoiceSelect = { id: true }) => {
+    return tx.paymentRefund.findMany({
+        where: { status: 'Succeeded', succeededAt: { gte: from, lte: to }, paymentIntent: { invoice: invoiceWhere } },
+        select: { amount: true, succeededAt: true, paymentIntent: { select: { invoice: { select: invoiceSelect } } } }
+    });
+};
+
+module.exports = {
+    applyInvoicePayment,
+    reverseInvoicePayment,
+    findSettledRefunds
+};
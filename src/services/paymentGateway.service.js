@@ -0,0 +1,337 @@
+const crypto = require('crypto');
+const prisma = require('../config/prisma');
+const AppError = require('../utils/AppError');
+const { round2 } = require('./tax.service');
+const { applyInvoicePayment, reverseInvoicePayment } = require('./payment.service');
+const { getProvider } = require('./paymentProviders');
+
+/**
+ * Payment Gateway Service
+ * Online tenant payments through a pluggable provider (see ./paymentProviders).
+ *
+ * 1. createPaymentIntent: validates the invoice/amount server-side and opens an intent with the provider.
+ * 2. The client completes the card / bank authorization with the provider.
+ * 3. The provider calls our signed webhook; only a `payment.succeeded` event creates the
+ *    Payment/Transaction rows and updates the invoice.
+ *
+ * Intents and refunds carry idempotency keys (also sent to the provider) and webhook events
+ * are de-duplicated, so retries from the client or the provider never double-post money.
+ */
+
+const METHODS = {
+    CARD: 'CARD',
+    ACH: 'ACH',
+    PAD: 'PAD'
+};
+
+const METHOD_LABELS = {
+    CARD: 'Card',
+    ACH: 'ACH',
+    PAD: 'Pre-Authorized Debit'
+};
+
+const PAYABLE_STATUSES = ['sent', 'unpaid', 'partial', 'overdue'];
+
+const getCurrency = (method) => (method === METHODS.ACH ? 'usd' : (process.env.PAYMENT_CURRENCY || 'cad'));
+
+const sameRequest = (intent, { tenantId, invoiceId }) => intent.tenantId === tenantId && intent.invoiceId === invoiceId;
+
+/**
+ * Open a payment intent for a tenant's invoice
+ * @param {Object} params - { tenantId, invoiceId, amount, method, idempotencyKey }
+ */
+const createPaymentIntent = async ({ tenantId, invoiceId, amount, method, idempotencyKey }) => {
+    const normalizedMethod = String(method || METHODS.CARD).toUpperCase();
+    if (!METHODS[normalizedMethod]) {
+        const err = new AppError('Validation failed', 400);
+        err.errors = { paymentMethod: `Payment method must be one of: ${Object.values(METHODS).join(', ')}` };
+        throw err;
+    }
+
+    const key = idempotencyKey || crypto.randomUUID();
+    const replay = await prisma.paymentIntent.findUnique({ where: { idempotencyKey: key } });
+    if (replay) {
+        if (!sameRequest(replay, { tenantId, invoiceId })) throw new AppError('Idempotency key was already used for a different payment', 409);
+        return replay;
+    }
+
+    const invoice = await prisma.invoice.findFirst({
+        where: { id: invoiceId, tenantId },
+        include: { tenant: true }
+    });
+    if (!invoice) throw new AppError('Invoice not found or unauthorized', 404);
+
+    const balanceDue = parseFloat(invoice.balanceDue) || 0;
+    if (!PAYABLE_STATUSES.includes(invoice.status) || balanceDue <= 0) {
+        throw new AppError('This invoice has no balance to pay', 400);
+    }
+
+    const payAmount = amount === undefined || amount === null || amount === '' ? balanceDue : round2(amount);
+    if (isNaN(payAmount) || payAmount <= 0 || payAmount > balanceDue) {
+        const err = new AppError('Validation failed', 400);
+        err.errors = { amount: `Amount must be between 0.01 and ${balanceDue.toFixed(2)}` };
+        throw err;
+    }
+
+    const provider = getProvider();
+
+    let intent;
+    try {
+        intent = await prisma.paymentIntent.create({
+            data: {
+                invoiceId: invoice.id,
+                tenantId,
+                amount: payAmount,
+                currency: getCurrency(normalizedMethod),
+                method: normalizedMethod,
+                provider: provider.name,
+                idempotencyKey: key,
+                status: 'Pending'
+            }
+        });
+    } catch (error) {
+        // Concurrent retry with the same key
+        if (error.code === 'P2002') return prisma.paymentIntent.findUnique({ where: { idempotencyKey: key } });
+        throw error;
+    }
+
+    try {
+        const result = await provider.createPaymentIntent({
+            amount: payAmount,
+            currency: intent.currency,
+            method: normalizedMethod,
+            idempotencyKey: key,
+            email: invoice.tenant.email,
+            metadata: { paymentIntentId: intent.id, invoiceId: invoice.id, invoiceNo: invoice.invoiceNo }
+        });
+
+        return prisma.paymentIntent.update({
+            where: { id: intent.id },
+            data: {
+                providerIntentId: result.providerIntentId,
+                clientSecret: result.clientSecret,
+                status: result.status
+            }
+        });
+    } catch (error) {
+        console.error(`[PaymentGateway] Provider error for intent ${intent.id}:`, error.message);
+        await prisma.paymentIntent.update({
+            where: { id: intent.id },
+            data: { status: 'Failed', failureReason: error.message }
+        });
+        throw new AppError('The payment provider could not start this payment. Please try again.', 502);
+    }
+};
+
+// Provider confirmed the charge: post the payment exactly once
+const settleIntent = async (providerIntentId) => {
+    return prisma.$transaction(async (tx) => {
+        const intent = await tx.paymentIntent.findUnique({
+            where: { providerIntentId },
+            include: { invoice: true }
+        });
+        if (!intent) return null;
+
+        const { count } = await tx.paymentIntent.updateMany({
+            where: { id: intent.id, status: { in: ['Pending', 'Processing', 'Failed'] } },
+            data: { status: 'Succeeded', succeededAt: new Date(), failureReason: null }
+        });
+        if (count === 0) return intent;
+
+        const { payment } = await applyInvoicePayment(tx, intent.invoice, {
+            amount: parseFloat(intent.amount),
+            method: METHOD_LABELS[intent.method],
+            reference: intent.providerIntentId,
+            description: `Rent Payment - ${intent.invoice.month} (Inv: ${intent.invoice.invoiceNo})`
+        });
+
+        return tx.paymentIntent.update({
+            where: { id: intent.id },
+            data: { paymentId: payment.id }
+        });
+    });
+};
+
+const updateIntentStatus = (providerIntentId, status, failureReason = null) => {
+    return prisma.paymentIntent.updateMany({
+        where: { providerIntentId, status: { in: ['Pending', 'Processing'] } },
+        data: { status, failureReason }
+    });
+};
+
+// Provider confirmed the refund: reopen the invoice balance exactly once
+const settleRefund = async (where) => {
+    return prisma.$transaction(async (tx) => {
+        const refund = await tx.paymentRefund.findFirst({
+            where,
+            include: { paymentIntent: { include: { payment: { include: { invoice: true } } } } }
+        });
+        if (!refund) return null;
+
+        const { count } = await tx.paymentRefund.updateMany({
+            where: { id: refund.id, status: 'Pending' },
+            data: { status: 'Succeeded', succeededAt: new Date() }
+        });
+        if (count === 0) return refund;
+
+        const intent = refund.paymentIntent;
+        const refundedAmount = round2(parseFloat(intent.refundedAmount) + parseFloat(refund.amount));
+        await tx.paymentIntent.update({
+            where: { id: intent.id },
+            data: {
+                refundedAmount,
+                status: refundedAmount >= parseFloat(intent.amount) ? 'Refunded' : 'PartiallyRefunded'
+            }
+        });
+
+        await reverseInvoicePayment(tx, intent.payment, {
+            amount: parseFloat(refund.amount),
+            reference: refund.providerRefundId
+        });
+
+        return tx.paymentRefund.findUnique({ where: { id: refund.id } });
+    });
+};
+
+/**
+ * Handle a provider webhook. Throws AppError(400) on a bad signature.
+ * @param {string} providerName - From the webhook URL
+ * @param {Buffer} rawBody - Unparsed request body (signatures are computed over it)
+ * @param {Object} headers
+ */
+const handleWebhook = async (providerName, rawBody, headers) => {
+    let provider;
+    let event;
+    try {
+        provider = getProvider(providerName);
+        event = provider.parseWebhook(rawBody || Buffer.from(''), headers);
+    } catch (error) {
+        console.warn(`[PaymentGateway] Rejected ${providerName} webhook: ${error.message}`);
+        throw new AppError('Invalid webhook', 400);
+    }
+
+    let record;
+    try {
+        record = await prisma.paymentWebhookEvent.create({
+            data: { provider: provider.name, eventId: event.id, type: event.type }
+        });
+    } catch (error) {
+        if (error.code === 'P2002') return { duplicate: true };
+        throw error;
+    }
+
+    try {
+        switch (event.type) {
+            case 'payment.processing':
+                await updateIntentStatus(event.providerIntentId, 'Processing');
+                break;
+            case 'payment.succeeded':
+                await settleIntent(event.providerIntentId);
+                break;
+            case 'payment.failed':
+                await updateIntentStatus(event.providerIntentId, 'Failed', event.failureReason || 'Payment failed');
+                break;
+            case 'payment.canceled':
+                await updateIntentStatus(event.providerIntentId, 'Canceled');
+                break;
+            case 'refund.succeeded':
+                await settleRefund({ providerRefundId: event.providerRefundId });
+                break;
+            case 'refund.failed':
+                await prisma.paymentRefund.updateMany({
+                    where: { providerRefundId: event.providerRefundId, status: 'Pending' },
+                    data: { status: 'Failed', failureReason: event.failureReason || 'Refund failed' }
+                });
+                break;
+            default:
+                // Event types we do not act on are acknowledged and ignored
+                break;
+        }
+    } catch (error) {
+        // Let the provider retry the event
+        await prisma.paymentWebhookEvent.delete({ where: { id: record.id } });
+        throw error;
+    }
+
+    await prisma.paymentWebhookEvent.update({
+        where: { id: record.id },
+        data: { processedAt: new Date() }
+    });
+
+    return { duplicate: false, type: event.type };
+};
+
+/**
+ * Refund (part of) a gateway payment through its provider
+ * @param {number} paymentId
+ * @param {Object} params - { amount, reason, requestedById, idempotencyKey }
+ */
+const refundPayment = async (paymentId, { amount, reason = null, requestedById = null, idempotencyKey }) => {
+    const intent = await prisma.paymentIntent.findUnique({
+        where: { paymentId },
+        include: { refunds: true }
+    });
+    if (!intent) throw new AppError('Only payments collected through the payment gateway can be refunded here', 400);
+
+    const key = idempotencyKey || crypto.randomUUID();
+    const replay = intent.refunds.find(r => r.idempotencyKey === key);
+    if (replay) return replay;
+
+    const committed = intent.refunds
+        .filter(r => r.status === 'Pending' || r.status === 'Succeeded')
+        .reduce((sum, r) => sum + parseFloat(r.amount), 0);
+    const refundable = round2(parseFloat(intent.amount) - committed);
+
+    const refundAmount = amount === undefined || amount === null || amount === '' ? refundable : round2(amount);
+    if (isNaN(refundAmount) || refundAmount <= 0 || refundAmount > refundable) {
+        const err = new AppError('Validation failed', 400);
+        err.errors = { amount: `Amount must be between 0.01 and ${refundable.toFixed(2)}` };
+        throw err;
+    }
+
+    const refund = await prisma.paymentRefund.create({
+        data: {
+            paymentIntentId: intent.id,
+            amount: refundAmount,
+            reason,
+            requestedById,
+            idempotencyKey: key,
+            status: 'Pending'
+        }
+    });
+
+    let result;
+    try {
+        result = await getProvider(intent.provider).refundPayment({
+            providerIntentId: intent.providerIntentId,
+            amount: refundAmount,
+            idempotencyKey: key
+        });
+    } catch (error) {
+        console.error(`[PaymentGateway] Refund ${refund.id} failed:`, error.message);
+        await prisma.paymentRefund.update({
+            where: { id: refund.id },
+            data: { status: 'Failed', failureReason: error.message }
+        });
+        throw new AppError('The payment provider rejected the refund', 502);
+    }
+
+    await prisma.paymentRefund.update({
+        where: { id: refund.id },
+        data: { providerRefundId: result.providerRefundId }
+    });
+
+    if (result.status === 'Succeeded') return settleRefund({ id: refund.id });
+    if (result.status === 'Failed') {
+        return prisma.paymentRefund.update({ where: { id: refund.id }, data: { status: 'Failed' } });
+    }
+    // Pending: the provider's webhook settles it
+    return prisma.paymentRefund.findUnique({ where: { id: refund.id } });
+};
+
+module.exports = {
+    METHODS,
+    createPaymentIntent,
+    handleWebhook,
+    refundPayment
+};
@@ -0,0 +1,40 @@
+const mockProvider = require('./mock.provider');
+const stripeProvider = require('./stripe.provider');
+
+/**
+ * Payment providers
+ * Every provider implements the same interface:
+ *   name
+ *   createPaymentIntent({ amount, currency, method, idempotencyKey, metadata, email }) -> { providerIntentId, clientSecret, status }
+ *   refundPayment({ providerIntentId, amount, idempotencyKey }) -> { providerRefundId, status }
+ *   parseWebhook(rawBody, headers) -> { id, type, providerIntentId, providerRefundId, failureReason }
+ *
+ * Amounts are passed in dollars; providers convert to their own units.
+ * Normalized intent statuses: Pending, Processing, Succeeded, Failed, Canceled.
+ * Normalized webhook types: payment.processing, payment.succeeded, payment.failed,
+ * payment.canceled, refund.succeeded, refund.failed.
+ */
+
+// The mock confirms payments from webhooks anyone holding its secret can sign, so it only exists
+// outside production and only with an explicit PAYMENT_WEBHOOK_SECRET
+const mockEnabled = () => process.env.NODE_ENV !== 'production' && Boolean(process.env.PAYMENT_WEBHOOK_SECRET);
+
+const availableProviders = () => ({
+    [stripeProvider.name]: stripeProvider,
+    ...(mockEnabled() ? { [mockProvider.name]: mockProvider } : {})
+});
+
+// PAYMENT_PROVIDER picks the provider; without Stripe keys we fall back to the mock where it is enabled
+const getDefaultProviderName = () => {
+    if (process.env.PAYMENT_PROVIDER) return process.env.PAYMENT_PROVIDER.toLowerCase();
+    if (process.env.STRIPE_SECRET_KEY || !mockEnabled()) return stripeProvider.name;
+    return mockProvider.name;
+};
+
+const getProvider = (name = getDefaultProviderName()) => {
+    const provider = availableProviders()[name];
+    if (!provider) throw new Error(`Unknown payment provider: ${name}`);
+    return provider;
+};
+
+module.exports = { getProvider, getDefaultProviderName };
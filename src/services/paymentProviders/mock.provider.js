@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+
+/**
+ * Mock payment provider for local development and tests.
+ * Never moves money. Intents stay Pending until a signed webhook confirms them,
+ * which `buildWebhook` produces so the real webhook path is exercised end to end.
+ * Webhooks are signed with HMAC-SHA256 of the raw body using PAYMENT_WEBHOOK_SECRET (required,
+ * no default). Only registered outside production; see ./index.js.
+ */
+
+const name = 'mock';
+
+const getSecret = () => {
+    if (!process.env.PAYMENT_WEBHOOK_SECRET) throw new Error('PAYMENT_WEBHOOK_SECRET is not set');
+    return process.env.PAYMENT_WEBHOOK_SECRET;
+};
+
+const sign = (rawBody) => crypto.createHmac('sha256', getSecret()).update(rawBody).digest('hex');
+
+const createPaymentIntent = async ({ idempotencyKey }) => {
+    const providerIntentId = `mock_pi_${crypto.createHash('sha256').update(idempotencyKey).digest('hex').substring(0, 24)}`;
+    return {
+        providerIntentId,
+        clientSecret: `${providerIntentId}_secret_${crypto.randomBytes(8).toString('hex')}`,
+        status: 'Pending'
+    };
+};
+
+const refundPayment = async ({ idempotencyKey }) => {
+    return {
+        providerRefundId: `mock_re_${crypto.createHash('sha256').update(idempotencyKey).digest('hex').substring(0, 24)}`,
+        status: 'Succeeded'
+    };
+};
+
+const parseWebhook = (rawBody, headers) => {
+    const signature = headers['x-mock-signature'];
+    const expected = sign(rawBody);
+
+    if (!signature || signature.length !== expected.length
+        || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+        throw new Error('Invalid webhook signature');
+    }
+
+    const event = JSON.parse(rawBody.toString('utf8'));
+    return {
+        id: event.id,
+        type: event.type,
+        providerIntentId: event.data.intentId || null,
+        providerRefundId: event.data.refundId || null,
+        failureReason: event.data.failureReason || null
+    };
+};
+
+/**
+ * Build a signed webhook request for an intent (what the provider would POST to us)
+ * @param {string} providerIntentId
+ * @param {string} type - e.g. 'payment.succeeded' or 'payment.failed'
+ * @param {Object} [data] - Extra event data, e.g. { failureReason }
+ * @returns {{ rawBody: Buffer, headers: Object }}
+ */
+const buildWebhook = (providerIntentId, type, data = {}) => {
+    const rawBody = Buffer.from(JSON.stringify({
+        id: `mock_evt_${crypto.randomBytes(12).toString('hex')}`,
+        type,
+        data: { intentId: providerIntentId, ...data }
+    }));
+    return { rawBody, headers: { 'x-mock-signature': sign(rawBody) } };
+};
+
+module.exports = {
+    name,
+    createPaymentIntent,
+    refundPayment,
+    parseWebhook,
+    buildWebhook
+};
@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+const axios = require('axios');
+
+/**
+ * Stripe payment provider (REST API)
+ * Cards, US bank accounts (ACH) and Canadian pre-authorized debits (PAD / acss_debit).
+ * Requires STRIPE_SECRET_KEY and STRIPE_WEBHOOK_SECRET.
+ */
+
+const name = 'stripe';
+
+const API_URL = 'https://api.stripe.com/v1';
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+const METHOD_TYPES = {
+    CARD: 'card',
+    ACH: 'us_bank_account',
+    PAD: 'acss_debit'
+};
+
+const STATUS_MAP = {
+    requires_payment_method: 'Pending',
+    requires_confirmation: 'Pending',
+    requires_action: 'Pending',
+    processing: 'Processing',
+    succeeded: 'Succeeded',
+    canceled: 'Canceled'
+};
+
+const EVENT_MAP = {
+    'payment_intent.processing': 'payment.processing',
+    'payment_intent.succeeded': 'payment.succeeded',
+    'payment_intent.payment_failed': 'payment.failed',
+    'payment_intent.canceled': 'payment.canceled',
+    'refund.updated': null, // resolved from the refund status below
+    'charge.refund.updated': null
+};
+
+// Stripe expects form-encoded bodies with bracketed nested keys
+const encode = (data, prefix = '') => {
+    const parts = [];
+    Object.entries(data).forEach(([key, value]) => {
+        if (value === undefined || value === null) return;
+        const field = prefix ? `${prefix}[${key}]` : key;
+        if (Array.isArray(value)) {
+            value.forEach((v, i) => parts.push(`${encodeURIComponent(`${field}[${i}]`)}=${encodeURIComponent(v)}`));
+        } else if (typeof value === 'object') {
+            parts.push(encode(value, field));
+        } else {
+            parts.push(`${encodeURIComponent(field)}=${encodeURIComponent(value)}`);
+        }
+    });
+    return parts.filter(Boolean).join('&');
+};
+
+const request = async (path, data, idempotencyKey) => {
+    if (!process.env.STRIPE_SECRET_KEY) throw new Error('STRIPE_SECRET_KEY is not configured');
+
+    try {
+        const response = await axios.post(`${API_URL}${path}`, encode(data), {
+            headers: {
+                'Authorization': `Bearer ${process.env.STRIPE_SECRET_KEY}`,
+                'Content-Type': 'application/x-www-form-urlencoded',
+                'Idempotency-Key': idempotencyKey
+            }
+        });
+        return response.data;
+    } catch (error) {
+        const message = error.response && error.response.data && error.response.data.error
+            ? error.response.data.error.message
+            : error.message;
+        throw new Error(`Stripe error: ${message}`);
+    }
+};
+
+const toCents = (amount) => Math.round(parseFloat(amount) * 100);
+
+const createPaymentIntent = async ({ amount, currency, method, idempotencyKey, metadata = {}, email }) => {
+    const methodType = METHOD_TYPES[method];
+    const data = {
+        amount: toCents(amount),
+        currency,
+        payment_method_types: [methodType],
+        receipt_email: email || undefined,
+        metadata
+    };
+
+    if (method === 'PAD') {
+        data.payment_method_options = {
+            acss_debit: {
+                mandate_options: { payment_schedule: 'sporadic', transaction_type: 'personal' }
+            }
+        };
+    }
+
+    const intent = await request('/payment_intents', data, idempotencyKey);
+    return {
+        providerIntentId: intent.id,
+        clientSecret: intent.client_secret,
+        status: STATUS_MAP[intent.status] || 'Pending'
+    };
+};
+
+const refundPayment = async ({ providerIntentId, amount, idempotencyKey }) => {
+    const refund = await request('/refunds', {
+        payment_intent: providerIntentId,
+        amount: toCents(amount)
+    }, idempotencyKey);
+
+    const status = refund.status === 'succeeded' ? 'Succeeded' : (refund.status === 'failed' || refund.status === 'canceled' ? 'Failed' : 'Pending');
+    return { providerRefundId: refund.id, status };
+};
+
+/**
+ * Verify the Stripe-Signature header (t=timestamp,v1=HMAC of `${t}.${rawBody}`) and normalize the event
+ */
+const parseWebhook = (rawBody, headers) => {
+    const secret = process.env.STRIPE_WEBHOOK_SECRET;
+    if (!secret) throw new Error('STRIPE_WEBHOOK_SECRET is not configured');
+
+    const header = headers['stripe-signature'] || '';
+    const parts = header.split(',').reduce((acc, part) => {
+        const [key, value] = part.split('=');
+        if (key === 't') acc.timestamp = value;
+        if (key === 'v1') acc.signatures.push(value);
+        return acc;
+    }, { timestamp: null, signatures: [] });
+
+    if (!parts.timestamp || parts.signatures.length === 0) throw new Error('Invalid webhook signature');
+
+    const expected = crypto.createHmac('sha256', secret).update(`${parts.timestamp}.${rawBody.toString('utf8')}`).digest('hex');
+    const valid = parts.signatures.some(sig => sig.length === expected.length
+        && crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(expected)));
+    if (!valid) throw new Error('Invalid webhook signature');
+
+    if (Math.abs(Date.now() / 1000 - parseInt(parts.timestamp)) > SIGNATURE_TOLERANCE_SECONDS) {
+        throw new Error('Webhook timestamp outside tolerance');
+    }
+
+    const event = JSON.parse(rawBody.toString('utf8'));
+    const object = event.data && event.data.object ? event.data.object : {};
+
+    let type = EVENT_MAP[event.type];
+    if (type === null) {
+        type = object.status === 'succeeded' ? 'refund.succeeded' : (object.status === 'failed' || object.status === 'canceled' ? 'refund.failed' : null);
+    }
+
+    const isRefund = object.object === 'refund';
+    return {
+        id: event.id,
+        type: type || event.type,
+        providerIntentId: isRefund ? object.payment_intent : object.id,
+        providerRefundId: isRefund ? object.id : null,
+        failureReason: object.last_payment_error ? object.last_payment_error.message : (object.failure_reason || null)
+    };
+};
+
+module.exports = {
+    name,
+    createPaymentIntent,
+    refundPayment,
+    parseWebhook
+};
@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+const prisma = require('../config/prisma');
+const AppError = require('../utils/AppError');
+const {
+    generateAccessToken,
+    generateRefreshToken,
+    hashToken,
+    getRefreshTokenExpiry
+} = require('../utils/token');
+
+/**
+ * Session Service
+ * Issues access/refresh token pairs and manages refresh-token rotation.
+ *
+ * Every login starts a token "family". Each refresh revokes the presented token
+ * and issues a new one in the same family. If an already-rotated token is
+ * presented again, it has been stolen or replayed, so the whole family is revoked.
+ */
+class SessionService {
+
+    /**
+     * Start a new session for a user (login)
+     * @param {Object} user - User row
+     * @param {Object} [meta] - { userAgent, ipAddress }
+     * @returns {Promise<{accessToken: string, refreshToken: string}>}
+     */
+    async createSession(user, meta = {}) {
+        const family = crypto.randomUUID();
+        const { refreshToken } = await this._persistRefreshToken(prisma, user.id, family, meta);
+
+        return {
+            accessToken: generateAccessToken(user),
+            refreshToken
+        };
+    }
+
+    /**
+     * Exchange a refresh token for a new token pair
+     * @param {string} presentedToken - Refresh token sent by the client
+     * @param {Object} [meta] - { userAgent, ipAddress }
+     */
+    async rotateSession(presentedToken, meta = {}) {
+        if (!presentedToken) throw new AppError('Refresh token is required', 400);
+
+        const stored = await prisma.refreshToken.findUnique({
+            where: { token: hashToken(presentedToken) },
+            include: { user: true }
+        });
+
+        if (!stored) throw new AppError('Invalid refresh token', 401);
+
+        // Reuse detection: a rotated/revoked token is being replayed
+        if (stored.revokedAt) {
+            await this.revokeFamily(stored.family);
+            console.warn(`[SessionService] Refresh token reuse detected for user ${stored.userId}. Family ${stored.family} revoked.`);
+            throw new AppError('Session has been revoked. Please log in again.', 401);
+        }
+
+        if (stored.expiresAt < new Date()) {
+            throw new AppError('Your session has expired. Please log in again.', 401);
+        }
+
+        const refreshToken = await prisma.$transaction(async (tx) => {
+            const issued = await this._persistRefreshToken(tx, stored.userId, stored.family, meta);
+
+            // Conditional update so two concurrent refreshes cannot both succeed
+            const { count } = await tx.refreshToken.updateMany({
+                where: { id: stored.id, revokedAt: null },
+                data: { revokedAt: new Date(), replacedById: issued.record.id }
+            });
+            if (count === 0) throw new AppError('Session has been revoked. Please log in again.', 401);
+
+            return issued.refreshToken;
+        });
+
+        return {
+            accessToken: generateAccessToken(stored.user),
+            refreshToken,
+            user: stored.user
+        };
+    }
+
+    /**
+     * Revoke a single session (logout). Unknown tokens are ignored.
+     * @param {string} presentedToken
+     */
+    async revokeSession(presentedToken) {
+        if (!presentedToken) return 0;
+
+        const stored = await prisma.refreshToken.findUnique({
+            where: { token: hashToken(presentedToken) }
+        });
+        if (!stored) return 0;
+
+        return this.revokeFamily(stored.family);
+    }
+
+    /**
+     * Revoke every token in a family
+     * @param {string} family
+     */
+    async revokeFamily(family) {
+        const { count } = await prisma.refreshToken.updateMany({
+            where: { family, revokedAt: null },
+            data: { revokedAt: new Date() }
+        });
+        return count;
+    }
+
+    /**
+     * Sign a user out of all sessions
+     * @param {number} userId
+     * @returns {Promise<number>} - Number of tokens revoked
+     */
+    async revokeAllForUser(userId) {
+        const { count } = await prisma.refreshToken.updateMany({
+            where: { userId, revokedAt: null },
+            data: { revokedAt: new Date() }
+        });
+        return count;
+    }
+
+    /**
+     * List a user's active sessions (one entry per token family)
+     * @param {number} userId
+     */
+    async getActiveSessions(userId) {
+        return prisma.refreshToken.findMany({
+            where: {
+                userId,
+                revokedAt: null,
+                expiresAt: { gt: new Date() }
+            },
+            select: {
+                id: true,
+                family: true,
+                userAgent: true,
+                ipAddress: true,
+                createdAt: true,
+                expiresAt: true
+            },
+            orderBy: { createdAt: 'desc' }
+        });
+    }
+
+    /**
+     * Delete expired tokens (housekeeping)
+     */
+    async pruneExpired() {
+        const { count } = await prisma.refreshToken.deleteMany({
+            where: { expiresAt: { lt: new Date() } }
+        });
+        return count;
+    }
+
+    async _persistRefreshToken(client, userId, family, meta) {
+        const refreshToken = generateRefreshToken();
+
+        const record = await client.refreshToken.create({
+            data: {
+                token: hashToken(refreshToken),
+                userId,
+                family,
+                expiresAt: getRefreshTokenExpiry(),
+                userAgent: meta.userAgent ? String(meta.userAgent).substring(0, 191) : null,
+                ipAddress: meta.ipAddress || null
+            }
+        });
+
+        return { refreshToken, record };
+    }
+}
+
+module.exports = new SessionService();
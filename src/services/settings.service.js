@@ -0,0 +1,50 @@
+const prisma = require('../config/prisma');
+
+/**
+ * Read a single SystemSetting value
+ * @param {string} key
+ * @param {*} [defaultValue] - Returned when the key is not set
+ * @param {Object} [client] - Prisma client or transaction
+ * @returns {Promise<string|*>}
+ */
+const getSetting = async (key, defaultValue = null, client = prisma) => {
+    const setting = await client.systemSetting.findUnique({ where: { key } });
+    return setting ? setting.value : defaultValue;
+};
+
+/**
+ * Read a SystemSetting as an integer, clamped to [min, max]
+ * @param {string} key
+ * @param {number} defaultValue
+ * @param {Object} [bounds] - { min, max }
+ * @param {Object} [client] - Prisma client or transaction
+ * @returns {Promise<number>}
+ */
+const getIntSetting = async (key, defaultValue, { min = -Infinity, max = Infinity } = {}, client = prisma) => {
+    const raw = await getSetting(key, null, client);
+    const value = parseInt(raw);
+    if (isNaN(value)) return defaultValue;
+    return Math.min(max, Math.max(min, value));
+};
+
+/**
+ * All settings as a key/value map for PDF branding, with the camelCase keys saved by the
+ * settings screen mapped to the keys the PDF generators expect
+ * @returns {Promise<Object>}
+ */
+const getBrandingSettings = async (client = prisma) => {
+    const settingsList = await client.systemSetting.findMany();
+    const settings = {};
+    settingsList.forEach(s => {
+        if (s.key === 'companyName') settings['company_name'] = s.value;
+        else if (s.key === 'companyAddress') settings['company_address'] = s.value;
+        else settings[s.key] = s.value;
+    });
+    return settings;
+};
+
+module.exports = {
+    getSetting,
+    getIntSetting,
+    getBrandingSettings
+};
@@ -1,4 +1,6 @@
 const twilio = require("twilio");
+const prisma = require("../config/prisma");
+const { checkSms } = require("./consent.service");
 
 // Twilio Credentials
 const TWILIO_ACCOUNT_SID = process.env.TWILIO_ACCOUNT_SID;
@@ -40,11 +42,48 @@ const normalizePhoneNumber = (phone) => {
 
 /**
  * Send SMS to a phone number
+ * Numbers that opted out are skipped; during quiet hours the message is queued in the outbox
+ * for the morning instead. Either way the reason is logged to CommunicationLog.
  * @param {string} to - The recipient's phone number (E.164 format e.g., +15550001111)
  * @param {string} message - The message content
- * @returns {Promise<object>} - Twilio message object or error
+ * @param {object} [options] - { purpose (see consent.service CONSENT_PURPOSES), eventType, recipientId, relatedEntity, entityId }
+ *                             and skipLog (the caller keeps its own CommunicationLog row, e.g. the outbox)
+ * @returns {Promise<object>} - Twilio message object or error ({ skipped } / { deferred, deferUntil } when not sent)
  */
-exports.sendSMS = async (to, message) => {
+exports.sendSMS = async (to, message, options = {}) => {
+    let check;
+    try {
+        check = await checkSms(to, { purpose: options.purpose });
+    } catch (error) {
+        console.error(`Consent check failed for ${to}:`, error);
+        return { success: false, error: `Consent check failed: ${error.message}` };
+    }
+
+    if (!check.allowed) {
+        const deferred = Boolean(check.deferUntil);
+        console.warn(`Not sending SMS to ${to} now: ${check.reason}`);
+        if (!options.skipLog) {
+            await prisma.communicationLog.create({
+                data: {
+                    channel: 'SMS',
+                    eventType: options.eventType || 'SMS',
+                    recipient: to,
+                    recipientId: options.recipientId || null,
+                    relatedEntity: options.relatedEntity || null,
+                    entityId: options.entityId || null,
+                    content: message,
+                    // A deferred message is an outbox row due when quiet hours end
+                    status: deferred ? 'Pending' : 'Skipped',
+                    nextAttemptAt: deferred ? check.deferUntil : null,
+                    lastError: check.reason
+                }
+            });
+        }
+        return deferred
+            ? { success: false, deferred: true, deferUntil: check.deferUntil, error: `Deferred: ${check.reason}` }
+            : { success: false, skipped: true, error: check.reason };
+    }
+
     if (!client) {
         console.error("Twilio client not initialized");
         return { success: false, message: "Twilio client not initialized" };
@@ -66,44 +105,3 @@ exports.sendSMS = async (to, message) => {
         return { success: false, error: error.message, code: error.code };
     }
 };
-
-/**
- * Send SMS to multiple phone numbers (bulk)
- * @param {Array<string>} recipients - Array of phone numbers (E.164 format)
- * @param {string} message - The message content
- * @returns {Promise<Array>} - Array of results for each recipient
- */
-exports.sendBulkSMS = async (recipients, message) => {
-    if (!client) {
-        console.error("Twilio client not initialized");
-        return recipients.map(to => ({ to, success: false, message: "Twilio client not initialized" }));
-    }
-
-    const results = [];
-
-    for (let i = 0; i < recipients.length; i++) {
-        const originalTo = recipients[i];
-        const formattedTo = normalizePhoneNumber(originalTo);
-
-        try {
-            console.log(`Sending bulk SMS ${i + 1}/${recipients.length} to ${formattedTo}...`);
-            const result = await client.messages.create({
-                body: message,
-                from: TWILIO_PHONE_NUMBER,
-                to: formattedTo,
-            });
-            console.log(`SMS sent successfully to ${formattedTo}. SID: ${result.sid}`);
-            results.push({ to: originalTo, success: true, sid: result.sid });
-        } catch (error) {
-            console.error(`Error sending SMS to ${formattedTo}:`, error);
-            results.push({ to: originalTo, success: false, error: error.message, code: error.code });
-        }
-
-        // Throttle: Wait 1 second between sends to respect Twilio rate limits
-        if (i < recipients.length - 1) {
-            await new Promise(resolve => setTimeout(resolve, 1000));
-        }
-    }
-
-    return results;
-};
\ No newline at end of file
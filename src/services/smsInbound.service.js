@@ -0,0 +1,294 @@
+const prisma = require('../config/prisma');
+const AppError = require('../utils/AppError');
+const { sendSMS } = require('./sms.service');
+const { getIntSetting } = require('./settings.service');
+const ticketService = require('./ticket.service');
+const { userContext } = require('./template.service');
+const consentService = require('./consent.service');
+const { STAFF_ROLES } = require('../constants/permissions');
+
+/**
+ * Inbound SMS Service
+ * Routes text messages received on the Twilio number.
+ *
+ * - The sender is matched on the last 10 digits of the number (how phones are stored varies).
+ * - A tenant's text goes to the staff member who last messaged them; failing that, to the SMS
+ *   inbox of the property they lease in; failing that, to the `sms_inbox_user_id` setting, and
+ *   finally the first admin.
+ * - Keywords (first word, any case): STOP/START opt the number out of or back into texts (recorded
+ *   as consent for every account sharing it, with the word used). START, UNSTOP and YES only count
+ *   while the number is opted out; otherwise "Yes" is an ordinary reply. HELP
+ *   lists the keywords, BALANCE replies with the open balance and TICKET <description> opens a
+ *   maintenance request. The text is kept in the thread either way.
+ * - Numbers that match no account are recorded as leads with their message history and
+ *   assigned to the default inbox; only their first text gets an automatic reply.
+ * - Twilio retries a webhook it did not get a reply to; a MessageSid already stored is ignored. The
+ *   text is stored in the same transaction as its keyword's effect (consent, ticket, lead status), so a
+ *   failed attempt stores nothing and the retry applies it.
+ */
+
+const KEYWORDS = {
+    STOP: ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT'],
+    START: ['START', 'UNSTOP', 'YES'],
+    HELP: ['HELP', 'INFO'],
+    BALANCE: ['BALANCE'],
+    TICKET: ['TICKET']
+};
+
+const LEAD_STATUS = {
+    NEW: 'New',
+    CONTACTED: 'Contacted',
+    CONVERTED: 'Converted',
+    CLOSED: 'Closed',
+    OPTED_OUT: 'Opted Out'
+};
+
+// Invoices that still count towards what a tenant owes
+const OPEN_INVOICE = { status: { notIn: ['draft', 'void', 'paid'] } };
+
+/**
+ * Keyword at the start of a message, with the text after it
+ * @param {string} body
+ * @returns {{ keyword: string|null, word: string, rest: string }}
+ */
+const parseKeyword = (body) => {
+    const text = String(body || '').trim();
+    const [first = '', ...rest] = text.split(/\s+/);
+    const word = first.replace(/[^A-Za-z]/g, '').toUpperCase();
+    const keyword = Object.keys(KEYWORDS).find(k => KEYWORDS[k].includes(word)) || null;
+
+    // Only TICKET takes text after it, so "Stop by the office" stays a normal message
+    if (keyword && keyword !== 'TICKET' && rest.length > 0) return { keyword: null, word, rest: text };
+    return { keyword, word, rest: keyword ? rest.join(' ') : text };
+};
+
+/**
+ * Account that sent a text, preferring tenants when several users share the number
+ * @param {string} from
+ */
+const findSender = async (from) => {
+    const matches = await consentService.findUsersByPhone(from);
+    return matches.find(u => u.role === 'TENANT') || matches[0] || null;
+};
+
+// Whether a number's latest SMS consent (any account sharing it) is a withdrawal
+const isOptedOut = async (users) => {
+    const latest = await consentService.latestConsents(users.map(u => u.id), consentService.CONSENT_CHANNELS.SMS);
+    return [...latest.values()].some(record => !record.granted);
+};
+
+// STOP/START apply to the number, so every account that shares it
+const recordKeywordConsent = async (tx, from, granted, word) => {
+    const users = await consentService.findUsersByPhone(from);
+    for (const user of users) {
+        await consentService.recordConsent(user.id, consentService.CONSENT_CHANNELS.SMS, granted, { source: 'sms_keyword', keyword: word }, tx);
+    }
+};
+
+// Active lease a tenant or resident lives under
+const findActiveLease = (user) => prisma.lease.findFirst({
+    where: {
+        status: 'Active',
+        OR: [
+            { tenantId: user.id },
+            { residents: { some: { id: user.id } } },
+            ...(user.parentId ? [{ tenantId: user.parentId }] : [])
+        ]
+    },
+    include: { unit: { include: { property: true } } },
+    orderBy: { startDate: 'desc' }
+});
+
+/**
+ * Fallback inbox: the `sms_inbox_user_id` setting, else the first admin
+ */
+const defaultInboxUserId = async () => {
+    const configured = await getIntSetting('sms_inbox_user_id', null);
+    if (configured) {
+        const user = await prisma.user.findFirst({ where: { id: configured, role: { in: STAFF_ROLES } }, select: { id: true } });
+        if (user) return user.id;
+    }
+    const admin = await prisma.user.findFirst({ where: { role: 'ADMIN' }, orderBy: { id: 'asc' }, select: { id: true } });
+    return admin ? admin.id : null;
+};
+
+/**
+ * Staff member a tenant's text should reach
+ * @param {Object} sender
+ * @param {Object|null} lease - Active lease with unit.property
+ * @returns {Promise<{ userId: number|null, route: string }>}
+ */
+const resolveRecipient = async (sender, lease) => {
+    const lastStaffMessage = await prisma.message.findFirst({
+        where: { receiverId: sender.id, sender: { role: { in: STAFF_ROLES } } },
+        orderBy: { createdAt: 'desc' },
+        select: { senderId: true }
+    });
+    if (lastStaffMessage) return { userId: lastStaffMessage.senderId, route: 'thread' };
+
+    const inboxUserId = lease && lease.unit && lease.unit.property ? lease.unit.property.smsInboxUserId : null;
+    if (inboxUserId) return { userId: inboxUserId, route: 'property' };
+
+    return { userId: await defaultInboxUserId(), route: 'default' };
+};
+
+/**
+ * Open balance of the account holder (residents share the lease holder's balance)
+ * @param {Object} user
+ */
+const openBalance = async (user) => {
+    const result = await prisma.invoice.aggregate({
+        where: { ...OPEN_INVOICE, tenantId: user.parentId || user.id },
+        _sum: { balanceDue: true },
+        _count: true
+    });
+    return { amount: (parseFloat(result._sum.balanceDue) || 0).toFixed(2), openInvoices: result._count };
+};
+
+const handleKeyword = async (tx, { keyword, word, rest }, from, sender, lease) => {
+    const context = { tenant: userContext(sender) };
+
+    switch (keyword) {
+        case 'STOP':
+            await recordKeywordConsent(tx, from, false, word);
+            return { eventType: 'SMS_OPT_OUT', context };
+        case 'START':
+            await recordKeywordConsent(tx, from, true, word);
+            return { eventType: 'SMS_OPT_IN', context };
+        case 'HELP':
+            return { eventType: 'SMS_HELP', context };
+        case 'BALANCE':
+            return { eventType: 'SMS_BALANCE', context: { ...context, balance: await openBalance(sender) } };
+        case 'TICKET': {
+            if (!rest) return { eventType: 'SMS_HELP', context };
+            const ticket = await ticketService.createTicket({
+                userId: sender.id,
+                subject: rest.length > 60 ? `${rest.substring(0, 57)}...` : rest,
+                description: rest,
+                propertyId: lease ? lease.unit.propertyId : null,
+                unitId: lease ? lease.unitId : null
+            }, { actorId: sender.id, tx });
+            return { eventType: 'SMS_TICKET_CREATED', context: { ...context, ticket: { ref: ticketService.ticketRef(ticket), subject: ticket.subject } } };
+        }
+        default:
+            return { eventType: 'SMS_AUTO_REPLY', context };
+    }
+};
+
+/**
+ * Record a text from a number that matches no account
+ * @returns {Promise<Object|null>} Reply to send, or null
+ */
+const handleLeadMessage = async ({ from, body, sid }) => {
+    const phone = String(from);
+    const existing = await prisma.lead.findUnique({ where: { phone } });
+
+    let { keyword } = parseKeyword(body);
+    if (keyword === 'START' && !(existing && existing.status === LEAD_STATUS.OPTED_OUT)) keyword = null;
+
+    const assignedToId = existing ? null : await defaultInboxUserId();
+
+    const lead = await prisma.$transaction(async (tx) => {
+        const row = existing || await tx.lead.create({
+            data: { phone, source: 'SMS', assignedToId }
+        });
+
+        await tx.leadMessage.create({ data: { leadId: row.id, direction: 'inbound', content: String(body || ''), smsSid: sid || null } });
+
+        let status = row.status;
+        if (keyword === 'STOP') status = LEAD_STATUS.OPTED_OUT;
+        else if (keyword === 'START') status = LEAD_STATUS.NEW;
+        return tx.lead.update({ where: { id: row.id }, data: { status, lastMessageAt: new Date() } });
+    });
+
+    console.log(`📇 SMS from an unknown number recorded on lead #${lead.id}`);
+
+    if (keyword === 'STOP') return { eventType: 'SMS_OPT_OUT', context: {} };
+    if (keyword === 'START') return { eventType: 'SMS_OPT_IN', context: {} };
+    if (keyword === 'HELP') return { eventType: 'SMS_HELP', context: {} };
+    return existing ? null : { eventType: 'SMS_UNKNOWN_SENDER', context: {} };
+};
+
+/**
+ * Route an incoming text
+ * @param {Object} sms - { from, body, sid }
+ * @returns {Promise<Object>} { reply: { eventType, context, language } | null, route, receiverId, leadId }
+ */
+const handleIncoming = async ({ from, body, sid }) => {
+    if (sid) {
+        const [seen, seenLead] = await Promise.all([
+            prisma.message.findFirst({ where: { smsSid: sid }, select: { id: true } }),
+            prisma.leadMessage.findFirst({ where: { smsSid: sid }, select: { id: true } })
+        ]);
+        if (seen || seenLead) return { reply: null, route: 'duplicate' };
+    }
+
+    const sender = await findSender(from);
+    if (!sender) {
+        const reply = await handleLeadMessage({ from, body, sid });
+        return { reply, route: 'lead' };
+    }
+
+    const lease = await findActiveLease(sender);
+    const { userId, route } = await resolveRecipient(sender, lease);
+    if (!userId) throw new AppError('No staff member available to receive SMS', 500);
+
+    let parsed = parseKeyword(body);
+    if (parsed.keyword === 'START' && !(await isOptedOut(await consentService.findUsersByPhone(from)))) {
+        parsed = { keyword: null, word: parsed.word, rest: String(body || '').trim() };
+    }
+    const { keyword } = parsed;
+
+    const reply = await prisma.$transaction(async (tx) => {
+        await tx.message.create({
+            data: {
+                content: String(body || ''),
+                senderId: sender.id,
+                receiverId: userId,
+                isRead: false,
+                smsSid: sid || null,
+                smsStatus: 'received',
+                sentVia: 'sms'
+            }
+        });
+        return handleKeyword(tx, parsed, from, sender, lease);
+    });
+    console.log(`✅ SMS from user ${sender.id} routed to user ${userId} (${route}${keyword ? `, keyword ${keyword}` : ''})`);
+
+    return { reply: { ...reply, language: sender.language }, route, receiverId: userId };
+};
+
+/**
+ * Text a lead back and keep the reply in their history
+ * @param {number} leadId
+ * @param {string} message
+ * @param {number} senderId - Staff member replying
+ */
+const replyToLead = async (leadId, message, senderId) => {
+    const lead = await prisma.lead.findUnique({ where: { id: leadId } });
+    if (!lead) throw new AppError('Lead not found', 404);
+    if (lead.status === LEAD_STATUS.OPTED_OUT) throw new AppError('This lead has opted out of text messages', 400);
+    if (!message || !String(message).trim()) throw new AppError('Message is required', 400);
+
+    const result = await sendSMS(lead.phone, String(message), { eventType: 'LEAD_REPLY', purpose: 'conversational' });
+    if (!result.success) throw new AppError(`SMS failed: ${result.error || result.message}`, 502);
+
+    const reply = await prisma.leadMessage.create({
+        data: { leadId, direction: 'outbound', content: String(message), smsSid: result.sid || null, senderId }
+    });
+    await prisma.lead.update({
+        where: { id: leadId },
+        data: { lastMessageAt: new Date(), ...(lead.status === LEAD_STATUS.NEW ? { status: LEAD_STATUS.CONTACTED } : {}) }
+    });
+    return reply;
+};
+
+module.exports = {
+    KEYWORDS,
+    LEAD_STATUS,
+    parseKeyword,
+    findSender,
+    resolveRecipient,
+    handleIncoming,
+    replyToLead
+};
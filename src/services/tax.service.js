@@ -0,0 +1,237 @@
+const prisma = require('../config/prisma');
+
+/**
+ * Tax Service
+ * Applies the active rows of the `taxes` table to invoices.
+ *
+ * A tax's `appliesTo` decides which invoice component it is charged on:
+ *   'Rent'    -> invoice.rent
+ *   'Service' -> invoice.serviceFees
+ *   'All'     -> both
+ * Rates are stored as percentages (e.g. 13.00 for HST). Each tax produces one
+ * InvoiceTax line per taxed component, with the rate and name snapshotted so
+ * later edits to the tax table never rewrite issued invoices.
+ */
+
+const round2 = (value) => Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+
+const COMPONENTS = [
+    { key: 'rent', label: 'Rent' },
+    { key: 'serviceFees', label: 'Service' }
+];
+
+const taxAppliesTo = (tax, label) => {
+    const target = String(tax.appliesTo || '').trim().toLowerCase();
+    return target === label.toLowerCase() || target === 'all' || target === 'both';
+};
+
+/**
+ * Fetch active taxes
+ * @param {Object} [client] - Prisma client or transaction
+ */
+const getActiveTaxes = (client = prisma) => {
+    return client.tax.findMany({
+        where: { status: 'active' },
+        orderBy: { createdAt: 'asc' }
+    });
+};
+
+/**
+ * Compute tax lines for an invoice's components (pure, no DB access)
+ * @param {Array} taxes - Active tax rows
+ * @param {Object} amounts - { rent, serviceFees }
+ * @returns {{ lines: Array, taxAmount: number }}
+ */
+const calculateTaxes = (taxes, { rent = 0, serviceFees = 0 }) => {
+    const amounts = { rent: round2(parseFloat(rent) || 0), serviceFees: round2(parseFloat(serviceFees) || 0) };
+    const lines = [];
+
+    for (const component of COMPONENTS) {
+        const taxableAmount = amounts[component.key];
+        if (taxableAmount <= 0) continue;
+
+        for (const tax of taxes) {
+            if (!taxAppliesTo(tax, component.label)) continue;
+
+            const rate = parseFloat(tax.rate) || 0;
+            if (rate <= 0) continue;
+
+            lines.push({
+                taxId: tax.id,
+                name: tax.name,
+                rate,
+                appliesTo: component.label,
+                taxableAmount,
+                amount: round2(taxableAmount * rate / 100)
+            });
+        }
+    }
+
+    const taxAmount = round2(lines.reduce((sum, l) => sum + l.amount, 0));
+    return { lines, taxAmount };
+};
+
+/**
+ * Build the amount/tax fields for a new invoice, ready to spread into `invoice.create({ data })`
+ * @param {Object} client - Prisma client or transaction
+ * @param {Object} amounts - { rent, serviceFees, paidAmount }
+ */
+const buildInvoiceAmounts = async (client, { rent = 0, serviceFees = 0, paidAmount = 0 }) => {
+    const taxes = await getActiveTaxes(client);
+    const { lines, taxAmount } = calculateTaxes(taxes, { rent, serviceFees });
+
+    const subtotal = round2((parseFloat(rent) || 0) + (parseFloat(serviceFees) || 0));
+    const amount = round2(subtotal + taxAmount);
+
+    return {
+        rent: round2(parseFloat(rent) || 0),
+        serviceFees: round2(parseFloat(serviceFees) || 0),
+        taxAmount,
+        amount,
+        paidAmount,
+        balanceDue: round2(Math.max(0, amount - (parseFloat(paidAmount) || 0))),
+        taxLines: { create: lines }
+    };
+};
+
+/**
+ * Taxes an existing invoice was issued under, rebuilt from its snapshotted tax lines so a
+ * recalculation keeps the original names and rates. The source tax's `appliesTo` is used when it
+ * still exists (a component that was 0 at issue has no line of its own), otherwise the line's.
+ * @param {Object} client - Prisma client or transaction
+ * @param {Array} taxLines - InvoiceTax rows
+ */
+const snapshotTaxes = async (client, taxLines) => {
+    const taxIds = [...new Set(taxLines.map(l => l.taxId).filter(Boolean))];
+    const sources = taxIds.length > 0
+        ? await client.tax.findMany({ where: { id: { in: taxIds } }, select: { id: true, appliesTo: true } })
+        : [];
+
+    const taxes = new Map();
+    for (const line of taxLines) {
+        const key = line.taxId ? `id:${line.taxId}` : `name:${line.name}|${line.rate}`;
+        const source = sources.find(t => t.id === line.taxId);
+        const existing = taxes.get(key);
+        if (existing) {
+            if (!source && existing.appliesTo !== line.appliesTo) existing.appliesTo = 'All';
+            continue;
+        }
+        taxes.set(key, {
+            id: line.taxId,
+            name: line.name,
+            rate: line.rate,
+            appliesTo: source ? source.appliesTo : line.appliesTo
+        });
+    }
+    return [...taxes.values()];
+};
+
+/**
+ * Recompute tax lines and totals for an existing invoice from its current rent/serviceFees.
+ * Used whenever the taxable components of an invoice change. Rates come from the invoice's own
+ * tax lines; only an invoice that was never issued with a total ($0, no lines) takes the active taxes.
+ * @param {Object} client - Prisma client or transaction
+ * @param {number} invoiceId
+ */
+const recalculateInvoiceTaxes = async (client, invoiceId) => {
+    const invoice = await client.invoice.findUnique({ where: { id: invoiceId }, include: { taxLines: true } });
+    if (!invoice) return null;
+
+    const neverIssued = invoice.taxLines.length === 0 && parseFloat(invoice.amount) === 0;
+    const taxes = neverIssued ? await getActiveTaxes(client) : await snapshotTaxes(client, invoice.taxLines);
+    const { lines, taxAmount } = calculateTaxes(taxes, invoice);
+
+    const subtotal = round2(parseFloat(invoice.rent) + parseFloat(invoice.serviceFees));
+    const amount = round2(subtotal + taxAmount);
+    const balanceDue = round2(Math.max(0, amount - parseFloat(invoice.paidAmount)));
+
+    await client.invoiceTax.deleteMany({ where: { invoiceId } });
+
+    return client.invoice.update({
+        where: { id: invoiceId },
+        data: {
+            taxAmount,
+            amount,
+            balanceDue,
+            taxLines: { create: lines }
+        },
+        include: { taxLines: true }
+    });
+};
+
+/**
+ * Tax billed and collected per tax, per month, over a date range.
+ * Billed = tax lines on invoices issued in the period (drafts and voids excluded).
+ * Collected = each payment in the period allocated pro-rata to its invoice's tax lines.
+ * @param {Object} range - { from: Date, to: Date }
+ */
+const getTaxReport = async ({ from, to }) => {
+    const periodKey = (date) => {
+        const d = new Date(date);
+        return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+    };
+
+    const rows = {};
+    const row = (period, line) => {
+        const key = `${period}|${line.name}|${line.rate}`;
+        if (!rows[key]) {
+            rows[key] = { period, tax: line.name, rate: parseFloat(line.rate), billed: 0, collected: 0 };
+        }
+        return rows[key];
+    };
+
+    const billedInvoices = await prisma.invoice.findMany({
+        where: {
+            createdAt: { gte: from, lte: to },
+            status: { notIn: ['draft', 'void'] },
+            taxAmount: { gt: 0 }
+        },
+        include: { taxLines: true }
+    });
+
+    for (const inv of billedInvoices) {
+        for (const line of inv.taxLines) {
+            row(periodKey(inv.createdAt), line).billed += parseFloat(line.amount);
+        }
+    }
+
+    const payments = await prisma.payment.findMany({
+        where: {
+            date: { gte: from, lte: to },
+            invoice: { taxAmount: { gt: 0 } }
+        },
+        include: { invoice: { include: { taxLines: true } } }
+    });
+
+    for (const payment of payments) {
+        const invoiceTotal = parseFloat(payment.invoice.amount);
+        if (invoiceTotal <= 0) continue;
+
+        const share = Math.min(1, parseFloat(payment.amount) / invoiceTotal);
+        for (const line of payment.invoice.taxLines) {
+            row(periodKey(payment.date), line).collected += parseFloat(line.amount) * share;
+        }
+    }
+
+    const lines = Object.values(rows)
+        .map(r => ({ ...r, billed: round2(r.billed), collected: round2(r.collected) }))
+        .sort((a, b) => a.period.localeCompare(b.period) || a.tax.localeCompare(b.tax));
+
+    const totals = lines.reduce((acc, r) => {
+        if (!acc[r.tax]) acc[r.tax] = { tax: r.tax, billed: 0, collected: 0 };
+        acc[r.tax].billed = round2(acc[r.tax].billed + r.billed);
+        acc[r.tax].collected = round2(acc[r.tax].collected + r.collected);
+        return acc;
+    }, {});
+
+    return { from, to, lines, totals: Object.values(totals) };
+};
+
+module.exports = {
+    round2,
+    getActiveTaxes,
+    calculateTaxes,
+    buildInvoiceAmounts,
+    recalculateInvoiceTaxes,
+    getTaxReport
+};
@@ -0,0 +1,290 @@
+const prisma = require('../config/prisma');
+const AppError = require('../utils/AppError');
+const EmailService = require('./email.service');
+const { sendSMS } = require('./sms.service');
+
+/**
+ * Message Template Service
+ * Outbound message text, editable per event type, channel and language.
+ *
+ * - Placeholders: {{tenant.firstName}}, {{invoice.balanceDue}}, {{unit.name}}... resolved from the
+ *   context object passed by the caller; unknown placeholders render as an empty string.
+ * - Sections: {{#login.password}}...{{/login.password}} renders only when the value is set.
+ * - A stored MessageTemplate in the recipient's language wins, then English, then the built-in
+ *   default below, so every event works before anyone edits a template.
+ * - Email templates can carry an HTML body; values are HTML-escaped there and the plain text
+ *   body is always sent alongside it.
+ */
+
+const TEMPLATE_CHANNELS = {
+    EMAIL: 'EMAIL',
+    SMS: 'SMS'
+};
+
+const DEFAULT_LANGUAGE = 'en';
+
+const SAMPLE_TENANT = { firstName: 'Jane', lastName: 'Doe', name: 'Jane Doe', email: 'jane.doe@example.com', phone: '+15555550123' };
+
+/**
+ * Events that send templated messages, with the variables they provide and built-in text
+ */
+const TEMPLATE_EVENTS = {
+    TENANT_INVITE: {
+        description: 'Portal invitation with login details, sent when a lease is activated',
+        variables: ['tenant.firstName', 'tenant.name', 'tenant.email', 'login.password', 'login.inviteLink', 'company.name'],
+        sample: { tenant: SAMPLE_TENANT, login: { password: '123456', inviteLink: 'https://portal.example.com/tenant/invite/abc123' } },
+        defaults: {
+            EMAIL: {
+                subject: 'Welcome - Your Portal Access',
+                body: 'Welcome to Property Management! \n\nYour login credentials for the portal: \nEmail: {{tenant.email}}'
+                    + '{{#login.password}} \nPassword: {{login.password}}{{/login.password}}'
+                    + ' \n\nAccess your portal here: {{login.inviteLink}}'
+            },
+            SMS: {
+                body: 'Welcome to Property Management! \n\nYour login credentials for the portal: \nEmail: {{tenant.email}}'
+                    + '{{#login.password}} \nPassword: {{login.password}}{{/login.password}}'
+                    + ' \n\nAccess your portal here: {{login.inviteLink}}'
+            }
+        }
+    },
+    INSURANCE_APPROVED: {
+        description: 'Tenant insurance policy approved by staff',
+        variables: ['tenant.firstName', 'tenant.name', 'insurance.id', 'company.name'],
+        sample: { tenant: SAMPLE_TENANT, insurance: { id: 42 } },
+        defaults: {
+            EMAIL: {
+                subject: 'Your insurance policy was approved',
+                body: 'Your insurance policy (ID: {{insurance.id}}) has been approved. Your status is now ACTIVE.'
+            }
+        }
+    },
+    INSURANCE_REJECTED: {
+        description: 'Tenant insurance policy rejected by staff',
+        variables: ['tenant.firstName', 'tenant.name', 'insurance.id', 'insurance.reason', 'company.name'],
+        sample: { tenant: SAMPLE_TENANT, insurance: { id: 42, reason: 'Liability coverage is below the required minimum' } },
+        defaults: {
+            EMAIL: {
+                subject: 'Your insurance policy was rejected',
+                body: 'Your insurance policy (ID: {{insurance.id}}) was rejected. Reason: {{insurance.reason}}. Please upload a corrected document.'
+            }
+        }
+    },
+    INSURANCE_EXPIRY: {
+        description: 'Tenant insurance policy about to expire',
+        variables: ['tenant.firstName', 'tenant.name', 'insurance.id', 'insurance.daysRemaining', 'company.name'],
+        sample: { tenant: SAMPLE_TENANT, insurance: { id: 42, daysRemaining: 30 } },
+        defaults: {
+            EMAIL: {
+                subject: 'Your insurance policy expires in {{insurance.daysRemaining}} days',
+                body: 'Your insurance policy (ID: {{insurance.id}}) expires in {{insurance.daysRemaining}} days. Please upload a new policy to remain compliant.'
+            }
+        }
+    },
+    SMS_AUTO_REPLY: {
+        description: 'Reply to a text message received from a tenant',
+        variables: ['tenant.firstName', 'tenant.name', 'company.name'],
+        sample: { tenant: SAMPLE_TENANT },
+        defaults: {
+            SMS: { body: 'Message received. We\'ll get back to you soon!' }
+        }
+    },
+    SMS_UNKNOWN_SENDER: {
+        description: 'Reply to the first text message from a number that matches no account (recorded as a lead)',
+        variables: ['company.name'],
+        sample: {},
+        defaults: {
+            SMS: { body: 'Thanks for contacting {{company.name}}! A member of our team will get back to you shortly.' }
+        }
+    },
+    SMS_HELP: {
+        description: 'Reply to the HELP keyword',
+        variables: ['company.name'],
+        sample: {},
+        defaults: {
+            SMS: { body: '{{company.name}}: reply BALANCE for your balance, TICKET followed by a description to report a maintenance issue, STOP to unsubscribe.' }
+        }
+    },
+    SMS_OPT_OUT: {
+        description: 'Confirmation after texting STOP',
+        variables: ['company.name'],
+        sample: {},
+        defaults: {
+            SMS: { body: 'You have been unsubscribed from {{company.name}} text messages. Reply START to subscribe again.' }
+        }
+    },
+    SMS_OPT_IN: {
+        description: 'Confirmation after texting START',
+        variables: ['company.name'],
+        sample: {},
+        defaults: {
+            SMS: { body: 'You are subscribed to {{company.name}} text messages again. Reply STOP to unsubscribe.' }
+        }
+    },
+    SMS_BALANCE: {
+        description: 'Reply to the BALANCE keyword',
+        variables: ['tenant.firstName', 'tenant.name', 'balance.amount', 'balance.openInvoices', 'company.name'],
+        sample: { tenant: SAMPLE_TENANT, balance: { amount: '1250.00', openInvoices: 1 } },
+        defaults: {
+            SMS: { body: 'Hi {{tenant.firstName}}, your current balance is ${{balance.amount}} ({{balance.openInvoices}} open invoice(s)).' }
+        }
+    },
+    SMS_TICKET_CREATED: {
+        description: 'Reply after a maintenance ticket is opened with the TICKET keyword',
+        variables: ['tenant.firstName', 'tenant.name', 'ticket.ref', 'ticket.subject', 'company.name'],
+        sample: { tenant: SAMPLE_TENANT, ticket: { ref: 'T-1042', subject: 'Kitchen sink is leaking' } },
+        defaults: {
+            SMS: { body: 'Thanks {{tenant.firstName}}, maintenance request {{ticket.ref}} has been opened. We\'ll be in touch soon.' }
+        }
+    },
+    SMS_ERROR: {
+        description: 'Reply when an incoming text message could not be processed',
+        variables: ['company.name'],
+        sample: {},
+        defaults: {
+            SMS: { body: 'Error processing your message. Please try again.' }
+        }
+    }
+};
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const lookup = (context, path) => path.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), context);
+
+/**
+ * Replace {{path.to.value}} placeholders with values from a context object.
+ * Unknown placeholders render as an empty string.
+ * @param {string} template
+ * @param {Object} context
+ * @param {Object} [options] - { html: escape values for an HTML body }
+ */
+const renderTemplate = (template, context, { html = false } = {}) => {
+    return String(template || '')
+        .replace(/\{\{#\s*([\w.]+)\s*\}\}([\s\S]*?)\{\{\/\s*\1\s*\}\}/g, (match, path, inner) => {
+            const value = lookup(context, path);
+            return value == null || value === '' || value === false ? '' : inner;
+        })
+        .replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, path) => {
+            const value = lookup(context, path);
+            if (value == null) return '';
+            return html ? escapeHtml(value) : String(value);
+        });
+};
+
+/**
+ * Template fields for a tenant or other user in the message context
+ * @param {Object} user
+ */
+const userContext = (user) => ({
+    firstName: user.firstName || user.name || '',
+    lastName: user.lastName || '',
+    name: user.name || '',
+    email: user.email || '',
+    phone: user.phone || ''
+});
+
+/**
+ * Template fields for the company (company.name)
+ */
+const companyContext = async () => {
+    const setting = await prisma.systemSetting.findUnique({ where: { key: 'companyName' } });
+    return { name: setting ? setting.value : '' };
+};
+
+/**
+ * Template to use for an event/channel/language: stored (recipient language, then English)
+ * or the built-in default
+ * @returns {Promise<Object|null>} { subject, body, htmlBody, language, source }
+ */
+const resolveTemplate = async (eventType, channel, language = DEFAULT_LANGUAGE) => {
+    const languages = [...new Set([language || DEFAULT_LANGUAGE, DEFAULT_LANGUAGE])];
+    const stored = await prisma.messageTemplate.findMany({
+        where: { eventType, channel, language: { in: languages }, active: true }
+    });
+
+    for (const lang of languages) {
+        const template = stored.find(t => t.language === lang);
+        if (template) return { subject: template.subject, body: template.body, htmlBody: template.htmlBody, language: lang, source: 'custom', id: template.id };
+    }
+
+    const event = TEMPLATE_EVENTS[eventType];
+    const fallback = event && event.defaults[channel];
+    if (!fallback) return null;
+    return { subject: fallback.subject || null, body: fallback.body, htmlBody: fallback.htmlBody || null, language: DEFAULT_LANGUAGE, source: 'default' };
+};
+
+/**
+ * Render a template with a context. company.name is filled in when the caller did not set it.
+ * @param {Object} template - { subject, body, htmlBody }
+ * @param {Object} context
+ * @returns {Promise<{ subject: string|null, text: string, html: string|null }>}
+ */
+const renderWith = async (template, context = {}) => {
+    const fullContext = context.company ? context : { ...context, company: await companyContext() };
+    return {
+        subject: template.subject ? renderTemplate(template.subject, fullContext) : null,
+        text: renderTemplate(template.body, fullContext),
+        html: template.htmlBody ? renderTemplate(template.htmlBody, fullContext, { html: true }) : null
+    };
+};
+
+/**
+ * Resolve and render the message for an event
+ * @param {string} eventType
+ * @param {string} channel - EMAIL or SMS
+ * @param {Object} context
+ * @param {string} [language]
+ */
+const renderMessage = async (eventType, channel, context, language = DEFAULT_LANGUAGE) => {
+    const template = await resolveTemplate(eventType, channel, language);
+    if (!template) throw new AppError(`No ${channel} template for ${eventType}`, 500);
+    return { ...(await renderWith(template, context)), language: template.language, source: template.source };
+};
+
+/**
+ * Send a templated email
+ * @param {string} to
+ * @param {string} eventType
+ * @param {Object} context
+ * @param {Object} [options] - { language } plus the EmailService.sendEmail log options
+ */
+const sendTemplatedEmail = async (to, eventType, context, { language, ...options } = {}) => {
+    const message = await renderMessage(eventType, TEMPLATE_CHANNELS.EMAIL, context, language);
+    const result = await EmailService.sendEmail(to, message.subject || eventType, message.text, {
+        eventType,
+        ...options,
+        html: message.html
+    });
+    return { ...result, message };
+};
+
+/**
+ * Send a templated SMS
+ * @param {string} to
+ * @param {string} eventType
+ * @param {Object} context
+ * @param {Object} [options] - { language } plus the sms.service sendSMS options (purpose, eventType, recipientId...)
+ */
+const sendTemplatedSMS = async (to, eventType, context, { language, ...options } = {}) => {
+    const message = await renderMessage(eventType, TEMPLATE_CHANNELS.SMS, context, language);
+    const result = await sendSMS(to, message.text, { eventType, ...options });
+    return { ...result, message };
+};
+
+module.exports = {
+    TEMPLATE_CHANNELS,
+    TEMPLATE_EVENTS,
+    DEFAULT_LANGUAGE,
+    renderTemplate,
+    userContext,
+    companyContext,
+    resolveTemplate,
+    renderWith,
+    renderMessage,
+    sendTemplatedEmail,
+    sendTemplatedSMS
+};
@@ -0,0 +1,456 @@
+const prisma = require('../config/prisma');
+const AppError = require('../utils/AppError');
+const EmailService = require('./email.service');
+const outbox = require('./outbox.service');
+const { getIntSetting } = require('./settings.service');
+const { TICKET_STATUS, TICKET_PRIORITY } = require('../constants/statuses');
+const { STAFF_ROLES } = require('../constants/permissions');
+
+/**
+ * Ticket Service
+ * Work-order lifecycle for maintenance tickets.
+ *
+ * - Status moves only along TRANSITIONS; every move is recorded as a TicketEvent
+ *   and the tenant is notified (email / SMS per their notification preferences).
+ * - SLA: each priority has a response target (time to assignment or first staff reply)
+ *   and a resolution target, in hours. Defaults below, overridable with the
+ *   `ticket_sla_response_hours_<priority>` / `ticket_sla_resolution_hours_<priority>` settings.
+ * - "Awaiting Parts" pauses the resolution clock; the due date is pushed out by the pause.
+ * - Breaches are flagged (responseBreachedAt / resolutionBreachedAt) by checkSlaBreaches.
+ *   Reopening starts a new resolution target and clears the flags of the previous round.
+ */
+
+const TRANSITIONS = {
+    [TICKET_STATUS.OPEN]: [TICKET_STATUS.ASSIGNED, TICKET_STATUS.CLOSED],
+    [TICKET_STATUS.ASSIGNED]: [TICKET_STATUS.IN_PROGRESS, TICKET_STATUS.OPEN, TICKET_STATUS.CLOSED],
+    [TICKET_STATUS.IN_PROGRESS]: [TICKET_STATUS.AWAITING_PARTS, TICKET_STATUS.RESOLVED],
+    [TICKET_STATUS.AWAITING_PARTS]: [TICKET_STATUS.IN_PROGRESS, TICKET_STATUS.RESOLVED],
+    [TICKET_STATUS.RESOLVED]: [TICKET_STATUS.CLOSED, TICKET_STATUS.REOPENED],
+    [TICKET_STATUS.CLOSED]: [TICKET_STATUS.REOPENED],
+    [TICKET_STATUS.REOPENED]: [TICKET_STATUS.ASSIGNED, TICKET_STATUS.IN_PROGRESS, TICKET_STATUS.CLOSED]
+};
+
+const SLA_DEFAULT_HOURS = {
+    [TICKET_PRIORITY.URGENT]: { response: 1, resolution: 24 },
+    [TICKET_PRIORITY.HIGH]: { response: 4, resolution: 72 },
+    [TICKET_PRIORITY.MEDIUM]: { response: 24, resolution: 168 },
+    [TICKET_PRIORITY.LOW]: { response: 48, resolution: 336 }
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Tenant fields needed for notifications; tickets are returned to clients, so never the whole user row
+const TICKET_USER_SELECT = { id: true, name: true, email: true, phone: true, notifyByEmail: true, notifyBySms: true };
+const ACTIVE_STATUSES = Object.values(TICKET_STATUS).filter(s => ![TICKET_STATUS.RESOLVED, TICKET_STATUS.CLOSED].includes(s));
+
+// Statuses written before the state machine existed
+const LEGACY_STATUSES = {
+    pending: TICKET_STATUS.OPEN,
+    new: TICKET_STATUS.OPEN,
+    inprogress: TICKET_STATUS.IN_PROGRESS,
+    completed: TICKET_STATUS.RESOLVED,
+    done: TICKET_STATUS.RESOLVED,
+    cancelled: TICKET_STATUS.CLOSED
+};
+
+const normalizeStatus = (status) => {
+    const key = String(status || '').trim().toLowerCase();
+    const match = Object.values(TICKET_STATUS).find(s => s.toLowerCase() === key);
+    return match || LEGACY_STATUSES[key.replace(/[\s_-]/g, '')] || null;
+};
+
+const normalizePriority = (priority) => {
+    const key = String(priority || '').trim().toLowerCase();
+    if (key === 'emergency' || key === 'critical') return TICKET_PRIORITY.URGENT;
+    return Object.values(TICKET_PRIORITY).find(p => p.toLowerCase() === key) || null;
+};
+
+const canTransition = (from, to) => (TRANSITIONS[normalizeStatus(from) || TICKET_STATUS.OPEN] || []).includes(to);
+
+// 'T-1005' (as shown to users) or the raw id
+const parseTicketRef = (ref) => {
+    const match = /^T-(\d+)$/i.exec(String(ref || ''));
+    return match ? parseInt(match[1]) - 1000 : parseInt(ref);
+};
+
+const ticketRef = (ticket) => `T-${ticket.id + 1000}`;
+
+/**
+ * Response and resolution due dates for a priority, measured from `from`
+ * @param {string} priority
+ * @param {Date} [from]
+ * @param {Object} [client] - Prisma client or transaction
+ */
+const calculateSlaTargets = async (priority, from = new Date(), client = prisma) => {
+    const level = normalizePriority(priority) || TICKET_PRIORITY.LOW;
+    const defaults = SLA_DEFAULT_HOURS[level];
+    const key = level.toLowerCase();
+
+    const responseHours = await getIntSetting(`ticket_sla_response_hours_${key}`, defaults.response, { min: 1 }, client);
+    const resolutionHours = await getIntSetting(`ticket_sla_resolution_hours_${key}`, defaults.resolution, { min: 1 }, client);
+
+    return {
+        responseDueAt: new Date(from.getTime() + responseHours * HOUR_MS),
+        resolutionDueAt: new Date(from.getTime() + resolutionHours * HOUR_MS)
+    };
+};
+
+/**
+ * SLA view of a ticket for API responses
+ * @param {Object} ticket
+ * @param {Date} [now]
+ */
+const slaStatus = (ticket, now = new Date()) => {
+    const status = normalizeStatus(ticket.status);
+    const open = ACTIVE_STATUSES.includes(status);
+
+    const responseBreached = Boolean(ticket.responseBreachedAt)
+        || Boolean(!ticket.firstRespondedAt && ticket.responseDueAt && ticket.responseDueAt < now && open);
+    const resolutionBreached = Boolean(ticket.resolutionBreachedAt)
+        || Boolean(ticket.resolutionDueAt && ticket.resolutionDueAt < now && open && !ticket.slaPausedAt);
+
+    return {
+        responseDueAt: ticket.responseDueAt,
+        resolutionDueAt: ticket.resolutionDueAt,
+        firstRespondedAt: ticket.firstRespondedAt,
+        paused: Boolean(ticket.slaPausedAt),
+        responseBreached,
+        resolutionBreached
+    };
+};
+
+const notifyTenant = async (ticket, message) => {
+    const tenant = ticket.user || await prisma.user.findUnique({ where: { id: ticket.userId }, select: TICKET_USER_SELECT });
+    if (!tenant) return;
+
+    const subject = `Maintenance request ${ticketRef(ticket)}: ${ticket.subject}`;
+
+    if (tenant.notifyByEmail && tenant.email) {
+        await EmailService.sendEmail(tenant.email, subject, message, {
+            eventType: 'TICKET_UPDATE',
+            recipientId: tenant.id,
+            relatedEntity: 'Ticket',
+            entityId: ticket.id
+        });
+    }
+
+    // The outbox applies opt-outs and quiet hours and retries failed texts
+    if (tenant.notifyBySms && tenant.phone) {
+        await outbox.enqueue({
+            channel: 'SMS',
+            eventType: 'TICKET_UPDATE',
+            recipient: tenant.phone,
+            recipientId: tenant.id,
+            relatedEntity: 'Ticket',
+            entityId: ticket.id,
+            content: `${ticketRef(ticket)}: ${message}`
+        });
+    }
+};
+
+// Notifications never fail the request that triggered them
+const notifyTenantSafely = (ticket, message) => {
+    notifyTenant(ticket, message).catch(error => {
+        console.error(`[Tickets] Failed to notify tenant for ticket ${ticket.id}:`, error.message);
+    });
+};
+
+const statusMessage = (ticket, status, note) => {
+    const text = {
+        [TICKET_STATUS.ASSIGNED]: 'has been assigned to a technician',
+        [TICKET_STATUS.IN_PROGRESS]: 'is now in progress',
+        [TICKET_STATUS.AWAITING_PARTS]: 'is waiting on parts',
+        [TICKET_STATUS.RESOLVED]: 'has been resolved. Reply or reopen it if the problem persists',
+        [TICKET_STATUS.CLOSED]: 'has been closed',
+        [TICKET_STATUS.REOPENED]: 'has been reopened',
+        [TICKET_STATUS.OPEN]: 'is back in the queue'
+    }[status];
+
+    return `Your maintenance request "${ticket.subject}" ${text}.${note ? ` Note: ${note}` : ''}`;
+};
+
+/**
+ * Create a ticket with SLA targets and its opening history event
+ * @param {Object} data - Ticket fields (userId, subject, description, priority, ...)
+ * @param {Object} [options] - { actorId, tx (create inside the caller's transaction) }
+ */
+const createTicket = async (data, { actorId = null, tx = null } = {}) => {
+    const priority = normalizePriority(data.priority) || TICKET_PRIORITY.LOW;
+    const now = new Date();
+
+    const create = async (client) => {
+        const targets = await calculateSlaTargets(priority, now, client);
+        return client.ticket.create({
+            data: {
+                ...data,
+                priority,
+                status: TICKET_STATUS.OPEN,
+                ...targets,
+                events: {
+                    create: { toStatus: TICKET_STATUS.OPEN, actorId: actorId || data.userId, note: 'Ticket created' }
+                }
+            }
+        });
+    };
+
+    return tx ? create(tx) : prisma.$transaction(create);
+};
+
+/**
+ * Move a ticket to a new status
+ * @param {number} ticketId
+ * @param {string} toStatus
+ * @param {Object} [options] - { actorId, note, notify }
+ */
+const transitionTicket = async (ticketId, toStatus, { actorId = null, note = null, notify = true } = {}) => {
+    const target = normalizeStatus(toStatus);
+    if (!target) throw new AppError(`Unknown status. Use one of: ${Object.values(TICKET_STATUS).join(', ')}`, 400);
+
+    const ticket = await prisma.$transaction(async (tx) => {
+        const current = await tx.ticket.findUnique({ where: { id: ticketId } });
+        if (!current) throw new AppError('Ticket not found', 404);
+
+        const from = normalizeStatus(current.status) || TICKET_STATUS.OPEN;
+        if (!canTransition(from, target)) {
+            throw new AppError(`Cannot move a ticket from ${from} to ${target}. Allowed: ${(TRANSITIONS[from] || []).join(', ') || 'none'}`, 400);
+        }
+        if (target === TICKET_STATUS.ASSIGNED && !current.assignedToId && !current.assignedVendor) {
+            throw new AppError('Assign the ticket to a staff member or vendor first', 400);
+        }
+
+        const now = new Date();
+        const data = { status: target };
+
+        if (!current.firstRespondedAt && target !== TICKET_STATUS.CLOSED) data.firstRespondedAt = now;
+
+        // Resume the resolution clock, pushing the due date out by the time spent waiting
+        if (current.slaPausedAt && target !== TICKET_STATUS.AWAITING_PARTS) {
+            const pausedMs = now - current.slaPausedAt;
+            data.slaPausedAt = null;
+            if (current.resolutionDueAt) data.resolutionDueAt = new Date(current.resolutionDueAt.getTime() + pausedMs);
+        }
+
+        switch (target) {
+            case TICKET_STATUS.AWAITING_PARTS:
+                data.slaPausedAt = now;
+                break;
+            case TICKET_STATUS.RESOLVED:
+                data.resolvedAt = now;
+                break;
+            case TICKET_STATUS.CLOSED:
+                data.closedAt = now;
+                data.resolvedAt = current.resolvedAt || now;
+                break;
+            case TICKET_STATUS.REOPENED: {
+                const { resolutionDueAt } = await calculateSlaTargets(current.priority, now, tx);
+                data.resolvedAt = null;
+                data.closedAt = null;
+                data.resolutionDueAt = resolutionDueAt;
+                // A new round: not breached yet, and checkSlaBreaches can flag the new deadline
+                data.resolutionBreachedAt = null;
+                data.responseBreachedAt = null;
+                break;
+            }
+            case TICKET_STATUS.OPEN:
+                data.assignedToId = null;
+                data.vendorId = null;
+                data.assignedVendor = null;
+                break;
+        }
+
+        // Conditional update: a concurrent transition wins, this one fails cleanly
+        const { count } = await tx.ticket.updateMany({
+            where: { id: ticketId, status: current.status },
+            data
+        });
+        if (count === 0) throw new AppError('Ticket was updated by someone else. Refresh and try again.', 409);
+
+        await tx.ticketEvent.create({
+            data: { ticketId, fromStatus: from, toStatus: target, actorId, note }
+        });
+
+        return tx.ticket.findUnique({ where: { id: ticketId }, include: { user: { select: TICKET_USER_SELECT } } });
+    });
+
+    if (notify) notifyTenantSafely(ticket, statusMessage(ticket, target, note));
+    return ticket;
+};
+
+/**
+ * Assign a ticket to a staff member or a vendor from the directory and move it to Assigned.
+ * A free-text `vendor` name is still accepted for one-off contractors.
+ * @param {number} ticketId
+ * @param {Object} params - { assigneeId, vendorId, vendor, actorId, note }
+ */
+const assignTicket = async (ticketId, { assigneeId = null, vendorId = null, vendor = null, actorId = null, note = null }) => {
+    if (!assigneeId && !vendorId && !vendor) throw new AppError('Choose a staff member or vendor to assign', 400);
+
+    if (assigneeId) {
+        const assignee = await prisma.user.findUnique({ where: { id: assigneeId } });
+        if (!assignee || !STAFF_ROLES.includes(assignee.role)) throw new AppError('Assignee must be a staff member', 400);
+    }
+
+    if (vendorId) {
+        const directoryVendor = await prisma.vendor.findUnique({ where: { id: vendorId } });
+        if (!directoryVendor) throw new AppError('Vendor not found', 404);
+        if (directoryVendor.status !== 'Active') throw new AppError('Vendor is inactive', 400);
+        vendor = directoryVendor.name;
+    }
+
+    const ticket = await prisma.ticket.findUnique({ where: { id: ticketId } });
+    if (!ticket) throw new AppError('Ticket not found', 404);
+
+    const status = normalizeStatus(ticket.status) || TICKET_STATUS.OPEN;
+
+    await prisma.$transaction([
+        prisma.ticket.update({
+            where: { id: ticketId },
+            data: { assignedToId: assigneeId, vendorId, assignedVendor: vendor }
+        }),
+        prisma.ticketEvent.create({
+            data: {
+                ticketId,
+                fromStatus: status,
+                toStatus: status,
+                actorId,
+                note: `Assigned to ${vendor || `staff #${assigneeId}`}${note ? `: ${note}` : ''}`
+            }
+        })
+    ]);
+
+    // Re-assignment of a ticket already being worked keeps its status
+    if ([TICKET_STATUS.OPEN, TICKET_STATUS.REOPENED].includes(status)) {
+        return transitionTicket(ticketId, TICKET_STATUS.ASSIGNED, { actorId, note });
+    }
+    return prisma.ticket.findUnique({ where: { id: ticketId } });
+};
+
+/**
+ * Add a comment to a ticket thread
+ * @param {number} ticketId
+ * @param {Object} params - { authorId, body, parentId, isInternal, fromTenant }
+ */
+const addComment = async (ticketId, { authorId, body, parentId = null, isInternal = false, fromTenant = false }) => {
+    if (!body || !String(body).trim()) throw new AppError('Comment cannot be empty', 400);
+
+    const ticket = await prisma.ticket.findUnique({ where: { id: ticketId }, include: { user: { select: TICKET_USER_SELECT } } });
+    if (!ticket) throw new AppError('Ticket not found', 404);
+
+    if (parentId) {
+        const parent = await prisma.ticketComment.findUnique({ where: { id: parentId } });
+        if (!parent || parent.ticketId !== ticketId || (fromTenant && parent.isInternal)) {
+            throw new AppError('Reply target not found on this ticket', 400);
+        }
+    }
+
+    const comment = await prisma.ticketComment.create({
+        data: {
+            ticketId,
+            authorId,
+            parentId,
+            body: String(body).trim(),
+            // Tenants can never post internal notes
+            isInternal: fromTenant ? false : Boolean(isInternal)
+        },
+        include: { author: { select: { id: true, name: true, role: true } } }
+    });
+
+    // A public staff reply counts as the first response
+    if (!fromTenant && !comment.isInternal) {
+        if (!ticket.firstRespondedAt) {
+            await prisma.ticket.update({ where: { id: ticketId }, data: { firstRespondedAt: comment.createdAt } });
+        }
+        notifyTenantSafely(ticket, `New reply on your maintenance request "${ticket.subject}": ${comment.body}`);
+    }
+
+    return comment;
+};
+
+// Nest replies under their parent comment
+const threadComments = (comments) => {
+    const byId = {};
+    comments.forEach(c => { byId[c.id] = { ...c, replies: [] }; });
+
+    const roots = [];
+    comments.forEach(c => {
+        if (c.parentId && byId[c.parentId]) byId[c.parentId].replies.push(byId[c.id]);
+        else roots.push(byId[c.id]);
+    });
+    return roots;
+};
+
+/**
+ * Ticket with its comment thread and status history
+ * @param {number} ticketId
+ * @param {Object} [options] - { forTenantId: restrict to this tenant and hide internal notes }
+ */
+const getTicketDetail = async (ticketId, { forTenantId = null } = {}) => {
+    const ticket = await prisma.ticket.findUnique({
+        where: { id: ticketId },
+        include: {
+            user: { select: { id: true, name: true, email: true, phone: true } },
+            assignedTo: { select: { id: true, name: true } },
+            vendor: { select: { id: true, name: true, phone: true, email: true } },
+            comments: {
+                where: forTenantId ? { isInternal: false } : {},
+                include: { author: { select: { id: true, name: true, role: true } } },
+                orderBy: { createdAt: 'asc' }
+            },
+            events: {
+                include: { actor: { select: { id: true, name: true } } },
+                orderBy: { createdAt: 'asc' }
+            }
+        }
+    });
+    if (!ticket || (forTenantId && ticket.userId !== forTenantId)) return null;
+
+    return {
+        ...ticket,
+        ref: ticketRef(ticket),
+        status: normalizeStatus(ticket.status) || ticket.status,
+        allowedTransitions: TRANSITIONS[normalizeStatus(ticket.status) || TICKET_STATUS.OPEN],
+        sla: slaStatus(ticket),
+        comments: threadComments(ticket.comments)
+    };
+};
+
+/**
+ * Flag tickets whose response or resolution target has passed
+ * @param {Object} [options] - { now }
+ */
+const checkSlaBreaches = async ({ now = new Date() } = {}) => {
+    const active = { status: { in: ACTIVE_STATUSES } };
+
+    const response = await prisma.ticket.updateMany({
+        where: { ...active, firstRespondedAt: null, responseBreachedAt: null, responseDueAt: { lt: now } },
+        data: { responseBreachedAt: now }
+    });
+
+    const resolution = await prisma.ticket.updateMany({
+        where: { ...active, slaPausedAt: null, resolutionBreachedAt: null, resolutionDueAt: { lt: now } },
+        data: { resolutionBreachedAt: now }
+    });
+
+    if (response.count || resolution.count) {
+        console.log(`[Tickets] SLA breaches flagged. Response: ${response.count}, Resolution: ${resolution.count}`);
+    }
+    return { responseBreaches: response.count, resolutionBreaches: resolution.count };
+};
+
+module.exports = {
+    TRANSITIONS,
+    SLA_DEFAULT_HOURS,
+    normalizeStatus,
+    normalizePriority,
+    canTransition,
+    parseTicketRef,
+    ticketRef,
+    calculateSlaTargets,
+    slaStatus,
+    createTicket,
+    transitionTicket,
+    assignTicket,
+    addComment,
+    getTicketDetail,
+    checkSlaBreaches
+};
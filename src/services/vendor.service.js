@@ -0,0 +1,230 @@
+const prisma = require('../config/prisma');
+const { round2 } = require('./tax.service');
+const { getIntSetting } = require('./settings.service');
+const { ticketRef } = require('./ticket.service');
+const { taskRef } = require('./maintenance.service');
+
+/**
+ * Vendor Service
+ * Compliance and spend figures for the vendor directory.
+ *
+ * - Compliance documents are Document rows linked to the vendor: type 'W9' (no expiry)
+ *   and 'COI' (certificate of insurance, expiry in Document.expiryDate). A COI is
+ *   "Expiring" within `vendor_coi_warning_days` (default 30) of its expiry.
+ * - Spend is the sum of WorkOrderCost rows carrying the vendor, split per property.
+ * - Job history is every ticket and maintenance task the vendor was linked to.
+ */
+
+const VENDOR_DOCUMENT_TYPES = {
+    W9: 'W9',
+    COI: 'COI'
+};
+
+const VENDOR_TRADES = [
+    'General Contractor',
+    'Plumbing',
+    'Electrical',
+    'HVAC',
+    'Appliance Repair',
+    'Carpentry',
+    'Painting',
+    'Flooring',
+    'Roofing',
+    'Locksmith',
+    'Pest Control',
+    'Cleaning',
+    'Landscaping',
+    'Snow Removal',
+    'Fire Safety',
+    'Elevator',
+    'Other'
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Trades and service areas are stored as JSON arrays of strings
+const parseList = (value) => {
+    if (!value) return [];
+    try {
+        const list = JSON.parse(value);
+        return Array.isArray(list) ? list : [];
+    } catch (e) {
+        return String(value).split(',').map(v => v.trim()).filter(Boolean);
+    }
+};
+
+const serializeList = (value) => {
+    const list = Array.isArray(value) ? value : parseList(value);
+    const clean = [...new Set(list.map(v => String(v).trim()).filter(Boolean))];
+    return clean.length > 0 ? JSON.stringify(clean) : null;
+};
+
+/**
+ * W-9 / COI status from a vendor's documents
+ * @param {Array} documents - Document rows linked to the vendor
+ * @param {number} warningDays
+ * @param {Date} [now]
+ */
+const complianceStatus = (documents, warningDays, now = new Date()) => {
+    const byType = (type) => documents
+        .filter(d => String(d.type).toUpperCase() === type)
+        .sort((a, b) => (b.expiryDate || b.createdAt) - (a.expiryDate || a.createdAt));
+
+    const w9 = byType(VENDOR_DOCUMENT_TYPES.W9)[0] || null;
+    const coi = byType(VENDOR_DOCUMENT_TYPES.COI)[0] || null;
+
+    let coiStatus = 'Missing';
+    if (coi) {
+        if (!coi.expiryDate) coiStatus = 'No Expiry Date';
+        else if (coi.expiryDate < now) coiStatus = 'Expired';
+        else if (coi.expiryDate - now <= warningDays * DAY_MS) coiStatus = 'Expiring';
+        else coiStatus = 'Valid';
+    }
+
+    return {
+        w9: w9 ? 'On File' : 'Missing',
+        w9DocumentId: w9 ? w9.id : null,
+        coi: coiStatus,
+        coiDocumentId: coi ? coi.id : null,
+        coiExpiryDate: coi ? coi.expiryDate : null,
+        compliant: Boolean(w9) && ['Valid', 'Expiring'].includes(coiStatus)
+    };
+};
+
+const getWarningDays = () => getIntSetting('vendor_coi_warning_days', 30, { min: 0, max: 365 });
+
+/**
+ * Compliance for a list of vendors, keyed by vendor id
+ * @param {Array<number>} vendorIds
+ */
+const getComplianceForVendors = async (vendorIds) => {
+    const warningDays = await getWarningDays();
+    const documents = await prisma.document.findMany({
+        where: {
+            vendorId: { in: vendorIds },
+            type: { in: Object.values(VENDOR_DOCUMENT_TYPES) }
+        }
+    });
+
+    const result = {};
+    vendorIds.forEach(id => {
+        result[id] = complianceStatus(documents.filter(d => d.vendorId === id), warningDays);
+    });
+    return result;
+};
+
+/**
+ * Vendor spend per property over an optional date range
+ * @param {Object} [filters] - { vendorId, propertyId, from, to }
+ * @returns {Promise<Array<{ vendorId, vendor, propertyId, property, jobs, total }>>}
+ */
+const getSpendByProperty = async ({ vendorId = null, propertyId = null, from = null, to = null } = {}) => {
+    const where = { vendorId: vendorId || { not: null } };
+    if (propertyId) where.propertyId = propertyId;
+    if (from || to) where.incurredAt = { ...(from ? { gte: from } : {}), ...(to ? { lte: to } : {}) };
+
+    const costs = await prisma.workOrderCost.findMany({
+        where,
+        include: {
+            vendor: { select: { id: true, name: true } },
+            property: { select: { id: true, name: true } }
+        }
+    });
+
+    const rows = {};
+    costs.forEach(cost => {
+        const key = `${cost.vendorId}|${cost.propertyId || 0}`;
+        if (!rows[key]) {
+            rows[key] = {
+                vendorId: cost.vendorId,
+                vendor: cost.vendor.name,
+                propertyId: cost.propertyId,
+                property: cost.property ? cost.property.name : 'General',
+                jobs: new Set(),
+                total: 0
+            };
+        }
+        rows[key].jobs.add(cost.ticketId ? `T${cost.ticketId}` : `M${cost.maintenanceTaskId}`);
+        rows[key].total = round2(rows[key].total + parseFloat(cost.amount));
+    });
+
+    return Object.values(rows)
+        .map(r => ({ ...r, jobs: r.jobs.size }))
+        .sort((a, b) => a.vendor.localeCompare(b.vendor) || a.property.localeCompare(b.property));
+};
+
+/**
+ * Tickets and maintenance tasks a vendor worked, newest first, with the cost of each
+ * @param {number} vendorId
+ */
+const getJobHistory = async (vendorId) => {
+    const [tickets, tasks, costs] = await Promise.all([
+        prisma.ticket.findMany({
+            where: { vendorId },
+            select: { id: true, subject: true, status: true, priority: true, propertyId: true, createdAt: true, resolvedAt: true },
+            orderBy: { createdAt: 'desc' }
+        }),
+        prisma.maintenanceTask.findMany({
+            where: { vendorId },
+            include: { property: { select: { id: true, name: true } } },
+            orderBy: { dueDate: 'desc' }
+        }),
+        prisma.workOrderCost.groupBy({
+            by: ['ticketId', 'maintenanceTaskId'],
+            where: { vendorId },
+            _sum: { amount: true }
+        })
+    ]);
+
+    const propertyIds = [...new Set(tickets.map(t => t.propertyId).filter(Boolean))];
+    const properties = await prisma.property.findMany({
+        where: { id: { in: propertyIds } },
+        select: { id: true, name: true }
+    });
+    const propertyName = (id) => (properties.find(p => p.id === id) || {}).name || 'General';
+
+    const costOf = (match) => {
+        const row = costs.find(match);
+        return row ? round2(parseFloat(row._sum.amount || 0)) : 0;
+    };
+
+    const jobs = [
+        ...tickets.map(t => ({
+            type: 'Ticket',
+            id: t.id,
+            ref: ticketRef(t),
+            title: t.subject,
+            status: t.status,
+            property: propertyName(t.propertyId),
+            propertyId: t.propertyId,
+            date: t.createdAt,
+            completedAt: t.resolvedAt,
+            cost: costOf(c => c.ticketId === t.id)
+        })),
+        ...tasks.map(t => ({
+            type: 'Maintenance',
+            id: t.id,
+            ref: taskRef(t),
+            title: t.name,
+            status: t.status,
+            property: t.property ? t.property.name : 'General',
+            propertyId: t.propertyId,
+            date: t.dueDate,
+            completedAt: t.completedAt,
+            cost: costOf(c => c.maintenanceTaskId === t.id)
+        }))
+    ];
+
+    return jobs.sort((a, b) => new Date(b.date) - new Date(a.date));
+};
+
+module.exports = {
+    VENDOR_DOCUMENT_TYPES,
+    VENDOR_TRADES,
+    parseList,
+    serializeList,
+    complianceStatus,
+    getComplianceForVendors,
+    getSpendByProperty,
+    getJobHistory
+};
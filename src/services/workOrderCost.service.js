@@ -0,0 +1,318 @@
+const prisma = require('../config/prisma');
+const AppError = require('../utils/AppError');
+const documentService = require('./documentService');
+const { round2, buildInvoiceAmounts } = require('./tax.service');
+const { allocateInvoiceNumber } = require('./numbering.service');
+const { postWorkOrderCost, syncInvoicePosting } = require('./ledger.service');
+const { toPeriod, periodLabel } = require('./billing.service');
+const { getIntSetting } = require('./settings.service');
+
+/**
+ * Work Order Cost Service
+ * Cost lines recorded against a ticket or maintenance task. Each line carries the
+ * job's property and (by default) the job's vendor, so spend can be reported per
+ * vendor per building.
+ *
+ * - Every line is an expense: Dr Repairs & Maintenance / Cr Accounts Payable, reversed on delete.
+ * - Lines flagged `billToTenant` are recharged with createChargeback: one SERVICE invoice per
+ *   run, taxed like any service fee, with the ticket photos attached. A line is billed once
+ *   (WorkOrderCost.invoiceId) and cannot be edited or deleted afterwards.
+ */
+
+const COST_TYPES = {
+    LABOUR: 'Labour',
+    MATERIAL: 'Material',
+    OTHER: 'Other'
+};
+
+const COST_INCLUDE = {
+    vendor: { select: { id: true, name: true } },
+    invoice: { select: { id: true, invoiceNo: true, status: true } }
+};
+
+const normalizeCostType = (type) => {
+    if (!type) return COST_TYPES.LABOUR;
+    const key = String(type).trim().toLowerCase();
+    if (key === 'labor') return COST_TYPES.LABOUR;
+    if (key === 'materials' || key === 'parts') return COST_TYPES.MATERIAL;
+    return Object.values(COST_TYPES).find(t => t.toLowerCase() === key) || null;
+};
+
+const jobWhere = ({ ticketId, maintenanceTaskId }) => (ticketId ? { ticketId } : { maintenanceTaskId });
+
+const loadJob = async (client, { ticketId, maintenanceTaskId }) => {
+    if (ticketId) {
+        const ticket = await client.ticket.findUnique({ where: { id: ticketId } });
+        if (!ticket) throw new AppError('Ticket not found', 404);
+        return { ticketId, propertyId: ticket.propertyId, vendorId: ticket.vendorId, job: ticket };
+    }
+
+    const task = await client.maintenanceTask.findUnique({ where: { id: maintenanceTaskId } });
+    if (!task) throw new AppError('Maintenance task not found', 404);
+    return { maintenanceTaskId, propertyId: task.propertyId, vendorId: task.vendorId, job: task };
+};
+
+const parseAmount = (amount) => {
+    const value = round2(parseFloat(amount));
+    if (isNaN(value) || value <= 0) throw new AppError('Amount must be greater than 0', 400);
+    return value;
+};
+
+const parseCostType = (costType) => {
+    const type = normalizeCostType(costType);
+    if (!type) throw new AppError(`Unknown cost type. Use one of: ${Object.values(COST_TYPES).join(', ')}`, 400);
+    return type;
+};
+
+/**
+ * Record a cost line on a ticket or maintenance task and post it as an expense
+ * @param {Object} params - { ticketId | maintenanceTaskId, vendorId, costType, description, amount, billToTenant, incurredAt, createdById }
+ */
+const addCost = async ({ ticketId = null, maintenanceTaskId = null, vendorId, costType, description, amount, billToTenant = false, incurredAt, createdById = null }) => {
+    const value = parseAmount(amount);
+    const type = parseCostType(costType);
+    if (!description) throw new AppError('Description is required', 400);
+
+    const job = await loadJob(prisma, { ticketId, maintenanceTaskId });
+    const costVendorId = vendorId !== undefined ? vendorId : job.vendorId;
+
+    if (costVendorId) {
+        const vendor = await prisma.vendor.findUnique({ where: { id: costVendorId } });
+        if (!vendor) throw new AppError('Vendor not found', 404);
+    }
+
+    return prisma.$transaction(async (tx) => {
+        const cost = await tx.workOrderCost.create({
+            data: {
+                ticketId: job.ticketId || null,
+                maintenanceTaskId: job.maintenanceTaskId || null,
+                propertyId: job.propertyId || null,
+                vendorId: costVendorId || null,
+                costType: type,
+                description,
+                amount: value,
+                billToTenant: Boolean(billToTenant),
+                incurredAt: incurredAt ? new Date(incurredAt) : new Date(),
+                createdById
+            },
+            include: COST_INCLUDE
+        });
+
+        await postWorkOrderCost(tx, cost);
+        return cost;
+    });
+};
+
+/**
+ * Cost lines of a ticket or maintenance task with their totals
+ * @param {Object} params - { ticketId | maintenanceTaskId }
+ */
+const getCosts = async ({ ticketId = null, maintenanceTaskId = null }) => {
+    await loadJob(prisma, { ticketId, maintenanceTaskId });
+
+    const costs = await prisma.workOrderCost.findMany({
+        where: jobWhere({ ticketId, maintenanceTaskId }),
+        include: COST_INCLUDE,
+        orderBy: { incurredAt: 'asc' }
+    });
+
+    const sum = (rows) => round2(rows.reduce((total, c) => total + parseFloat(c.amount), 0));
+    const byType = {};
+    Object.values(COST_TYPES).forEach(type => { byType[type] = sum(costs.filter(c => c.costType === type)); });
+
+    return {
+        costs,
+        total: sum(costs),
+        byType,
+        billToTenant: sum(costs.filter(c => c.billToTenant)),
+        unbilled: sum(costs.filter(c => c.billToTenant && !c.invoiceId))
+    };
+};
+
+/**
+ * Edit a cost line that has not been billed to a tenant yet.
+ * Amount changes re-post the expense (reverse the old line, post the new one).
+ * @param {number} costId
+ * @param {Object} data - { costType, description, amount, billToTenant, incurredAt, vendorId }
+ * @param {Object} [options] - { actorId }
+ */
+const updateCost = async (costId, data, { actorId = null } = {}) => {
+    const cost = await prisma.workOrderCost.findUnique({ where: { id: costId } });
+    if (!cost) throw new AppError('Cost line not found', 404);
+    if (cost.invoiceId) throw new AppError('This cost has already been billed to the tenant', 409);
+
+    const update = {};
+    if (data.costType !== undefined) update.costType = parseCostType(data.costType);
+    if (data.description !== undefined) {
+        if (!data.description) throw new AppError('Description is required', 400);
+        update.description = data.description;
+    }
+    if (data.amount !== undefined) update.amount = parseAmount(data.amount);
+    if (data.billToTenant !== undefined) update.billToTenant = Boolean(data.billToTenant);
+    if (data.incurredAt) update.incurredAt = new Date(data.incurredAt);
+    if (data.vendorId !== undefined) {
+        if (data.vendorId) {
+            const vendor = await prisma.vendor.findUnique({ where: { id: data.vendorId } });
+            if (!vendor) throw new AppError('Vendor not found', 404);
+        }
+        update.vendorId = data.vendorId || null;
+    }
+
+    return prisma.$transaction(async (tx) => {
+        const { count } = await tx.workOrderCost.updateMany({ where: { id: costId, invoiceId: null }, data: update });
+        if (count === 0) throw new AppError('This cost has already been billed to the tenant', 409);
+
+        const updated = await tx.workOrderCost.findUnique({ where: { id: costId }, include: COST_INCLUDE });
+        if (update.amount !== undefined && update.amount !== round2(parseFloat(cost.amount))) {
+            await postWorkOrderCost(tx, cost, { remove: true, createdById: actorId });
+            await postWorkOrderCost(tx, { ...updated, incurredAt: new Date() }, { createdById: actorId });
+        }
+        return updated;
+    });
+};
+
+/**
+ * Delete a cost line and reverse its expense posting
+ * @param {number} costId
+ * @param {Object} [options] - { actorId }
+ */
+const deleteCost = async (costId, { actorId = null } = {}) => {
+    const cost = await prisma.workOrderCost.findUnique({ where: { id: costId } });
+    if (!cost) throw new AppError('Cost line not found', 404);
+    if (cost.invoiceId) throw new AppError('This cost has been billed to the tenant. Void or delete the invoice first.', 409);
+
+    return prisma.$transaction(async (tx) => {
+        await postWorkOrderCost(tx, cost, { remove: true, createdById: actorId });
+        return tx.workOrderCost.delete({ where: { id: costId } });
+    });
+};
+
+// Ticket photos as stored by the ticket controllers: [{ type: 'image', url }] (older rows hold plain URLs)
+const ticketPhotos = (ticket) => {
+    if (!ticket || !ticket.attachmentUrls) return [];
+    try {
+        const attachments = JSON.parse(ticket.attachmentUrls);
+        return (Array.isArray(attachments) ? attachments : [])
+            .map(a => (typeof a === 'string' ? { type: 'image', url: a } : a))
+            .filter(a => a && a.url && a.type !== 'video')
+            .map(a => a.url);
+    } catch (error) {
+        return [];
+    }
+};
+
+/**
+ * Bill a job's unbilled bill-to-tenant cost lines to the tenant as a SERVICE invoice.
+ * @param {Object} params
+ * @param {number} [params.ticketId]
+ * @param {number} [params.maintenanceTaskId]
+ * @param {number} [params.tenantId] - Defaults to the tenant who raised the ticket (required for maintenance tasks)
+ * @param {Array<number>} [params.costIds] - Bill only these lines
+ * @param {boolean} [params.issue] - Send the invoice straight away instead of leaving it as a draft
+ * @param {number} [params.createdById]
+ * @returns {Promise<{ invoice: Object, costs: Array, attachments: Array }>}
+ */
+const createChargeback = async ({ ticketId = null, maintenanceTaskId = null, tenantId = null, costIds = null, issue = false, createdById = null }) => {
+    const { job, propertyId } = await loadJob(prisma, { ticketId, maintenanceTaskId });
+
+    const costs = await prisma.workOrderCost.findMany({
+        where: {
+            ...jobWhere({ ticketId, maintenanceTaskId }),
+            billToTenant: true,
+            invoiceId: null,
+            ...(costIds ? { id: { in: costIds } } : {})
+        },
+        orderBy: { incurredAt: 'asc' }
+    });
+    if (costs.length === 0) throw new AppError('There are no unbilled bill-to-tenant costs on this job', 400);
+
+    const chargedTenantId = tenantId || (ticketId ? job.userId : null);
+    if (!chargedTenantId) throw new AppError('Choose the tenant to bill', 400);
+
+    const tenant = await prisma.user.findUnique({ where: { id: chargedTenantId } });
+    if (!tenant) throw new AppError('Tenant not found', 404);
+
+    // Residents are billed through their responsible party
+    const billableTenantId = tenant.type === 'RESIDENT' ? tenant.parentId : tenant.id;
+    if (!billableTenantId) throw new AppError('Resident has no billable parent assigned.', 400);
+
+    const unitId = ticketId ? job.unitId : null;
+    const lease = await prisma.lease.findFirst({
+        where: {
+            tenantId: { in: [...new Set([tenant.id, billableTenantId])] },
+            status: 'Active',
+            ...(unitId ? { unitId } : propertyId ? { unit: { propertyId } } : {})
+        },
+        include: { unit: true },
+        orderBy: { startDate: 'desc' }
+    });
+    if (!lease) throw new AppError('The tenant has no active lease to bill against', 400);
+
+    const total = round2(costs.reduce((sum, c) => sum + parseFloat(c.amount), 0));
+    const reference = ticketId ? `T-${job.id + 1000}` : `MNT-${job.id + 100}`;
+    const title = ticketId ? job.subject : job.name;
+    const description = [
+        `Chargeback for ${reference}: ${title}`,
+        ...costs.map(c => `${c.costType}: ${c.description} - $${parseFloat(c.amount).toFixed(2)}`)
+    ].join('\n');
+
+    const dueDays = await getIntSetting('chargeback_due_days', 14, { min: 0, max: 90 });
+    const dueDate = new Date();
+    dueDate.setHours(0, 0, 0, 0);
+    dueDate.setDate(dueDate.getDate() + dueDays);
+
+    const invoice = await prisma.$transaction(async (tx) => {
+        const created = await tx.invoice.create({
+            data: {
+                invoiceNo: await allocateInvoiceNumber(tx),
+                tenantId: billableTenantId,
+                unitId: lease.unitId,
+                leaseId: lease.id,
+                leaseType: lease.unit ? lease.unit.rentalMode : null,
+                month: periodLabel(toPeriod()),
+                ...await buildInvoiceAmounts(tx, { serviceFees: total }),
+                status: issue ? 'sent' : 'draft',
+                category: 'SERVICE',
+                description,
+                dueDate
+            },
+            include: { taxLines: true }
+        });
+
+        const { count } = await tx.workOrderCost.updateMany({
+            where: { id: { in: costs.map(c => c.id) }, invoiceId: null },
+            data: { invoiceId: created.id }
+        });
+        if (count !== costs.length) throw new AppError('Some of these costs were billed by someone else. Refresh and try again.', 409);
+
+        if (issue) await syncInvoicePosting(tx, created.id, { createdById });
+        return created;
+    });
+
+    const attachments = [];
+    const photos = ticketId ? ticketPhotos(job) : [];
+    for (const [i, url] of photos.entries()) {
+        const doc = await documentService.linkDocument({
+            name: `${reference}-PHOTO-${i + 1}`,
+            type: 'Chargeback Photo',
+            fileUrl: url,
+            invoiceId: invoice.id,
+            userId: billableTenantId,
+            unitId: lease.unitId
+        });
+        attachments.push(doc);
+    }
+
+    const billed = await prisma.workOrderCost.findMany({ where: { invoiceId: invoice.id }, include: COST_INCLUDE });
+    return { invoice, costs: billed, attachments };
+};
+
+module.exports = {
+    COST_TYPES,
+    normalizeCostType,
+    addCost,
+    getCosts,
+    updateCost,
+    deleteCost,
+    createChargeback
+};
@@ -0,0 +1,51 @@
+/**
+ * CSV helpers for report exports (RFC 4180: comma separated, CRLF line endings)
+ */
+
+const escapeCSV = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = value instanceof Date ? value.toISOString().split('T')[0] : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Typed columns are written as values; anything else is free text (names, descriptions...)
+const VALUE_TYPES = ['money', 'number', 'percent', 'date'];
+
+// Spreadsheet apps run text starting with = + - @ (or a tab / CR) as a formula: prefix it with '
+const neutralizeFormula = (value) => (typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : value);
+
+/**
+ * Build CSV text from columns and rows (money columns are written with two decimals,
+ * text that a spreadsheet would read as a formula is prefixed with ')
+ * @param {Array<{ key: string, label: string, type?: string }>} columns
+ * @param {Array<Object>} rows
+ * @returns {string}
+ */
+const toCSV = (columns, rows) => {
+    const lines = [columns.map(c => escapeCSV(c.label)).join(',')];
+    rows.forEach(row => lines.push(columns.map(c => {
+        const value = row[c.key];
+        if (!VALUE_TYPES.includes(c.type)) return escapeCSV(neutralizeFormula(value));
+        return escapeCSV(c.type === 'money' && typeof value === 'number' ? value.toFixed(2) : value);
+    }).join(',')));
+    return lines.join('\r\n') + '\r\n';
+};
+
+/**
+ * Generates a Report CSV: the report table followed by its totals row
+ * @param {Object} report - Report from report.service buildReport
+ * @param {Object} res - Express response object
+ */
+const generateReportCSV = (report, res) => {
+    const rows = report.totals && report.rows.length > 0 ? [...report.rows, report.totals] : report.rows;
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename=${report.id}-${report.filters.to}.csv`);
+    // BOM so spreadsheet apps open the file as UTF-8
+    res.send('\uFEFF' + toCSV(report.columns, rows));
+};
+
+module.exports = {
+    toCSV,
+    generateReportCSV
+};
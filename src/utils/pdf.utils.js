@@ -30,8 +30,11 @@ const generateInvoicePDF = (invoice, res, settings = {}) => {
     doc.fontSize(20).font('Helvetica-Bold').text(companyName, 100, 50);
     doc.fontSize(10).font('Helvetica').text(companyAddress, 100, 80);
 
-    const isService = invoice.category === 'SERVICE';
-    doc.fontSize(20).text(isService ? 'SERVICE FEE INVOICE' : 'RENT INVOICE', 50, 140, { align: 'right' });
+    const isLateFee = invoice.category === 'LATE_FEE';
+    const isInsuranceFee = invoice.category === 'INSURANCE_FEE';
+    const isService = invoice.category === 'SERVICE' || isLateFee || isInsuranceFee;
+    const title = isLateFee ? 'LATE FEE INVOICE' : isInsuranceFee ? 'INSURANCE NON-COMPLIANCE FEE' : isService ? 'SERVICE FEE INVOICE' : 'RENT INVOICE';
+    doc.fontSize(20).text(title, 50, 140, { align: 'right' });
     doc.moveDown();
 
     // Invoice Info
@@ -57,7 +60,7 @@ const generateInvoicePDF = (invoice, res, settings = {}) => {
     let currentY = tableTop + 30;
 
     if (isService) {
-        doc.text(invoice.description || 'Service Fee Payment', 50, currentY);
+        doc.text(invoice.description || (isLateFee ? 'Late Fee' : 'Service Fee Payment'), 50, currentY);
         doc.text(`$${parseFloat(invoice.serviceFees || 0).toFixed(2)}`, 400, currentY, { align: 'right' });
         currentY += 20;
     } else {
@@ -75,6 +78,26 @@ const generateInvoicePDF = (invoice, res, settings = {}) => {
     doc.moveTo(50, currentY).lineTo(550, currentY).stroke();
     currentY += 10;
 
+    // Taxes (one line per tax and taxed component)
+    const taxLines = invoice.taxLines || [];
+    if (taxLines.length > 0) {
+        const subtotal = parseFloat(invoice.rent || 0) + parseFloat(invoice.serviceFees || 0);
+        doc.fontSize(12).text('Subtotal:', 300, currentY);
+        doc.text(`$${subtotal.toFixed(2)}`, 400, currentY, { align: 'right' });
+        currentY += 20;
+
+        taxLines.forEach(line => {
+            doc.text(`${line.name} (${parseFloat(line.rate).toFixed(2)}% on ${line.appliesTo})`, 250, currentY);
+            doc.text(`$${parseFloat(line.amount).toFixed(2)}`, 400, currentY, { align: 'right' });
+            currentY += 20;
+        });
+
+        if (settings.tax_registration_number) {
+            doc.fontSize(10).text(`Tax Registration No.: ${settings.tax_registration_number}`, 50, currentY);
+            currentY += 20;
+        }
+    }
+
     // Total
     doc.fontSize(14).text('Total Due:', 300, currentY);
     doc.text(`$${parseFloat(invoice.amount).toFixed(2)}`, 400, currentY, { align: 'right' });
@@ -168,34 +191,203 @@ const generateLeasePDF = (lease, res) => {
 };
 
 /**
- * Generates a Generic Report PDF
- * @param {string} reportId - ID of report (placeholder logic)
- * @param {Object} res - Express response object
+ * Generates an Owner Statement PDF: per property, collections by unit, expenses, the management
+ * fee and the owner's share, then the net amount payable
+ * @param {Object} statement - Statement snapshot from ownerStatement.service buildStatement
+ * @param {Object} res - Express response object (or any writable stream)
+ * @param {Object} settings - System settings for branding
  */
-const generateReportPDF = (reportId, res) => {
-    const doc = new PDFDocument({ margin: 50 });
+const generateOwnerStatementPDF = (statement, res, settings = {}) => {
+    const doc = new PDFDocument({ margin: 50, size: 'A4' });
 
-    res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition', `attachment; filename=report-${reportId}.pdf`);
+    if (res.setHeader) {
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename=owner-statement-${statement.owner.id}-${statement.period}.pdf`);
+    }
 
     doc.pipe(res);
 
-    doc.fontSize(25).text('DATA EXPORT REPORT', { align: 'center' });
+    const left = 50;
+    const right = doc.page.width - 50;
+    const money = (value) => `$${(parseFloat(value) || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+    const ensureSpace = (height) => {
+        if (doc.y + height > doc.page.height - 50) doc.addPage();
+    };
+    const amountLine = (label, value, { bold = false, indent = 0 } = {}) => {
+        ensureSpace(14);
+        const y = doc.y;
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+        doc.text(label, left + indent, y, { width: right - left - indent - 110 });
+        doc.text(money(value), right - 110, y, { width: 110, align: 'right' });
+        doc.x = left;
+    };
+    const rule = () => {
+        doc.moveTo(left, doc.y).lineTo(right, doc.y).lineWidth(0.5).stroke();
+        doc.moveDown(0.3);
+    };
+
+    doc.fontSize(16).font('Helvetica-Bold').text(settings.company_name || 'PropManage SaaS', left, 50);
+    doc.fontSize(9).font('Helvetica').text(settings.company_address || '123 Business Avenue, Suite 500\nToronto, ON M5V 2N8');
+    doc.fontSize(16).font('Helvetica-Bold').text('OWNER STATEMENT', left, 50, { align: 'right' });
+    doc.fontSize(10).font('Helvetica').text(statement.periodLabel, { align: 'right' });
+    doc.moveDown(2);
+
+    doc.fontSize(10).font('Helvetica-Bold').text(`Owner: ${statement.owner.name || ''}`, left);
+    doc.font('Helvetica').text(`Period: ${statement.periodStart.substring(0, 10)} to ${statement.periodEnd.substring(0, 10)}`);
     doc.moveDown();
 
-    doc.fontSize(12).text(`Report Type: ${reportId}`);
-    doc.text(`Generated On: ${new Date().toLocaleString()}`);
-    doc.moveDown();
+    statement.properties.forEach(property => {
+        ensureSpace(80);
+        doc.fontSize(12).font('Helvetica-Bold').text(property.property, left);
+        doc.fontSize(9).font('Helvetica').text(`Ownership share: ${property.sharePercent}%`);
+        doc.moveDown(0.5);
+        rule();
+
+        doc.fontSize(9).font('Helvetica-Bold').text('Income collected', left);
+        property.units.forEach(unit => {
+            const label = `Unit ${unit.unit}${unit.tenants ? ` - ${unit.tenants}` : ''}`
+                + (unit.other ? ` (rent ${money(unit.rent)}, other ${money(unit.other)})` : '');
+            amountLine(label, unit.total, { indent: 10 });
+        });
+        amountLine('Total income', property.income, { bold: true });
+        doc.moveDown(0.5);
+
+        doc.font('Helvetica-Bold').text('Expenses', left);
+        if (property.expenses.length === 0) {
+            doc.font('Helvetica').text('No expenses this period', left + 10);
+        }
+        property.expenses.forEach(expense => {
+            const label = `${expense.date}  ${expense.costType} - ${expense.description}`
+                + `${expense.vendor ? ` (${expense.vendor})` : ''}${expense.billedToTenant ? ' [billed to tenant]' : ''}`;
+            amountLine(label, -expense.amount, { indent: 10 });
+        });
+        amountLine('Total expenses', -property.expenseTotal, { bold: true });
+        doc.moveDown(0.5);
+
+        rule();
+        amountLine(`Your share of income (${property.sharePercent}%)`, property.ownerIncome);
+        amountLine(`Your share of expenses (${property.sharePercent}%)`, -property.ownerExpenses);
+        const fee = property.managementFee;
+        const feeLabel = fee.type === 'PERCENTAGE' ? `Management fee (${fee.rate}% of income)`
+            : fee.type === 'FLAT' ? 'Management fee (flat)' : 'Management fee';
+        amountLine(feeLabel, -fee.amount);
+        amountLine('Net for this property', property.net, { bold: true });
+        doc.moveDown();
+    });
+
+    ensureSpace(90);
+    rule();
+    doc.fontSize(11);
+    amountLine('Total income', statement.totals.income);
+    amountLine('Total expenses', -statement.totals.expenses);
+    amountLine('Total management fees', -statement.totals.managementFee);
+    doc.moveDown(0.3);
+    amountLine(statement.totals.netPayable >= 0 ? 'NET PAYABLE TO OWNER' : 'BALANCE DUE FROM OWNER', Math.abs(statement.totals.netPayable), { bold: true });
+
+    doc.fontSize(8).font('Helvetica').text(
+        'Income is cash collected in the period, excluding sales tax. Security deposits are held in trust and not included.',
+        left, doc.page.height - 70, { width: right - left, align: 'center' }
+    );
 
-    doc.text('This PDF contains a summary of the requested data export from PropManage SaaS.');
-    doc.moveDown();
+    doc.end();
+};
+
+const REPORT_MARGIN = 40;
+
+const formatReportValue = (value, type) => {
+    if (value === null || value === undefined || value === '') return '';
+    if (type === 'money') return (parseFloat(value) || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    if (type === 'percent') return `${(parseFloat(value) || 0).toFixed(1)}%`;
+    return String(value);
+};
+
+/**
+ * Generates a Report PDF: header with the filters, summary figures, then the report table
+ * (header row repeated on every page, totals row last)
+ * @param {Object} report - Report from report.service buildReport
+ * @param {Object} res - Express response object (or any writable stream)
+ * @param {Object} settings - System settings for branding
+ */
+const generateReportPDF = (report, res, settings = {}) => {
+    const doc = new PDFDocument({ margin: REPORT_MARGIN, size: 'A4', layout: 'landscape' });
+
+    if (res.setHeader) {
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename=${report.id}-${report.filters.to}.pdf`);
+    }
+
+    doc.pipe(res);
+
+    const pageWidth = doc.page.width - REPORT_MARGIN * 2;
+    const bottom = doc.page.height - REPORT_MARGIN;
+    const { filters } = report;
+
+    doc.fontSize(16).font('Helvetica-Bold').text(settings.company_name || 'PropManage SaaS', REPORT_MARGIN, REPORT_MARGIN);
+    doc.fontSize(14).text(report.title.toUpperCase(), REPORT_MARGIN, REPORT_MARGIN, { align: 'right' });
+    doc.moveDown(0.5);
 
-    doc.text('Summary Data Placeholder:', { underline: true });
-    doc.fontSize(10).text('Monthly Revenue: $120,500.00');
-    doc.text('Occupancy Rate: 94%');
-    doc.text('Active Leases: 42');
+    doc.fontSize(9).font('Helvetica');
+    doc.text(filters.asOf ? `As of: ${filters.asOf}` : `Period: ${filters.from} to ${filters.to}`);
+    if (filters.owner) doc.text(`Owner: ${filters.owner}`);
+    doc.text(`Properties: ${filters.properties.length > 0 ? filters.properties.join(', ') : 'None'}`);
+    doc.text(`Generated: ${new Date(report.generatedAt).toLocaleString()}`);
     doc.moveDown();
 
+    // Summary figures
+    if (report.summary && report.summary.length > 0) {
+        report.summary.forEach(item => {
+            doc.font('Helvetica').text(`${item.label}: `, { continued: true });
+            doc.font('Helvetica-Bold').text(formatReportValue(item.value, item.type));
+        });
+        doc.moveDown();
+    }
+
+    // Column widths: numeric columns get a fixed share, text columns split the rest
+    const numericTypes = ['money', 'number', 'percent', 'date'];
+    const fixedWidth = 62;
+    const fixedCount = report.columns.filter(c => numericTypes.includes(c.type)).length;
+    const textCount = report.columns.length - fixedCount;
+    const textWidth = textCount > 0 ? Math.max(60, (pageWidth - fixedCount * fixedWidth) / textCount) : 0;
+    const columns = report.columns.map(c => ({
+        ...c,
+        width: numericTypes.includes(c.type) ? fixedWidth : textWidth,
+        align: ['money', 'number', 'percent'].includes(c.type) ? 'right' : 'left'
+    }));
+
+    const drawRow = (row, { bold = false, header = false } = {}) => {
+        doc.fontSize(8).font(bold || header ? 'Helvetica-Bold' : 'Helvetica');
+        const cells = columns.map(c => header ? c.label : formatReportValue(row[c.key], c.type));
+        const height = Math.max(...cells.map((cell, i) => doc.heightOfString(cell, { width: columns[i].width - 4 }))) + 4;
+
+        if (doc.y + height > bottom) {
+            doc.addPage();
+            if (!header) drawRow(null, { header: true });
+        }
+
+        const y = doc.y;
+        let x = REPORT_MARGIN;
+        cells.forEach((cell, i) => {
+            doc.text(cell, x + 2, y + 2, { width: columns[i].width - 4, align: columns[i].align });
+            x += columns[i].width;
+        });
+        doc.y = y + height;
+
+        if (header || bold) {
+            doc.moveTo(REPORT_MARGIN, doc.y).lineTo(REPORT_MARGIN + pageWidth, doc.y).lineWidth(0.5).stroke();
+        }
+        doc.x = REPORT_MARGIN;
+    };
+
+    drawRow(null, { header: true });
+    if (report.rows.length === 0) {
+        doc.fontSize(9).font('Helvetica-Oblique').text('No data for the selected filters.', REPORT_MARGIN, doc.y + 6);
+    }
+    report.rows.forEach(row => drawRow(row));
+    if (report.totals && report.rows.length > 0) {
+        doc.moveTo(REPORT_MARGIN, doc.y).lineTo(REPORT_MARGIN + pageWidth, doc.y).lineWidth(0.5).stroke();
+        drawRow(report.totals, { bold: true });
+    }
+
     doc.end();
 };
 
@@ -203,5 +395,6 @@ module.exports = {
     generateInvoicePDF,
     generateReceiptPDF,
     generateLeasePDF,
-    generateReportPDF
+    generateReportPDF,
+    generateOwnerStatementPDF
 };
@@ -1,19 +1,49 @@
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 
-const generateTokens = (user) => {
-    const accessToken = jwt.sign(
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 7;
+
+/**
+ * Short-lived JWT used on every API request
+ * @param {Object} user - { id, role }
+ * @returns {string}
+ */
+const generateAccessToken = (user) => {
+    return jwt.sign(
         { id: user.id, role: user.role },
         process.env.JWT_SECRET,
-        { expiresIn: '7d' }
+        { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
     );
+};
 
-    const refreshToken = jwt.sign(
-        { id: user.id },
-        process.env.JWT_REFRESH_SECRET || 'fallback_refresh_secret',
-        { expiresIn: '7d' }
-    );
+/**
+ * Opaque refresh token. Only its hash is persisted, so a database leak
+ * does not hand out usable sessions.
+ * @returns {string}
+ */
+const generateRefreshToken = () => crypto.randomBytes(48).toString('hex');
 
-    return { accessToken, refreshToken };
+/**
+ * Hash a refresh token for storage/lookup
+ * @param {string} token
+ * @returns {string} - sha256 hex digest
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Expiry date for a newly issued refresh token
+ * @returns {Date}
+ */
+const getRefreshTokenExpiry = () => {
+    const expiresAt = new Date();
+    expiresAt.setDate(expiresAt.getDate() + REFRESH_TOKEN_TTL_DAYS);
+    return expiresAt;
 };
 
-module.exports = { generateTokens };
+module.exports = {
+    generateAccessToken,
+    generateRefreshToken,
+    hashToken,
+    getRefreshTokenExpiry
+};
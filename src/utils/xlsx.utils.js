@@ -0,0 +1,64 @@
+const ExcelJS = require('exceljs');
+
+const NUMBER_FORMATS = {
+    money: '#,##0.00',
+    number: '0',
+    percent: '0.0"%"'
+};
+
+/**
+ * Generates a Report XLSX workbook: a header block with the filters, then the report table
+ * with typed cells (money, numbers and percentages stay numeric for spreadsheet formulas)
+ * @param {Object} report - Report from report.service buildReport
+ * @param {Object} res - Express response object
+ * @param {Object} settings - System settings for branding
+ */
+const generateReportXLSX = async (report, res, settings = {}) => {
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = settings.company_name || 'PropManage SaaS';
+    workbook.created = new Date(report.generatedAt);
+
+    const sheet = workbook.addWorksheet(report.title.substring(0, 31));
+    const { filters } = report;
+
+    sheet.addRow([report.title]).font = { bold: true, size: 14 };
+    sheet.addRow([filters.asOf ? `As of: ${filters.asOf}` : `Period: ${filters.from} to ${filters.to}`]);
+    if (filters.owner) sheet.addRow([`Owner: ${filters.owner}`]);
+    sheet.addRow([`Properties: ${filters.properties.join(', ')}`]);
+    sheet.addRow([]);
+
+    const header = sheet.addRow(report.columns.map(c => c.label));
+    header.font = { bold: true };
+    header.border = { bottom: { style: 'thin' } };
+
+    const addRow = (row) => sheet.addRow(report.columns.map(c => {
+        const value = row[c.key];
+        if (value === null || value === undefined || value === '') return null;
+        if (NUMBER_FORMATS[c.type]) return typeof value === 'number' ? value : parseFloat(value);
+        if (c.type === 'date') return new Date(value);
+        return value;
+    }));
+
+    report.rows.forEach(addRow);
+    if (report.totals && report.rows.length > 0) {
+        const totals = addRow(report.totals);
+        totals.font = { bold: true };
+        totals.border = { top: { style: 'thin' } };
+    }
+
+    report.columns.forEach((c, i) => {
+        const column = sheet.getColumn(i + 1);
+        column.width = c.type === 'text' ? 24 : 14;
+        if (NUMBER_FORMATS[c.type]) column.numFmt = NUMBER_FORMATS[c.type];
+        if (c.type === 'date') column.numFmt = 'yyyy-mm-dd';
+    });
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename=${report.id}-${report.filters.to}.xlsx`);
+    await workbook.xlsx.write(res);
+    res.end();
+};
+
+module.exports = {
+    generateReportXLSX
+};